@@ -1,8 +1,6 @@
-import { Synapse, TOKENS, TIME_CONSTANTS } from '@filoz/synapse-sdk';
+import { TOKENS } from '@filoz/synapse-sdk';
+import { createSynapse, budgetAllowances, assertSpendAllowed } from 'filecoin-shared';
 import { ethers } from 'ethers';
-import dotenv from 'dotenv';
-
-dotenv.config();
 
 async function fundPaymentAccount() {
     console.log('======================================================================');
@@ -10,10 +8,7 @@ async function fundPaymentAccount() {
     console.log('======================================================================\n');
 
     // Initialize SDK
-    const synapse = await Synapse.create({
-        privateKey: process.env.PRIVATE_KEY,
-        rpcURL: "https://api.calibration.node.glif.io/rpc/v1"
-    });
+    const synapse = await createSynapse();
 
     console.log('Wallet address:', synapse.address);
 
@@ -30,15 +25,20 @@ async function fundPaymentAccount() {
         process.exit(1);
     }
 
+    // Allowances derived from the spend caps (BUDGET_*_USDFC), and no
+    // deposit while the account is already spending past them
+    const { rateAllowance, lockupAllowance, maxLockupPeriod } = budgetAllowances();
+    await assertSpendAllowed(synapse, { action: 'Deposit' });
+
     // Deposit and approve operator
     console.log('Depositing 2.5 USDFC to payment account and approving operator...');
 
     const tx = await synapse.payments.depositWithPermitAndApproveOperator(
         ethers.parseUnits("2.5", 18),           // Deposit 2.5 USDFC
         synapse.getWarmStorageAddress(),         // Storage operator address
-        ethers.MaxUint256,                       // Unlimited rate allowance
-        ethers.MaxUint256,                       // Unlimited lockup allowance
-        TIME_CONSTANTS.EPOCHS_PER_MONTH          // 30-day lockup period
+        rateAllowance,                           // Capped rate allowance
+        lockupAllowance,                         // Capped lockup allowance
+        maxLockupPeriod                          // 30-day lockup period
     );
 
     console.log('Transaction submitted. Waiting for confirmation...');
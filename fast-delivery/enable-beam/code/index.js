@@ -1,5 +1,5 @@
-import 'dotenv/config';
-import { Synapse, TOKENS, TIME_CONSTANTS } from '@filoz/synapse-sdk';
+import { TIME_CONSTANTS } from '@filoz/synapse-sdk';
+import { createSynapse, checkReadiness } from 'filecoin-shared';
 import { ethers } from 'ethers';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
@@ -20,15 +20,7 @@ async function main() {
     // ========================================================================
     console.log("📡 Step 1: Initializing Filecoin SDK...\n");
 
-    const privateKey = process.env.PRIVATE_KEY;
-    if (!privateKey) {
-        throw new Error("Missing PRIVATE_KEY in .env file");
-    }
-
-    const synapse = await Synapse.create({
-        privateKey: privateKey,
-        rpcURL: "https://api.calibration.node.glif.io/rpc/v1"
-    });
+    const synapse = await createSynapse();
 
     console.log("✓ SDK initialized successfully\n");
 
@@ -37,25 +29,15 @@ async function main() {
     // ========================================================================
     console.log("💰 Step 2: Verifying Payment Account...\n");
 
-    const paymentBalance = await synapse.payments.balance(TOKENS.USDFC);
-    console.log(`Payment Account Balance: ${ethers.formatUnits(paymentBalance, 18)} USDFC`);
+    const readiness = await checkReadiness(synapse);
+    console.log(`Payment Account Balance: ${ethers.formatUnits(readiness.paymentAccount.availableFunds, 18)} USDFC`);
 
-    if (paymentBalance === 0n) {
-        console.log("\n⚠️  Warning: Payment account has no balance!");
-        console.log("Please fund your account first:");
+    if (!readiness.ready) {
+        console.log("\n⚠️  Warning: Your account is not ready to upload!");
+        readiness.failures.forEach(failure => console.log(`  - ${failure.message}`));
+        console.log("Please fund your account and approve the storage operator:");
         console.log("1. Get USDFC from: https://forest-explorer.chainsafe.dev/faucet/calibnet_usdfc");
-        console.log("2. Deposit to payment account (see walkthrough for details)");
-        process.exit(1);
-    }
-
-    // Verify operator allowances
-    const operatorAddress = synapse.getWarmStorageAddress();
-    const approval = await synapse.payments.serviceApproval(operatorAddress, TOKENS.USDFC);
-
-    if (!approval.isApproved || approval.rateAllowance === 0n || approval.lockupAllowance === 0n) {
-        console.log("\n⚠️  Warning: Operator allowances not set!");
-        console.log("Please approve the storage operator:");
-        console.log("See the walkthrough for deposit and approval instructions.");
+        console.log("2. Deposit and approve (see walkthrough for details)");
         process.exit(1);
     }
 
@@ -1,5 +1,5 @@
-import 'dotenv/config';
-import { Synapse, TOKENS } from '@filoz/synapse-sdk';
+import { TOKENS } from '@filoz/synapse-sdk';
+import { createSynapse } from 'filecoin-shared';
 import { ethers } from 'ethers';
 import { writeFileSync, readFileSync, existsSync } from 'fs';
 import { join, dirname } from 'path';
@@ -116,15 +116,7 @@ async function main() {
     // Initialize SDK
     console.log('📡 Step 1: Initializing Filecoin SDK...\\n');
 
-    const privateKey = process.env.PRIVATE_KEY;
-    if (!privateKey) {
-        throw new Error('Missing PRIVATE_KEY in .env file');
-    }
-
-    const synapse = await Synapse.create({
-        privateKey: privateKey,
-        rpcURL: 'https://api.calibration.node.glif.io/rpc/v1'
-    });
+    const synapse = await createSynapse();
 
     console.log('✓ SDK initialized successfully\\n');
 
@@ -1,10 +1,17 @@
-import 'dotenv/config';
-import { Synapse, TOKENS } from '@filoz/synapse-sdk';
+import { TOKENS } from '@filoz/synapse-sdk';
+import {
+    createSynapse,
+    openManifest,
+    findByPieceCid,
+    readChunkedRoot,
+    downloadChunkedFile,
+    downloadPieceToFile,
+    hashFile
+} from 'filecoin-shared';
 import { ethers } from 'ethers';
-import { createWriteStream, readFileSync, existsSync, statSync } from 'fs';
+import { createWriteStream, readFileSync, existsSync, statSync, mkdirSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import { createHash } from 'crypto';
 
 // Get the directory path for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -12,7 +19,12 @@ const __dirname = dirname(__filename);
 
 /**
  * Download large files from Filecoin with real-time progress tracking
- * Demonstrates chunked download with progress display
+ * Streams the piece to disk as it arrives, with real network progress
+ *
+ * If the PieceCID is the root of a chunked upload (npm run upload:chunked),
+ * the file is reassembled from its chunks and checked against the root's
+ * SHA-256. Chunked roots are recognised from the local manifest; pass
+ * --chunked to force it.
  */
 
 function createProgressBar(progress, width = 40) {
@@ -20,14 +32,12 @@ function createProgressBar(progress, width = 40) {
     return '█'.repeat(filledLength) + '░'.repeat(width - filledLength);
 }
 
-async function downloadWithProgress(synapse, pieceCid, outputPath) {
+async function downloadWithProgress(synapse, pieceCid, outputPath, expectedSha256) {
     console.log(`\n${'='.repeat(70)}`);
     console.log(`  Downloading: ${pieceCid}`);
     console.log('='.repeat(70));
     console.log();
 
-    const startTime = Date.now();
-
     try {
         // Create storage context with Beam CDN enabled
         const context = await synapse.storage.createContext({
@@ -36,94 +46,116 @@ async function downloadWithProgress(synapse, pieceCid, outputPath) {
 
         console.log('Fetching file from Beam CDN...\n');
 
-        // Download the file
-        // Note: The SDK downloads the entire file and returns a Uint8Array
-        // For true streaming, we would need SDK support for chunked downloads
-        // This example shows progress tracking with the current SDK
-
-        const downloadedData = await context.download(pieceCid);
+        // Stream the piece straight to disk: bytes are hashed and written as
+        // they arrive, so memory use stays flat however large the file is
+        // and the progress bar shows real network progress.
+        mkdirSync(dirname(outputPath), { recursive: true });
+
+        const result = await downloadPieceToFile(synapse, pieceCid, outputPath, {
+            context,
+            withCDN: true,
+            expectedSha256,
+            onProgress: ({ bytes, total, elapsedMs }) => {
+                const speed = bytes / 1024 / 1024 / Math.max(elapsedMs / 1000, 0.001);
+                const received = `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+
+                if (total) {
+                    const progress = (bytes / total) * 100;
+                    process.stdout.write(
+                        `\rDownloading: [${createProgressBar(progress)}] ${progress.toFixed(1)}% ` +
+                        `(${received} / ${(total / 1024 / 1024).toFixed(2)} MB) ${speed.toFixed(2)} MB/s`
+                    );
+                } else {
+                    process.stdout.write(`\rDownloading: ${received} ${speed.toFixed(2)} MB/s`);
+                }
+            }
+        });
 
-        const downloadTime = (Date.now() - startTime) / 1000;
-        const fileSize = downloadedData.length;
-        const avgSpeed = fileSize / 1024 / 1024 / downloadTime;
+        const downloadTime = result.durationMs / 1000;
+        const avgSpeed = result.size / 1024 / 1024 / downloadTime;
 
+        console.log('\n');
         console.log(`✓ Download complete!`);
-        console.log(`  Size: ${(fileSize / 1024 / 1024).toFixed(2)} MB`);
+        console.log(`  Source: ${result.url}`);
+        console.log(`  Path: ${outputPath}`);
+        console.log(`  Size: ${(result.size / 1024 / 1024).toFixed(2)} MB`);
+        console.log(`  SHA256: ${result.sha256.substring(0, 16)}...` +
+            (expectedSha256 ? ' (matches the manifest)' : ''));
         console.log(`  Download Time: ${downloadTime.toFixed(2)}s`);
         console.log(`  Average Speed: ${avgSpeed.toFixed(2)} MB/s`);
         console.log();
 
-        // Write to file using streams
-        console.log('Writing to file...\n');
+        return {
+            pieceCid,
+            size: result.size,
+            downloadTime,
+            totalTime: downloadTime,
+            avgSpeed,
+            checksum: result.sha256,
+            outputPath
+        };
 
-        const writeStream = createWriteStream(outputPath);
-        const hash = createHash('sha256');
-
-        let bytesWritten = 0;
-        const CHUNK_SIZE = 64 * 1024; // 64 KB chunks
-
-        return new Promise((resolve, reject) => {
-            const writeChunks = () => {
-                let canContinue = true;
+    } catch (error) {
+        console.error('\n❌ Download failed:', error.message);
+        throw error;
+    }
+}
 
-                while (bytesWritten < fileSize && canContinue) {
-                    const remainingBytes = fileSize - bytesWritten;
-                    const chunkSize = Math.min(CHUNK_SIZE, remainingBytes);
-                    const chunk = downloadedData.slice(bytesWritten, bytesWritten + chunkSize);
+async function downloadChunked(synapse, pieceCid, dataDir) {
+    console.log(`\n${'='.repeat(70)}`);
+    console.log(`  Downloading (chunked): ${pieceCid}`);
+    console.log('='.repeat(70));
+    console.log();
 
-                    // Update hash
-                    hash.update(chunk);
+    const startTime = Date.now();
+    const downloadOptions = { withCDN: true };
 
-                    // Write chunk
-                    canContinue = writeStream.write(chunk);
-                    bytesWritten += chunkSize;
+    const root = await readChunkedRoot(synapse.storage, pieceCid, downloadOptions);
+    console.log(`File: ${root.filename} (${(root.size / 1024 / 1024).toFixed(2)} MB in ${root.chunks.length} chunks)\n`);
 
-                    // Display progress
-                    const progress = (bytesWritten / fileSize) * 100;
-                    const bar = createProgressBar(progress);
+    mkdirSync(dataDir, { recursive: true });
+    const outputPath = join(dataDir, `downloaded-${root.filename}`);
+    const writeStream = createWriteStream(outputPath);
 
-                    process.stdout.write(
-                        `\rWriting: [${bar}] ${progress.toFixed(1)}% ` +
-                        `(${(bytesWritten / 1024 / 1024).toFixed(2)} MB / ${(fileSize / 1024 / 1024).toFixed(2)} MB)`
-                    );
-                }
+    // Wait for the stream to drain so a large file never piles up in memory
+    const write = (chunk) => new Promise((resolve, reject) => {
+        writeStream.write(chunk, (err) => err ? reject(err) : resolve());
+    });
 
-                if (bytesWritten < fileSize) {
-                    writeStream.once('drain', writeChunks);
-                } else {
-                    writeStream.end(() => {
-                        const checksum = hash.digest('hex');
-                        const totalTime = (Date.now() - startTime) / 1000;
-
-                        console.log('\n');
-                        console.log(`✓ File written successfully`);
-                        console.log(`  Path: ${outputPath}`);
-                        console.log(`  SHA256: ${checksum.substring(0, 16)}...`);
-                        console.log(`  Total Time: ${totalTime.toFixed(2)}s`);
-                        console.log();
-
-                        resolve({
-                            pieceCid,
-                            size: fileSize,
-                            downloadTime,
-                            totalTime,
-                            avgSpeed,
-                            checksum,
-                            outputPath
-                        });
-                    });
-                }
-            };
+    try {
+        const { size, sha256 } = await downloadChunkedFile(synapse.storage, root, write, {
+            downloadOptions,
+            onChunk: (chunk, index, bytesDone) => {
+                const progress = root.size > 0 ? (bytesDone / root.size) * 100 : 100;
+                process.stdout.write(
+                    `\rDownloading: [${createProgressBar(progress)}] ${progress.toFixed(1)}% ` +
+                    `(chunk ${index + 1}/${root.chunks.length}, ` +
+                    `${(bytesDone / 1024 / 1024).toFixed(2)} MB / ${(root.size / 1024 / 1024).toFixed(2)} MB)`
+                );
+            }
+        });
+        await new Promise((resolve, reject) => writeStream.end((err) => err ? reject(err) : resolve()));
 
-            writeStream.on('error', (err) => {
-                console.error('\n❌ Error writing file:', err.message);
-                reject(err);
-            });
+        const totalTime = (Date.now() - startTime) / 1000;
 
-            writeChunks();
-        });
+        console.log('\n');
+        console.log(`✓ File reassembled and verified`);
+        console.log(`  Path: ${outputPath}`);
+        console.log(`  SHA256: ${sha256.substring(0, 16)}... (matches the root manifest)`);
+        console.log(`  Total Time: ${totalTime.toFixed(2)}s`);
+        console.log();
 
+        return {
+            pieceCid,
+            size,
+            downloadTime: totalTime,
+            totalTime,
+            avgSpeed: size / 1024 / 1024 / totalTime,
+            checksum: sha256,
+            outputPath
+        };
     } catch (error) {
+        writeStream.destroy();
         console.error('\n❌ Download failed:', error.message);
         throw error;
     }
@@ -151,14 +183,11 @@ async function verifyDownload(originalPath, downloadedPath) {
         return false;
     }
 
-    // Calculate checksums
+    // Calculate checksums (streamed, so large files are never read whole)
     console.log('\nCalculating checksums...');
 
-    const originalData = readFileSync(originalPath);
-    const downloadedData = readFileSync(downloadedPath);
-
-    const originalHash = createHash('sha256').update(originalData).digest('hex');
-    const downloadedHash = createHash('sha256').update(downloadedData).digest('hex');
+    const originalHash = await hashFile(originalPath);
+    const downloadedHash = await hashFile(downloadedPath);
 
     console.log(`  Original:   ${originalHash.substring(0, 32)}...`);
     console.log(`  Downloaded: ${downloadedHash.substring(0, 32)}...`);
@@ -183,15 +212,7 @@ async function main() {
     // ========================================================================
     console.log('📡 Step 1: Initializing Filecoin SDK...\n');
 
-    const privateKey = process.env.PRIVATE_KEY;
-    if (!privateKey) {
-        throw new Error('Missing PRIVATE_KEY in .env file');
-    }
-
-    const synapse = await Synapse.create({
-        privateKey: privateKey,
-        rpcURL: 'https://api.calibration.node.glif.io/rpc/v1'
-    });
+    const synapse = await createSynapse();
 
     console.log('✓ SDK initialized successfully\n');
 
@@ -220,8 +241,32 @@ async function main() {
     const dataDir = join(__dirname, 'data');
     const outputPath = join(dataDir, 'downloaded-test-10mb.bin');
 
+    const manifest = openManifest(join(__dirname, 'piece-manifest.json'));
+    const entries = findByPieceCid(manifest, pieceCid);
+    const chunked = process.argv.includes('--chunked') || entries.some(entry => entry.tags?.chunked);
+
     try {
-        const result = await downloadWithProgress(synapse, pieceCid, outputPath);
+        if (chunked) {
+            // Every chunk and the whole file were checked against the root's
+            // hashes while downloading, so there is nothing left to compare
+            const result = await downloadChunked(synapse, pieceCid, dataDir);
+
+            console.log('='.repeat(70));
+            console.log('  Download Complete!');
+            console.log('='.repeat(70));
+            console.log();
+            console.log('Download Summary:');
+            console.log(`  Root PieceCID: ${result.pieceCid}`);
+            console.log(`  Size: ${(result.size / 1024 / 1024).toFixed(2)} MB`);
+            console.log(`  Total Time: ${result.totalTime.toFixed(2)}s`);
+            console.log(`  Average Speed: ${result.avgSpeed.toFixed(2)} MB/s`);
+            console.log('  Verified: ✓ Yes');
+            console.log();
+            return;
+        }
+
+        // If the upload was recorded, the download is checked against its hash
+        const result = await downloadWithProgress(synapse, pieceCid, outputPath, entries[0]?.sha256);
 
         // ========================================================================
         // STEP 4: Verify Download
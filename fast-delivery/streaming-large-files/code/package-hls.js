@@ -0,0 +1,348 @@
+import { createFile, MP4BoxBuffer } from 'mp4box';
+import {
+    createSynapse,
+    checkReadiness,
+    openManifest,
+    recordUpload,
+    findByHash,
+    sha256,
+    runUploadQueue,
+    DEFAULT_SEGMENT_DURATION,
+    PLAYLIST_CONTENT_TYPE,
+    pieceUri,
+    buildMediaPlaylist,
+    buildMasterPlaylist,
+    playlistBytes
+} from 'filecoin-shared';
+import { createReadStream, mkdirSync, readFileSync, writeFileSync, existsSync } from 'fs';
+import { join, dirname, basename, extname } from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+
+// Get the directory path for ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+/**
+ * Package a video for adaptive streaming (HLS) and store it on Filecoin
+ *
+ * Splits an MP4 into fragmented-MP4 segments of about 6 seconds (pure JS,
+ * no ffmpeg), uploads every segment into one CDN-enabled storage context,
+ * then uploads a media playlist per track and a master playlist that
+ * refer to the segments by PieceCID. Play it with `npm run server` and
+ * the master playlist's PieceCID.
+ *
+ * Usage: node package-hls.js [video.mp4] [--segment-duration 6] [--out <dir>]
+ *
+ * Segments are written to <dir> (default: hls/<video name>/) before they
+ * are uploaded, and anything already in the manifest is reused, so an
+ * interrupted run can simply be repeated.
+ */
+
+const READ_CHUNK_SIZE = 4 * 1024 * 1024;
+
+/**
+ * Plan segments over a track's samples: each starts on a sync sample
+ * (keyframe) and runs until the first sync sample at least
+ * `segmentDuration` seconds later.
+ */
+function planSegments(samples, timescale, segmentDuration) {
+    const segments = [];
+    let first = 0;
+    for (let i = 1; i <= samples.length; i++) {
+        const cut = i === samples.length
+            || (samples[i].is_sync && (samples[i].dts - samples[first].dts) / timescale >= segmentDuration);
+        if (cut) {
+            const range = samples.slice(first, i);
+            segments.push({
+                first,
+                last: i - 1,
+                duration: (samples[i - 1].dts + samples[i - 1].duration - samples[first].dts) / timescale,
+                // Bytes of the file needed before the segment can be built
+                end: Math.max(...range.map(sample => sample.offset + sample.size))
+            });
+            first = i;
+        }
+    }
+    return segments;
+}
+
+/**
+ * Split one track of an MP4 (the first of `kind`, 'video' or 'audio') into
+ * an init segment plus fragmented-MP4 media segments, written to `outDir`
+ * as soon as the file has been read far enough. Resolves with null if the
+ * file has no such track.
+ */
+async function segmentTrack(filePath, outDir, kind, segmentDuration) {
+    // Keep media data: when the moov box comes last, every sample has
+    // been read before the segments can be planned
+    const mp4 = createFile(true);
+    let track = null;
+    let ready = false;
+    let failure = null;
+
+    mp4.onError = (module, message) => {
+        failure = new Error(`Could not parse ${basename(filePath)} as MP4: ${message}`);
+    };
+
+    mp4.onReady = (info) => {
+        ready = true;
+        const source = info[`${kind}Tracks`][0];
+        if (!source) {
+            return;
+        }
+
+        const seconds = (source.samples_duration || source.duration) / source.timescale;
+        track = {
+            kind,
+            id: source.id,
+            codecs: source.codec,
+            bandwidth: source.bitrate,
+            width: source.video?.width ?? null,
+            height: source.video?.height ?? null,
+            frameRate: kind === 'video' ? source.nb_samples / seconds : null,
+            language: source.language,
+            init: join(outDir, `${kind}-init.mp4`),
+            planned: planSegments(mp4.getTrackSamplesInfo(source.id), source.timescale, segmentDuration),
+            segments: []
+        };
+
+        // Segmentation options are only needed to build the init segment;
+        // segments are cut by createFragment() below, on keyframes
+        mp4.setSegmentOptions(source.id, kind, {});
+        const [init] = mp4.initializeSegmentation('per-track');
+        writeFileSync(track.init, new Uint8Array(init.buffer));
+    };
+
+    // Build every planned segment whose bytes have all been read
+    function writeSegments(bytesRead) {
+        while (track && track.segments.length < track.planned.length) {
+            const plan = track.planned[track.segments.length];
+            if (plan.end > bytesRead) {
+                return;
+            }
+            const fragment = mp4.createFragment(track.id, plan.first, plan.last);
+            if (!fragment) {
+                throw new Error(`Sample data for ${kind} segment ${track.segments.length} is missing`);
+            }
+
+            const path = join(outDir, `${kind}-${String(track.segments.length).padStart(5, '0')}.m4s`);
+            writeFileSync(path, new Uint8Array(fragment.buffer));
+            track.segments.push({ path, duration: plan.duration });
+
+            // Written to disk, so the sample data can go
+            mp4.releaseUsedSamples(track.id, plan.last + 1);
+        }
+    }
+
+    let offset = 0;
+    for await (const chunk of createReadStream(filePath, { highWaterMark: READ_CHUNK_SIZE })) {
+        const arrayBuffer = chunk.buffer.slice(chunk.byteOffset, chunk.byteOffset + chunk.length);
+        mp4.appendBuffer(MP4BoxBuffer.fromArrayBuffer(arrayBuffer, offset));
+        offset += chunk.length;
+        if (failure) {
+            throw failure;
+        }
+        if (ready && !track) {
+            return null;
+        }
+        writeSegments(offset);
+    }
+    mp4.flush();
+
+    if (failure) {
+        throw failure;
+    }
+    if (!ready) {
+        throw new Error(`${basename(filePath)} has no movie header (moov box); is it an MP4?`);
+    }
+    writeSegments(offset);
+    return track;
+}
+
+/**
+ * Upload a file, or reuse the piece if the manifest already has these bytes.
+ */
+async function uploadOnce(context, manifest, { filename, data, contentType, tags }) {
+    const [existing] = findByHash(manifest, sha256(data));
+    if (existing) {
+        return { entry: existing, reused: true };
+    }
+    const metadata = { contentType };
+    const result = await context.upload(data, { metadata });
+    return { entry: recordUpload(manifest, { filename, data, result, context, metadata, tags }), reused: false };
+}
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            'segment-duration': { type: 'string', default: String(DEFAULT_SEGMENT_DURATION) },
+            out: { type: 'string' }
+        }
+    });
+    const filePath = positionals[0] || join(__dirname, 'video', 'video.mp4');
+    const segmentDuration = Number(values['segment-duration']);
+    const name = basename(filePath, extname(filePath));
+    const outDir = values.out || join(__dirname, 'hls', name);
+
+    console.log('='.repeat(70));
+    console.log('  Filecoin Streaming: Package Video for HLS');
+    console.log('='.repeat(70));
+    console.log();
+
+    if (!existsSync(filePath)) {
+        console.log(`⚠️  File not found: ${filePath}`);
+        console.log('Please download the video and save it as "video/video.mp4".');
+        console.log('Link: https://pixabay.com/videos/alps-sunrise-fog-sea-of-fog-clouds-328740/');
+        process.exit(1);
+    }
+    if (!(segmentDuration > 0)) {
+        console.log(`⚠️  Invalid --segment-duration: ${values['segment-duration']}`);
+        process.exit(1);
+    }
+
+    // ========================================================================
+    // STEP 1: Segment the Video
+    // ========================================================================
+    console.log(`🎞️  Step 1: Segmenting ${basename(filePath)} (~${segmentDuration}s segments)...\n`);
+
+    mkdirSync(outDir, { recursive: true });
+    const video = await segmentTrack(filePath, outDir, 'video', segmentDuration);
+    if (!video) {
+        throw new Error(`${basename(filePath)} has no video track`);
+    }
+    const audio = await segmentTrack(filePath, outDir, 'audio', segmentDuration);
+    const tracks = [video, audio].filter(Boolean);
+
+    tracks.forEach(track => {
+        const total = track.segments.reduce((sum, segment) => sum + segment.duration, 0);
+        console.log(`  • ${track.kind}: ${track.codecs}, ${track.segments.length} segments, ${total.toFixed(1)}s`);
+    });
+    console.log(`\n✓ Segments written to ${outDir}\n`);
+
+    // ========================================================================
+    // STEP 2: Initialize SDK
+    // ========================================================================
+    console.log('📡 Step 2: Initializing Filecoin SDK...\n');
+
+    const synapse = await createSynapse();
+
+    const readiness = await checkReadiness(synapse);
+    if (!readiness.ready) {
+        console.log('⚠️  Your account is not ready to upload:');
+        readiness.failures.forEach(failure => console.log(`  - ${failure.message}`));
+        process.exit(1);
+    }
+
+    console.log('✓ SDK initialized and payment account ready\n');
+
+    // ========================================================================
+    // STEP 3: Upload Segments
+    // ========================================================================
+    console.log('📤 Step 3: Uploading Segments...\n');
+
+    // One CDN-enabled context for everything, so every segment is served
+    // from the same data set through Beam CDN
+    const context = await synapse.storage.createContext({ withCDN: true });
+    const manifest = openManifest(join(__dirname, 'piece-manifest.json'));
+
+    const items = tracks.flatMap(track => [
+        { track, path: track.init, tags: { hls: name, track: track.kind, init: true } },
+        ...track.segments.map((segment, index) => ({
+            track,
+            segment,
+            path: segment.path,
+            tags: { hls: name, track: track.kind, segment: index }
+        }))
+    ]);
+
+    let done = 0;
+    let reused = 0;
+    const { deadLetter } = await runUploadQueue(items, async (item) => {
+        const result = await uploadOnce(context, manifest, {
+            filename: `${name}/${basename(item.path)}`,
+            data: readFileSync(item.path),
+            contentType: `${item.track.kind}/mp4`,
+            tags: item.tags
+        });
+        item.pieceCid = result.entry.pieceCid;
+        reused += result.reused ? 1 : 0;
+        return result;
+    }, {
+        onSuccess: () => {
+            done++;
+            process.stdout.write(`\rUploaded ${done}/${items.length} segments (${reused} already stored)`);
+        },
+        onRetry: (item, error, attempt) => {
+            console.log(`\n⚠️  ${basename(item.path)} failed (${error.message}), retry ${attempt}...`);
+        }
+    });
+    console.log('\n');
+
+    if (deadLetter.length > 0) {
+        console.error(`❌ ${deadLetter.length} segment(s) failed:`);
+        deadLetter.forEach(({ item, error }) => console.error(`  • ${basename(item.path)}: ${error.message}`));
+        throw new Error('Upload incomplete. Run the same command again: stored segments are reused.');
+    }
+
+    // ========================================================================
+    // STEP 4: Upload Playlists
+    // ========================================================================
+    console.log('📝 Step 4: Uploading Playlists...\n');
+
+    const initPieces = new Map(items.filter(item => item.tags.init).map(item => [item.track, item.pieceCid]));
+    const renditions = {};
+
+    for (const track of tracks) {
+        const playlist = buildMediaPlaylist({
+            init: pieceUri(initPieces.get(track), 'mp4'),
+            segments: items
+                .filter(item => item.track === track && item.segment)
+                .map(item => ({ uri: pieceUri(item.pieceCid, 'm4s'), duration: item.segment.duration }))
+        });
+        writeFileSync(join(outDir, `${track.kind}.m3u8`), playlist);
+
+        const { entry } = await uploadOnce(context, manifest, {
+            filename: `${name}/${track.kind}.m3u8`,
+            data: playlistBytes(playlist),
+            contentType: PLAYLIST_CONTENT_TYPE,
+            tags: { hls: name, track: track.kind, playlist: true }
+        });
+        renditions[track.kind] = { ...track, uri: pieceUri(entry.pieceCid, 'm3u8') };
+        console.log(`  • ${track.kind}.m3u8: ${entry.pieceCid}`);
+    }
+
+    const master = buildMasterPlaylist({ video: renditions.video, audio: renditions.audio });
+    writeFileSync(join(outDir, 'master.m3u8'), master);
+
+    const { entry: masterEntry } = await uploadOnce(context, manifest, {
+        filename: `${name}/master.m3u8`,
+        data: playlistBytes(master),
+        contentType: PLAYLIST_CONTENT_TYPE,
+        tags: { hls: name, master: true }
+    });
+    console.log(`  • master.m3u8: ${masterEntry.pieceCid}\n`);
+
+    // ========================================================================
+    // Summary
+    // ========================================================================
+    console.log('='.repeat(70));
+    console.log('  Packaging Complete!');
+    console.log('='.repeat(70));
+    console.log();
+    console.log(`Master playlist: ${masterEntry.pieceCid}`);
+    console.log(`Data set: ${context.dataSetId}`);
+    console.log();
+    console.log('Next Steps:');
+    console.log('  1. Run: npm run server');
+    console.log(`  2. Open http://localhost:3000 and load ${masterEntry.pieceCid}`);
+    console.log(`     (or point any HLS player at http://localhost:3000/hls/${masterEntry.pieceCid}.m3u8)`);
+    console.log();
+}
+
+main().catch((err) => {
+    console.error('\n❌ Error during packaging:');
+    console.error(err);
+    process.exit(1);
+});
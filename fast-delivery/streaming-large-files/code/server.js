@@ -1,12 +1,36 @@
-import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import { Synapse, TOKENS } from '@filoz/synapse-sdk';
+import {
+    createSynapse,
+    checkReadiness,
+    createPieceCache,
+    fetchPieceRange,
+    pieceUrls,
+    parseRange,
+    pieceETag,
+    ifRangeMatches,
+    noneMatch,
+    multipartByteranges,
+    SNIFF_BYTES,
+    contentTypeFor,
+    servedContentType,
+    DEFAULT_MIME_TYPE,
+    openManifest,
+    recordUpload,
+    findByPieceCid,
+    multipartBoundary,
+    readMultipartFile,
+    PLAYLIST_CONTENT_TYPE,
+    resolvePlaylist
+} from 'filecoin-shared';
+import { SIZE_CONSTANTS } from '@filoz/synapse-sdk';
 import { ethers } from 'ethers';
+import { createHash } from 'crypto';
 import { readFileSync, createReadStream, statSync, existsSync } from 'fs';
-import { join, dirname } from 'path';
+import { join, dirname, basename } from 'path';
 import { fileURLToPath } from 'url';
 import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
 
 // Get the directory path for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -17,7 +41,6 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
 app.use(express.static(__dirname));
 
 // Initialize Synapse SDK
@@ -26,42 +49,66 @@ let synapse = null;
 async function initializeSynapse() {
     if (synapse) return synapse;
 
-    const privateKey = process.env.PRIVATE_KEY;
-    if (!privateKey) {
-        throw new Error('Missing PRIVATE_KEY in .env file');
-    }
-
-    synapse = await Synapse.create({
-        privateKey: privateKey,
-        rpcURL: 'https://api.calibration.node.glif.io/rpc/v1'
-    });
+    synapse = await createSynapse();
 
     console.log('✓ Synapse SDK initialized');
     return synapse;
 }
 
-/**
- * Parse Range header
- * Format: "bytes=start-end" or "bytes=start-"
- */
-function parseRange(rangeHeader, fileSize) {
-    if (!rangeHeader) {
-        return null;
-    }
+// Pieces are fetched in blocks and cached in memory, so seeking through a
+// video only fetches the parts not seen before. A piece read by ranges is
+// verified against its PieceCID in the background, then kept under
+// .piece-cache/ for restarts
+const MB = 1024 * 1024;
+const retrievalUrls = new Map();
 
-    const parts = rangeHeader.replace(/bytes=/, '').split('-');
-    const start = parseInt(parts[0], 10);
-    const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
+const pieceCache = createPieceCache(async (pieceCid, start, end) => {
+    const sdk = await initializeSynapse();
 
-    if (isNaN(start) || isNaN(end) || start > end || end >= fileSize) {
-        return null;
+    // Look up where a piece can be fetched from once, not per block
+    if (!retrievalUrls.has(pieceCid)) {
+        retrievalUrls.set(pieceCid, pieceUrls(sdk, pieceCid, { withCDN: true }));
+    }
+    try {
+        const urls = await retrievalUrls.get(pieceCid);
+        console.log(`   Fetching bytes ${start}-${end} from Filecoin...`);
+        return await fetchPieceRange(sdk, pieceCid, start, end, { urls });
+    } catch (error) {
+        retrievalUrls.delete(pieceCid);
+        throw error;
     }
+}, {
+    cacheDir: process.env.PIECE_CACHE_DIR || join(__dirname, '.piece-cache'),
+    maxMemoryBytes: Number(process.env.PIECE_CACHE_MEMORY_MB || 64) * MB,
+    maxDiskBytes: Number(process.env.PIECE_CACHE_DISK_MB || 1024) * MB
+});
+
+// Uploads made through this server are recorded here with their type
+const manifestPath = join(__dirname, 'piece-manifest.json');
+const contentTypes = new Map();
 
-    return { start, end };
+/**
+ * Content-Type for a piece: what was recorded at upload (type or filename),
+ * else sniffed from its first bytes (already cached by pieceCache.size())
+ */
+async function pieceContentType(pieceCid, fileSize) {
+    if (!contentTypes.has(pieceCid)) {
+        const [entry] = findByPieceCid(openManifest(manifestPath), pieceCid).slice(-1);
+        const stored = entry ? { contentType: entry.pieceMetadata?.contentType, filename: entry.filename } : {};
+
+        const head = [];
+        for await (const bytes of pieceCache.read(pieceCid, 0, Math.min(SNIFF_BYTES, fileSize) - 1)) {
+            head.push(bytes);
+        }
+        contentTypes.set(pieceCid, contentTypeFor({ stored, bytes: Buffer.concat(head) }));
+    }
+    return contentTypes.get(pieceCid);
 }
 
 /**
- * Stream video from Filecoin Beam CDN with Range Request support
+ * Stream a piece with full HTTP Range support (RFC 7233): single, suffix
+ * and multiple ranges, If-Range and If-None-Match against a PieceCID ETag.
+ * Despite the route name, any content type works - audio, WebM, PDFs, images.
  */
 app.get('/video/:pieceCid', async (req, res) => {
     const { pieceCid } = req.params;
@@ -71,50 +118,69 @@ app.get('/video/:pieceCid', async (req, res) => {
     console.log(`   Range: ${rangeHeader || 'none (full file)'}`);
 
     try {
-        // Initialize SDK if needed
-        const sdk = await initializeSynapse();
-
-        // Create storage context with Beam CDN
-        const context = await sdk.storage.createContext({
-            withCDN: true
+        // Only the blocks covering the requested range are fetched (or read
+        // from cache) - never the whole video per request
+        const fileSize = await pieceCache.size(pieceCid);
+        const storedType = await pieceContentType(pieceCid, fileSize);
+        const etag = pieceETag(pieceCid);
+
+        // The stored type is whatever the uploader claimed. Only media, PDFs
+        // and raster images are shown inline; HTML, SVG and the like would
+        // run on this origin, so they are downloaded as opaque bytes instead.
+        const { contentType, inline } = servedContentType(storedType);
+
+        console.log(`   File size: ${(fileSize / 1024 / 1024).toFixed(2)} MB (${storedType}${inline ? '' : ', sent as an attachment'})`);
+
+        // A PieceCID always names the same bytes, so clients may cache forever
+        res.set({
+            'ETag': etag,
+            'Accept-Ranges': 'bytes',
+            'Cache-Control': 'public, max-age=31536000, immutable',
+            'X-Content-Type-Options': 'nosniff'
         });
+        if (!inline) {
+            res.set('Content-Disposition', 'attachment');
+        }
 
-        // Download the file from Beam CDN
-        console.log('   Fetching from Beam CDN...');
-        const videoData = await context.download(pieceCid);
-        const fileSize = videoData.length;
-
-        console.log(`   File size: ${(fileSize / 1024 / 1024).toFixed(2)} MB`);
-
-        // Handle Range Request
-        if (rangeHeader) {
-            const range = parseRange(rangeHeader, fileSize);
+        if (noneMatch(req.headers['if-none-match'], etag)) {
+            console.log('   ✓ Not modified');
+            return res.status(304).end();
+        }
 
-            if (!range) {
-                console.log('   ❌ Invalid range request');
-                return res.status(416).send('Requested Range Not Satisfiable');
-            }
+        // If-Range with a stale validator means "send the whole thing"
+        const range = ifRangeMatches(req.headers['if-range'], etag) ? parseRange(rangeHeader, fileSize) : null;
+        let body;
 
-            const { start, end } = range;
+        if (range?.unsatisfiable) {
+            console.log('   ❌ Range not satisfiable');
+            res.set('Content-Range', `bytes */${fileSize}`);
+            return res.status(416).send('Requested Range Not Satisfiable');
+        } else if (range?.ranges.length === 1) {
+            const [{ start, end }] = range.ranges;
             const chunkSize = end - start + 1;
 
             console.log(`   Sending bytes ${start}-${end} (${(chunkSize / 1024).toFixed(2)} KB)`);
 
-            // Extract the requested chunk
-            const chunk = videoData.slice(start, end + 1);
-
             // Send 206 Partial Content response
             res.status(206);
             res.set({
                 'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-                'Accept-Ranges': 'bytes',
                 'Content-Length': chunkSize,
-                'Content-Type': 'video/mp4' // Adjust based on actual file type
+                'Content-Type': contentType
             });
+            body = pieceCache.read(pieceCid, start, end);
+        } else if (range) {
+            // Several ranges: one multipart/byteranges response
+            const multipart = multipartByteranges(range.ranges, fileSize, contentType);
 
-            res.send(Buffer.from(chunk));
-            console.log('   ✓ Partial content sent');
+            console.log(`   Sending ${range.ranges.length} ranges as multipart/byteranges`);
 
+            res.status(206);
+            res.set({
+                'Content-Length': multipart.length,
+                'Content-Type': multipart.contentType
+            });
+            body = multipart.body((start, end) => pieceCache.read(pieceCid, start, end));
         } else {
             // Send full file
             console.log('   Sending full file');
@@ -122,15 +188,32 @@ app.get('/video/:pieceCid', async (req, res) => {
             res.status(200);
             res.set({
                 'Content-Length': fileSize,
-                'Content-Type': 'video/mp4', // Adjust based on actual file type
-                'Accept-Ranges': 'bytes'
+                'Content-Type': contentType
             });
+            body = pieceCache.read(pieceCid, 0, fileSize - 1);
+        }
 
-            res.send(Buffer.from(videoData));
-            console.log('   ✓ Full file sent');
+        if (req.method === 'HEAD') {
+            return res.end();
         }
 
+        // If the browser cancels (e.g. seeks elsewhere), the pipeline stops
+        // reading from the cache, so no further blocks are fetched
+        await pipeline(Readable.from(body), res);
+        console.log(res.statusCode === 206 ? '   ✓ Partial content sent' : '   ✓ Full file sent');
+
     } catch (error) {
+        if (res.headersSent) {
+            // Browsers routinely abort a range when seeking; anything else is
+            // a fetch that failed mid-stream, and the response can only be cut short
+            if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+                console.log('   Client closed the connection');
+            } else {
+                console.error('   ⚠️  Stream ended early:', error.message);
+            }
+            res.destroy();
+            return;
+        }
         console.error('   ❌ Error streaming video:', error.message);
         res.status(500).json({
             error: 'Failed to stream video',
@@ -139,53 +222,303 @@ app.get('/video/:pieceCid', async (req, res) => {
     }
 });
 
+// Upload progress is published as Server-Sent Events on
+// GET /upload/:uploadId/events. The browser picks the id and subscribes
+// before it starts the POST, so no event is missed. Events:
+//
+//   progress   { bytes, total }   bytes sent to the provider so far
+//   uploaded   { pieceCid }       provider has the piece; adding it on-chain
+//   added      { transaction }    add-pieces transaction submitted
+//   done       { pieceCid, size, contentType }
+//   failed     { message }
+const uploadChannels = new Map();
+const PROGRESS_INTERVAL_MS = 250;
+
+function uploadChannel(uploadId) {
+    if (!uploadChannels.has(uploadId)) {
+        uploadChannels.set(uploadId, { history: [], clients: new Set(), finished: false });
+    }
+    return uploadChannels.get(uploadId);
+}
+
+function publish(uploadId, event, data) {
+    if (!uploadId) {
+        return;
+    }
+    const channel = uploadChannel(uploadId);
+    const message = { event, text: `event: ${event}\ndata: ${JSON.stringify(data)}\n\n` };
+
+    // A late subscriber only needs the latest progress, not every step
+    if (event === 'progress' && channel.history.at(-1)?.event === 'progress') {
+        channel.history[channel.history.length - 1] = message;
+    } else {
+        channel.history.push(message);
+    }
+    for (const client of channel.clients) {
+        client.write(message.text);
+    }
+
+    if (event === 'done' || event === 'failed') {
+        channel.finished = true;
+        for (const client of channel.clients) {
+            client.end();
+        }
+        setTimeout(() => uploadChannels.delete(uploadId), 60_000).unref();
+    }
+}
+
+app.get('/upload/:uploadId/events', (req, res) => {
+    const { uploadId } = req.params;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const channel = uploadChannel(uploadId);
+    for (const message of channel.history) {
+        res.write(message.text);
+    }
+    if (channel.finished) {
+        return res.end();
+    }
+
+    channel.clients.add(res);
+    req.on('close', () => {
+        channel.clients.delete(res);
+        // Subscribed, then never uploaded
+        if (channel.history.length === 0 && channel.clients.size === 0) {
+            uploadChannels.delete(uploadId);
+        }
+    });
+});
+
 /**
- * Upload video to Filecoin
+ * Open the file in an upload request: multipart/form-data (first file
+ * part) or the raw body, named by an X-Filename header or ?filename=.
+ * Nothing is buffered; `body` streams straight from the socket.
+ */
+async function openUploadBody(req) {
+    const boundary = multipartBoundary(req.get('content-type'));
+    if (boundary) {
+        const file = await readMultipartFile(req, boundary);
+        return {
+            filename: file.filename,
+            declaredType: file.contentType,
+            // The request's Content-Length includes the form's overhead,
+            // so the browser can send the file's own size
+            total: Number(req.get('x-file-size')) || null,
+            body: file.body
+        };
+    }
+
+    const name = req.get('x-filename') ? decodeURIComponent(req.get('x-filename')) : req.query.filename;
+    return {
+        filename: basename(name || 'upload.bin'),
+        declaredType: req.get('content-type'),
+        total: Number(req.get('content-length')) || null,
+        body: req
+    };
+}
+
+/**
+ * Read the first `count` bytes of a stream for sniffing. Returns them with
+ * an iterable that still yields the whole stream, those bytes included.
+ */
+async function peek(source, count) {
+    const iterator = source[Symbol.asyncIterator]();
+    const head = [];
+    let length = 0;
+    while (length < count) {
+        const { value, done } = await iterator.next();
+        if (done) {
+            break;
+        }
+        head.push(value);
+        length += value.length;
+    }
+
+    async function* all() {
+        yield* head;
+        for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+            yield next.value;
+        }
+    }
+    return { head: Buffer.concat(head).subarray(0, count), body: all() };
+}
+
+/**
+ * Upload a file to Filecoin, streaming the request body straight into
+ * context.upload() - no base64, no JSON size limit, no copy in memory.
+ *
+ *   curl -F file=@video.mp4 http://localhost:3000/upload
+ *   curl -H 'X-Filename: video.mp4' --data-binary @video.mp4 http://localhost:3000/upload
+ *
+ * Send an X-Upload-Id header to follow progress on
+ * GET /upload/:uploadId/events.
  */
 app.post('/upload', async (req, res) => {
-    const { filename, data } = req.body;
+    const uploadId = req.get('x-upload-id') || null;
 
-    console.log(`\n📤 Upload request: ${filename}`);
+    if (Number(req.get('content-length')) > SIZE_CONSTANTS.MAX_UPLOAD_SIZE) {
+        return res.status(413).json({
+            error: 'File too large',
+            message: `Pieces are limited to ${(SIZE_CONSTANTS.MAX_UPLOAD_SIZE / 1024 / 1024).toFixed(0)} MB`
+        });
+    }
 
     try {
         // Initialize SDK if needed
         const sdk = await initializeSynapse();
 
-        // Verify payment account
-        const paymentBalance = await sdk.payments.balance(TOKENS.USDFC);
-        if (paymentBalance === 0n) {
-            throw new Error('Payment account has no balance');
+        // Verify payment account and operator approval
+        const readiness = await checkReadiness(sdk);
+        if (!readiness.ready) {
+            throw new Error(readiness.failures.map(failure => failure.message).join('; '));
         }
 
-        // Convert base64 data to Uint8Array
-        const fileData = Buffer.from(data, 'base64');
-        console.log(`   File size: ${(fileData.length / 1024 / 1024).toFixed(2)} MB`);
+        const upload = await openUploadBody(req);
+        console.log(`\n📤 Upload request: ${upload.filename}`);
+        if (upload.total) {
+            console.log(`   File size: ${(upload.total / 1024 / 1024).toFixed(2)} MB`);
+        }
 
         // Create storage context with Beam CDN
         const context = await sdk.storage.createContext({
             withCDN: true,
             metadata: {
-                filename,
+                filename: upload.filename,
                 uploadedAt: new Date().toISOString()
             }
         });
 
+        // Stored as piece metadata (and in the manifest) so /video can send
+        // the right Content-Type without sniffing. A generic declared type
+        // says nothing, so the first bytes decide.
+        const { head, body } = await peek(upload.body, SNIFF_BYTES);
+        const declaredType = upload.declaredType?.split(';')[0].trim() === DEFAULT_MIME_TYPE ? null : upload.declaredType;
+        const contentType = contentTypeFor({
+            stored: { contentType: declaredType, filename: upload.filename },
+            bytes: head
+        });
+        console.log(`   Content type: ${contentType}`);
+
+        // Hash on the way through, for the manifest
+        const hash = createHash('sha256');
+        let size = 0;
+        async function* hashed() {
+            for await (const chunk of body) {
+                hash.update(chunk);
+                size += chunk.length;
+                yield chunk;
+            }
+        }
+
         // Upload to Filecoin
         console.log('   Uploading to Filecoin...');
-        const result = await context.upload(fileData);
-
-        console.log(`   ✓ Upload complete: ${result.pieceCid}`);
+        const metadata = { contentType };
+        let lastProgress = 0;
+        const result = await context.upload(Readable.toWeb(Readable.from(hashed())), {
+            metadata,
+            onProgress: (bytes) => {
+                if (Date.now() - lastProgress >= PROGRESS_INTERVAL_MS) {
+                    lastProgress = Date.now();
+                    publish(uploadId, 'progress', { bytes, total: upload.total });
+                }
+            },
+            onUploadComplete: (pieceCid) => {
+                publish(uploadId, 'progress', { bytes: size, total: upload.total });
+                publish(uploadId, 'uploaded', { pieceCid: String(pieceCid) });
+                console.log(`   ✓ Stored by provider: ${pieceCid}`);
+            },
+            onPieceAdded: (transaction) => {
+                publish(uploadId, 'added', { transaction: transaction ?? null });
+            }
+        });
 
-        res.json({
-            success: true,
-            pieceCid: String(result.pieceCid),
-            size: fileData.length
+        const pieceCid = String(result.pieceCid);
+        recordUpload(openManifest(manifestPath), {
+            filename: upload.filename,
+            result,
+            context,
+            metadata,
+            sha256: hash.digest('hex'),
+            size
         });
+        contentTypes.set(pieceCid, contentType);
+
+        console.log(`   ✓ Upload complete: ${pieceCid} (${(size / 1024 / 1024).toFixed(2)} MB)`);
+
+        const response = { success: true, pieceCid, size, contentType };
+        publish(uploadId, 'done', response);
+        res.json(response);
 
     } catch (error) {
         console.error('   ❌ Upload failed:', error.message);
+        publish(uploadId, 'failed', { message: error.message });
+        if (!res.headersSent) {
+            res.status(500).json({
+                error: 'Upload failed',
+                message: error.message
+            });
+        }
+    }
+});
+
+// Playlists are read whole, so refuse anything that can't be one
+const MAX_PLAYLIST_BYTES = 1024 * 1024;
+
+/**
+ * Serve an HLS playlist stored as a piece (see package-hls.js), with its
+ * piece URIs resolved to this server: playlists to /hls/<PieceCID>.m3u8,
+ * init and media segments to /video/<PieceCID>, which serves them from
+ * the block cache.
+ */
+app.get('/hls/:pieceCid.m3u8', async (req, res) => {
+    const { pieceCid } = req.params;
+
+    console.log(`\n🎞️  Playlist request: ${pieceCid}`);
+
+    try {
+        const size = await pieceCache.size(pieceCid);
+        if (size > MAX_PLAYLIST_BYTES) {
+            return res.status(415).json({
+                error: 'Not a playlist',
+                message: `Piece ${pieceCid} is too large to be an HLS playlist`
+            });
+        }
+
+        const parts = [];
+        for await (const bytes of pieceCache.read(pieceCid, 0, size - 1)) {
+            parts.push(bytes);
+        }
+        // Trailing newlines are padding up to the minimum piece size
+        const text = Buffer.concat(parts).toString('utf-8').trimEnd();
+        if (!text.startsWith('#EXTM3U')) {
+            return res.status(415).json({
+                error: 'Not a playlist',
+                message: `Piece ${pieceCid} is not an HLS playlist`
+            });
+        }
+
+        const playlist = resolvePlaylist(text, (piece) =>
+            piece.extension === 'm3u8' ? `/hls/${piece.pieceCid}.m3u8` : `/video/${piece.pieceCid}`);
+
+        // Content-addressed all the way down, so it never changes
+        res.set({
+            'Content-Type': PLAYLIST_CONTENT_TYPE,
+            'ETag': pieceETag(pieceCid),
+            'Cache-Control': 'public, max-age=31536000, immutable'
+        });
+        res.send(playlist + '\n');
+        console.log('   ✓ Playlist sent');
+
+    } catch (error) {
+        console.error('   ❌ Error serving playlist:', error.message);
         res.status(500).json({
-            error: 'Upload failed',
+            error: 'Failed to serve playlist',
             message: error.message
         });
     }
@@ -198,16 +531,14 @@ app.get('/metadata/:pieceCid', async (req, res) => {
     const { pieceCid } = req.params;
 
     try {
-        const sdk = await initializeSynapse();
-        const context = await sdk.storage.createContext({ withCDN: true });
-
-        // Download just to get size (in production, you'd cache this)
-        const data = await context.download(pieceCid);
+        // Learned from the first block fetched, then cached
+        const size = await pieceCache.size(pieceCid);
 
         res.json({
             pieceCid,
-            size: data.length,
-            sizeFormatted: `${(data.length / 1024 / 1024).toFixed(2)} MB`
+            size,
+            contentType: await pieceContentType(pieceCid, size),
+            sizeFormatted: `${(size / 1024 / 1024).toFixed(2)} MB`
         });
 
     } catch (error) {
@@ -231,7 +562,8 @@ app.get('/', (req, res) => {
 app.get('/health', (req, res) => {
     res.json({
         status: 'ok',
-        sdk: synapse ? 'initialized' : 'not initialized'
+        sdk: synapse ? 'initialized' : 'not initialized',
+        cache: pieceCache.stats()
     });
 });
 
@@ -246,15 +578,20 @@ app.listen(PORT, () => {
     console.log('Available endpoints:');
     console.log(`  GET  /                    - HTML video player`);
     console.log(`  GET  /video/:pieceCid     - Stream video with Range Request support`);
-    console.log(`  POST /upload              - Upload video to Filecoin`);
+    console.log(`  POST /upload              - Upload video to Filecoin (multipart or raw body)`);
+    console.log(`  GET  /upload/:id/events   - Upload progress (Server-Sent Events)`);
+    console.log(`  GET  /hls/:pieceCid.m3u8  - HLS playlist with segments resolved to PieceCIDs`);
     console.log(`  GET  /metadata/:pieceCid  - Get video metadata`);
     console.log(`  GET  /health              - Health check`);
     console.log();
     console.log('Features:');
-    console.log('  ✓ HTTP Range Request support for video seeking');
+    console.log('  ✓ HTTP Range Requests (suffix, multi-range, If-Range) for seeking');
+    console.log('  ✓ Content-Type from upload metadata or magic bytes (audio, WebM, PDF, ...)');
+    console.log('  ✓ Block cache (memory + disk): only unseen ranges are fetched');
     console.log('  ✓ Beam CDN integration for fast delivery');
-    console.log('  ✓ Upload videos directly from browser');
+    console.log('  ✓ Upload videos directly from browser, streamed with live progress');
     console.log('  ✓ Stream videos by PieceCID');
+    console.log('  ✓ Adaptive HLS playback of videos packaged with npm run hls');
     console.log();
     console.log('Next Steps:');
     console.log('  1. Open http://localhost:' + PORT + ' in your browser');
@@ -1,8 +1,24 @@
-import 'dotenv/config';
-import { Synapse, TOKENS, TIME_CONSTANTS } from '@filoz/synapse-sdk';
+import { TIME_CONSTANTS } from '@filoz/synapse-sdk';
+import {
+    createSynapse,
+    checkReadiness,
+    openJobStore,
+    createJob,
+    runJob,
+    openJobContext,
+    unfinishedJobs,
+    latestUnfinishedBatch,
+    openManifest,
+    recordUpload,
+    findByPieceCid,
+    scanFile,
+    planChunkedUpload,
+    runChunkedUpload
+} from 'filecoin-shared';
 import { ethers } from 'ethers';
 import { createReadStream, statSync, writeFileSync, existsSync } from 'fs';
-import { join, dirname } from 'path';
+import { join, dirname, basename } from 'path';
+import { randomUUID } from 'crypto';
 import { fileURLToPath } from 'url';
 import { Readable } from 'stream';
 
@@ -13,6 +29,12 @@ const __dirname = dirname(__filename);
 /**
  * Upload large files to Filecoin with real-time progress tracking
  * Demonstrates streaming upload using ReadableStream
+ *
+ * Usage: node upload-with-progress.js [files...]   (default: video/video.mp4)
+ *        node upload-with-progress.js --resume     (retry an interrupted run)
+ *        node upload-with-progress.js --chunked [files...]
+ *            (split into content-defined chunks and skip chunks already
+ *             uploaded - re-uploading an edited file only sends what changed)
  */
 
 const CHUNK_SIZE = 64 * 1024; // 64 KB chunks for progress tracking
@@ -22,25 +44,13 @@ function createProgressBar(progress, width = 40) {
     return '█'.repeat(filledLength) + '░'.repeat(width - filledLength);
 }
 
-async function uploadWithProgress(synapse, filepath) {
-    console.log(`\n${'='.repeat(70)}`);
-    console.log(`  Uploading: ${filepath.split('/').pop()}`);
-    console.log('='.repeat(70));
-    console.log();
-
-    // Get file size
-    const stats = statSync(filepath);
-    const fileSize = stats.size;
-    console.log(`File Size: ${(fileSize / 1024 / 1024).toFixed(2)} MB`);
-    console.log();
-
+function createProgressStream(filepath, fileSize, startTime) {
     // Read file as stream
     const fileStream = createReadStream(filepath, {
         highWaterMark: CHUNK_SIZE
     });
 
     let bytesUploaded = 0;
-    const startTime = Date.now();
 
     // Create a transform stream to track progress
     const progressStream = new Readable({
@@ -78,23 +88,40 @@ async function uploadWithProgress(synapse, filepath) {
         progressStream.destroy(err);
     });
 
+    // The SDK accepts Uint8Array or ReadableStream, so convert our
+    // Node.js stream to a Web ReadableStream
+    return Readable.toWeb(progressStream);
+}
+
+async function uploadWithProgress(synapse, jobs, job) {
+    console.log(`\n${'='.repeat(70)}`);
+    console.log(`  Uploading: ${job.filename}`);
+    console.log('='.repeat(70));
+    console.log();
+
+    const fileSize = job.size;
+    console.log(`File Size: ${(fileSize / 1024 / 1024).toFixed(2)} MB`);
+    if (job.attempts > 0) {
+        console.log(`Resuming job ${job.id} (status: ${job.status}, attempts so far: ${job.attempts})`);
+    }
+    console.log();
+
     try {
-        // Create storage context with Beam CDN enabled
-        const context = await synapse.storage.createContext({
-            withCDN: true,
-            metadata: {
-                filename: filepath.split('/').pop(),
-                size: String(fileSize),
-                uploadedAt: new Date().toISOString()
-            }
-        });
+        // Storage context with Beam CDN enabled. A resumed job reopens the
+        // data set it was uploading into.
+        const context = await openJobContext(synapse, job);
 
-        // Upload using the progress stream
-        // Note: The SDK accepts Uint8Array or ReadableStream
-        // We'll convert our Node.js stream to a Web ReadableStream
-        const webStream = Readable.toWeb(progressStream);
+        const startTime = Date.now();
+        const { result, skipped } = await runJob(jobs, job, context, {
+            createData: () => createProgressStream(job.filePath, fileSize, startTime)
+        });
 
-        const result = await context.upload(webStream);
+        if (skipped) {
+            console.log(`✓ Already stored in data set ${job.dataSetId}, skipping upload`);
+            console.log(`  PieceCID: ${job.pieceCid}`);
+            console.log();
+            return { pieceCid: job.pieceCid, filename: job.filename, size: fileSize, skipped, context };
+        }
 
         const uploadTime = (Date.now() - startTime) / 1000;
         const avgSpeed = fileSize / 1024 / 1024 / uploadTime;
@@ -108,10 +135,13 @@ async function uploadWithProgress(synapse, filepath) {
 
         return {
             pieceCid: String(result.pieceCid),
-            filename: filepath.split('/').pop(),
+            pieceId: result.pieceId,
+            filename: job.filename,
             size: fileSize,
             uploadTime,
-            avgSpeed
+            avgSpeed,
+            skipped,
+            context
         };
 
     } catch (error) {
@@ -120,7 +150,72 @@ async function uploadWithProgress(synapse, filepath) {
     }
 }
 
+async function uploadChunked(synapse, manifest, filePath) {
+    console.log(`\n${'='.repeat(70)}`);
+    console.log(`  Uploading (chunked): ${basename(filePath)}`);
+    console.log('='.repeat(70));
+    console.log();
+
+    const scan = await scanFile(filePath);
+    const plan = planChunkedUpload(manifest, scan);
+
+    console.log(`File Size: ${(scan.size / 1024 / 1024).toFixed(2)} MB in ${scan.chunks.length} chunks`);
+    console.log(`  Already stored: ${plan.reusedChunks} chunks (${(plan.reusedBytes / 1024 / 1024).toFixed(2)} MB)`);
+    console.log(`  To upload:      ${plan.upload.length} chunks (${(plan.uploadBytes / 1024 / 1024).toFixed(2)} MB)`);
+    console.log();
+
+    const context = await synapse.storage.createContext({ withCDN: true });
+
+    const startTime = Date.now();
+    let bytesUploaded = 0;
+    const { rootPieceCid, failed } = await runChunkedUpload(context, manifest, plan, {
+        onChunk: (chunk) => {
+            bytesUploaded += chunk.size;
+            const progress = plan.uploadBytes > 0 ? (bytesUploaded / plan.uploadBytes) * 100 : 100;
+            const elapsed = (Date.now() - startTime) / 1000;
+            process.stdout.write(
+                `\rUploading: [${createProgressBar(progress)}] ${progress.toFixed(1)}% ` +
+                `(${(bytesUploaded / 1024 / 1024).toFixed(2)} MB / ${(plan.uploadBytes / 1024 / 1024).toFixed(2)} MB) ` +
+                `${(bytesUploaded / 1024 / 1024 / elapsed).toFixed(2)} MB/s`
+            );
+        },
+        onRetry: (chunk, error, attempt) => {
+            console.log(`\n⚠️  Chunk ${chunk.index} failed (${error.message}), retry ${attempt}...`);
+        }
+    });
+
+    if (failed.length > 0) {
+        console.error(`\n❌ ${failed.length} chunk(s) failed:`);
+        failed.forEach(chunk => console.error(`  • chunk ${chunk.index}: ${chunk.error}`));
+        throw new Error('Chunked upload incomplete. Run it again: chunks already uploaded will be skipped.');
+    }
+
+    const uploadTime = (Date.now() - startTime) / 1000;
+
+    console.log('\n');
+    console.log(`✓ Upload complete!`);
+    console.log(`  Root PieceCID: ${rootPieceCid}`);
+    console.log(`  Upload Time: ${uploadTime.toFixed(2)}s`);
+    console.log();
+
+    return {
+        pieceCid: rootPieceCid,
+        filename: scan.filename,
+        size: scan.size,
+        uploadTime,
+        avgSpeed: plan.uploadBytes / 1024 / 1024 / uploadTime,
+        skipped: plan.upload.length === 0,
+        chunks: scan.chunks.length,
+        reusedChunks: plan.reusedChunks
+    };
+}
+
 async function main() {
+    const args = process.argv.slice(2);
+    const resume = args.includes('--resume');
+    const chunked = args.includes('--chunked');
+    const fileArgs = args.filter(arg => !arg.startsWith('--'));
+
     console.log('='.repeat(70));
     console.log('  Filecoin Streaming: Upload with Progress Tracking');
     console.log('='.repeat(70));
@@ -131,15 +226,7 @@ async function main() {
     // ========================================================================
     console.log('📡 Step 1: Initializing Filecoin SDK...\n');
 
-    const privateKey = process.env.PRIVATE_KEY;
-    if (!privateKey) {
-        throw new Error('Missing PRIVATE_KEY in .env file');
-    }
-
-    const synapse = await Synapse.create({
-        privateKey: privateKey,
-        rpcURL: 'https://api.calibration.node.glif.io/rpc/v1'
-    });
+    const synapse = await createSynapse();
 
     console.log('✓ SDK initialized successfully\n');
 
@@ -148,67 +235,139 @@ async function main() {
     // ========================================================================
     console.log('💰 Step 2: Verifying Payment Account...\n');
 
-    const paymentBalance = await synapse.payments.balance(TOKENS.USDFC);
-    console.log(`Payment Account Balance: ${ethers.formatUnits(paymentBalance, 18)} USDFC`);
+    const readiness = await checkReadiness(synapse);
+    console.log(`Payment Account Balance: ${ethers.formatUnits(readiness.paymentAccount.availableFunds, 18)} USDFC`);
 
-    if (paymentBalance === 0n) {
-        console.log('\n⚠️  Warning: Payment account has no balance!');
-        console.log('Please fund your account first:');
+    if (!readiness.ready) {
+        console.log('\n⚠️  Warning: Your account is not ready to upload!');
+        readiness.failures.forEach(failure => console.log(`  - ${failure.message}`));
+        console.log('Please fund your account and approve the storage operator:');
         console.log('1. Get USDFC from: https://forest-explorer.chainsafe.dev/faucet/calibnet_usdfc');
-        console.log('2. Deposit to payment account (see walkthrough for details)');
+        console.log('2. Deposit and approve (see walkthrough for details)');
         process.exit(1);
     }
 
-    // Verify operator allowances
-    const operatorAddress = synapse.getWarmStorageAddress();
-    const approval = await synapse.payments.serviceApproval(operatorAddress, TOKENS.USDFC);
+    console.log('✓ Payment account funded and operator approved\n');
 
-    if (!approval.isApproved || approval.rateAllowance === 0n || approval.lockupAllowance === 0n) {
-        console.log('\n⚠️  Warning: Operator allowances not set!');
-        console.log('Please approve the storage operator:');
-        console.log('See the walkthrough for deposit and approval instructions.');
+    // ========================================================================
+    // STEP 3: Prepare Upload Jobs
+    // ========================================================================
+    // Every upload is tracked in upload-jobs.json, so if this process dies
+    // part way through, `npm run upload -- --resume` picks up where it left off.
+    const jobs = openJobStore(join(__dirname, 'upload-jobs.json'));
+    let batchJobs;
+    let files;
+
+    if (resume && chunked) {
+        console.log('⚠️  --resume does not apply to chunked uploads.');
+        console.log('Run the same --chunked command again: chunks already uploaded are skipped.');
         process.exit(1);
     }
 
-    console.log('✓ Payment account funded and operator approved\n');
+    if (resume) {
+        console.log('📄 Step 3: Loading Interrupted Upload Jobs...\n');
 
-    // ========================================================================
-    // STEP 3: Check for Test Files
-    // ========================================================================
-    console.log('📄 Step 3: Checking for Test Files...\n');
+        const batch = latestUnfinishedBatch(jobs);
+        if (batch === null) {
+            console.log('✓ No interrupted uploads to resume.');
+            return;
+        }
+
+        batchJobs = unfinishedJobs(jobs, batch);
+        batchJobs.forEach(job => {
+            console.log(`  • ${job.filename}: ${job.status} after ${job.attempts} attempt(s)` +
+                (job.lastError ? ` (${job.lastError})` : ''));
+        });
+        console.log();
+    } else {
+        console.log('📄 Step 3: Checking for Test Files...\n');
 
-    const dataDir = join(__dirname, 'video');
-    const testFile = join(dataDir, 'video.mp4');
+        files = fileArgs.length > 0 ? fileArgs : [join(__dirname, 'video', 'video.mp4')];
+        const missing = files.filter(file => !existsSync(file));
 
-    if (!existsSync(testFile)) {
-        console.log('⚠️  Video file not found!');
-        console.log('Please download the video and save it as "video/video.mp4".');
-        console.log('Link: https://pixabay.com/videos/alps-sunrise-fog-sea-of-fog-clouds-328740/');
-        process.exit(1);
-    }
+        if (missing.length > 0) {
+            missing.forEach(file => console.log(`⚠️  File not found: ${file}`));
+            if (fileArgs.length === 0) {
+                console.log('Please download the video and save it as "video/video.mp4".');
+                console.log('Link: https://pixabay.com/videos/alps-sunrise-fog-sea-of-fog-clouds-328740/');
+            }
+            process.exit(1);
+        }
 
-    console.log('✓ Test file found\n');
+        console.log(`✓ Found ${files.length} file(s) to upload\n`);
+
+        // Chunked uploads don't need jobs: each chunk is recorded in the
+        // manifest as it completes, so rerunning skips what made it
+        const batch = randomUUID();
+        batchJobs = [];
+        for (const file of chunked ? [] : files) {
+            const size = statSync(file).size;
+            batchJobs.push(await createJob(jobs, file, {
+                batch,
+                withCDN: true,
+                metadata: {
+                    filename: basename(file),
+                    size: String(size),
+                    uploadedAt: new Date().toISOString()
+                }
+            }));
+        }
+    }
 
     // ========================================================================
     // STEP 4: Upload with Progress Tracking
     // ========================================================================
     console.log('📤 Step 4: Uploading with Progress Tracking...\n');
 
+    const manifest = openManifest(join(__dirname, 'piece-manifest.json'));
     const uploadResults = [];
+    const failedJobs = [];
+
+    for (const file of chunked ? files : []) {
+        try {
+            uploadResults.push(await uploadChunked(synapse, manifest, file));
+        } catch (error) {
+            console.error(`\n❌ Upload failed: ${error.message}`);
+            failedJobs.push({ filename: basename(file), lastError: error.message });
+        }
+    }
 
-    try {
-        // Upload the video file
-        const result = await uploadWithProgress(synapse, testFile);
-        uploadResults.push(result);
+    for (const job of batchJobs) {
+        try {
+            const result = await uploadWithProgress(synapse, jobs, job);
+            uploadResults.push(result);
+
+            if (findByPieceCid(manifest, result.pieceCid).length === 0) {
+                recordUpload(manifest, {
+                    filename: job.filename,
+                    sha256: job.sha256,
+                    size: job.size,
+                    result,
+                    context: result.context
+                });
+            }
+        } catch (error) {
+            failedJobs.push(job);
+        }
+    }
 
+    if (uploadResults.length > 0) {
         // Save PieceCID to file for download script
         const pieceCidFile = join(__dirname, 'pieceCid.txt');
-        writeFileSync(pieceCidFile, result.pieceCid);
+        writeFileSync(pieceCidFile, uploadResults[0].pieceCid);
         console.log(`✓ PieceCID saved to: pieceCid.txt`);
         console.log();
+    }
 
-    } catch (error) {
-        console.error('Upload failed:', error);
+    if (failedJobs.length > 0) {
+        console.error(`❌ ${failedJobs.length} upload(s) failed:`);
+        failedJobs.forEach(job => console.error(`  • ${job.filename}: ${job.lastError}`));
+        if (chunked) {
+            console.error('\nRun the same command again to retry without re-uploading completed chunks.');
+        } else {
+            console.error(`\nJob state saved to ${jobs.path}`);
+            console.error('Run "npm run upload -- --resume" to retry without re-uploading completed files.');
+        }
         process.exit(1);
     }
 
@@ -225,8 +384,15 @@ async function main() {
         console.log(`  • ${result.filename}:`);
         console.log(`    PieceCID: ${result.pieceCid}`);
         console.log(`    Size: ${(result.size / 1024 / 1024).toFixed(2)} MB`);
-        console.log(`    Time: ${result.uploadTime.toFixed(2)}s`);
-        console.log(`    Speed: ${result.avgSpeed.toFixed(2)} MB/s`);
+        if (result.chunks !== undefined) {
+            console.log(`    Chunks: ${result.chunks} (${result.reusedChunks} reused from earlier uploads)`);
+        }
+        if (result.skipped) {
+            console.log('    Already stored before this run');
+        } else {
+            console.log(`    Time: ${result.uploadTime.toFixed(2)}s`);
+            console.log(`    Speed: ${result.avgSpeed.toFixed(2)} MB/s`);
+        }
     }
 
     console.log();
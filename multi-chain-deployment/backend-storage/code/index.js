@@ -1,9 +1,5 @@
-import dotenv from 'dotenv';
-import { Synapse, TOKENS } from '@filoz/synapse-sdk';
-
-// Load .env.local first (if it exists), then .env
-dotenv.config({ path: '.env.local' });
-dotenv.config();
+import { TOKENS } from '@filoz/synapse-sdk';
+import { createSynapse, checkReadiness, PREFLIGHT_FAILURES, encodePayload, downloadPayload } from 'filecoin-shared';
 
 /**
  * Backend Storage Setup for Multi-Chain Applications
@@ -20,28 +16,24 @@ async function main() {
     // Step 1: Initialize Backend Wallet
     console.log("=== Step 1: Backend Wallet Initialization ===\n");
 
-    const backendKey = process.env.PRIVATE_KEY;
-    if (!backendKey) {
-        throw new Error("Missing PRIVATE_KEY in environment");
-    }
-
-    const synapse = await Synapse.create({
-        privateKey: backendKey,
-        rpcURL: "https://api.calibration.node.glif.io/rpc/v1"
-    });
+    const synapse = await createSynapse();
 
     console.log("Backend SDK initialized successfully.");
     console.log("This wallet handles all Filecoin operations for your multi-chain app.\n");
 
+    // One preflight call gathers balances, approvals and runway for Steps 2-4
+    const readiness = await checkReadiness(synapse);
+    const failed = (...codes) => readiness.failures.some(failure => codes.includes(failure.code));
+
     // Step 2: Check Wallet Balance (Gas)
     console.log("=== Step 2: Wallet Balance Check ===\n");
 
-    const walletBalance = await synapse.payments.walletBalance(TOKENS.USDFC);
-    const walletBalanceFormatted = Number(walletBalance) / 1e18;
+    const walletBalanceFormatted = Number(readiness.wallet.usdfc) / 1e18;
 
     console.log(`Wallet USDFC Balance: ${walletBalanceFormatted.toFixed(4)} USDFC`);
+    console.log(`Wallet tFIL Balance: ${(Number(readiness.wallet.fil) / 1e18).toFixed(4)} tFIL`);
 
-    if (walletBalance === 0n) {
+    if (readiness.wallet.usdfc === 0n) {
         console.log("\nWallet has no USDFC.");
         console.log("Get USDFC from: https://faucet.circle.com/ (select Filecoin Calibration)");
         console.log("Also ensure you have tFIL for gas from: https://faucet.calibration.fildev.network/");
@@ -50,12 +42,11 @@ async function main() {
     // Step 3: Check Payment Account Balance
     console.log("\n=== Step 3: Payment Account Balance ===\n");
 
-    const paymentBalance = await synapse.payments.balance(TOKENS.USDFC);
-    const paymentBalanceFormatted = Number(paymentBalance) / 1e18;
+    const paymentBalanceFormatted = Number(readiness.paymentAccount.availableFunds) / 1e18;
 
     console.log(`Payment Account Balance: ${paymentBalanceFormatted.toFixed(4)} USDFC`);
 
-    if (paymentBalance === 0n) {
+    if (failed(PREFLIGHT_FAILURES.NO_PAYMENT_BALANCE)) {
         console.log("\nPayment account is empty.");
         console.log("You must deposit USDFC from wallet to payment account.");
         console.log("Run the storage-basics/payment-management tutorial first.");
@@ -67,15 +58,18 @@ async function main() {
     // Step 4: Verify Operator Approval
     console.log("\n=== Step 4: Operator Approval ===\n");
 
-    const operatorAddress = synapse.getWarmStorageAddress();
-    const approval = await synapse.payments.serviceApproval(operatorAddress, TOKENS.USDFC);
+    const approval = readiness.operator;
 
-    console.log(`Storage Operator: ${operatorAddress}`);
+    console.log(`Storage Operator: ${approval.address}`);
     console.log(`Approved: ${approval.isApproved}`);
     console.log(`Rate Allowance: ${(Number(approval.rateAllowance) / 1e18).toFixed(6)} USDFC/epoch`);
     console.log(`Lockup Allowance: ${(Number(approval.lockupAllowance) / 1e18).toFixed(4)} USDFC`);
 
-    if (!approval.isApproved || approval.rateAllowance === 0n || approval.lockupAllowance === 0n) {
+    if (failed(
+        PREFLIGHT_FAILURES.OPERATOR_NOT_APPROVED,
+        PREFLIGHT_FAILURES.NO_RATE_ALLOWANCE,
+        PREFLIGHT_FAILURES.NO_LOCKUP_ALLOWANCE
+    )) {
         console.log("\nStorage operator not approved.");
         console.log("Run the storage-basics/payment-management tutorial to approve.");
         process.exit(1);
@@ -91,8 +85,7 @@ async function main() {
         `Timestamp: ${new Date().toISOString()}\n` +
         `This data is stored on Filecoin but serves any L2 chain.\n` +
         `Backend wallet handles all storage payments.\n` +
-        `Users on Base, Arbitrum, or Polygon can access this data.\n` +
-        `Minimum upload size is 127 bytes - this message exceeds that.`
+        `Users on Base, Arbitrum, or Polygon can access this data.`
     );
 
     console.log(`Uploading ${demoData.length} bytes to Filecoin...`);
@@ -100,7 +93,9 @@ async function main() {
 
     let uploadResult;
     try {
-        uploadResult = await synapse.storage.upload(demoData);
+        // Framing records the true length and pads to the 127-byte minimum,
+        // so payloads of any size can be uploaded
+        uploadResult = await synapse.storage.upload(encodePayload(demoData));
 
         console.log("Upload successful.");
         console.log(`PieceCID: ${uploadResult.pieceCid}`);
@@ -119,7 +114,7 @@ async function main() {
     console.log(`Downloading data for PieceCID: ${uploadResult.pieceCid}...`);
 
     try {
-        const downloadedData = await synapse.storage.download(uploadResult.pieceCid);
+        const downloadedData = await downloadPayload(synapse.storage, uploadResult.pieceCid);
 
         console.log("Download successful.");
         console.log(`Retrieved ${downloadedData.length} bytes`);
@@ -1,9 +1,4 @@
-import dotenv from 'dotenv';
-import { Synapse, TOKENS } from '@filoz/synapse-sdk';
-
-// Load environment
-dotenv.config({ path: '.env.local' });
-dotenv.config();
+import { createSynapse, checkReadiness, encodeJSON, uploadPack, formatAddress } from 'filecoin-shared';
 
 /**
  * NFT Metadata Storage Demo
@@ -56,43 +51,32 @@ async function main() {
     // Initialize SDK
     console.log("=== Step 1: SDK Initialization ===\n");
 
-    const backendKey = process.env.PRIVATE_KEY;
-    if (!backendKey) {
-        throw new Error("Missing PRIVATE_KEY in environment");
-    }
-
-    const synapse = await Synapse.create({
-        privateKey: backendKey,
-        rpcURL: "https://api.calibration.node.glif.io/rpc/v1"
-    });
-
-    // Verify backend is ready
-    const balance = await synapse.payments.balance(TOKENS.USDFC);
-    if (balance === 0n) {
-        console.log("Payment account is empty. Fund it first.");
-        process.exit(1);
-    }
-    console.log(`Backend ready. Balance: ${(Number(balance) / 1e18).toFixed(4)} USDFC\n`);
+    const synapse = await createSynapse();
 
-    // Verify operator approval
-    const operatorAddress = synapse.getWarmStorageAddress();
-    const approval = await synapse.payments.serviceApproval(operatorAddress, TOKENS.USDFC);
-    if (!approval.isApproved) {
-        console.log("Storage operator not approved. Run payment-management tutorial first.");
+    // Verify backend is ready (funded and operator approved)
+    const readiness = await checkReadiness(synapse);
+    if (!readiness.ready) {
+        console.log("Backend is not ready for uploads:");
+        readiness.failures.forEach(failure => console.log(`  - ${failure.message}`));
+        console.log("Run the payment-management tutorial first.");
         process.exit(1);
     }
+    console.log(`Backend ready. Balance: ${(Number(readiness.paymentAccount.availableFunds) / 1e18).toFixed(4)} USDFC\n`);
 
     // Store metadata index
     const metadataIndex = [];
 
-    // Step 2: Upload individual NFT metadata
+    // Step 2: Upload NFT metadata as one pack
     console.log("=== Step 2: Upload NFT Metadata ===\n");
 
-    for (const nft of NFT_COLLECTION) {
-        console.log(`Uploading metadata for Token #${nft.tokenId}...`);
-
-        // Create ERC-721 compatible metadata
-        const metadata = {
+    // Each token's JSON is small, so rather than one piece per token (each
+    // padded to the minimum size and paying piece overhead), all tokens are
+    // packed into a single piece. Every token gets an address:
+    // PieceCID + byte offset + length.
+    const tokens = NFT_COLLECTION.map(nft => ({
+        key: String(nft.tokenId),
+        // ERC-721 compatible metadata
+        data: {
             name: nft.name,
             description: nft.description,
             // In production, store actual image and reference its PieceCID
@@ -101,37 +85,38 @@ async function main() {
             // Additional fields
             external_url: `https://example.com/nft/${nft.tokenId}`,
             background_color: "000000"
-        };
+        }
+    }));
 
-        // Convert to JSON buffer (ensure minimum size)
-        const jsonString = JSON.stringify(metadata, null, 2);
-        const paddedJson = jsonString + " ".repeat(Math.max(0, 128 - jsonString.length));
-        const metadataBuffer = Buffer.from(paddedJson);
+    console.log(`Packing metadata for ${tokens.length} tokens into one piece...`);
 
-        try {
-            const result = await synapse.storage.upload(metadataBuffer);
+    try {
+        const pack = await uploadPack(synapse.storage, tokens);
 
-            console.log(`  PieceCID: ${result.pieceCid}`);
-            console.log(`  Size: ${result.size} bytes`);
+        console.log(`  PieceCID: ${pack.pieceCid}`);
+        console.log(`  Size: ${pack.size} bytes\n`);
 
+        NFT_COLLECTION.forEach((nft, i) => {
             metadataIndex.push({
                 tokenId: nft.tokenId,
                 name: nft.name,
-                pieceCid: result.pieceCid.toString(),
-                size: result.size
+                pieceCid: pack.pieceCid,
+                address: formatAddress(pack.objects[i]),
+                size: pack.objects[i].length
             });
+        });
 
-        } catch (error) {
-            console.error(`  Failed: ${error.message}`);
-        }
+    } catch (error) {
+        console.error(`  Failed: ${error.message}`);
+        process.exit(1);
     }
 
     console.log("\n=== Step 3: Metadata Index ===\n");
 
-    console.log("Token ID | PieceCID");
+    console.log("Token ID | Address (PieceCID:offset:length)");
     console.log("-".repeat(80));
     metadataIndex.forEach(item => {
-        console.log(`   ${item.tokenId}     | ${item.pieceCid}`);
+        console.log(`   ${item.tokenId}     | ${item.address}`);
     });
 
     // Step 4: Gateway URLs
@@ -141,10 +126,12 @@ async function main() {
     console.log("");
 
     metadataIndex.forEach(item => {
-        // Filecoin gateway pattern
+        // Filecoin gateway pattern: fetch the pack piece, then read the
+        // token's byte range from it
         console.log(`Token #${item.tokenId}:`);
-        console.log(`  PieceCID: ${item.pieceCid}`);
+        console.log(`  Address:  ${item.address}`);
         console.log(`  Gateway:  https://calibration.filfox.info/en/piece/${item.pieceCid}`);
+        console.log(`  API:      /api/metadata/packed/${item.address}`);
         console.log("");
     });
 
@@ -159,7 +146,7 @@ async function main() {
     console.log("      return string(abi.encodePacked(baseURI, tokenId.toString()));");
     console.log("  }");
     console.log("");
-    console.log("Your API server fetches data using the PieceCID and returns JSON.");
+    console.log("Your API server fetches data using the token's address and returns JSON.");
 
     // Step 6: Batch Upload Pattern
     console.log("\n=== Step 6: Batch Upload Pattern ===\n");
@@ -174,27 +161,22 @@ async function main() {
         totalSupply: metadataIndex.length,
         tokens: metadataIndex.map(item => ({
             tokenId: item.tokenId,
-            pieceCid: item.pieceCid
+            address: item.address
         }))
     };
 
-    const manifestBuffer = Buffer.from(JSON.stringify(manifest, null, 2));
-
-    // Ensure minimum size
-    const paddedManifest = manifestBuffer.length >= 127
-        ? manifestBuffer
-        : Buffer.concat([manifestBuffer, Buffer.alloc(127 - manifestBuffer.length, 32)]);
+    const manifestBuffer = encodeJSON(manifest);
 
     console.log("Uploading collection manifest...");
 
     try {
-        const manifestResult = await synapse.storage.upload(paddedManifest);
+        const manifestResult = await synapse.storage.upload(manifestBuffer);
         console.log(`Manifest PieceCID: ${manifestResult.pieceCid}`);
         console.log(`Manifest Size: ${manifestResult.size} bytes\n`);
 
         console.log("With the manifest, your contract or frontend can:");
         console.log("  1. Fetch manifest once using its PieceCID");
-        console.log("  2. Find individual token PieceCIDs from the manifest");
+        console.log("  2. Find individual token addresses from the manifest");
         console.log("  3. Fetch specific token metadata as needed");
 
     } catch (error) {
@@ -215,8 +197,8 @@ async function main() {
 
     console.log("\n=== Summary ===\n");
     console.log("NFT metadata storage complete.");
-    console.log(`- Uploaded ${metadataIndex.length} token metadata files`);
-    console.log(`- Each has a unique PieceCID for permanent reference`);
+    console.log(`- Uploaded ${metadataIndex.length} token metadata files in one packed piece`);
+    console.log(`- Each has a permanent address (PieceCID + offset + length)`);
     console.log(`- Metadata is chain-agnostic and decentralized`);
     console.log("");
     console.log("Next steps:");
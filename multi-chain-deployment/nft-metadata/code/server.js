@@ -1,10 +1,5 @@
-import dotenv from 'dotenv';
 import express from 'express';
-import { Synapse, TOKENS } from '@filoz/synapse-sdk';
-
-// Load environment
-dotenv.config({ path: '.env.local' });
-dotenv.config();
+import { createSynapse, checkReadiness, serializeReadiness, encodeJSON, decodeJSON, readPackedObject, parseAddress } from 'filecoin-shared';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -22,15 +17,7 @@ let synapse;
  */
 
 async function initSDK() {
-    const backendKey = process.env.PRIVATE_KEY;
-    if (!backendKey) {
-        throw new Error("Missing PRIVATE_KEY");
-    }
-
-    synapse = await Synapse.create({
-        privateKey: backendKey,
-        rpcURL: "https://api.calibration.node.glif.io/rpc/v1"
-    });
+    synapse = await createSynapse();
 
     console.log("Synapse SDK initialized.");
 }
@@ -43,6 +30,28 @@ app.get('/health', (req, res) => {
     res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+/**
+ * GET /ready
+ * 
+ * Reports whether the backend wallet can pay for uploads.
+ * Returns 200 with the readiness report when ready, 503 with the
+ * failure reasons (e.g. NO_PAYMENT_BALANCE) when not.
+ */
+app.get('/ready', async (req, res) => {
+    try {
+        if (!synapse) {
+            return res.status(503).json({ ready: false, error: 'SDK not initialized' });
+        }
+
+        const readiness = await checkReadiness(synapse);
+        res.status(readiness.ready ? 200 : 503).json(serializeReadiness(readiness));
+
+    } catch (error) {
+        console.error('Error checking readiness:', error);
+        res.status(500).json({ error: 'Failed to check readiness' });
+    }
+});
+
 /**
  * GET /api/metadata/:tokenId
  * 
@@ -99,8 +108,9 @@ app.get('/api/metadata/piece/:pieceCid', async (req, res) => {
         }
 
         // Download from Filecoin
+        // decodeJSON strips the length framing added on upload
         const data = await synapse.storage.download(pieceCid);
-        const metadata = JSON.parse(data.toString());
+        const metadata = decodeJSON(data);
 
         res.json(metadata);
 
@@ -110,6 +120,34 @@ app.get('/api/metadata/piece/:pieceCid', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/metadata/packed/:address
+ *
+ * Returns one token's metadata from a pack uploaded by index.js.
+ * The address is <pieceCid>:<offset>:<length>.
+ */
+app.get('/api/metadata/packed/:address', async (req, res) => {
+    try {
+        let address;
+        try {
+            address = parseAddress(req.params.address);
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+
+        if (!synapse) {
+            return res.status(503).json({ error: 'SDK not initialized' });
+        }
+
+        const data = await readPackedObject(synapse.storage, address);
+        res.json(JSON.parse(data.toString()));
+
+    } catch (error) {
+        console.error('Error fetching packed metadata:', error);
+        res.status(500).json({ error: 'Failed to fetch from Filecoin' });
+    }
+});
+
 /**
  * POST /api/upload
  * 
@@ -128,10 +166,8 @@ app.post('/api/upload', async (req, res) => {
             return res.status(503).json({ error: 'SDK not initialized' });
         }
 
-        // Convert to buffer
-        const jsonString = JSON.stringify(metadata, null, 2);
-        const paddedJson = jsonString + " ".repeat(Math.max(0, 128 - jsonString.length));
-        const metadataBuffer = Buffer.from(paddedJson);
+        // Frame the JSON with its length (padded to the minimum piece size)
+        const metadataBuffer = encodeJSON(metadata);
 
         // Upload to Filecoin
         const result = await synapse.storage.upload(metadataBuffer);
@@ -173,8 +209,10 @@ async function start() {
             console.log("");
             console.log("Endpoints:");
             console.log(`  GET  /health`);
+            console.log(`  GET  /ready`);
             console.log(`  GET  /api/metadata/:tokenId`);
             console.log(`  GET  /api/metadata/piece/:pieceCid`);
+            console.log(`  GET  /api/metadata/packed/:address`);
             console.log(`  POST /api/upload`);
             console.log(`  GET  /api/collection/:collectionId`);
         });
@@ -1,5 +1,5 @@
-import dotenv from 'dotenv';
-import { Synapse, TOKENS } from '@filoz/synapse-sdk';
+import { TOKENS } from '@filoz/synapse-sdk';
+import { createSynapse } from 'filecoin-shared';
 import {
     initDatabase,
     createUser,
@@ -11,10 +11,6 @@ import {
     getUserUploads
 } from './db.js';
 
-// Load environment
-dotenv.config({ path: '.env.local' });
-dotenv.config();
-
 // Pricing: $1 USD = 100 MB of storage quota
 const BYTES_PER_USD = 100 * 1024 * 1024;
 
@@ -40,15 +36,7 @@ async function main() {
     // Initialize Synapse SDK
     console.log("=== Step 2: SDK Initialization ===\n");
 
-    const backendKey = process.env.PRIVATE_KEY;
-    if (!backendKey) {
-        throw new Error("Missing PRIVATE_KEY in environment");
-    }
-
-    const synapse = await Synapse.create({
-        privateKey: backendKey,
-        rpcURL: "https://api.calibration.node.glif.io/rpc/v1"
-    });
+    const synapse = await createSynapse();
 
     // Verify backend is ready
     const balance = await synapse.payments.balance(TOKENS.USDFC);
@@ -1,16 +1,30 @@
-import dotenv from 'dotenv';
-import { Synapse, TOKENS } from '@filoz/synapse-sdk';
-
-// Load .env.local first (if it exists), then .env
-dotenv.config({ path: '.env.local' });
-dotenv.config();
-
-// Simulated application database
-const APPLICATION_DB = {
-    users: {
-        "user_alice": { email: "alice@example.com", uploads: [] },
-        "user_bob": { email: "bob@example.com", uploads: [] }
-    }
+import { TOKENS } from '@filoz/synapse-sdk';
+import {
+    createSynapse,
+    openTreasury,
+    hotWalletFor,
+    refillHotWallet,
+    userLimits,
+    sponsorUpload,
+    tenantCostReport,
+    openManifest,
+    recordUpload,
+    resolveMasterKey,
+    deriveSubkey,
+    keyFingerprint,
+    downloadEncrypted,
+    formatUSDFC,
+    formatBytes
+} from 'filecoin-shared';
+
+// The tenant (customer, app or workspace) these users belong to
+const TENANT_ID = "demo-app";
+
+// Simulated user directory. What each user uploads is tracked in the
+// treasury ledger (treasury-ledger.json), not here.
+const USERS = {
+    "user_alice": { email: "alice@example.com" },
+    "user_bob": { email: "bob@example.com" }
 };
 
 /**
@@ -25,23 +39,28 @@ async function main() {
     console.log("Users never interact with wallets or tokens.\n");
 
     // Step 1: Initialize Treasury Connection
-    const treasuryKey = process.env.PRIVATE_KEY;
-    if (!treasuryKey) {
-        throw new Error("Missing PRIVATE_KEY (Treasury wallet key)");
-    }
-
-    const treasury = await Synapse.create({
-        privateKey: treasuryKey,
-        rpcURL: "https://api.calibration.node.glif.io/rpc/v1"
-    });
+    const treasuryWallets = await openTreasury();
+    const hotWallet = hotWalletFor(treasuryWallets, TENANT_ID);
+    const treasury = hotWallet.synapse;
 
     console.log("=== Step 1: Treasury Initialized ===");
     console.log("SDK connected with treasury wallet credentials.");
-    console.log("This wallet is controlled by your application, not users.\n");
+    console.log("These wallets are controlled by your application, not users.");
+    console.log(`  Hot wallets: ${treasuryWallets.hot.length} (pay for uploads)`);
+    console.log(`  Warm wallet: ${treasuryWallets.warm?.address ?? 'not configured'} (holds the reserve)`);
+    console.log(`  ${TENANT_ID} is paid for by ${hotWallet.address}\n`);
 
     // Step 2: Verify Treasury Solvency
     console.log("=== Step 2: Treasury Solvency Check ===");
 
+    // Top up the hot wallet from the warm wallet first, if it's running low
+    const refill = await refillHotWallet(treasuryWallets, hotWallet, {
+        onSubmitted: (hash, amount) => console.log(`Refilling hot wallet with ${formatUSDFC(amount)}: ${hash}`)
+    });
+    if (refill.action === 'unavailable') {
+        console.log(`Hot wallet is below its minimum but can't be refilled: ${refill.reason}`);
+    }
+
     const balance = await treasury.payments.balance(TOKENS.USDFC);
     const balanceFormatted = Number(balance) / 1e18;
 
@@ -80,11 +99,15 @@ async function main() {
     console.log("=== Step 4: Simulated User Request ===");
 
     const userId = "user_alice";
-    const user = APPLICATION_DB.users[userId];
+    const user = USERS[userId];
+    const limits = userLimits(treasuryWallets, TENANT_ID);
 
-    console.log(`Authenticated user: ${userId}`);
+    console.log(`Authenticated user: ${userId} (tenant ${TENANT_ID})`);
     console.log(`Email: ${user.email}`);
-    console.log("User authenticated via traditional OAuth/session - no wallet involved.\n");
+    console.log("User authenticated via traditional OAuth/session - no wallet involved.");
+    console.log(`Sponsorship limits: ${limits.maxUploads ?? 'unlimited'} uploads, ` +
+        `${limits.maxBytes === null ? 'unlimited' : formatBytes(limits.maxBytes)}, ` +
+        `${limits.maxMonthly === null ? 'unlimited' : formatUSDFC(limits.maxMonthly)}/month\n`);
 
     const userData = Buffer.from(
         `Document created by ${userId}\n` +
@@ -97,6 +120,20 @@ async function main() {
 
     console.log(`User submitted ${userData.length} bytes for upload.`);
 
+    // The document contains the user's email, so it is encrypted before it
+    // leaves the application. The master key comes from ENCRYPTION_KEY or
+    // ENCRYPTION_KEY_FILE, falling back to a key derived from the primary
+    // wallet's (PRIVATE_KEY) signature - never a hot wallet's, since changing
+    // TREASURY_HOT_KEYS must not lock anyone out of their documents. Each
+    // user gets their own subkey.
+    const primary = await createSynapse();
+    const masterKey = await resolveMasterKey({ signer: primary.getClient() });
+    const userKey = deriveSubkey(masterKey, userId);
+    const fingerprint = keyFingerprint(userKey).toString('hex');
+
+    console.log(`Encrypting with ${userId}'s key (fingerprint ${fingerprint}).`);
+    console.log("Storage providers will only see ciphertext.");
+
     // Step 5: Sponsored Upload
     console.log("\n=== Step 5: Sponsored Upload ===");
     console.log("Application treasury is signing and paying for this upload.");
@@ -105,17 +142,25 @@ async function main() {
     console.log("Uploading to Filecoin network...");
     console.log("(This may take 30-60 seconds)\n");
 
-    let uploadResult;
+    // Refused before anything is sent if the user is over their limits
+    let sponsored;
     try {
-        uploadResult = await treasury.storage.upload(userData);
+        sponsored = await sponsorUpload(treasuryWallets, {
+            tenantId: TENANT_ID,
+            userId,
+            data: userData,
+            filename: `${userId}-document.txt`,
+            // Retention rules (retention-policy.json) match on the category
+            metadata: { category: 'document' },
+            encryptionKey: userKey
+        });
 
         console.log("Upload successful.");
-        console.log(`PieceCID: ${uploadResult.pieceCid}`);
-        console.log(`Size: ${uploadResult.size} bytes`);
-        if (uploadResult.provider) {
-            console.log(`Provider: ${uploadResult.provider}`);
-        }
-        console.log(`Sponsor: Application Treasury`);
+        console.log(`PieceCID: ${sponsored.result.pieceCid}`);
+        console.log(`Size: ${sponsored.result.size} bytes (encrypted)`);
+        console.log(`Data set: ${sponsored.context.dataSetId} (tenant=${TENANT_ID})`);
+        console.log(`Provider: ${sponsored.context.provider.serviceProvider}`);
+        console.log(`Sponsor: Application Treasury (${hotWallet.address})`);
     } catch (error) {
         console.error("Sponsored upload failed:", error.message);
         process.exit(1);
@@ -124,23 +169,45 @@ async function main() {
     // Step 6: Update Application Database
     console.log("\n=== Step 6: Database Update ===");
 
-    user.uploads.push({
-        pieceCid: uploadResult.pieceCid,
-        size: uploadResult.size,
-        uploadedAt: new Date().toISOString(),
-        sponsoredBy: "treasury"
+    const uploadResult = sponsored.result;
+
+    // sponsorUpload() already recorded the upload in the treasury ledger.
+    // The local manifest keeps the same mapping, tagged with the user it
+    // belongs to.
+    const manifest = openManifest();
+    recordUpload(manifest, {
+        filename: `${userId}-document.txt`,
+        data: sponsored.payload,
+        result: uploadResult,
+        context: sponsored.context,
+        metadata: sponsored.metadata,
+        tags: { tenantId: TENANT_ID, userId, sponsoredBy: hotWallet.address, encrypted: true, keyFingerprint: fingerprint }
     });
 
     console.log(`Recorded upload for ${userId}:`);
     console.log(`  PieceCID: ${uploadResult.pieceCid}`);
-    console.log(`  Database now tracks this PieceCID belongs to ${userId}`);
-    console.log("  This mapping only exists in your app - not on-chain.\n");
+    console.log(`  Ledger now tracks this PieceCID belongs to ${userId} in ${TENANT_ID}`);
+    console.log("  This mapping only exists in your app - not on-chain.");
+    console.log(`  Ledger: ${treasuryWallets.ledger.path}`);
+    console.log(`  Manifest: ${manifest.path}\n`);
 
     console.log("User's storage inventory:");
-    user.uploads.forEach((upload, index) => {
-        console.log(`  ${index + 1}. ${upload.pieceCid.toString().substring(0, 30)}...`);
-        console.log(`     Size: ${upload.size} bytes, Uploaded: ${upload.uploadedAt}`);
-    });
+    treasuryWallets.ledger.uploads
+        .filter(entry => entry.tenantId === TENANT_ID && entry.userId === userId)
+        .forEach((upload, index) => {
+            console.log(`  ${index + 1}. ${upload.pieceCid.substring(0, 30)}...`);
+            console.log(`     Size: ${upload.size} bytes, Uploaded: ${upload.uploadedAt}`);
+        });
+    console.log(`  Total: ${sponsored.usage.uploads} upload(s), ${formatBytes(sponsored.usage.bytes)}`);
+
+    // Only the application holds the key, so only it can read the document back
+    console.log("\nReading the document back for the user...");
+    const decrypted = await downloadEncrypted(treasury.storage, uploadResult.pieceCid, userKey);
+    if (!decrypted.equals(userData)) {
+        console.error("Decrypted document does not match the original.");
+        process.exit(1);
+    }
+    console.log(`Decrypted ${decrypted.length} bytes - matches the original.`);
 
     // Step 7: Verify Economic Relationship
     console.log("\n=== Step 7: Economic Verification ===");
@@ -152,6 +219,16 @@ async function main() {
     console.log("Treasury is the payer on all rails.");
     console.log("Users have no on-chain payment relationship with providers.\n");
 
+    // What the tenant costs, from the payment rates of its data set's rails
+    const costs = await tenantCostReport(treasuryWallets, { tenantId: TENANT_ID });
+    for (const tenant of costs.tenants) {
+        console.log(`${tenant.tenantId} costs ${formatUSDFC(tenant.perMonth)}/month:`);
+        tenant.users.forEach(costUser => {
+            console.log(`  ${costUser.userId}: ${formatUSDFC(costUser.perMonth)}/month (${costUser.uploads} upload(s))`);
+        });
+    }
+    console.log("Run `npm run treasury report` for every tenant.\n");
+
     // Step 8: Treasury Health After Operation
     console.log("=== Step 8: Post-Operation Treasury Health ===");
 
@@ -169,8 +246,9 @@ async function main() {
     console.log("dApp-Pays architecture complete.");
     console.log("- Treasury funded and managed by application");
     console.log("- User authenticated via traditional means (no wallet)");
-    console.log("- Upload executed and paid by treasury");
-    console.log("- PieceCID mapped to user in application database");
+    console.log("- Upload encrypted client-side and paid by treasury");
+    console.log("- PieceCID attributed to tenant and user in the treasury ledger");
+    console.log("- Per-user limits enforced and costs reported per tenant");
     console.log("- User experience: upload file, done. No crypto complexity.");
 }
 
@@ -0,0 +1,230 @@
+import { parseArgs } from 'util';
+import { TOKENS } from '@filoz/synapse-sdk';
+import {
+    openTreasury,
+    refillHotWallet,
+    setTenantLimits,
+    userLimits,
+    tenantCostReport,
+    dataSetPayer,
+    openManifest,
+    openRetentionPolicy,
+    planRetention,
+    previewRetention,
+    applyRetention,
+    formatUSDFC,
+    formatBytes,
+    toJSON
+} from 'filecoin-shared';
+
+/**
+ * Treasury Administration
+ *
+ * Usage:
+ *   node treasury.js status                 Wallet balances and tenants
+ *   node treasury.js refill                 Refill hot wallets from the warm wallet
+ *   node treasury.js report [--tenant <id>] [--json]
+ *                                           Per-tenant and per-user storage costs
+ *   node treasury.js limits <tenant> [--max-uploads <n>] [--max-bytes <size>] [--max-monthly <usdfc>]
+ *                                           Show or set a tenant's per-user limits ("none" clears one)
+ *   node treasury.js retention [--apply] [--policy <path>]
+ *                                           Report (or remove) sponsored uploads past
+ *                                           retention-policy.json's lifetimes
+ *
+ * Wallets, limits and the ledger path are configured with the TREASURY_*
+ * variables in .env.example. Retention reads the manifest the demo writes;
+ * each data set's pieces are removed by the hot wallet that pays for it.
+ */
+
+function formatLimit(value, format) {
+    return value === null ? 'none' : format(value);
+}
+
+function printLimits(limits) {
+    console.log(`  Uploads per user:  ${formatLimit(limits.maxUploads, String)}`);
+    console.log(`  Bytes per user:    ${formatLimit(limits.maxBytes, formatBytes)}`);
+    console.log(`  Cost per user:     ${formatLimit(limits.maxMonthly, value => `${formatUSDFC(value)}/month`)}`);
+}
+
+async function status(treasury) {
+    console.log("=== Wallets ===\n");
+    for (const hot of treasury.hot) {
+        const accountInfo = await hot.synapse.payments.accountInfo(TOKENS.USDFC);
+        const tenants = Object.entries(treasury.ledger.tenants)
+            .filter(([, tenant]) => tenant.wallet === hot.address)
+            .map(([tenantId]) => tenantId);
+        const low = accountInfo.availableFunds < treasury.config.hotMin ? ' ⚠️  below minimum' : '';
+        console.log(`🔥 Hot  ${hot.address}`);
+        console.log(`   Available: ${formatUSDFC(accountInfo.availableFunds)}${low}`);
+        console.log(`   Locked:    ${formatUSDFC(accountInfo.lockupCurrent)}`);
+        console.log(`   Tenants:   ${tenants.length > 0 ? tenants.join(', ') : 'none yet'}`);
+    }
+    if (treasury.warm !== null) {
+        const reserve = await treasury.warm.synapse.payments.walletBalance(TOKENS.USDFC);
+        console.log(`🧊 Warm ${treasury.warm.address}`);
+        console.log(`   Reserve:   ${formatUSDFC(reserve)}`);
+    } else {
+        console.log("🧊 No warm wallet configured (TREASURY_WARM_KEY): hot wallets are not refilled");
+    }
+    console.log(`\nRefill below ${formatUSDFC(treasury.config.hotMin)}, up to ${formatUSDFC(treasury.config.hotTarget)}\n`);
+
+    console.log("=== Tenants ===\n");
+    const tenantIds = Object.keys(treasury.ledger.tenants);
+    if (tenantIds.length === 0) {
+        console.log("No sponsored uploads yet.\n");
+    }
+    for (const tenantId of tenantIds) {
+        const uploads = treasury.ledger.uploads.filter(entry => entry.tenantId === tenantId);
+        const users = new Set(uploads.map(entry => entry.userId));
+        console.log(`${tenantId}: ${uploads.length} upload(s) from ${users.size} user(s)`);
+        printLimits(userLimits(treasury, tenantId));
+        console.log();
+    }
+    console.log(`Ledger: ${treasury.ledger.path}`);
+}
+
+async function refill(treasury) {
+    for (const hot of treasury.hot) {
+        const result = await refillHotWallet(treasury, hot, {
+            onSubmitted: (hash, amount) => console.log(`📤 Refilling ${hot.address} with ${formatUSDFC(amount)}: ${hash}`)
+        });
+        if (result.action === 'refill') {
+            console.log(`✅ ${hot.address}: refilled from ${formatUSDFC(result.availableFunds)}`);
+        } else if (result.action === 'unavailable') {
+            console.log(`⚠️  ${hot.address}: ${formatUSDFC(result.availableFunds)} available, can't refill: ${result.reason}`);
+        } else {
+            console.log(`✓ ${hot.address}: ${formatUSDFC(result.availableFunds)} available, no refill needed`);
+        }
+    }
+}
+
+async function report(treasury, options) {
+    const costs = await tenantCostReport(treasury, { tenantId: options.tenant });
+    if (options.json) {
+        console.log(toJSON(costs));
+        return;
+    }
+
+    if (costs.tenants.length === 0) {
+        console.log("No sponsored uploads to report on.");
+        return;
+    }
+    for (const tenant of costs.tenants) {
+        console.log(`📊 ${tenant.tenantId}: ${formatUSDFC(tenant.perMonth)}/month`);
+        console.log(`   ${tenant.uploads} upload(s), ${formatBytes(tenant.bytes)}`);
+        tenant.dataSets.forEach(dataSet => {
+            const rails = dataSet.rails.map(rail => `rail ${rail.railId}`).join(', ');
+            console.log(`   Data set ${dataSet.dataSetId} (payer ${dataSet.payer}): ${dataSet.error ?? rails}`);
+        });
+        tenant.users.forEach(user => {
+            console.log(`   - ${user.userId}: ${formatUSDFC(user.perMonth)}/month, ${user.uploads} upload(s), ${formatBytes(user.bytes)}`);
+        });
+        console.log();
+    }
+    console.log(`Total: ${formatUSDFC(costs.perMonth)}/month`);
+}
+
+function limits(treasury, tenantId, options) {
+    if (!tenantId) {
+        throw new Error('Usage: node treasury.js limits <tenant> [--max-uploads <n>] [--max-bytes <size>] [--max-monthly <usdfc>]');
+    }
+    const changes = {};
+    const flags = { 'max-uploads': 'maxUploads', 'max-bytes': 'maxBytes', 'max-monthly': 'maxMonthly' };
+    for (const [flag, name] of Object.entries(flags)) {
+        if (options[flag] !== undefined) {
+            changes[name] = options[flag] === 'none' ? null : options[flag];
+        }
+    }
+
+    const current = Object.keys(changes).length > 0
+        ? setTenantLimits(treasury, tenantId, changes)
+        : userLimits(treasury, tenantId);
+    console.log(`Per-user limits for ${tenantId}:`);
+    printLimits(current);
+}
+
+async function retention(treasury, options) {
+    const policy = openRetentionPolicy(options.policy);
+    const manifest = openManifest();
+    const plan = planRetention(manifest, policy);
+    const synapseFor = async (dataSetId) => (await dataSetPayer(treasury, dataSetId)).synapse;
+
+    console.log(`Policy: ${policy.path}`);
+    policy.rules.forEach(rule => {
+        const lifetime = rule.maxAgeDays === null ? 'forever' : `${rule.maxAgeDays} days`;
+        console.log(`  ${rule.name}: ${JSON.stringify(rule.match)} kept ${lifetime}`);
+    });
+    console.log(`\n${plan.expired.length} expired piece(s), ${plan.retained} retained\n`);
+    if (plan.expired.length === 0) {
+        return;
+    }
+
+    const report = await previewRetention(treasury.hot[0].synapse, plan, policy, { synapseFor });
+    report.gone.forEach(piece => console.log(`  - ${piece.pieceCid}: no longer stored`));
+    for (const action of report.actions) {
+        const verb = action.action === 'terminate' ? 'Terminate data set' : 'Remove from data set';
+        console.log(`${verb} ${action.dataSetId} (frees ~${formatUSDFC(action.preview.lockupReleased)}):`);
+        action.pieces.forEach(piece => {
+            const names = piece.entries.map(entry => `${entry.tags?.userId ?? '?'}/${entry.filename}`).join(', ');
+            console.log(`  🗑️  ${names} (${piece.rule.name}, expired ${piece.expiredAt.toISOString().split('T')[0]})`);
+        });
+    }
+    console.log(`\nLockup freed: ~${formatUSDFC(report.lockupReleased)}\n`);
+
+    if (!options.apply) {
+        console.log("Dry run: nothing was removed. Re-run with --apply to remove expired uploads.");
+        return;
+    }
+
+    const results = await applyRetention(treasury.hot[0].synapse, manifest, report, {
+        synapseFor,
+        onAction: (action) => console.log(`Applying: ${action.action} in data set ${action.dataSetId}...`)
+    });
+    results.forEach(result => {
+        if (result.error) {
+            console.log(`  ✗ Data set ${result.dataSetId}: ${result.error.message}`);
+        } else {
+            console.log(`  ${result.ok ? '✓' : '⚠️ '} Data set ${result.dataSetId}: ${result.ok ? 'done' : 'not confirmed on-chain yet'}`);
+        }
+    });
+    console.log(`\nManifest updated: ${manifest.path}`);
+}
+
+async function main() {
+    const { values: options, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            tenant: { type: 'string' },
+            json: { type: 'boolean', default: false },
+            'max-uploads': { type: 'string' },
+            'max-bytes': { type: 'string' },
+            'max-monthly': { type: 'string' },
+            apply: { type: 'boolean', default: false },
+            policy: { type: 'string' }
+        }
+    });
+    const [command = 'status', ...args] = positionals;
+
+    const treasury = await openTreasury();
+
+    switch (command) {
+        case 'status':
+            return status(treasury);
+        case 'refill':
+            return refill(treasury);
+        case 'report':
+            return report(treasury, options);
+        case 'limits':
+            return limits(treasury, args[0], options);
+        case 'retention':
+            return retention(treasury, options);
+        default:
+            throw new Error(`Unknown command "${command}" (expected status, refill, report, limits or retention)`);
+    }
+}
+
+main().catch((err) => {
+    console.error("\n❌ Error during treasury command:");
+    console.error(err);
+    process.exit(1);
+});
@@ -1,12 +1,20 @@
-import dotenv from 'dotenv';
-import { Synapse, TOKENS } from '@filoz/synapse-sdk';
-
-// Load .env.local first (if it exists), then .env
-dotenv.config({ path: '.env.local' });
-dotenv.config();
-
-// Simulated user database with quota tracking
-const USER_DATABASE = {
+import { TOKENS } from '@filoz/synapse-sdk';
+import { readFileSync } from 'fs';
+import { basename } from 'path';
+import {
+    createSynapse,
+    openRoutingPolicy,
+    openRoutingStore,
+    getRoutingUser,
+    upsertUser,
+    evaluateRoute,
+    routeUpload,
+    formatBytes
+} from 'filecoin-shared';
+
+// Demo users, added to the routing store (routing.db) the first time
+// this runs. After that the store is the source of truth.
+const DEMO_USERS = {
     "alice": {
         email: "alice@example.com",
         tier: "free",
@@ -17,7 +25,7 @@ const USER_DATABASE = {
     "bob": {
         email: "bob@example.com",
         tier: "free",
-        storageUsed: 490 * 1024 * 1024,
+        storageUsed: 500 * 1024 * 1024,
         storageLimit: 500 * 1024 * 1024,
         walletConnected: true
     },
@@ -35,28 +43,55 @@ const USER_DATABASE = {
  * 
  * Combines treasury sponsorship with user payments.
  * Free tier users get sponsored. Power users pay directly.
+ *
+ * Usage: node index.js [file]
+ *
+ * Who pays is decided by the rules in routing-policy.json. With a file,
+ * each demo user uploads it through the payer chosen for them; without
+ * one, only the decisions are shown. server.js offers the same routing as
+ * an HTTP API.
  */
 async function main() {
     console.log("Hybrid Payment Architecture Demo\n");
     console.log("This model combines treasury sponsorship with user payments.");
     console.log("Free tier users get sponsored. Power users pay directly.\n");
 
-    const privateKey = process.env.PRIVATE_KEY;
-    if (!privateKey) {
-        throw new Error("Missing PRIVATE_KEY");
+    const filePath = process.argv[2];
+    const policy = openRoutingPolicy();
+    const store = openRoutingStore();
+
+    for (const [userId, user] of Object.entries(DEMO_USERS)) {
+        if (!getRoutingUser(store, userId)) {
+            upsertUser(store, userId, user);
+        }
     }
 
-    // Treasury context (dApp-Pays)
-    const treasury = await Synapse.create({
-        privateKey: privateKey,
-        rpcURL: "https://api.calibration.node.glif.io/rpc/v1"
+    console.log("=== Routing Policy ===");
+    console.log(`Policy: ${policy.path}`);
+    policy.rules.forEach((rule, index) => {
+        console.log(`  ${index + 1}. ${rule.name}: ${JSON.stringify(rule.when)} -> ${rule.path}`);
     });
+    console.log(`Store: ${store.path}\n`);
+
+    if (!filePath) {
+        console.log("No file given: showing decisions only. Run `node index.js <file>` to upload one.\n");
+        const sizes = { alice: 50 * 1024 * 1024, bob: 20 * 1024 * 1024, carol: 100 * 1024 * 1024 };
+        for (const [userId, size] of Object.entries(sizes)) {
+            const decision = evaluateRoute(policy, { user: getRoutingUser(store, userId), size });
+            console.log(`${userId} uploading ${formatBytes(size)}: ${decision.path}`);
+            console.log(`  Rule: ${decision.rule ?? 'none'}`);
+            console.log(`  Reason: ${decision.reason}\n`);
+        }
+        return;
+    }
+
+    const data = readFileSync(filePath);
+
+    // Treasury context (dApp-Pays)
+    const treasury = await createSynapse();
 
     // User context (User-Pays) - in production, comes from browser wallet
-    const userWallet = await Synapse.create({
-        privateKey: privateKey,
-        rpcURL: "https://api.calibration.node.glif.io/rpc/v1"
-    });
+    const userWallet = await createSynapse();
 
     console.log("=== System Initialization ===");
     console.log("Treasury SDK initialized.");
@@ -81,147 +116,51 @@ async function main() {
     }
 
     console.log("Treasury operator approved.\n");
-    console.log("=".repeat(60) + "\n");
-
-    // Scenario 1: Free user within quota (Alice)
-    await processUpload(treasury, userWallet, "alice", 50 * 1024 * 1024);
-
-    console.log("\n" + "=".repeat(60) + "\n");
-
-    // Scenario 2: Free user over quota (Bob)
-    await processUpload(treasury, userWallet, "bob", 20 * 1024 * 1024);
 
-    console.log("\n" + "=".repeat(60) + "\n");
+    const router = {
+        policy,
+        store,
+        treasury,
+        userWallet: async (userId, user) => (user.walletConnected ? userWallet : null)
+    };
 
-    // Scenario 3: Pro user (Carol)
-    await processUpload(treasury, userWallet, "carol", 100 * 1024 * 1024);
+    for (const userId of Object.keys(DEMO_USERS)) {
+        console.log("=".repeat(60) + "\n");
+        await processUpload(router, userId, filePath, data);
+        console.log();
+    }
 }
 
-async function processUpload(treasury, userWallet, userId, fileSize) {
+async function processUpload(router, userId, filePath, data) {
     console.log(`=== Processing Upload for ${userId} ===\n`);
 
-    const user = USER_DATABASE[userId];
-    if (!user) {
-        console.log("User not found.");
-        return;
-    }
-
+    const user = getRoutingUser(router.store, userId);
     console.log(`User: ${user.email}`);
     console.log(`Tier: ${user.tier}`);
     console.log(`Storage: ${formatBytes(user.storageUsed)} / ${formatBytes(user.storageLimit)}`);
-    console.log(`Upload Size: ${formatBytes(fileSize)}`);
-
-    const decision = evaluatePaymentPath(user, fileSize);
-    console.log(`\nDecision: ${decision.path}`);
-    console.log(`Reason: ${decision.reason}\n`);
-
-    if (decision.path === "SPONSORED") {
-        await executeSponsoredUpload(treasury, userId, fileSize);
-    } else if (decision.path === "USER_PAID") {
-        await executeUserPaidUpload(userWallet, userId, fileSize, decision.reason);
-    } else if (decision.path === "BLOCKED") {
-        handleBlockedUpload(userId, decision.reason);
+    console.log(`Upload: ${basename(filePath)} (${formatBytes(data.length)})`);
+    console.log("Uploading through the chosen payer (this may take 30-60 seconds)...");
+
+    const record = await routeUpload(router, { userId, data, filename: basename(filePath) });
+
+    console.log(`\nDecision: ${record.path}`);
+    console.log(`Rule: ${record.rule ?? 'none'}`);
+    console.log(`Reason: ${record.reason}\n`);
+
+    if (record.status === 'uploaded') {
+        console.log(`Upload successful (${record.path === 'SPONSORED' ? 'Treasury sponsored' : 'User paid'})`);
+        console.log(`PieceCID: ${record.pieceCid}`);
+        console.log(`Payer: ${record.payer}`);
+        console.log(`Updated usage: ${formatBytes(getRoutingUser(router.store, userId).storageUsed)}`);
+    } else if (record.status === 'blocked') {
+        handleBlockedUpload(record.reason);
+    } else {
+        console.error(`Upload failed: ${record.error}`);
     }
+    console.log(`Recorded as request ${record.id}`);
 }
 
-function evaluatePaymentPath(user, requestedSize) {
-    // Rule 1: Pro tier users always pay themselves
-    if (user.tier === "pro" || user.tier === "enterprise") {
-        return {
-            path: "USER_PAID",
-            reason: "Pro/Enterprise tier - user pays for all storage"
-        };
-    }
-
-    // Rule 2: Check if request fits within free quota
-    const remainingQuota = user.storageLimit - user.storageUsed;
-
-    if (requestedSize <= remainingQuota) {
-        return {
-            path: "SPONSORED",
-            reason: "Within free tier quota - treasury sponsors"
-        };
-    }
-
-    // Rule 3: Over quota - check if user can pay
-    if (user.walletConnected) {
-        return {
-            path: "USER_PAID",
-            reason: "Over free quota - user wallet available for payment"
-        };
-    }
-
-    // Rule 4: Over quota, no wallet - blocked
-    return {
-        path: "BLOCKED",
-        reason: "Over free quota and no wallet connected - upgrade required"
-    };
-}
-
-async function executeSponsoredUpload(treasury, userId, fileSize) {
-    console.log("Executing SPONSORED upload (Treasury pays)...");
-
-    const demoData = Buffer.from(
-        `Sponsored content for ${userId}\n` +
-        `Size: ${fileSize} bytes (simulated)\n` +
-        `Sponsored by application treasury\n` +
-        `Timestamp: ${new Date().toISOString()}\n` +
-        `Free tier user - storage costs covered by treasury.\n` +
-        `Minimum upload size is 127 bytes.`
-    );
-
-    try {
-        const result = await treasury.storage.upload(demoData);
-
-        console.log("Upload successful (Treasury sponsored)");
-        console.log(`PieceCID: ${result.pieceCid}`);
-        console.log(`Payer: Treasury`);
-
-        USER_DATABASE[userId].storageUsed += fileSize;
-        console.log(`Updated usage: ${formatBytes(USER_DATABASE[userId].storageUsed)}`);
-
-    } catch (error) {
-        console.error("Sponsored upload failed:", error.message);
-    }
-}
-
-async function executeUserPaidUpload(userWallet, userId, fileSize, reason) {
-    console.log("Executing USER_PAID upload (User pays)...");
-    console.log(`Reason: ${reason}\n`);
-
-    const balance = await userWallet.payments.balance(TOKENS.USDFC);
-
-    if (balance === 0n) {
-        console.log("User has no funds in payment account.");
-        console.log("In production, prompt user to fund their account.");
-        return;
-    }
-
-    const demoData = Buffer.from(
-        `Premium content for ${userId}\n` +
-        `Size: ${fileSize} bytes (simulated)\n` +
-        `Paid by user wallet\n` +
-        `Timestamp: ${new Date().toISOString()}\n` +
-        `Pro/Enterprise tier - user paying directly for storage.\n` +
-        `Minimum upload size is 127 bytes.`
-    );
-
-    try {
-        const result = await userWallet.storage.upload(demoData);
-
-        console.log("Upload successful (User paid)");
-        console.log(`PieceCID: ${result.pieceCid}`);
-        console.log(`Payer: User Wallet`);
-
-        USER_DATABASE[userId].storageUsed += fileSize;
-        console.log(`Updated usage: ${formatBytes(USER_DATABASE[userId].storageUsed)}`);
-
-    } catch (error) {
-        console.error("User-paid upload failed:", error.message);
-    }
-}
-
-function handleBlockedUpload(userId, reason) {
+function handleBlockedUpload(reason) {
     console.log("Upload BLOCKED");
     console.log(`Reason: ${reason}\n`);
     console.log("User action required:");
@@ -231,14 +170,6 @@ function handleBlockedUpload(userId, reason) {
     console.log("\nIn production, display upgrade modal to user.");
 }
 
-function formatBytes(bytes) {
-    if (bytes === 0) return "0 Bytes";
-    const k = 1024;
-    const sizes = ["Bytes", "KB", "MB", "GB", "TB"];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
-}
-
 main().catch((err) => {
     console.error("Error:", err.message);
     process.exit(1);
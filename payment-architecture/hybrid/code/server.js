@@ -0,0 +1,160 @@
+import express from 'express';
+import { SIZE_CONSTANTS } from '@filoz/synapse-sdk';
+import { basename } from 'path';
+import {
+    createSynapse,
+    openRoutingPolicy,
+    openRoutingStore,
+    getRoutingUser,
+    listRoutingUsers,
+    listRoutingRequests,
+    upsertUser,
+    evaluateRoute,
+    routeUpload
+} from 'filecoin-shared';
+
+/**
+ * Hybrid Payment Router - HTTP API
+ *
+ * Usage: node server.js   (PORT, default 3000)
+ *
+ *   GET  /policy                    The routing rules in force
+ *   PUT  /users/:userId             Create or update a user (JSON: email, tier,
+ *                                   storageLimit, storageUsed, walletConnected)
+ *   GET  /users/:userId             A user and their latest routing decisions
+ *   POST /route                     Decide without uploading (JSON: userId, size,
+ *                                   filename, contentType)
+ *   POST /uploads?userId=<id>       Upload the request body through the chosen
+ *                                   payer (X-Filename or ?filename names it)
+ *   GET  /requests?userId=<id>      Routing decisions, newest first
+ *
+ * Uploads answer 201 when stored, 402 when blocked (the user must connect a
+ * wallet or upgrade) and 502 when the chosen payer's upload failed. Every
+ * upload request is recorded with its decision and reason in routing.db.
+ *
+ * The treasury signs with PRIVATE_KEY. Users with walletConnected pay with
+ * USER_PRIVATE_KEY (default: the same key) - in production their uploads
+ * would be signed by the wallet they connected in the browser.
+ */
+
+const app = express();
+const PORT = process.env.PORT || 3000;
+const MAX_UPLOAD_BYTES = Number(process.env.ROUTER_MAX_UPLOAD_MB || 100) * 1024 * 1024;
+
+const policy = openRoutingPolicy();
+const store = openRoutingStore();
+
+let treasury = null;
+let userWallet = null;
+
+async function initializeWallets() {
+    if (treasury) return;
+
+    treasury = await createSynapse();
+    userWallet = process.env.USER_PRIVATE_KEY
+        ? await createSynapse({ privateKey: process.env.USER_PRIVATE_KEY })
+        : treasury;
+
+    console.log('✓ Treasury and user wallets initialized');
+}
+
+function publicUser(userId) {
+    const user = getRoutingUser(store, userId);
+    return user ? { userId, ...user, remaining: Math.max(0, user.storageLimit - user.storageUsed) } : null;
+}
+
+app.get('/policy', (req, res) => {
+    res.json({ path: policy.path, rules: policy.rules });
+});
+
+app.put('/users/:userId', express.json(), (req, res) => {
+    const { email, tier, storageLimit, storageUsed, walletConnected } = req.body ?? {};
+    const fields = Object.fromEntries(Object.entries({ email, tier, storageLimit, storageUsed, walletConnected })
+        .filter(([, value]) => value !== undefined));
+    try {
+        upsertUser(store, req.params.userId, fields);
+        res.json(publicUser(req.params.userId));
+    } catch (error) {
+        res.status(400).json({ error: 'Invalid user', message: error.message });
+    }
+});
+
+app.get('/users/:userId', (req, res) => {
+    const user = publicUser(req.params.userId);
+    if (!user) {
+        return res.status(404).json({ error: 'Unknown user' });
+    }
+    const requests = listRoutingRequests(store, { userId: req.params.userId, limit: 10 });
+    res.json({ ...user, requests });
+});
+
+app.post('/route', express.json(), (req, res) => {
+    const { userId, size, filename, contentType } = req.body ?? {};
+    const user = userId === undefined ? null : getRoutingUser(store, userId);
+    if (!user) {
+        return res.status(404).json({ error: 'Unknown user' });
+    }
+    if (!(Number.isInteger(size) && size > 0)) {
+        return res.status(400).json({ error: 'Invalid size', message: 'Send the upload size in bytes' });
+    }
+    res.json(evaluateRoute(policy, { user, size, filename, contentType }));
+});
+
+app.post('/uploads', express.raw({ type: () => true, limit: MAX_UPLOAD_BYTES }), async (req, res) => {
+    const userId = req.query.userId || req.get('x-user-id');
+    const name = req.get('x-filename') ? decodeURIComponent(req.get('x-filename')) : req.query.filename;
+
+    if (!userId) {
+        return res.status(400).json({ error: 'Missing user', message: 'Pass ?userId= or an X-User-Id header' });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length < SIZE_CONSTANTS.MIN_UPLOAD_SIZE) {
+        return res.status(400).json({
+            error: 'Upload too small',
+            message: `Send at least ${SIZE_CONSTANTS.MIN_UPLOAD_SIZE} bytes as the request body`
+        });
+    }
+
+    console.log(`\n📤 Upload request from ${userId}: ${name || 'unnamed'} (${req.body.length} bytes)`);
+
+    try {
+        await initializeWallets();
+
+        const record = await routeUpload({
+            policy,
+            store,
+            treasury,
+            userWallet: async (id, user) => (user.walletConnected ? userWallet : null)
+        }, {
+            userId,
+            data: req.body,
+            filename: name ? basename(name) : undefined,
+            contentType: req.get('content-type')
+        });
+
+        console.log(`   Decision: ${record.path} (${record.rule ?? 'no rule'}) - ${record.reason}`);
+        if (record.status === 'uploaded') {
+            console.log(`   ✓ Stored as ${record.pieceCid}, paid by ${record.payer}`);
+            res.status(201).json(record);
+        } else if (record.status === 'blocked') {
+            res.status(402).json(record);
+        } else {
+            console.error(`   ❌ Upload failed: ${record.error}`);
+            res.status(502).json(record);
+        }
+    } catch (error) {
+        console.error('   ❌ Routing failed:', error.message);
+        res.status(500).json({ error: 'Routing failed', message: error.message });
+    }
+});
+
+app.get('/requests', (req, res) => {
+    const limit = Math.min(Number(req.query.limit) || 50, 500);
+    const requests = listRoutingRequests(store, { userId: req.query.userId || undefined, limit });
+    res.json({ requests });
+});
+
+app.listen(PORT, () => {
+    console.log(`\n🚦 Hybrid payment router on http://localhost:${PORT}`);
+    console.log(`   Policy: ${policy.path} (${policy.rules.length} rules)`);
+    console.log(`   Store: ${store.path} (${listRoutingUsers(store).length} users)\n`);
+});
@@ -1,9 +1,5 @@
-import dotenv from 'dotenv';
-import { Synapse, TOKENS } from '@filoz/synapse-sdk';
-
-// Load .env.local first (if it exists), then .env
-dotenv.config({ path: '.env.local' });
-dotenv.config();
+import { TOKENS } from '@filoz/synapse-sdk';
+import { createSynapse, checkReadiness, PREFLIGHT_FAILURES, openManifest, recordUpload } from 'filecoin-shared';
 
 /**
  * User-Pays Architecture Demo
@@ -17,15 +13,7 @@ async function main() {
     console.log("The application facilitates operations but never handles funds.\n");
 
     // Step 1: Connect to User Wallet
-    const userPrivateKey = process.env.PRIVATE_KEY;
-    if (!userPrivateKey) {
-        throw new Error("Missing PRIVATE_KEY in .env file");
-    }
-
-    const synapse = await Synapse.create({
-        privateKey: userPrivateKey,
-        rpcURL: "https://api.calibration.node.glif.io/rpc/v1"
-    });
+    const synapse = await createSynapse();
 
     console.log("=== Step 1: SDK Initialized ===");
     console.log("SDK connected with user's wallet credentials.");
@@ -34,13 +22,16 @@ async function main() {
     // Step 2: Check Payment Account Balance
     console.log("=== Step 2: Payment Account Balance ===");
 
-    const paymentBalance = await synapse.payments.balance(TOKENS.USDFC);
+    const readiness = await checkReadiness(synapse);
+    const failed = (...codes) => readiness.failures.some(failure => codes.includes(failure.code));
+
+    const paymentBalance = readiness.paymentAccount.availableFunds;
     const balanceFormatted = Number(paymentBalance) / 1e18;
 
     console.log(`Payment Account Balance: ${paymentBalance.toString()} (raw units)`);
     console.log(`Formatted: ${balanceFormatted.toFixed(4)} USDFC`);
 
-    if (paymentBalance === 0n) {
+    if (failed(PREFLIGHT_FAILURES.NO_PAYMENT_BALANCE)) {
         console.log("\nUser has no funds in their payment account.");
         console.log("Please run the payment-management tutorial first to fund your account.");
         process.exit(1);
@@ -51,15 +42,18 @@ async function main() {
     // Step 3: Verify Operator Approval
     console.log("=== Step 3: Operator Approval ===");
 
-    const operatorAddress = synapse.getWarmStorageAddress();
-    const approval = await synapse.payments.serviceApproval(operatorAddress, TOKENS.USDFC);
+    const approval = readiness.operator;
 
-    console.log(`Storage Operator: ${operatorAddress}`);
+    console.log(`Storage Operator: ${approval.address}`);
     console.log(`Approved: ${approval.isApproved}`);
     console.log(`Rate Allowance: ${approval.rateAllowance.toString()}`);
     console.log(`Lockup Allowance: ${approval.lockupAllowance.toString()}`);
 
-    if (!approval.isApproved || approval.rateAllowance === 0n || approval.lockupAllowance === 0n) {
+    if (failed(
+        PREFLIGHT_FAILURES.OPERATOR_NOT_APPROVED,
+        PREFLIGHT_FAILURES.NO_RATE_ALLOWANCE,
+        PREFLIGHT_FAILURES.NO_LOCKUP_ALLOWANCE
+    )) {
         console.log("\nStorage operator is not approved to charge this user.");
         console.log("Please run the payment-management tutorial first.");
         process.exit(1);
@@ -82,14 +76,17 @@ async function main() {
     console.log("(This may take 30-60 seconds)\n");
 
     try {
-        const result = await synapse.storage.upload(sampleData);
+        const context = await synapse.storage.createContext();
+        const result = await synapse.storage.upload(sampleData, { context });
+
+        const manifest = openManifest();
+        recordUpload(manifest, { filename: 'user-pays-demo.txt', data: sampleData, result, context });
 
         console.log("Upload successful.");
         console.log(`PieceCID: ${result.pieceCid}`);
         console.log(`Size: ${result.size} bytes`);
-        if (result.provider) {
-            console.log(`Provider: ${result.provider}`);
-        }
+        console.log(`Provider: ${context.provider.serviceProvider}`);
+        console.log(`Recorded in ${manifest.path}`);
     } catch (error) {
         console.error("Upload failed:", error.message);
         process.exit(1);
@@ -1,12 +1,8 @@
-import dotenv from 'dotenv';
-import { Synapse, TOKENS, TIME_CONSTANTS } from '@filoz/synapse-sdk';
+import { TOKENS, TIME_CONSTANTS } from '@filoz/synapse-sdk';
+import { createSynapse } from 'filecoin-shared';
 import { ethers } from 'ethers';
 import nodemailer from 'nodemailer';
 
-// Load environment
-dotenv.config({ path: '.env.local' });
-dotenv.config();
-
 // Configurable thresholds
 const LOW_BALANCE_THRESHOLD = parseFloat(process.env.LOW_BALANCE_THRESHOLD || "1.0");
 const CRITICAL_BALANCE_THRESHOLD = parseFloat(process.env.CRITICAL_BALANCE_THRESHOLD || "0.1");
@@ -37,10 +33,7 @@ async function main() {
     // ========================================================================
     console.log("=== Step 1: SDK Initialization ===\n");
 
-    const synapse = await Synapse.create({
-        privateKey: process.env.PRIVATE_KEY,
-        rpcURL: process.env.RPC_URL || "https://api.calibration.node.glif.io/rpc/v1"
-    });
+    const synapse = await createSynapse();
 
     console.log("✓ SDK initialized\n");
 
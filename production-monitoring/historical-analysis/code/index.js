@@ -1,11 +1,7 @@
-import dotenv from 'dotenv';
-import { Synapse, SubgraphService, TOKENS, TIME_CONSTANTS, epochToDate } from '@filoz/synapse-sdk';
+import { SubgraphService, TOKENS, TIME_CONSTANTS, epochToDate } from '@filoz/synapse-sdk';
+import { createSynapse } from 'filecoin-shared';
 import { ethers } from 'ethers';
 
-// Load environment
-dotenv.config({ path: '.env.local' });
-dotenv.config();
-
 // Configure Subgraph Service
 // You can use a direct endpoint URL or Goldsky configuration
 const SUBGRAPH_ENDPOINT = process.env.SUBGRAPH_ENDPOINT || "https://api.goldsky.com/api/public/project_clqv.../subgraphs/filecoin-stats/v1.0.0/gn";
@@ -31,10 +27,7 @@ async function main() {
     // ========================================================================
     console.log("=== Step 1: Initialization ===\n");
 
-    const synapse = await Synapse.create({
-        privateKey: process.env.PRIVATE_KEY,
-        rpcURL: process.env.RPC_URL || "https://api.calibration.node.glif.io/rpc/v1"
-    });
+    const synapse = await createSynapse();
 
     // Initialize Subgraph Service
     // The SDK handles the GraphQL connection and query logic
@@ -1,11 +1,7 @@
-import dotenv from 'dotenv';
-import { Synapse, TOKENS, TIME_CONSTANTS } from '@filoz/synapse-sdk';
+import { TOKENS, TIME_CONSTANTS } from '@filoz/synapse-sdk';
+import { createSynapse, resolveConfig, estimateStorageCost, formatUSDFC } from 'filecoin-shared';
 import { ethers } from 'ethers';
 
-// Load environment
-dotenv.config({ path: '.env.local' });
-dotenv.config();
-
 /**
  * Real-Time Proof Monitoring
  * 
@@ -27,13 +23,11 @@ async function main() {
     // ========================================================================
     console.log("=== Step 1: SDK Initialization ===\n");
 
-    const synapse = await Synapse.create({
-        privateKey: process.env.PRIVATE_KEY,
-        rpcURL: process.env.RPC_URL || "https://api.calibration.node.glif.io/rpc/v1"
-    });
+    const config = resolveConfig();
+    const synapse = await createSynapse();
 
     console.log("✓ SDK initialized successfully");
-    console.log(`  Connected to: Filecoin Calibration Testnet\n`);
+    console.log(`  Connected to: ${config.networkName}\n`);
 
     // ========================================================================
     // Step 2: Get Core Contract Addresses
@@ -61,10 +55,11 @@ async function main() {
             console.log(`  Provider Address: ${storageInfo.providerAddress}`);
         }
 
-        if (storageInfo.pricePerBytePerEpoch) {
-            const pricePerGB = Number(storageInfo.pricePerBytePerEpoch) * 1024 * 1024 * 1024;
-            console.log(`  Price per GB/epoch: ${pricePerGB.toExponential(4)} USDFC`);
-        }
+        console.log(`  Price per TiB/month: ${formatUSDFC(storageInfo.pricing.noCDN.perTiBPerMonth)} USDFC`);
+
+        // What 1 GiB would cost, priced the same way as an upload
+        const estimate = await estimateStorageCost(synapse, { sizes: [1024 * 1024 * 1024], budget: null, caps: null });
+        console.log(`  1 GiB: ${formatUSDFC(estimate.ratePerEpoch)}/epoch, ${formatUSDFC(estimate.ratePerMonth)}/month`);
 
         if (storageInfo.minPieceSizeBytes) {
             console.log(`  Min Piece Size: ${storageInfo.minPieceSizeBytes} bytes`);
@@ -206,8 +201,8 @@ async function main() {
     const monitorStatus = {
         timestamp: new Date().toISOString(),
         network: {
-            name: 'Calibration Testnet',
-            rpc: process.env.RPC_URL || "https://api.calibration.node.glif.io/rpc/v1"
+            name: config.networkName,
+            rpc: config.rpcURL
         },
         contracts: {
             warmStorage: warmStorageAddress
@@ -0,0 +1,199 @@
+import { TOKENS } from '@filoz/synapse-sdk';
+import { ethers } from 'ethers';
+import { formatUSDFC } from './format.js';
+import { DEFAULT_LOG_WINDOW_EPOCHS, DEFAULT_LOG_LOOKBACK_EPOCHS } from './datasets.js';
+import { budgetAllowances } from './budget.js';
+
+/**
+ * Operator Allowances
+ *
+ * An operator (such as Warm Storage) can only create payment rails from
+ * this account, and set their rates and lockups, within the allowances it
+ * was approved for. The usage counters grow as rails are created and
+ * shrink as they end:
+ *
+ *   const approval = await getOperatorApproval(synapse, operator);
+ *   // rateAllowance, rateUsed, lockupAllowance, lockupUsed, maxLockupPeriod,
+ *   // rateUsage, lockupUsage (fractions, null when unlimited), warnings
+ *
+ *   await setOperatorApproval(synapse, operator, { rateAllowance, lockupAllowance, maxLockupPeriod });
+ *   await revokeOperator(synapse, operator);
+ *   const operators = await listOperators(synapse);
+ *
+ * The payments contract can't enumerate approvals, so listOperators()
+ * checks Warm Storage, the operators of this wallet's rails and any
+ * operator whose approval changed within the lookback window.
+ */
+
+export const DEFAULT_USAGE_WARNING = 0.8;
+
+const APPROVAL_EVENTS_ABI = [
+    'event OperatorApprovalUpdated(address indexed token, address indexed client, address indexed operator, bool approved, uint256 rateAllowance, uint256 lockupAllowance, uint256 maxLockupPeriod)'
+];
+
+// Share of an allowance in use, or null when it's unlimited
+function usage(used, allowance) {
+    if (allowance === ethers.MaxUint256) {
+        return null;
+    }
+    if (allowance === 0n) {
+        return used > 0n ? 1 : 0;
+    }
+    return Number((used * 10000n) / allowance) / 10000;
+}
+
+/**
+ * Add usage shares and warnings to a serviceApproval() result. Usage at
+ * or above `warnAt` (default 80%) of an allowance is a warning; so is an
+ * unlimited allowance, since nothing then bounds what the operator charges.
+ */
+export function describeApproval(operator, approval, options = {}) {
+    const warnAt = options.warnAt ?? DEFAULT_USAGE_WARNING;
+    const rateUsage = usage(approval.rateUsed, approval.rateAllowance);
+    const lockupUsage = usage(approval.lockupUsed, approval.lockupAllowance);
+
+    const warnings = [];
+    if (approval.isApproved) {
+        if (rateUsage === null || lockupUsage === null) {
+            warnings.push('Unlimited allowance: only your balance limits what this operator can commit');
+        }
+        if (rateUsage !== null && rateUsage >= warnAt) {
+            warnings.push(`Rate allowance ${(rateUsage * 100).toFixed(0)}% used ` +
+                `(${formatUSDFC(approval.rateUsed)} of ${formatUSDFC(approval.rateAllowance)}/epoch)`);
+        }
+        if (lockupUsage !== null && lockupUsage >= warnAt) {
+            warnings.push(`Lockup allowance ${(lockupUsage * 100).toFixed(0)}% used ` +
+                `(${formatUSDFC(approval.lockupUsed)} of ${formatUSDFC(approval.lockupAllowance)})`);
+        }
+    } else if (approval.rateUsed > 0n || approval.lockupUsed > 0n) {
+        warnings.push('Revoked, but rails it created are still charging this account');
+    }
+
+    return {
+        operator,
+        isApproved: approval.isApproved,
+        rateAllowance: approval.rateAllowance,
+        rateUsed: approval.rateUsed,
+        lockupAllowance: approval.lockupAllowance,
+        lockupUsed: approval.lockupUsed,
+        maxLockupPeriod: approval.maxLockupPeriod,
+        rateUsage,
+        lockupUsage,
+        warnings
+    };
+}
+
+/**
+ * An operator address, or "warm-storage" for the Warm Storage operator.
+ */
+export function resolveOperator(synapse, ref) {
+    if (ref === 'warm-storage') {
+        return synapse.getWarmStorageAddress();
+    }
+    if (!ethers.isAddress(ref)) {
+        throw new Error(`Invalid operator "${ref}" (expected an address or "warm-storage")`);
+    }
+    return ethers.getAddress(ref);
+}
+
+export async function getOperatorApproval(synapse, operator, options = {}) {
+    const approval = await synapse.payments.serviceApproval(operator, TOKENS.USDFC);
+    return describeApproval(ethers.getAddress(operator), approval, options);
+}
+
+// Operators whose approval for this wallet changed in the last lookbackEpochs
+async function approvedInLogs(synapse, options) {
+    const windowEpochs = options.windowEpochs ?? DEFAULT_LOG_WINDOW_EPOCHS;
+    const lookbackEpochs = options.lookbackEpochs ?? DEFAULT_LOG_LOOKBACK_EPOCHS;
+
+    const provider = synapse.getProvider();
+    const payments = new ethers.Contract(synapse.getPaymentsAddress(), APPROVAL_EVENTS_ABI, provider);
+    const client = await synapse.getClient().getAddress();
+    const eventFilter = payments.filters.OperatorApprovalUpdated(null, client);
+
+    const operators = new Set();
+    const head = await provider.getBlockNumber();
+    const oldest = Math.max(0, head - lookbackEpochs);
+    for (let to = head; to >= oldest; to -= windowEpochs) {
+        const from = Math.max(oldest, to - windowEpochs + 1);
+        for (const log of await payments.queryFilter(eventFilter, from, to)) {
+            operators.add(log.args.operator);
+        }
+    }
+    return operators;
+}
+
+/**
+ * Every known operator with an approval or usage on this account, Warm
+ * Storage first. Options: operators (extra addresses to check), warnAt,
+ * lookbackEpochs and windowEpochs for the log scan.
+ */
+export async function listOperators(synapse, options = {}) {
+    const rails = await synapse.payments.getRailsAsPayer(TOKENS.USDFC);
+    const railOperators = await Promise.all(rails
+        .filter(rail => !rail.isTerminated)
+        .map(async rail => (await synapse.payments.getRail(rail.railId)).operator));
+
+    const candidates = new Set([
+        synapse.getWarmStorageAddress(),
+        ...(options.operators ?? []),
+        ...railOperators,
+        ...await approvedInLogs(synapse, options)
+    ].map(address => ethers.getAddress(address)));
+
+    const approvals = await Promise.all([...candidates].map(operator => getOperatorApproval(synapse, operator, options)));
+    return approvals.filter(approval => approval.isApproved ||
+        approval.rateAllowance > 0n || approval.lockupAllowance > 0n ||
+        approval.rateUsed > 0n || approval.lockupUsed > 0n);
+}
+
+/**
+ * Approve `operator` with specific allowances, then read the approval
+ * back. Allowances default to those derived from the spend caps (see
+ * budget.js). Setting them below current usage is allowed but blocks the
+ * operator from creating or growing rails until usage drops, which
+ * `warnings` points out.
+ */
+export async function setOperatorApproval(synapse, operator, allowances = {}, options = {}) {
+    const defaults = budgetAllowances();
+    const rateAllowance = allowances.rateAllowance ?? defaults.rateAllowance;
+    const lockupAllowance = allowances.lockupAllowance ?? defaults.lockupAllowance;
+    const maxLockupPeriod = allowances.maxLockupPeriod ?? defaults.maxLockupPeriod;
+
+    const tx = await synapse.payments.approveService(operator, rateAllowance, lockupAllowance, maxLockupPeriod, TOKENS.USDFC);
+    options.onSubmitted?.(tx.hash);
+    const receipt = await tx.wait();
+
+    const approval = await getOperatorApproval(synapse, operator, options);
+    if (approval.rateUsed > rateAllowance || approval.lockupUsed > lockupAllowance) {
+        approval.warnings.push('Below current usage: the operator cannot add storage until usage drops');
+    }
+
+    return {
+        transaction: tx.hash,
+        blockNumber: receipt.blockNumber,
+        approval,
+        confirmed: approval.isApproved &&
+            approval.rateAllowance === rateAllowance &&
+            approval.lockupAllowance === lockupAllowance &&
+            approval.maxLockupPeriod === maxLockupPeriod
+    };
+}
+
+/**
+ * Revoke `operator`. It can no longer create rails or raise their rates,
+ * but rails it already created keep charging until they are terminated.
+ */
+export async function revokeOperator(synapse, operator, options = {}) {
+    const tx = await synapse.payments.revokeService(operator, TOKENS.USDFC);
+    options.onSubmitted?.(tx.hash);
+    const receipt = await tx.wait();
+
+    const approval = await getOperatorApproval(synapse, operator, options);
+    return {
+        transaction: tx.hash,
+        blockNumber: receipt.blockNumber,
+        approval,
+        confirmed: !approval.isApproved
+    };
+}
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { createSynapse } from '../client.js';
+import { toJSON } from '../format.js';
+import { COMMANDS } from '../commands/index.js';
+
+/**
+ * foc - Filecoin Onchain Cloud storage CLI
+ *
+ * Wraps the walkthrough operations (upload, download, verify, balances,
+ * deposits, rails, data sets) in one command that reads the same
+ * environment as every walkthrough (see shared/config.js).
+ *
+ * With --json, each command prints a single JSON document on stdout.
+ * Token amounts and epochs are written as base-unit decimal strings.
+ */
+
+const GLOBAL_OPTIONS = {
+    json: { type: 'boolean', default: false },
+    network: { type: 'string' },
+    'rpc-url': { type: 'string' },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+function printUsage() {
+    console.log('Usage: foc <command> [options]\n');
+    console.log('Commands:');
+    for (const command of new Set(Object.values(COMMANDS))) {
+        console.log(`  ${command.usage.padEnd(50)} ${command.description}`);
+    }
+    console.log('\nGlobal options:');
+    console.log('  --json               Print machine-readable JSON');
+    console.log('  --network <name>     calibration | mainnet | devnet (default: FILECOIN_NETWORK)');
+    console.log('  --rpc-url <url>      Override the RPC endpoint (default: RPC_URL)');
+    console.log('  -h, --help           Show this help');
+}
+
+async function main() {
+    const [name, ...rest] = process.argv.slice(2);
+
+    if (!name || name === '--help' || name === '-h' || name === 'help') {
+        printUsage();
+        return;
+    }
+
+    const command = COMMANDS[name];
+    if (!command) {
+        throw new Error(`Unknown command "${name}". Run "foc --help" for a list of commands.`);
+    }
+
+    const { values, positionals } = parseArgs({
+        args: rest,
+        options: { ...GLOBAL_OPTIONS, ...command.options },
+        allowPositionals: true
+    });
+
+    if (values.help) {
+        console.log(`Usage: foc ${command.usage}\n\n${command.description}`);
+        return;
+    }
+
+    // A last argument named "...name" takes one or more values
+    const variadic = command.args.at(-1)?.startsWith('...');
+    if (variadic ? positionals.length < command.args.length : positionals.length !== command.args.length) {
+        throw new Error(`Usage: foc ${command.usage}`);
+    }
+
+    const synapse = command.offline
+        ? null
+        : await createSynapse({ network: values.network, rpcURL: values['rpc-url'] });
+    const result = await command.run(synapse, positionals, values);
+
+    if (values.json) {
+        console.log(toJSON(result));
+    } else {
+        command.print(result);
+    }
+
+    if (result?.ok === false) {
+        process.exitCode = 1;
+    }
+}
+
+main().catch((err) => {
+    if (process.argv.includes('--json')) {
+        console.log(toJSON({ error: err.message }));
+    } else {
+        console.error(`Error: ${err.message}`);
+    }
+    process.exit(1);
+});
@@ -0,0 +1,157 @@
+import { TOKENS, TIME_CONSTANTS, getCurrentEpoch } from '@filoz/synapse-sdk';
+import { ethers } from 'ethers';
+import { formatUSDFC } from './format.js';
+
+/**
+ * Budget Guardrails
+ *
+ * Spend caps a team declares for its payment account, enforced twice: on
+ * chain, as the finite operator allowances derived from them, and locally,
+ * by refusing uploads and deposits whose projected spend would break them.
+ *
+ *   BUDGET_DAILY_USDFC     Most the account may spend per day
+ *   BUDGET_MONTHLY_USDFC   Most it may spend per 30 days (default: 10)
+ *   BUDGET_MAX_RATE_USDFC  Most it may be charged per epoch
+ *
+ *   const caps = resolveSpendCaps();
+ *   const { rateAllowance, lockupAllowance, maxLockupPeriod } = budgetAllowances(caps);
+ *   await synapse.payments.depositWithPermitAndApproveOperator(amount, operator,
+ *       rateAllowance, lockupAllowance, maxLockupPeriod);
+ *
+ *   await assertSpendAllowed(synapse, { action: 'Deposit' });
+ *
+ * Storage is paid by the epoch, so spend is projected from the account's
+ * lockup rate (every active rail) plus terminated rails still paying out
+ * until their end epoch. Amounts are bigints in USDFC base units.
+ */
+
+export const DEFAULT_MONTHLY_CAP_USDFC = '10';
+
+function parseCap(value, name) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const amount = typeof value === 'bigint' ? value : ethers.parseUnits(String(value), 18);
+    if (amount <= 0n) {
+        throw new Error(`${name} must be greater than 0`);
+    }
+    return amount;
+}
+
+/**
+ * The effective spend caps. Overrides (USDFC strings or base-unit bigints)
+ * win over the environment; without any cap the monthly default applies,
+ * so allowances derived from it are always finite.
+ */
+export function resolveSpendCaps(overrides = {}) {
+    const caps = {
+        daily: parseCap(overrides.daily ?? process.env.BUDGET_DAILY_USDFC, 'BUDGET_DAILY_USDFC'),
+        monthly: parseCap(overrides.monthly ?? process.env.BUDGET_MONTHLY_USDFC, 'BUDGET_MONTHLY_USDFC'),
+        maxRatePerEpoch: parseCap(overrides.maxRatePerEpoch ?? process.env.BUDGET_MAX_RATE_USDFC, 'BUDGET_MAX_RATE_USDFC')
+    };
+    if (caps.daily === null && caps.monthly === null && caps.maxRatePerEpoch === null) {
+        caps.monthly = ethers.parseUnits(DEFAULT_MONTHLY_CAP_USDFC, 18);
+    }
+    return caps;
+}
+
+/**
+ * The highest storage rate (per epoch) that stays within every cap.
+ */
+export function capRatePerEpoch(caps) {
+    const limits = [
+        caps.maxRatePerEpoch,
+        caps.daily !== null ? caps.daily / TIME_CONSTANTS.EPOCHS_PER_DAY : null,
+        caps.monthly !== null ? caps.monthly / TIME_CONSTANTS.EPOCHS_PER_MONTH : null
+    ].filter(limit => limit !== null);
+    return limits.reduce((lowest, limit) => (limit < lowest ? limit : lowest));
+}
+
+/**
+ * Finite operator allowances for depositWithPermitAndApproveOperator() or
+ * approveService(): the operator may charge at most the capped rate, and
+ * lock up at most that rate for one lockup period.
+ */
+export function budgetAllowances(caps = resolveSpendCaps(), options = {}) {
+    const maxLockupPeriod = options.lockupPeriod ?? TIME_CONSTANTS.EPOCHS_PER_MONTH;
+    const rateAllowance = capRatePerEpoch(caps);
+    return {
+        rateAllowance,
+        lockupAllowance: rateAllowance * maxLockupPeriod,
+        maxLockupPeriod
+    };
+}
+
+/**
+ * What the account is set to spend over the next day and month.
+ *
+ * accountInfo.lockupRate covers every active rail. Terminated rails are no
+ * longer in it but keep paying until their end epoch, so they are added
+ * for the part of each window they still run.
+ */
+export async function projectSpend(synapse) {
+    const [accountInfo, rails, currentEpoch] = await Promise.all([
+        synapse.payments.accountInfo(TOKENS.USDFC),
+        synapse.payments.getRailsAsPayer(TOKENS.USDFC),
+        getCurrentEpoch(synapse.getProvider())
+    ]);
+
+    const ending = await Promise.all(rails
+        .filter(rail => rail.isTerminated && BigInt(rail.endEpoch) > currentEpoch)
+        .map(async (rail) => ({
+            railId: rail.railId,
+            endEpoch: BigInt(rail.endEpoch),
+            paymentRate: (await synapse.payments.getRail(rail.railId)).paymentRate
+        })));
+
+    const over = (epochs) => ending.reduce((total, rail) => {
+        const remaining = rail.endEpoch - currentEpoch;
+        return total + rail.paymentRate * (remaining < epochs ? remaining : epochs);
+    }, accountInfo.lockupRate * epochs);
+
+    return {
+        currentEpoch,
+        ratePerEpoch: accountInfo.lockupRate,
+        ending,
+        daily: over(TIME_CONSTANTS.EPOCHS_PER_DAY),
+        monthly: over(TIME_CONSTANTS.EPOCHS_PER_MONTH)
+    };
+}
+
+/**
+ * Compare a projection, plus `additionalRate` per epoch for a new upload,
+ * against the caps. Returns { ok, ratePerEpoch, daily, monthly, problems }.
+ */
+export function checkSpendCaps(projection, caps, options = {}) {
+    const additionalRate = options.additionalRate ?? 0n;
+    const ratePerEpoch = projection.ratePerEpoch + additionalRate;
+    const daily = projection.daily + additionalRate * TIME_CONSTANTS.EPOCHS_PER_DAY;
+    const monthly = projection.monthly + additionalRate * TIME_CONSTANTS.EPOCHS_PER_MONTH;
+
+    const problems = [];
+    if (caps.maxRatePerEpoch !== null && ratePerEpoch > caps.maxRatePerEpoch) {
+        problems.push(`Rate would be ${formatUSDFC(ratePerEpoch)}/epoch, above the ${formatUSDFC(caps.maxRatePerEpoch)}/epoch cap`);
+    }
+    if (caps.daily !== null && daily > caps.daily) {
+        problems.push(`Projected spend is ${formatUSDFC(daily)}/day, above the ${formatUSDFC(caps.daily)} daily cap`);
+    }
+    if (caps.monthly !== null && monthly > caps.monthly) {
+        problems.push(`Projected spend is ${formatUSDFC(monthly)}/month, above the ${formatUSDFC(caps.monthly)} monthly cap`);
+    }
+
+    return { ok: problems.length === 0, ratePerEpoch, daily, monthly, problems };
+}
+
+/**
+ * Throw before `action` (e.g. 'Deposit', 'Upload') if the account's
+ * projected spend, with `additionalRate` added, breaks a cap. Returns the
+ * check otherwise.
+ */
+export async function assertSpendAllowed(synapse, options = {}) {
+    const caps = options.caps ?? resolveSpendCaps();
+    const check = checkSpendCaps(await projectSpend(synapse), caps, options);
+    if (!check.ok) {
+        throw new Error(`${options.action ?? 'Operation'} blocked by spend caps: ${check.problems.join('; ')}`);
+    }
+    return check;
+}
@@ -0,0 +1,349 @@
+import { createReadStream } from 'fs';
+import { open } from 'fs/promises';
+import { createHash } from 'crypto';
+import path from 'path';
+import { SIZE_CONSTANTS } from '@filoz/synapse-sdk';
+import { recordUpload, findByHash, sha256 } from './manifest.js';
+import { runUploadQueue } from './queue.js';
+import { encodeJSON, downloadPayload, decodeJSON } from './framing.js';
+
+/**
+ * Chunked Uploads with Deduplication
+ *
+ * Uploading a large file as one piece means a small edit costs the full
+ * size again. Chunked mode splits the file with content-defined chunking:
+ * chunk boundaries are picked by a rolling hash over the content, not at
+ * fixed offsets, so inserting or removing bytes only changes the chunks
+ * around the edit - everything after it splits exactly as before.
+ *
+ * Each chunk is its own piece. Chunks whose bytes are already recorded in
+ * the local manifest (from an earlier version of the file, or another file
+ * entirely) are reused instead of uploaded. A root manifest piece then lists
+ * the chunks in order:
+ *
+ *   { format: 'chunked-file', version: 1, filename, size, sha256,
+ *     chunking: { algorithm, minSize, avgSize, maxSize },
+ *     chunks: [{ pieceCid, offset, size, sha256 }] }
+ *
+ * The root's PieceCID is what you keep; downloadChunkedFile() fetches the
+ * chunks, checks each one's SHA-256 and the whole file's, and writes them
+ * out in order.
+ *
+ * Boundaries depend on the chunking parameters, so files only deduplicate
+ * against chunks produced with the same parameters.
+ */
+
+export const CHUNKED_FILE_FORMAT = 'chunked-file';
+const CHUNKED_FILE_VERSION = 1;
+const CHUNKING_ALGORITHM = 'gear-cdc';
+
+export const DEFAULT_MIN_CHUNK_SIZE = 256 * 1024;
+export const DEFAULT_AVG_CHUNK_SIZE = 1024 * 1024;
+export const DEFAULT_MAX_CHUNK_SIZE = 4 * 1024 * 1024;
+
+// Random value per byte for the rolling "gear" hash. Derived from SHA-256
+// rather than Math.random() so every run (and every machine) picks the same
+// boundaries - otherwise nothing would ever deduplicate.
+const GEAR = Array.from({ length: 256 }, (_, i) =>
+    createHash('sha256').update(`gear:${i}`).digest().readUInt32BE(0)
+);
+
+function chunkingParams(options = {}) {
+    const minSize = options.minSize ?? DEFAULT_MIN_CHUNK_SIZE;
+    const avgSize = options.avgSize ?? DEFAULT_AVG_CHUNK_SIZE;
+    const maxSize = options.maxSize ?? DEFAULT_MAX_CHUNK_SIZE;
+
+    if (!(minSize > 0 && minSize <= avgSize && avgSize <= maxSize)) {
+        throw new Error(`Invalid chunk sizes: need 0 < min (${minSize}) <= avg (${avgSize}) <= max (${maxSize})`);
+    }
+    return { algorithm: CHUNKING_ALGORITHM, minSize, avgSize, maxSize };
+}
+
+/**
+ * Incremental content-defined chunker. push() bytes as they arrive and get
+ * back the chunks completed so far; end() returns the final partial chunk.
+ */
+export function createChunker(options) {
+    const { minSize, avgSize, maxSize } = chunkingParams(options);
+
+    // A boundary is where the top log2(avgSize) bits of the hash are all
+    // zero, which happens about once every avgSize bytes past minSize.
+    const bits = Math.min(31, Math.max(1, Math.round(Math.log2(avgSize))));
+    const mask = (0xffffffff << (32 - bits)) >>> 0;
+
+    const buffer = Buffer.alloc(maxSize);
+    let length = 0;
+    let hash = 0;
+
+    function cut() {
+        const chunk = Buffer.from(buffer.subarray(0, length));
+        length = 0;
+        hash = 0;
+        return chunk;
+    }
+
+    return {
+        push(data) {
+            const chunks = [];
+            for (let i = 0; i < data.length; i++) {
+                buffer[length++] = data[i];
+                hash = ((hash << 1) + GEAR[data[i]]) >>> 0;
+
+                if ((length >= minSize && (hash & mask) === 0) || length === maxSize) {
+                    chunks.push(cut());
+                }
+            }
+            return chunks;
+        },
+        end() {
+            return length > 0 ? cut() : null;
+        }
+    };
+}
+
+/**
+ * Split an in-memory buffer into chunks.
+ */
+export function chunkBuffer(data, options) {
+    const chunker = createChunker(options);
+    const chunks = chunker.push(data);
+    const last = chunker.end();
+    return last ? [...chunks, last] : chunks;
+}
+
+// Pieces have a minimum size, so a tiny final chunk is zero-padded. The
+// root records each chunk's real size, which is all a reader keeps.
+function chunkPieceBytes(chunk) {
+    if (chunk.length >= SIZE_CONSTANTS.MIN_UPLOAD_SIZE) {
+        return chunk;
+    }
+    return Buffer.concat([chunk, Buffer.alloc(SIZE_CONSTANTS.MIN_UPLOAD_SIZE - chunk.length)]);
+}
+
+/**
+ * Stream a file through the chunker without holding it in memory.
+ *
+ * Returns { path, filename, size, sha256, chunking, chunks } where chunks
+ * are { index, offset, size, sha256, pieceSha256 }. pieceSha256 is the hash
+ * of the bytes actually uploaded (different only for a padded tiny chunk)
+ * and is what the manifest is searched by.
+ */
+export async function scanFile(filePath, options) {
+    const chunking = chunkingParams(options);
+    const chunker = createChunker(chunking);
+    const fileHash = createHash('sha256');
+    const chunks = [];
+    let offset = 0;
+
+    const addChunk = (chunk) => {
+        chunks.push({
+            index: chunks.length,
+            offset,
+            size: chunk.length,
+            sha256: sha256(chunk),
+            pieceSha256: sha256(chunkPieceBytes(chunk))
+        });
+        offset += chunk.length;
+    };
+
+    for await (const data of createReadStream(filePath, { highWaterMark: 1024 * 1024 })) {
+        fileHash.update(data);
+        chunker.push(data).forEach(addChunk);
+    }
+    const last = chunker.end();
+    if (last) {
+        addChunk(last);
+    }
+
+    return {
+        path: path.resolve(filePath),
+        filename: path.basename(filePath),
+        size: offset,
+        sha256: fileHash.digest('hex'),
+        chunking,
+        chunks
+    };
+}
+
+/**
+ * Decide which chunks of a scanned file need uploading.
+ *
+ * Returns { scan, chunks, upload, reusedChunks, reusedBytes, uploadBytes }.
+ * Every chunk gets the `pieceCid` of an existing manifest entry with the
+ * same bytes, or null. `upload` holds one chunk per distinct missing
+ * content, so a chunk repeated within the file is uploaded once.
+ */
+export function planChunkedUpload(manifest, scan) {
+    const chunks = scan.chunks.map(chunk => {
+        const [existing] = findByHash(manifest, chunk.pieceSha256);
+        return { ...chunk, pieceCid: existing?.pieceCid ?? null };
+    });
+
+    const upload = [];
+    const queued = new Set();
+    for (const chunk of chunks) {
+        if (chunk.pieceCid === null && !queued.has(chunk.pieceSha256)) {
+            queued.add(chunk.pieceSha256);
+            upload.push(chunk);
+        }
+    }
+
+    const reused = chunks.filter(chunk => chunk.pieceCid !== null);
+    return {
+        scan,
+        chunks,
+        upload,
+        reusedChunks: reused.length,
+        reusedBytes: reused.reduce((sum, chunk) => sum + chunk.size, 0),
+        uploadBytes: upload.reduce((sum, chunk) => sum + chunk.size, 0)
+    };
+}
+
+async function readChunk(filePath, { offset, size }) {
+    const handle = await open(filePath, 'r');
+    try {
+        const chunk = Buffer.alloc(size);
+        const { bytesRead } = await handle.read(chunk, 0, size, offset);
+        if (bytesRead !== size) {
+            throw new Error(`${filePath} is shorter than when it was scanned`);
+        }
+        return chunk;
+    } finally {
+        await handle.close();
+    }
+}
+
+export function isChunkedRoot(value) {
+    return value?.format === CHUNKED_FILE_FORMAT && Array.isArray(value.chunks);
+}
+
+/**
+ * Upload the missing chunks of a plan (through the upload queue, so
+ * transient failures are retried), then the root manifest piece. Chunks
+ * and the root are recorded in the local manifest as they complete, so a
+ * failed run can simply be repeated: chunks that made it are reused.
+ *
+ * Options are passed to runUploadQueue(), plus:
+ *   onChunk   (chunk, entry) => void after each chunk upload
+ *   onError   (chunk, error) => void for each chunk that finally failed
+ *
+ * Resolves with { root, rootPieceCid, entry, uploaded, failed, summary }.
+ * If any chunk failed, no root is uploaded and root/rootPieceCid are null.
+ */
+export async function runChunkedUpload(context, manifest, plan, options = {}) {
+    const { onChunk, onError, ...queueOptions } = options;
+    const { scan } = plan;
+    const pieceCids = new Map(plan.chunks
+        .filter(chunk => chunk.pieceCid !== null)
+        .map(chunk => [chunk.pieceSha256, chunk.pieceCid]));
+
+    const { succeeded, deadLetter, summary } = await runUploadQueue(plan.upload, async (chunk) => {
+        const data = chunkPieceBytes(await readChunk(scan.path, chunk));
+        if (sha256(data) !== chunk.pieceSha256) {
+            throw new Error(`${scan.filename} changed since it was scanned (chunk ${chunk.index})`);
+        }
+
+        const result = await context.upload(data);
+        return recordUpload(manifest, {
+            filename: `${scan.filename}#${chunk.index}`,
+            data,
+            result,
+            context,
+            tags: { chunkOf: scan.filename, fileSha256: scan.sha256, offset: chunk.offset }
+        });
+    }, {
+        ...queueOptions,
+        onSuccess: (chunk, entry) => {
+            pieceCids.set(chunk.pieceSha256, entry.pieceCid);
+            onChunk?.(chunk, entry);
+        },
+        onDeadLetter: (chunk, error) => onError?.(chunk, error)
+    });
+
+    const uploaded = succeeded.map(({ result }) => result);
+    const failed = deadLetter.map(({ item, error, attempts }) => ({ ...item, error: error.message, attempts }));
+    if (failed.length > 0) {
+        return { root: null, rootPieceCid: null, entry: null, uploaded, failed, summary };
+    }
+
+    const root = {
+        format: CHUNKED_FILE_FORMAT,
+        version: CHUNKED_FILE_VERSION,
+        filename: scan.filename,
+        size: scan.size,
+        sha256: scan.sha256,
+        chunking: scan.chunking,
+        chunks: plan.chunks.map(chunk => ({
+            pieceCid: pieceCids.get(chunk.pieceSha256),
+            offset: chunk.offset,
+            size: chunk.size,
+            sha256: chunk.sha256
+        }))
+    };
+
+    // An unchanged file produces an identical root, which is stored already
+    const data = encodeJSON(root, 0);
+    const [existing] = findByHash(manifest, sha256(data));
+    if (existing) {
+        return { root, rootPieceCid: existing.pieceCid, entry: existing, uploaded, failed, summary };
+    }
+
+    const result = await context.upload(data);
+    const entry = recordUpload(manifest, {
+        filename: scan.filename,
+        data,
+        result,
+        context,
+        tags: { chunked: true, fileSha256: scan.sha256, fileSize: scan.size, chunks: root.chunks.length }
+    });
+
+    return { root, rootPieceCid: entry.pieceCid, entry, uploaded, failed, summary };
+}
+
+export async function readChunkedRoot(storage, pieceCid, downloadOptions) {
+    const root = decodeJSON(await downloadPayload(storage, pieceCid, downloadOptions));
+    if (!isChunkedRoot(root)) {
+        throw new Error(`Piece ${pieceCid} is not a chunked file manifest`);
+    }
+    if (root.version !== CHUNKED_FILE_VERSION) {
+        throw new Error(`Unsupported chunked file manifest version ${root.version}`);
+    }
+    return root;
+}
+
+/**
+ * Download every chunk listed in a root manifest and hand them to
+ * `write(chunk)` in order (e.g. a file stream's write). Each chunk and the
+ * reassembled file are checked against the root's hashes; a mismatch throws
+ * before the bad chunk is written.
+ *
+ * Options:
+ *   onChunk           (chunk, index, bytesDone) => void after each chunk
+ *   downloadOptions   passed to storage.download()
+ *
+ * Resolves with { size, sha256 }.
+ */
+export async function downloadChunkedFile(storage, root, write, options = {}) {
+    const fileHash = createHash('sha256');
+    let bytesDone = 0;
+
+    for (const [index, chunk] of root.chunks.entries()) {
+        const downloaded = await storage.download(chunk.pieceCid, options.downloadOptions);
+        const data = Buffer.from(downloaded.buffer, downloaded.byteOffset, downloaded.byteLength).subarray(0, chunk.size);
+
+        if (data.length !== chunk.size || sha256(data) !== chunk.sha256) {
+            throw new Error(`Chunk ${index} (${chunk.pieceCid}) does not match the manifest`);
+        }
+
+        fileHash.update(data);
+        await write(data);
+        bytesDone += data.length;
+        options.onChunk?.(chunk, index, bytesDone);
+    }
+
+    const fileSha256 = fileHash.digest('hex');
+    if (bytesDone !== root.size || fileSha256 !== root.sha256) {
+        throw new Error(`Reassembled ${root.filename} does not match the manifest`);
+    }
+    return { size: bytesDone, sha256: fileSha256 };
+}
@@ -0,0 +1,52 @@
+import { Synapse } from '@filoz/synapse-sdk';
+import { ethers } from 'ethers';
+import { resolveConfig } from './config.js';
+
+/**
+ * Synapse Client Factory
+ *
+ * Replaces the per-script PRIVATE_KEY check and hardcoded rpcURL with a
+ * single call. Any option accepted by resolveConfig() (network, rpcURL,
+ * privateKey, privateKeyFile, timeoutMs, warmStorageAddress) can be passed
+ * to override the environment; everything else (e.g. withCDN) is forwarded
+ * to Synapse.create().
+ */
+
+function createProvider(rpcURL, timeoutMs) {
+    if (/^wss?:\/\//i.test(rpcURL)) {
+        return new ethers.WebSocketProvider(rpcURL);
+    }
+
+    const request = new ethers.FetchRequest(rpcURL);
+    request.timeout = timeoutMs;
+    return new ethers.JsonRpcProvider(request);
+}
+
+export async function createSynapse(options = {}) {
+    const {
+        network, rpcURL, privateKey, privateKeyFile, timeoutMs, warmStorageAddress,
+        ...synapseOptions
+    } = options;
+
+    const config = resolveConfig({ network, rpcURL, privateKey, privateKeyFile, timeoutMs, warmStorageAddress });
+
+    const provider = createProvider(config.rpcURL, config.timeoutMs);
+    const key = config.privateKey.startsWith('0x') ? config.privateKey : `0x${config.privateKey}`;
+    const wallet = new ethers.Wallet(key, provider);
+
+    const synapse = await Synapse.create({
+        signer: wallet,
+        warmStorageAddress: config.warmStorageAddress,
+        ...synapseOptions
+    });
+
+    // A devnet forks one of the public networks, so only the public
+    // networks can be checked against the chain ID the node reports.
+    if (config.network !== 'devnet' && synapse.getNetwork() !== config.network) {
+        throw new Error(
+            `RPC endpoint ${config.rpcURL} is on ${synapse.getNetwork()}, but FILECOIN_NETWORK is ${config.network}`
+        );
+    }
+
+    return synapse;
+}
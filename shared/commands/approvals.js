@@ -0,0 +1,48 @@
+import { formatUSDFC } from '../format.js';
+import { listOperators } from '../allowances.js';
+
+export function printApproval(approval) {
+    const share = (fraction) => (fraction === null ? '' : ` (${(fraction * 100).toFixed(0)}%)`);
+
+    console.log(`Operator ${approval.operator}: ${approval.isApproved ? '✓ Approved' : '✗ Not approved'}`);
+    console.log(`  Rate:   ${formatUSDFC(approval.rateUsed)} of ${formatUSDFC(approval.rateAllowance)}/epoch${share(approval.rateUsage)}`);
+    console.log(`  Lockup: ${formatUSDFC(approval.lockupUsed)} of ${formatUSDFC(approval.lockupAllowance)}${share(approval.lockupUsage)}`);
+    console.log(`  Max Lockup Period: ${approval.maxLockupPeriod} epochs`);
+    for (const warning of approval.warnings) {
+        console.log(`  ⚠️  ${warning}`);
+    }
+}
+
+export default {
+    name: 'approvals',
+    aliases: ['operators'],
+    usage: 'approvals [--operator <address>]... [--warn-at <percent>] [--lookback <epochs>]',
+    description: 'Operators approved on this account, with usage against each allowance',
+    args: [],
+    options: {
+        operator: { type: 'string', multiple: true },
+        'warn-at': { type: 'string' },
+        lookback: { type: 'string' }
+    },
+
+    async run(synapse, args, options) {
+        const warnAt = options['warn-at'] !== undefined ? Number(options['warn-at']) / 100 : undefined;
+        if (warnAt !== undefined && !(warnAt > 0 && warnAt <= 1)) {
+            throw new Error(`Invalid --warn-at "${options['warn-at']}" (expected a percentage)`);
+        }
+        const lookbackEpochs = options.lookback !== undefined ? Number(options.lookback) : undefined;
+        if (lookbackEpochs !== undefined && !(Number.isInteger(lookbackEpochs) && lookbackEpochs > 0)) {
+            throw new Error(`Invalid --lookback "${options.lookback}" (expected a number of epochs)`);
+        }
+
+        return listOperators(synapse, { operators: options.operator, warnAt, lookbackEpochs });
+    },
+
+    print(approvals) {
+        if (approvals.length === 0) {
+            console.log('No operators are approved on this account.');
+            return;
+        }
+        approvals.forEach(printApproval);
+    }
+};
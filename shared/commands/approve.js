@@ -0,0 +1,35 @@
+import { ethers } from 'ethers';
+import { resolveOperator, setOperatorApproval } from '../allowances.js';
+import { printApproval } from './approvals.js';
+
+export default {
+    name: 'approve',
+    usage: 'approve <operator|warm-storage> [--rate <amount>] [--lockup <amount>] [--max-lockup-period <epochs>]',
+    description: 'Set an operator\'s rate and lockup allowances (default: from the spend caps)',
+    args: ['operator'],
+    options: {
+        rate: { type: 'string' },
+        lockup: { type: 'string' },
+        'max-lockup-period': { type: 'string' }
+    },
+
+    async run(synapse, [operator], options) {
+        const maxLockupPeriod = options['max-lockup-period'];
+        if (maxLockupPeriod !== undefined && !/^\d+$/.test(maxLockupPeriod)) {
+            throw new Error(`Invalid --max-lockup-period "${maxLockupPeriod}" (expected a number of epochs)`);
+        }
+
+        const result = await setOperatorApproval(synapse, resolveOperator(synapse, operator), {
+            rateAllowance: options.rate !== undefined ? ethers.parseUnits(options.rate, 18) : undefined,
+            lockupAllowance: options.lockup !== undefined ? ethers.parseUnits(options.lockup, 18) : undefined,
+            maxLockupPeriod: maxLockupPeriod !== undefined ? BigInt(maxLockupPeriod) : undefined
+        });
+        return { ok: result.confirmed, ...result };
+    },
+
+    print(result) {
+        console.log(`${result.confirmed ? '✓' : '✗'} Approval updated in block ${result.blockNumber}`);
+        console.log(`  Transaction: ${result.transaction}`);
+        printApproval(result.approval);
+    }
+};
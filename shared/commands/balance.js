@@ -0,0 +1,42 @@
+import { checkReadiness } from '../preflight.js';
+import { formatUSDFC, formatFIL } from '../format.js';
+
+export default {
+    name: 'balance',
+    usage: 'balance',
+    description: 'Show wallet and payment account balances, approval and runway',
+    args: [],
+    options: {},
+
+    async run(synapse) {
+        return checkReadiness(synapse);
+    },
+
+    print(report) {
+        console.log(`Wallet: ${report.address} (${report.network})`);
+        console.log(`  USDFC: ${formatUSDFC(report.wallet.usdfc)}`);
+        console.log(`  Gas:   ${formatFIL(report.wallet.fil)}`);
+        console.log('Payment Account:');
+        console.log(`  Total Funds:     ${formatUSDFC(report.paymentAccount.funds)}`);
+        console.log(`  Available Funds: ${formatUSDFC(report.paymentAccount.availableFunds)}`);
+        console.log(`  Current Lockup:  ${formatUSDFC(report.paymentAccount.lockupCurrent)}`);
+        console.log(`  Lockup Rate:     ${formatUSDFC(report.paymentAccount.lockupRate)}/epoch`);
+        console.log(`  Runway:          ${report.paymentAccount.runwayDays === null
+            ? 'no active storage'
+            : `~${report.paymentAccount.runwayDays.toFixed(1)} days`}`);
+        console.log(`Operator ${report.operator.address}:`);
+        console.log(`  Approved:         ${report.operator.isApproved ? '✓ Yes' : '✗ No'}`);
+        console.log(`  Rate Allowance:   ${formatUSDFC(report.operator.rateAllowance)}/epoch`);
+        console.log(`  Lockup Allowance: ${formatUSDFC(report.operator.lockupAllowance)}`);
+
+        for (const failure of report.failures) {
+            console.log(`✗ ${failure.message}`);
+        }
+        for (const warning of report.warnings) {
+            console.log(`⚠️  ${warning.message}`);
+        }
+        if (report.ready) {
+            console.log('✓ Ready to upload');
+        }
+    }
+};
@@ -0,0 +1,74 @@
+import { TOKENS } from '@filoz/synapse-sdk';
+import { formatUSDFC } from '../format.js';
+import { resolveSpendCaps, budgetAllowances, projectSpend, checkSpendCaps } from '../budget.js';
+
+export default {
+    name: 'budget',
+    usage: 'budget [--daily <amount>] [--monthly <amount>] [--max-rate <amount>]',
+    description: 'Show the spend caps, the allowances they allow and projected spend',
+    args: [],
+    options: {
+        daily: { type: 'string' },
+        monthly: { type: 'string' },
+        'max-rate': { type: 'string' }
+    },
+
+    async run(synapse, args, options) {
+        const caps = resolveSpendCaps({
+            daily: options.daily,
+            monthly: options.monthly,
+            maxRatePerEpoch: options['max-rate']
+        });
+        const [projection, approval] = await Promise.all([
+            projectSpend(synapse),
+            synapse.payments.serviceApproval(synapse.getWarmStorageAddress(), TOKENS.USDFC)
+        ]);
+        const allowances = budgetAllowances(caps);
+        const check = checkSpendCaps(projection, caps);
+
+        return {
+            ok: check.ok,
+            caps,
+            allowances,
+            approval: {
+                isApproved: approval.isApproved,
+                rateAllowance: approval.rateAllowance,
+                lockupAllowance: approval.lockupAllowance,
+                // Allowances above the caps let the operator charge more than the budget
+                withinCaps: approval.rateAllowance <= allowances.rateAllowance &&
+                    approval.lockupAllowance <= allowances.lockupAllowance
+            },
+            projection,
+            ...check
+        };
+    },
+
+    print(result) {
+        const cap = (amount, unit) => (amount === null ? 'none' : `${formatUSDFC(amount)}${unit}`);
+
+        console.log('Spend Caps:');
+        console.log(`  Daily:    ${cap(result.caps.daily, '')}`);
+        console.log(`  Monthly:  ${cap(result.caps.monthly, '')}`);
+        console.log(`  Max Rate: ${cap(result.caps.maxRatePerEpoch, '/epoch')}`);
+        console.log('Allowances Within Caps:');
+        console.log(`  Rate:   ${formatUSDFC(result.allowances.rateAllowance)}/epoch`);
+        console.log(`  Lockup: ${formatUSDFC(result.allowances.lockupAllowance)} over ${result.allowances.maxLockupPeriod} epochs`);
+        console.log('Projected Spend:');
+        console.log(`  Rate:      ${formatUSDFC(result.ratePerEpoch)}/epoch`);
+        console.log(`  Per Day:   ${formatUSDFC(result.daily)}`);
+        console.log(`  Per Month: ${formatUSDFC(result.monthly)}`);
+
+        for (const problem of result.problems) {
+            console.log(`✗ ${problem}`);
+        }
+        if (!result.approval.isApproved) {
+            console.log('⚠️  Warm Storage is not approved yet');
+        } else if (!result.approval.withinCaps) {
+            console.log(`⚠️  Current allowances (${formatUSDFC(result.approval.rateAllowance)}/epoch, ` +
+                `${formatUSDFC(result.approval.lockupAllowance)} lockup) exceed the caps`);
+        }
+        if (result.ok) {
+            console.log('✓ Within caps');
+        }
+    }
+};
@@ -0,0 +1,38 @@
+import { listDataSets, parseMetadataFilter } from '../datasets.js';
+
+export default {
+    name: 'datasets',
+    aliases: ['ls'],
+    usage: 'datasets [--filter key[=value]]... [--live]',
+    description: 'List the data sets owned by this wallet',
+    args: [],
+    options: {
+        filter: { type: 'string', multiple: true },
+        live: { type: 'boolean', default: false }
+    },
+
+    async run(synapse, args, options) {
+        return listDataSets(synapse, {
+            filter: parseMetadataFilter(options.filter),
+            live: options.live
+        });
+    },
+
+    print(dataSets) {
+        if (dataSets.length === 0) {
+            console.log('No data sets found.');
+            return;
+        }
+
+        for (const dataSet of dataSets) {
+            const status = dataSet.pdpEndEpoch > 0 ? `terminating at epoch ${dataSet.pdpEndEpoch}` : (dataSet.isLive ? 'live' : 'not live');
+            console.log(`Data Set ${dataSet.dataSetId} (${status})`);
+            console.log(`  Provider: ${dataSet.providerId} (${dataSet.serviceProvider})`);
+            console.log(`  Pieces: ${dataSet.pieceCount}`);
+            console.log(`  CDN: ${dataSet.withCDN ? 'enabled' : 'disabled'}`);
+            for (const [key, value] of Object.entries(dataSet.metadata)) {
+                console.log(`  ${key}: ${value}`);
+            }
+        }
+    }
+};
@@ -0,0 +1,43 @@
+import { TOKENS } from '@filoz/synapse-sdk';
+import { ethers } from 'ethers';
+import { formatUSDFC } from '../format.js';
+import { assertSpendAllowed } from '../budget.js';
+
+export default {
+    name: 'deposit',
+    usage: 'deposit <amount>',
+    description: 'Deposit USDFC from the wallet into the payment account',
+    args: ['amount'],
+    options: {},
+
+    async run(synapse, [amount]) {
+        const value = ethers.parseUnits(amount, 18);
+        if (value <= 0n) {
+            throw new Error('Deposit amount must be greater than 0');
+        }
+
+        const walletBalance = await synapse.payments.walletBalance(TOKENS.USDFC);
+        if (walletBalance < value) {
+            throw new Error(`Wallet only holds ${formatUSDFC(walletBalance)}`);
+        }
+
+        // Don't fund an account that is already spending past its caps
+        await assertSpendAllowed(synapse, { action: 'Deposit' });
+
+        const tx = await synapse.payments.depositWithPermit(value);
+        const receipt = await tx.wait();
+
+        return {
+            amount: value,
+            transactionHash: tx.hash,
+            blockNumber: receipt.blockNumber,
+            availableFunds: await synapse.payments.balance(TOKENS.USDFC)
+        };
+    },
+
+    print(result) {
+        console.log(`✓ Deposited ${formatUSDFC(result.amount)}`);
+        console.log(`  Transaction: ${result.transactionHash}`);
+        console.log(`  Available Funds: ${formatUSDFC(result.availableFunds)}`);
+    }
+};
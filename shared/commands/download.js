@@ -0,0 +1,44 @@
+import { writeFileSync } from 'fs';
+import { sha256 } from '../manifest.js';
+import { formatBytes } from '../format.js';
+import { resolveMasterKey, downloadEncrypted } from '../encryption.js';
+import { downloadPieceToFile } from '../retrieval.js';
+
+export default {
+    name: 'download',
+    usage: 'download <pieceCid> [-o <path>] [--cdn] [--decrypt]',
+    description: 'Download a piece to a file (default: ./<pieceCid>)',
+    args: ['pieceCid'],
+    options: {
+        output: { type: 'string', short: 'o' },
+        cdn: { type: 'boolean', default: false },
+        decrypt: { type: 'boolean', default: false }
+    },
+
+    async run(synapse, [pieceCid], options) {
+        const output = options.output || pieceCid;
+
+        if (!options.decrypt) {
+            // Streamed to disk, so piece size isn't limited by memory
+            const result = await downloadPieceToFile(synapse, pieceCid, output, { withCDN: options.cdn });
+            return { pieceCid, output, size: result.size, sha256: result.sha256, decrypted: false };
+        }
+
+        const masterKey = await resolveMasterKey({ signer: synapse.getClient() });
+        const data = await downloadEncrypted(synapse.storage, pieceCid, masterKey, { withCDN: options.cdn });
+        writeFileSync(output, data);
+
+        return {
+            pieceCid,
+            output,
+            size: data.length,
+            sha256: sha256(data),
+            decrypted: true
+        };
+    },
+
+    print(result) {
+        console.log(`✓ Downloaded ${formatBytes(result.size)} to ${result.output}${result.decrypted ? ' (decrypted)' : ''}`);
+        console.log(`  SHA256: ${result.sha256}`);
+    }
+};
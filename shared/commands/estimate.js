@@ -0,0 +1,65 @@
+import { existsSync, statSync } from 'fs';
+import { ethers } from 'ethers';
+import { formatUSDFC, formatBytes } from '../format.js';
+import { DEFAULT_STORAGE_DAYS, parseSize, estimateStorageCost } from '../estimate.js';
+
+export default {
+    name: 'estimate',
+    usage: 'estimate <file|size>... [--cdn] [--days <n>] [--budget <amount>] [--data-set <id>]',
+    description: 'Estimate what storing files will cost, and whether the account can cover it',
+    args: ['...files'],
+    options: {
+        cdn: { type: 'boolean', default: false },
+        days: { type: 'string' },
+        budget: { type: 'string' },
+        'data-set': { type: 'string' }
+    },
+
+    async run(synapse, files, options) {
+        // Existing paths are measured, anything else is read as a size
+        const sizes = files.map(file => (existsSync(file) ? statSync(file).size : parseSize(file)));
+        const days = options.days !== undefined ? Number(options.days) : DEFAULT_STORAGE_DAYS;
+        if (!(days > 0)) {
+            throw new Error(`Invalid --days "${options.days}"`);
+        }
+        if (options['data-set'] !== undefined && !/^\d+$/.test(options['data-set'])) {
+            throw new Error(`Invalid data set ID "${options['data-set']}"`);
+        }
+
+        const estimate = await estimateStorageCost(synapse, {
+            sizes,
+            withCDN: options.cdn,
+            days,
+            dataSetId: options['data-set'] !== undefined ? Number(options['data-set']) : null,
+            ...(options.budget !== undefined && { budget: ethers.parseUnits(options.budget, 18) })
+        });
+        return { ok: estimate.affordable && estimate.checks.budget && estimate.checks.spendCaps, ...estimate };
+    },
+
+    print(estimate) {
+        const mark = (ok) => (ok ? '✓' : '✗');
+
+        console.log(`${estimate.files} file(s), ${formatBytes(estimate.totalBytes)} (${formatBytes(estimate.paddedBytes)} padded), CDN ${estimate.withCDN ? 'on' : 'off'}`);
+        console.log(`  Rate:    ${formatUSDFC(estimate.ratePerEpoch)}/epoch, ${formatUSDFC(estimate.ratePerDay)}/day, ${formatUSDFC(estimate.ratePerMonth)}/month`);
+        if (estimate.minimumApplied) {
+            console.log(`           the ${formatUSDFC(estimate.minimumPerMonth)}/month minimum for a new data set`);
+        } else if (!estimate.newDataSet) {
+            console.log(`           added to data set ${estimate.dataSetId}`);
+        }
+        console.log(`  Lockup:  ${formatUSDFC(estimate.lockupRequired)} (${estimate.lockupDays} days of storage)`);
+        console.log(`  Total:   ${formatUSDFC(estimate.totalCost)} for ${estimate.days} days`);
+        console.log();
+        console.log(`  ${mark(estimate.checks.funds)} Available funds: ${formatUSDFC(estimate.availableFunds)} (needs ${formatUSDFC(estimate.fundsRequired)})`);
+        console.log(`  ${mark(estimate.checks.rateAllowance)} Rate allowance`);
+        console.log(`  ${mark(estimate.checks.lockupAllowance)} Lockup allowance`);
+        if (estimate.budget !== null) {
+            console.log(`  ${mark(estimate.checks.budget)} Budget: ${formatUSDFC(estimate.budget)}`);
+        }
+        if (estimate.spend !== null) {
+            console.log(`  ${mark(estimate.checks.spendCaps)} Spend caps: ${formatUSDFC(estimate.spend.monthly)}/month projected`);
+        }
+        for (const problem of estimate.problems) {
+            console.log(`  - ${problem}`);
+        }
+    }
+};
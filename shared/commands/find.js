@@ -0,0 +1,47 @@
+import { formatBytes } from '../format.js';
+import { openManifest, findByFilename, findByHash, findByPieceCid } from '../manifest.js';
+
+export default {
+    name: 'find',
+    usage: 'find <filename|sha256|pieceCid> [--manifest <path>]',
+    description: 'Look up uploads recorded in the local manifest',
+    args: ['query'],
+    options: {
+        manifest: { type: 'string' }
+    },
+    // Reads the local manifest only, so no client (or private key) is needed
+    offline: true,
+
+    async run(synapse, [query], options) {
+        const manifest = openManifest(options.manifest);
+
+        let entries = findByPieceCid(manifest, query);
+        if (entries.length === 0 && /^[0-9a-f]{64}$/i.test(query)) {
+            entries = findByHash(manifest, query, { includeRemoved: true });
+        }
+        if (entries.length === 0) {
+            entries = findByFilename(manifest, query);
+        }
+
+        return entries;
+    },
+
+    print(entries) {
+        if (entries.length === 0) {
+            console.log('No matching uploads in the manifest.');
+            return;
+        }
+
+        for (const entry of entries) {
+            console.log(`${entry.filename} (${formatBytes(entry.size)}), uploaded ${entry.uploadedAt}`);
+            console.log(`  PieceCID: ${entry.pieceCid}`);
+            console.log(`  SHA256:   ${entry.sha256}`);
+            if (entry.dataSetId !== null) {
+                console.log(`  Data Set: ${entry.dataSetId} (provider ${entry.provider.name})`);
+            }
+            if (entry.removedAt) {
+                console.log(`  Removed:  ${entry.removedAt} (${entry.removal?.reason ?? 'removed'})`);
+            }
+        }
+    }
+};
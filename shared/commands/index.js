@@ -0,0 +1,26 @@
+import upload from './upload.js';
+import download from './download.js';
+import verify from './verify.js';
+import balance from './balance.js';
+import deposit from './deposit.js';
+import withdraw from './withdraw.js';
+import rails from './rails.js';
+import datasets from './datasets.js';
+import pieces from './pieces.js';
+import remove from './remove.js';
+import terminate from './terminate.js';
+import retention from './retention.js';
+import estimate from './estimate.js';
+import budget from './budget.js';
+import approvals from './approvals.js';
+import approve from './approve.js';
+import revoke from './revoke.js';
+import find from './find.js';
+
+export const COMMANDS = Object.fromEntries(
+    [
+        upload, download, verify, balance, deposit, withdraw, rails, datasets, pieces, remove, terminate,
+        retention, estimate, budget, approvals, approve, revoke, find
+    ]
+        .flatMap(command => [command.name, ...(command.aliases || [])].map(name => [name, command]))
+);
@@ -0,0 +1,42 @@
+import { formatBytes } from '../format.js';
+import { listPieces, parseMetadataFilter } from '../datasets.js';
+
+export default {
+    name: 'pieces',
+    usage: 'pieces <dataSetId> [--filter key[=value]]... [--metadata] [--epochs]',
+    description: 'List the pieces stored in a data set',
+    args: ['dataSetId'],
+    options: {
+        filter: { type: 'string', multiple: true },
+        metadata: { type: 'boolean', default: false },
+        epochs: { type: 'boolean', default: false }
+    },
+
+    async run(synapse, [dataSetId], options) {
+        if (!/^\d+$/.test(dataSetId)) {
+            throw new Error(`Invalid data set ID "${dataSetId}"`);
+        }
+
+        const filter = parseMetadataFilter(options.filter);
+        return listPieces(synapse, Number(dataSetId), {
+            filter,
+            withMetadata: options.metadata || Object.keys(filter).length > 0,
+            withEpochs: options.epochs
+        });
+    },
+
+    print(pieces) {
+        if (pieces.length === 0) {
+            console.log('No pieces found.');
+            return;
+        }
+
+        for (const piece of pieces) {
+            const added = piece.addedEpoch !== null ? `, added at epoch ${piece.addedEpoch}` : '';
+            console.log(`Piece ${piece.pieceId}: ${piece.pieceCid} (${formatBytes(piece.size)}${added})`);
+            for (const [key, value] of Object.entries(piece.metadata ?? {})) {
+                console.log(`  ${key}: ${value}`);
+            }
+        }
+    }
+};
@@ -0,0 +1,47 @@
+import { TOKENS } from '@filoz/synapse-sdk';
+import { formatUSDFC } from '../format.js';
+
+export default {
+    name: 'rails',
+    usage: 'rails [--active]',
+    description: 'List payment rails where this wallet is the payer',
+    args: [],
+    options: {
+        active: { type: 'boolean', default: false }
+    },
+
+    async run(synapse, args, options) {
+        const rails = await synapse.payments.getRailsAsPayer(TOKENS.USDFC);
+        const selected = options.active ? rails.filter(rail => !rail.isTerminated) : rails;
+
+        return Promise.all(selected.map(async (rail) => {
+            const details = await synapse.payments.getRail(rail.railId);
+            return {
+                railId: rail.railId,
+                isTerminated: rail.isTerminated,
+                endEpoch: rail.endEpoch,
+                payee: details.to,
+                operator: details.operator,
+                paymentRate: details.paymentRate,
+                lockupPeriod: details.lockupPeriod,
+                lockupFixed: details.lockupFixed,
+                settledUpTo: details.settledUpTo
+            };
+        }));
+    },
+
+    print(rails) {
+        if (rails.length === 0) {
+            console.log('No payment rails found.');
+            return;
+        }
+
+        for (const rail of rails) {
+            console.log(`Rail ${rail.railId}: ${rail.isTerminated ? `✗ Terminated at epoch ${rail.endEpoch}` : '✓ Active'}`);
+            console.log(`  Payee: ${rail.payee}`);
+            console.log(`  Rate: ${formatUSDFC(rail.paymentRate)}/epoch`);
+            console.log(`  Lockup: ${rail.lockupPeriod} epochs + ${formatUSDFC(rail.lockupFixed)} fixed`);
+            console.log(`  Settled Up To: epoch ${rail.settledUpTo}`);
+        }
+    }
+};
@@ -0,0 +1,74 @@
+import { formatUSDFC, formatBytes } from '../format.js';
+import { openManifest, markRemoved } from '../manifest.js';
+import { previewPieceRemoval, schedulePieceRemoval } from '../removal.js';
+
+export default {
+    name: 'remove',
+    aliases: ['rm'],
+    usage: 'remove <dataSetId> <pieceCid|pieceId>... [--yes] [--manifest <path>]',
+    description: 'Preview (or with --yes, schedule) removing pieces from a data set',
+    args: ['dataSetId', '...pieces'],
+    options: {
+        yes: { type: 'boolean', short: 'y', default: false },
+        manifest: { type: 'string' }
+    },
+
+    async run(synapse, [dataSetId, ...pieces], options) {
+        if (!/^\d+$/.test(dataSetId)) {
+            throw new Error(`Invalid data set ID "${dataSetId}"`);
+        }
+
+        const preview = await previewPieceRemoval(synapse, Number(dataSetId), pieces);
+        if (!options.yes || preview.pieces.length === 0) {
+            return { preview, removal: null };
+        }
+
+        const removal = await schedulePieceRemoval(synapse, preview);
+
+        // So chunked uploads, sync and HLS packaging stop reusing these pieces
+        const manifest = openManifest(options.manifest);
+        const removed = new Set(preview.pieces
+            .filter(piece => removal.scheduled.includes(piece.pieceId))
+            .map(piece => piece.pieceCid));
+        const entries = manifest.entries.filter(entry =>
+            !entry.removedAt && Number(entry.dataSetId) === preview.dataSetId && removed.has(entry.pieceCid));
+        if (entries.length > 0) {
+            markRemoved(manifest, entries, { reason: 'piece removed', transactions: removal.transactions });
+        }
+        return { ok: removal.confirmed, preview, removal, manifestEntries: entries.length };
+    },
+
+    print({ preview, removal, manifestEntries }) {
+        console.log(`Data Set ${preview.dataSetId}: removing ${preview.pieces.length} piece(s)`);
+        for (const piece of preview.pieces) {
+            console.log(`  Piece ${piece.pieceId}: ${piece.pieceCid} (${formatBytes(piece.size)})`);
+        }
+        for (const pieceId of preview.alreadyScheduled) {
+            console.log(`  Piece ${pieceId}: already scheduled for removal`);
+        }
+        if (preview.pieces.length === 0) {
+            return;
+        }
+
+        console.log(`  Rate: ${formatUSDFC(preview.rateBefore)}/epoch → ~${formatUSDFC(preview.rateAfter)}/epoch`);
+        console.log(`  Saves: ~${formatUSDFC(preview.savedPerMonth)}/month`);
+        console.log(`  Lockup released: ~${formatUSDFC(preview.lockupReleased)}`);
+        if (preview.effectiveEpoch !== null) {
+            console.log(`  Takes effect: at the provider's next proof, by epoch ${preview.effectiveEpoch} (now ${preview.currentEpoch})`);
+        }
+
+        if (removal === null) {
+            console.log('\nNothing was changed. Re-run with --yes to schedule the removal.');
+            return;
+        }
+
+        console.log();
+        for (const { pieceId, transaction } of removal.transactions) {
+            const status = removal.scheduled.includes(pieceId) ? '✓ scheduled' : '✗ not scheduled';
+            console.log(`Piece ${pieceId}: ${status} (tx ${transaction})`);
+        }
+        if (manifestEntries > 0) {
+            console.log(`Marked ${manifestEntries} manifest entr${manifestEntries === 1 ? 'y' : 'ies'} as removed`);
+        }
+    }
+};
@@ -0,0 +1,66 @@
+import { formatUSDFC } from '../format.js';
+import { openManifest } from '../manifest.js';
+import { openRetentionPolicy, planRetention, previewRetention, applyRetention } from '../retention.js';
+
+export default {
+    name: 'retention',
+    usage: 'retention [--policy <path>] [--manifest <path>] [--apply]',
+    description: 'Report (or with --apply, remove) uploads past their retention period',
+    args: [],
+    options: {
+        policy: { type: 'string' },
+        manifest: { type: 'string' },
+        apply: { type: 'boolean', default: false }
+    },
+
+    async run(synapse, args, options) {
+        const policy = openRetentionPolicy(options.policy);
+        const manifest = openManifest(options.manifest);
+        const plan = planRetention(manifest, policy);
+        const report = await previewRetention(synapse, plan, policy);
+
+        if (!options.apply) {
+            return { plan, report, results: null };
+        }
+
+        const results = await applyRetention(synapse, manifest, report);
+        return {
+            ok: results.every(result => result.ok),
+            plan,
+            report,
+            results: results.map(({ error, ...result }) => (error ? { ...result, error: error.message } : result))
+        };
+    },
+
+    print({ plan, report, results }) {
+        console.log(`${plan.expired.length} expired piece(s), ${plan.retained} retained`);
+        for (const entry of plan.untracked) {
+            console.log(`  ? ${entry.filename} (${entry.pieceCid}): expired, but its data set isn't recorded`);
+        }
+        for (const piece of report.gone) {
+            console.log(`  - ${piece.pieceCid}: no longer stored in data set ${piece.dataSetId}`);
+        }
+
+        for (const action of report.actions) {
+            const verb = action.action === 'terminate' ? 'Terminate data set' : 'Remove pieces from data set';
+            console.log(`\n${verb} ${action.dataSetId} (frees ~${formatUSDFC(action.preview.lockupReleased)})`);
+            for (const piece of action.pieces) {
+                const names = piece.entries.map(entry => entry.filename).join(', ');
+                console.log(`  ${piece.pieceCid}: ${names} (rule "${piece.rule.name}", expired ${piece.expiredAt.toISOString()})`);
+            }
+        }
+        console.log(`\nLockup freed: ~${formatUSDFC(report.lockupReleased)}`);
+
+        if (results === null) {
+            if (report.actions.length > 0) {
+                console.log('Dry run: nothing was removed. Re-run with --apply to remove them.');
+            }
+            return;
+        }
+
+        for (const result of results) {
+            const status = result.error ? `✗ ${result.error}` : (result.ok ? '✓ done' : '✗ not confirmed on-chain');
+            console.log(`Data set ${result.dataSetId} (${result.action}): ${status}`);
+        }
+    }
+};
@@ -0,0 +1,37 @@
+import { resolveOperator, getOperatorApproval, revokeOperator } from '../allowances.js';
+import { printApproval } from './approvals.js';
+
+export default {
+    name: 'revoke',
+    usage: 'revoke <operator|warm-storage> [--yes]',
+    description: 'Preview revoking an operator\'s approval; --yes revokes it',
+    args: ['operator'],
+    options: {
+        yes: { type: 'boolean', default: false }
+    },
+
+    async run(synapse, [operator], options) {
+        const address = resolveOperator(synapse, operator);
+        if (!options.yes) {
+            return { revoked: false, approval: await getOperatorApproval(synapse, address) };
+        }
+
+        const result = await revokeOperator(synapse, address);
+        return { ok: result.confirmed, revoked: true, ...result };
+    },
+
+    print(result) {
+        if (!result.revoked) {
+            printApproval(result.approval);
+            if (result.approval.rateUsed > 0n) {
+                console.log('\nIts existing rails keep charging after revocation; terminate their data sets to end them.');
+            }
+            console.log('Re-run with --yes to revoke.');
+            return;
+        }
+
+        console.log(`${result.confirmed ? '✓ Revoked' : '✗ Still approved'} in block ${result.blockNumber}`);
+        console.log(`  Transaction: ${result.transaction}`);
+        printApproval(result.approval);
+    }
+};
@@ -0,0 +1,68 @@
+import { TIME_CONSTANTS } from '@filoz/synapse-sdk';
+import { formatUSDFC } from '../format.js';
+import { openManifest, markRemoved } from '../manifest.js';
+import { previewTermination, terminateDataSet } from '../removal.js';
+
+export default {
+    name: 'terminate',
+    usage: 'terminate <dataSetId> [--yes] [--manifest <path>]',
+    description: 'Preview (or with --yes, perform) ending a data set and its payment rails',
+    args: ['dataSetId'],
+    options: {
+        yes: { type: 'boolean', short: 'y', default: false },
+        manifest: { type: 'string' }
+    },
+
+    async run(synapse, [dataSetId], options) {
+        if (!/^\d+$/.test(dataSetId)) {
+            throw new Error(`Invalid data set ID "${dataSetId}"`);
+        }
+
+        const preview = await previewTermination(synapse, Number(dataSetId));
+        if (!options.yes || preview.alreadyTerminated) {
+            return { preview, termination: null };
+        }
+
+        const termination = await terminateDataSet(synapse, Number(dataSetId));
+
+        // Every piece in the data set goes with it
+        const manifest = openManifest(options.manifest);
+        const entries = manifest.entries.filter(entry => !entry.removedAt && Number(entry.dataSetId) === Number(dataSetId));
+        if (entries.length > 0) {
+            markRemoved(manifest, entries, { reason: 'data set terminated', transaction: termination.transaction });
+        }
+        return { ok: termination.confirmed, preview, termination, manifestEntries: entries.length };
+    },
+
+    print({ preview, termination, manifestEntries }) {
+        const days = (epochs) => (Number(epochs) / Number(TIME_CONSTANTS.EPOCHS_PER_DAY)).toFixed(1);
+
+        console.log(`Data Set ${preview.dataSetId}${preview.alreadyTerminated ? ' (already terminated)' : ''}`);
+        for (const rail of preview.rails) {
+            if (rail.settled) {
+                console.log(`  Rail ${rail.railId} (${rail.kind}): settled and finalized`);
+                continue;
+            }
+            console.log(`  Rail ${rail.railId} (${rail.kind}): ${formatUSDFC(rail.paymentRate)}/epoch, ${formatUSDFC(rail.lockup)} locked`);
+            console.log(`    Ends at epoch ${rail.endEpoch}; ${formatUSDFC(rail.finalPayment)} still paid until then, ${formatUSDFC(rail.released)} released`);
+        }
+        console.log(`  Lockup released: ${formatUSDFC(preview.lockupReleased)}`);
+        console.log(`  Withdrawable: after settling at epoch ${preview.withdrawableEpoch} (~${days(preview.withdrawableEpoch - preview.currentEpoch)} days)`);
+
+        if (termination === null) {
+            if (!preview.alreadyTerminated) {
+                console.log('\nNothing was changed. Re-run with --yes to terminate the data set.');
+            }
+            return;
+        }
+
+        console.log(`\nTerminated in block ${termination.blockNumber} (tx ${termination.transaction})`);
+        for (const rail of termination.rails) {
+            const status = rail.settled ? 'settled' : (rail.endEpoch > 0n ? `✓ endEpoch ${rail.endEpoch}` : '✗ no endEpoch yet');
+            console.log(`  Rail ${rail.railId} (${rail.kind}): ${status}`);
+        }
+        if (manifestEntries > 0) {
+            console.log(`Marked ${manifestEntries} manifest entr${manifestEntries === 1 ? 'y' : 'ies'} as removed`);
+        }
+    }
+};
@@ -0,0 +1,101 @@
+import { readFileSync } from 'fs';
+import { basename } from 'path';
+import { checkReadiness } from '../preflight.js';
+import { formatBytes, formatUSDFC } from '../format.js';
+import { openManifest, recordUpload } from '../manifest.js';
+import { resolveMasterKey, keyFingerprint, uploadEncrypted } from '../encryption.js';
+import { DEFAULT_STORAGE_DAYS, estimateStorageCost, assertWithinBudget } from '../estimate.js';
+
+/**
+ * Parse repeated `--metadata key=value` flags into an object.
+ */
+export function parseMetadata(pairs = []) {
+    const metadata = {};
+    for (const pair of pairs) {
+        const index = pair.indexOf('=');
+        if (index <= 0) {
+            throw new Error(`Invalid metadata "${pair}" (expected key=value)`);
+        }
+        metadata[pair.slice(0, index)] = pair.slice(index + 1);
+    }
+    return metadata;
+}
+
+export default {
+    name: 'upload',
+    usage: 'upload <file> [--cdn] [--encrypt] [--metadata key=value]... [--days <n>] [--manifest <path>]',
+    description: 'Upload a file and print its PieceCID',
+    args: ['file'],
+    options: {
+        cdn: { type: 'boolean', default: false },
+        encrypt: { type: 'boolean', default: false },
+        metadata: { type: 'string', multiple: true },
+        days: { type: 'string' },
+        manifest: { type: 'string' }
+    },
+
+    async run(synapse, [file], options) {
+        const days = options.days !== undefined ? Number(options.days) : DEFAULT_STORAGE_DAYS;
+        if (!(days > 0)) {
+            throw new Error(`Invalid --days "${options.days}"`);
+        }
+
+        const readiness = await checkReadiness(synapse);
+        if (!readiness.ready) {
+            throw new Error(`Account is not ready to upload: ${readiness.failures.map(f => f.message).join('; ')}`);
+        }
+
+        const manifest = openManifest(options.manifest);
+        const data = readFileSync(file);
+
+        const context = await synapse.storage.createContext({
+            withCDN: options.cdn,
+            metadata: parseMetadata(options.metadata)
+        });
+
+        // Refuse before anything is paid for if the upload is over budget.
+        // Priced into the context's data set, or as a new one.
+        const estimate = assertWithinBudget(await estimateStorageCost(synapse, {
+            sizes: [data.length],
+            withCDN: options.cdn,
+            days,
+            dataSetId: context.dataSetId
+        }));
+
+        let result;
+        let tags = {};
+        if (options.encrypt) {
+            // Key from ENCRYPTION_KEY / ENCRYPTION_KEY_FILE, else derived from the wallet
+            const masterKey = await resolveMasterKey({ signer: synapse.getClient() });
+            result = await uploadEncrypted(context, data, masterKey);
+            tags = { encrypted: true, keyFingerprint: keyFingerprint(masterKey).toString('hex') };
+        } else {
+            result = await context.upload(data);
+        }
+
+        // The manifest describes what was stored, so encrypted uploads
+        // record the ciphertext's hash and size
+        const entry = recordUpload(manifest, {
+            filename: basename(file),
+            data: result.data ?? data,
+            result,
+            context,
+            tags
+        });
+
+        return { ...entry, manifest: manifest.path, ratePerMonth: estimate.ratePerMonth };
+    },
+
+    print(result) {
+        console.log(`✓ Uploaded ${result.filename} (${formatBytes(result.size)})`);
+        console.log(`  PieceCID: ${result.pieceCid}`);
+        console.log(`  Data Set: ${result.dataSetId}`);
+        console.log(`  Provider: ${result.provider.name} (${result.provider.address})`);
+        console.log(`  CDN: ${result.withCDN ? 'enabled' : 'disabled'}`);
+        console.log(`  Cost: ~${formatUSDFC(result.ratePerMonth)}/month`);
+        if (result.tags.encrypted) {
+            console.log(`  Encrypted: yes (key ${result.tags.keyFingerprint})`);
+        }
+        console.log(`  Recorded in ${result.manifest}`);
+    }
+};
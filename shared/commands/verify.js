@@ -0,0 +1,38 @@
+import { readFileSync } from 'fs';
+import { sha256 } from '../manifest.js';
+
+export default {
+    name: 'verify',
+    usage: 'verify <pieceCid> <file> [--cdn]',
+    description: 'Download a piece and check it matches a local file byte-for-byte',
+    args: ['pieceCid', 'file'],
+    options: {
+        cdn: { type: 'boolean', default: false }
+    },
+
+    async run(synapse, [pieceCid, file], options) {
+        const original = readFileSync(file);
+        const downloaded = await synapse.storage.download(pieceCid, { withCDN: options.cdn });
+        const verified = Buffer.compare(original, Buffer.from(downloaded)) === 0;
+
+        return {
+            ok: verified,
+            pieceCid,
+            file,
+            verified,
+            expected: { size: original.length, sha256: sha256(original) },
+            actual: { size: downloaded.length, sha256: sha256(downloaded) }
+        };
+    },
+
+    print(result) {
+        if (result.verified) {
+            console.log('✅ VERIFICATION SUCCESSFUL');
+            console.log(`  ${result.file} matches ${result.pieceCid}`);
+        } else {
+            console.log('❌ VERIFICATION FAILED');
+            console.log(`  Expected: ${result.expected.size} bytes, ${result.expected.sha256}`);
+            console.log(`  Received: ${result.actual.size} bytes, ${result.actual.sha256}`);
+        }
+    }
+};
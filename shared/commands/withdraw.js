@@ -0,0 +1,41 @@
+import { TOKENS } from '@filoz/synapse-sdk';
+import { ethers } from 'ethers';
+import { formatUSDFC } from '../format.js';
+
+export default {
+    name: 'withdraw',
+    usage: 'withdraw <amount|all>',
+    description: 'Withdraw available (unlocked) funds back to the wallet',
+    args: ['amount'],
+    options: {},
+
+    async run(synapse, [amount]) {
+        const accountInfo = await synapse.payments.accountInfo(TOKENS.USDFC);
+        const value = amount === 'all' ? accountInfo.availableFunds : ethers.parseUnits(amount, 18);
+
+        if (value <= 0n) {
+            throw new Error('Nothing to withdraw');
+        }
+        if (value > accountInfo.availableFunds) {
+            throw new Error(
+                `Only ${formatUSDFC(accountInfo.availableFunds)} is available; ${formatUSDFC(accountInfo.lockupCurrent)} is locked ("foc terminate <dataSetId>" releases a data set's lockup)`
+            );
+        }
+
+        const tx = await synapse.payments.withdraw(value);
+        const receipt = await tx.wait();
+
+        return {
+            amount: value,
+            transactionHash: tx.hash,
+            blockNumber: receipt.blockNumber,
+            availableFunds: await synapse.payments.balance(TOKENS.USDFC)
+        };
+    },
+
+    print(result) {
+        console.log(`✓ Withdrew ${formatUSDFC(result.amount)}`);
+        console.log(`  Transaction: ${result.transactionHash}`);
+        console.log(`  Available Funds: ${formatUSDFC(result.availableFunds)}`);
+    }
+};
@@ -0,0 +1,107 @@
+import dotenv from 'dotenv';
+import { readFileSync } from 'fs';
+import { RPC_URLS } from '@filoz/synapse-sdk';
+
+// Load environment (.env.local wins over .env, matching the individual walkthroughs)
+dotenv.config({ path: '.env.local' });
+dotenv.config();
+
+/**
+ * Shared Configuration Layer
+ *
+ * Every walkthrough resolves its network, RPC endpoint, signing key and
+ * timeouts through this module, so switching between Calibration, Mainnet
+ * and a local devnet is a single environment change:
+ *
+ *   FILECOIN_NETWORK   calibration (default) | mainnet | devnet
+ *   RPC_URL            Overrides the network's default RPC endpoint
+ *   PRIVATE_KEY        Wallet private key (hex, with or without 0x)
+ *   PRIVATE_KEY_FILE   Path to a file containing the private key
+ *   RPC_TIMEOUT_MS     Per-request RPC timeout (default: 60000)
+ *   WARM_STORAGE_ADDRESS  Overrides the Warm Storage contract address
+ */
+
+export const NETWORKS = {
+    calibration: {
+        name: 'Filecoin Calibration Testnet',
+        rpcURL: RPC_URLS.calibration.http,
+        explorerURL: 'https://calibration.filfox.info'
+    },
+    mainnet: {
+        name: 'Filecoin Mainnet',
+        rpcURL: RPC_URLS.mainnet.http,
+        explorerURL: 'https://filfox.info'
+    },
+    // A local fork of Calibration (e.g. `anvil --fork-url <calibration rpc>`).
+    // The SDK only recognises the Calibration and Mainnet chain IDs, so the
+    // devnet must keep the chain ID of the network it was forked from.
+    devnet: {
+        name: 'Local Devnet',
+        rpcURL: 'http://127.0.0.1:8545',
+        explorerURL: null
+    }
+};
+
+export const DEFAULT_NETWORK = 'calibration';
+export const DEFAULT_TIMEOUT_MS = 60_000;
+
+function readKeyFile(keyFile) {
+    const key = readFileSync(keyFile, 'utf-8').trim();
+    if (!key) {
+        throw new Error(`Private key file is empty: ${keyFile}`);
+    }
+    return key;
+}
+
+// Explicit overrides win over the environment, whichever form they take
+function resolvePrivateKey(overrides) {
+    if (overrides.privateKey) {
+        return overrides.privateKey;
+    }
+
+    if (overrides.privateKeyFile) {
+        return readKeyFile(overrides.privateKeyFile);
+    }
+
+    if (process.env.PRIVATE_KEY) {
+        return process.env.PRIVATE_KEY;
+    }
+
+    if (process.env.PRIVATE_KEY_FILE) {
+        return readKeyFile(process.env.PRIVATE_KEY_FILE);
+    }
+
+    throw new Error('Missing PRIVATE_KEY (or PRIVATE_KEY_FILE) in .env file');
+}
+
+/**
+ * Resolve the effective configuration.
+ * Precedence: explicit overrides > environment variables > network defaults.
+ */
+export function resolveConfig(overrides = {}) {
+    const network = overrides.network || process.env.FILECOIN_NETWORK || DEFAULT_NETWORK;
+    const preset = NETWORKS[network];
+    if (!preset) {
+        throw new Error(
+            `Unknown FILECOIN_NETWORK "${network}". Expected one of: ${Object.keys(NETWORKS).join(', ')}`
+        );
+    }
+
+    const timeoutSetting = overrides.timeoutMs !== undefined
+        ? ['timeoutMs', overrides.timeoutMs]
+        : ['RPC_TIMEOUT_MS', process.env.RPC_TIMEOUT_MS ?? DEFAULT_TIMEOUT_MS];
+    const timeoutMs = Number(timeoutSetting[1]);
+    if (!Number.isFinite(timeoutMs) || timeoutMs <= 0) {
+        throw new Error(`Invalid ${timeoutSetting[0]}: ${timeoutSetting[1]}`);
+    }
+
+    return {
+        network,
+        networkName: preset.name,
+        rpcURL: overrides.rpcURL || process.env.RPC_URL || preset.rpcURL,
+        explorerURL: preset.explorerURL,
+        timeoutMs,
+        warmStorageAddress: overrides.warmStorageAddress || process.env.WARM_STORAGE_ADDRESS || undefined,
+        privateKey: resolvePrivateKey(overrides)
+    };
+}
@@ -0,0 +1,192 @@
+import { PDPVerifier, WarmStorageService, TIME_CONSTANTS } from '@filoz/synapse-sdk';
+import { getSizeFromPieceCID } from '@filoz/synapse-core/piece';
+import { ethers } from 'ethers';
+
+/**
+ * Dataset Browser
+ *
+ * Lists what is already stored, straight from the chain rather than from a
+ * local manifest, so it also covers data sets created by earlier runs or on
+ * another machine:
+ *
+ *   const dataSets = await listDataSets(synapse, { filter: { project: 'filecoin-tutorials' } });
+ *   const pieces = await listPieces(synapse, dataSets[0].dataSetId, { withEpochs: true });
+ *   // pieces = [{ pieceId, pieceCid, size, metadata, addedEpoch }]
+ *
+ * A metadata filter is an object of key -> value, where a null value
+ * matches any value as long as the key is set. parseMetadataFilter() builds
+ * one from "key=value" / "key" strings, as used by `foc` and query strings.
+ *
+ * Piece sizes are decoded from the PieceCID itself, so they cost nothing.
+ * Piece metadata is one contract call per piece, and added epochs come from
+ * scanning PiecesAdded logs backwards, so both are opt-in where they are
+ * expensive.
+ */
+
+export const DEFAULT_PAGE_SIZE = 100;
+export const DEFAULT_METADATA_CONCURRENCY = 8;
+// Most RPC endpoints cap eth_getLogs well below a day of epochs
+export const DEFAULT_LOG_WINDOW_EPOCHS = 2000;
+export const DEFAULT_LOG_LOOKBACK_EPOCHS = 30 * Number(TIME_CONSTANTS.EPOCHS_PER_DAY);
+
+const PIECES_ADDED_ABI = [
+    'event PiecesAdded(uint256 indexed setId, uint256[] pieceIds, tuple(bytes data)[] pieceCids)'
+];
+
+/**
+ * Filter object from a list of "key=value" (exact match) and "key" (key is
+ * set) strings. Accepts a single string, as query strings give one when the
+ * parameter appears once.
+ */
+export function parseMetadataFilter(entries = []) {
+    const filter = {};
+    for (const entry of [].concat(entries)) {
+        const index = entry.indexOf('=');
+        const key = (index === -1 ? entry : entry.slice(0, index)).trim();
+        if (key === '') {
+            throw new Error(`Invalid metadata filter "${entry}" (expected key=value or key)`);
+        }
+        filter[key] = index === -1 ? null : entry.slice(index + 1);
+    }
+    return filter;
+}
+
+/**
+ * Whether `metadata` satisfies every condition in `filter`. Unlike the SDK's
+ * metadataMatches(), which decides whether a data set can be reused, extra
+ * keys are fine.
+ */
+export function matchesMetadata(metadata = {}, filter = {}) {
+    return Object.entries(filter).every(([key, value]) =>
+        Object.hasOwn(metadata, key) && (value === null || metadata[key] === value)
+    );
+}
+
+/**
+ * The caller's data sets with their on-chain metadata, optionally filtered.
+ * Terminated data sets are included unless `live` is true.
+ */
+export async function listDataSets(synapse, options = {}) {
+    const filter = options.filter ?? {};
+    const dataSets = await synapse.storage.findDataSets();
+
+    return dataSets
+        .filter(dataSet => !options.live || (dataSet.isLive && dataSet.pdpEndEpoch === 0))
+        .filter(dataSet => matchesMetadata(dataSet.metadata, filter))
+        .map(dataSet => ({
+            dataSetId: dataSet.pdpVerifierDataSetId,
+            providerId: dataSet.providerId,
+            serviceProvider: dataSet.serviceProvider,
+            // Pieces ever added, including removed ones
+            pieceCount: dataSet.currentPieceCount,
+            isLive: dataSet.isLive,
+            withCDN: dataSet.withCDN,
+            pdpRailId: dataSet.pdpRailId,
+            pdpEndEpoch: dataSet.pdpEndEpoch,
+            metadata: { ...dataSet.metadata }
+        }));
+}
+
+async function mapWithConcurrency(items, concurrency, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const workers = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index]);
+        }
+    });
+    await Promise.all(workers);
+    return results;
+}
+
+/**
+ * Epoch each piece was added at, found by scanning the data set's
+ * PiecesAdded logs backwards from the chain head in windows of
+ * `windowEpochs`, until every piece is accounted for or `lookbackEpochs`
+ * have been searched. Pieces added before that are missing from the Map.
+ */
+export async function findAddedEpochs(synapse, dataSetId, pieceIds, options = {}) {
+    const windowEpochs = options.windowEpochs ?? DEFAULT_LOG_WINDOW_EPOCHS;
+    const lookbackEpochs = options.lookbackEpochs ?? DEFAULT_LOG_LOOKBACK_EPOCHS;
+
+    const provider = synapse.getProvider();
+    const verifier = new ethers.Contract(synapse.getPDPVerifierAddress(), PIECES_ADDED_ABI, provider);
+    const eventFilter = verifier.filters.PiecesAdded(dataSetId);
+
+    const wanted = new Set(pieceIds.map(Number));
+    const epochs = new Map();
+    const head = await provider.getBlockNumber();
+    const oldest = Math.max(0, head - lookbackEpochs);
+
+    for (let to = head; to >= oldest && epochs.size < wanted.size; to -= windowEpochs) {
+        const from = Math.max(oldest, to - windowEpochs + 1);
+        const logs = await verifier.queryFilter(eventFilter, from, to);
+        for (const log of logs) {
+            for (const pieceId of log.args.pieceIds.map(Number)) {
+                if (wanted.has(pieceId)) {
+                    epochs.set(pieceId, log.blockNumber);
+                }
+            }
+        }
+        options.onWindow?.({ from, to, found: epochs.size, total: wanted.size });
+    }
+
+    return epochs;
+}
+
+/**
+ * Active pieces of a data set, in piece ID order:
+ * [{ pieceId, pieceCid, size, metadata, addedEpoch }]
+ *
+ * Options:
+ *   filter          metadata filter; implies withMetadata
+ *   withMetadata    fetch each piece's metadata (default: only when filtering)
+ *   withEpochs      find added epochs from the logs (default: false)
+ *   lookbackEpochs  how far back to look for them
+ *
+ * `metadata` and `addedEpoch` are null when not requested or not found.
+ */
+export async function listPieces(synapse, dataSetId, options = {}) {
+    const filter = options.filter ?? {};
+    const withMetadata = options.withMetadata ?? Object.keys(filter).length > 0;
+    const pageSize = options.pageSize ?? DEFAULT_PAGE_SIZE;
+    const concurrency = options.concurrency ?? DEFAULT_METADATA_CONCURRENCY;
+
+    const provider = synapse.getProvider();
+    const verifier = new PDPVerifier(provider, synapse.getPDPVerifierAddress());
+
+    let pieces = [];
+    for (let offset = 0; ; offset += pageSize) {
+        const page = await verifier.getActivePieces(dataSetId, { offset, limit: pageSize });
+        for (const { pieceId, pieceCid } of page.pieces) {
+            pieces.push({
+                pieceId,
+                pieceCid: pieceCid.toString(),
+                size: getSizeFromPieceCID(pieceCid),
+                metadata: null,
+                addedEpoch: null
+            });
+        }
+        if (!page.hasMore) {
+            break;
+        }
+    }
+
+    if (withMetadata && pieces.length > 0) {
+        const warmStorage = await WarmStorageService.create(provider, synapse.getWarmStorageAddress());
+        await mapWithConcurrency(pieces, concurrency, async (piece) => {
+            piece.metadata = { ...await warmStorage.getPieceMetadata(dataSetId, piece.pieceId) };
+        });
+        pieces = pieces.filter(piece => matchesMetadata(piece.metadata, filter));
+    }
+
+    if (options.withEpochs && pieces.length > 0) {
+        const epochs = await findAddedEpochs(synapse, dataSetId, pieces.map(piece => piece.pieceId), options);
+        for (const piece of pieces) {
+            piece.addedEpoch = epochs.get(piece.pieceId) ?? null;
+        }
+    }
+
+    return pieces;
+}
@@ -0,0 +1,194 @@
+import { createCipheriv, createDecipheriv, createHash, hkdfSync, randomBytes } from 'crypto';
+import { readFileSync } from 'fs';
+import { encodePayload, decodePayload } from './framing.js';
+
+/**
+ * Client-Side Encryption
+ *
+ * Opt-in envelope encryption for uploads, so storage providers only ever
+ * see ciphertext. Every file gets a fresh random 256-bit data key; the
+ * payload is encrypted with AES-256-GCM under that data key, and the data
+ * key is itself encrypted ("wrapped") with AES-256-GCM under a master key
+ * that never leaves the application.
+ *
+ * The master key comes from (first match wins):
+ *
+ *   options.key / ENCRYPTION_KEY             32 bytes as hex (64 chars) or base64
+ *   options.keyFile / ENCRYPTION_KEY_FILE    a file containing the same
+ *   options.signer                           derived from the wallet's signature
+ *                                            over a fixed message (HKDF-SHA256)
+ *
+ * Encrypted pieces start with this header:
+ *
+ *   offset 0    4 bytes   magic "\0ENC"
+ *   offset 4    1 byte    format version (1)
+ *   offset 5    8 bytes   master key fingerprint (SHA-256 prefix)
+ *   offset 13  12 bytes   nonce used to wrap the data key
+ *   offset 25  48 bytes   wrapped data key (32-byte key + 16-byte GCM tag)
+ *   offset 73  12 bytes   nonce used to encrypt the payload
+ *   offset 85   n bytes   ciphertext
+ *   85 + n     16 bytes   payload GCM tag
+ *
+ * The header is authenticated as additional data, so tampering with any
+ * part of it fails decryption. uploadEncrypted() additionally length-frames
+ * the result (see framing.js) so small payloads meet the minimum piece size.
+ *
+ * Losing the master key means losing the data - back it up.
+ */
+
+const ENCRYPTION_MAGIC = Buffer.from([0x00, 0x45, 0x4e, 0x43]);
+const ENCRYPTION_VERSION = 1;
+const FINGERPRINT_SIZE = 8;
+const NONCE_SIZE = 12;
+const KEY_SIZE = 32;
+const TAG_SIZE = 16;
+const WRAPPED_KEY_SIZE = KEY_SIZE + TAG_SIZE;
+
+export const ENCRYPTION_HEADER_SIZE = 4 + 1 + FINGERPRINT_SIZE + NONCE_SIZE + WRAPPED_KEY_SIZE + NONCE_SIZE;
+
+// Changing this message changes every wallet-derived key
+export const WALLET_KEY_MESSAGE = 'Filecoin Onchain Cloud client-side encryption key v1';
+
+function parseKey(material, source) {
+    const text = material.trim();
+    const key = /^(0x)?[0-9a-f]{64}$/i.test(text)
+        ? Buffer.from(text.replace(/^0x/i, ''), 'hex')
+        : Buffer.from(text, 'base64');
+
+    if (key.length !== KEY_SIZE) {
+        throw new Error(`${source} must be a 32-byte key (64 hex characters or base64)`);
+    }
+    return key;
+}
+
+export function generateMasterKey() {
+    return randomBytes(KEY_SIZE).toString('hex');
+}
+
+export function deriveKeyFromSignature(signature) {
+    return Buffer.from(hkdfSync('sha256', Buffer.from(signature.replace(/^0x/i, ''), 'hex'), Buffer.alloc(0), WALLET_KEY_MESSAGE, KEY_SIZE));
+}
+
+/**
+ * Derive a master key from a wallet signature. Wallets sign
+ * deterministically (RFC 6979), so the same wallet always yields the same key.
+ */
+export async function deriveWalletKey(signer) {
+    return deriveKeyFromSignature(await signer.signMessage(WALLET_KEY_MESSAGE));
+}
+
+/**
+ * Derive an independent key for one tenant, user or purpose, so a key
+ * leaked for one user does not expose anyone else's data.
+ */
+export function deriveSubkey(masterKey, label) {
+    return Buffer.from(hkdfSync('sha256', masterKey, Buffer.alloc(0), `subkey:${label}`, KEY_SIZE));
+}
+
+export async function resolveMasterKey(options = {}) {
+    const key = options.key || process.env.ENCRYPTION_KEY;
+    if (key) {
+        return parseKey(key, 'ENCRYPTION_KEY');
+    }
+
+    const keyFile = options.keyFile || process.env.ENCRYPTION_KEY_FILE;
+    if (keyFile) {
+        return parseKey(readFileSync(keyFile, 'utf-8'), `Key file ${keyFile}`);
+    }
+
+    if (options.signer) {
+        return deriveWalletKey(options.signer);
+    }
+
+    throw new Error('No encryption key: set ENCRYPTION_KEY or ENCRYPTION_KEY_FILE, or derive one from the wallet');
+}
+
+export function keyFingerprint(masterKey) {
+    return createHash('sha256').update(masterKey).digest().subarray(0, FINGERPRINT_SIZE);
+}
+
+function toBuffer(data) {
+    if (typeof data === 'string') {
+        return Buffer.from(data, 'utf-8');
+    }
+    if (ArrayBuffer.isView(data)) {
+        return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    }
+    return Buffer.from(data);
+}
+
+export function isEncrypted(data) {
+    const bytes = toBuffer(data);
+    return bytes.length >= ENCRYPTION_HEADER_SIZE + TAG_SIZE
+        && bytes.subarray(0, ENCRYPTION_MAGIC.length).equals(ENCRYPTION_MAGIC)
+        && bytes[4] === ENCRYPTION_VERSION;
+}
+
+export function encrypt(data, masterKey) {
+    const plaintext = toBuffer(data);
+    const dataKey = randomBytes(KEY_SIZE);
+
+    const wrapNonce = randomBytes(NONCE_SIZE);
+    const wrapCipher = createCipheriv('aes-256-gcm', masterKey, wrapNonce);
+    const wrappedKey = Buffer.concat([wrapCipher.update(dataKey), wrapCipher.final(), wrapCipher.getAuthTag()]);
+
+    const dataNonce = randomBytes(NONCE_SIZE);
+    const header = Buffer.concat([
+        ENCRYPTION_MAGIC,
+        Buffer.from([ENCRYPTION_VERSION]),
+        keyFingerprint(masterKey),
+        wrapNonce,
+        wrappedKey,
+        dataNonce
+    ]);
+
+    const cipher = createCipheriv('aes-256-gcm', dataKey, dataNonce);
+    cipher.setAAD(header);
+    return Buffer.concat([header, cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+}
+
+export function decrypt(data, masterKey) {
+    const bytes = toBuffer(data);
+    if (!isEncrypted(bytes)) {
+        throw new Error('Data is not encrypted (missing encryption header)');
+    }
+
+    let offset = ENCRYPTION_MAGIC.length + 1;
+    const fingerprint = bytes.subarray(offset, offset += FINGERPRINT_SIZE);
+    if (!fingerprint.equals(keyFingerprint(masterKey))) {
+        throw new Error('Data was encrypted with a different master key');
+    }
+
+    const wrapNonce = bytes.subarray(offset, offset += NONCE_SIZE);
+    const wrappedKey = bytes.subarray(offset, offset += WRAPPED_KEY_SIZE);
+    const dataNonce = bytes.subarray(offset, offset += NONCE_SIZE);
+    const header = bytes.subarray(0, offset);
+
+    try {
+        const unwrap = createDecipheriv('aes-256-gcm', masterKey, wrapNonce);
+        unwrap.setAuthTag(wrappedKey.subarray(KEY_SIZE));
+        const dataKey = Buffer.concat([unwrap.update(wrappedKey.subarray(0, KEY_SIZE)), unwrap.final()]);
+
+        const decipher = createDecipheriv('aes-256-gcm', dataKey, dataNonce);
+        decipher.setAAD(header);
+        decipher.setAuthTag(bytes.subarray(bytes.length - TAG_SIZE));
+        return Buffer.concat([decipher.update(bytes.subarray(offset, bytes.length - TAG_SIZE)), decipher.final()]);
+    } catch {
+        throw new Error('Decryption failed: data is corrupted or was tampered with');
+    }
+}
+
+/**
+ * Encrypt, frame and upload. `storage` is synapse.storage or a
+ * StorageContext. Returns the upload result plus the bytes that were sent.
+ */
+export async function uploadEncrypted(storage, data, masterKey, uploadOptions) {
+    const uploaded = encodePayload(encrypt(data, masterKey));
+    const result = await storage.upload(uploaded, uploadOptions);
+    return { ...result, data: uploaded };
+}
+
+export async function downloadEncrypted(storage, pieceCid, masterKey, downloadOptions) {
+    const downloaded = await storage.download(String(pieceCid), downloadOptions);
+    return decrypt(decodePayload(downloaded), masterKey);
+}
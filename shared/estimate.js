@@ -0,0 +1,205 @@
+import { PDPVerifier, WarmStorageService, TOKENS, TIME_CONSTANTS, SIZE_CONSTANTS } from '@filoz/synapse-sdk';
+import { ethers } from 'ethers';
+import { formatUSDFC, formatBytes } from './format.js';
+import { paddedPieceSize } from './removal.js';
+import { resolveSpendCaps, projectSpend, checkSpendCaps } from './budget.js';
+
+/**
+ * Storage Cost Estimates
+ *
+ * What storing some files will cost, worked out before uploading them from
+ * the service's current pricing (synapse.storage.getStorageInfo()):
+ *
+ *   const estimate = await estimateStorageCost(synapse, { sizes: [fileSize], days: 90 });
+ *   // ratePerEpoch, ratePerMonth, lockupRequired, totalCost, ...
+ *   // affordable: the account's funds and allowances cover it
+ *   assertWithinBudget(estimate);   // throws if it's over budget or the spend caps
+ *
+ * Each file is stored as its own piece, and pieces are billed by their
+ * padded size. A data set is never billed less than the service's monthly
+ * minimum (getServicePrice()), which dominates for small files: uploads
+ * are priced as a new data set, floor included, unless `dataSetId` names
+ * the existing data set they go into - then only the increase in its rate
+ * counts. The lockup is the rate times the lockup period, which must be
+ * free in the payment account when the upload's rail is created.
+ *
+ * The budget is the most a single upload may cost over its storage
+ * duration, from UPLOAD_BUDGET_USDFC unless passed explicitly. The
+ * account's spend caps (see budget.js) are checked with the upload's rate
+ * added to what the account already pays. CDN egress is billed separately
+ * and isn't included.
+ */
+
+export const DEFAULT_STORAGE_DAYS = 30;
+
+const SIZE_UNITS = { '': 1, K: 1024, M: 1024 ** 2, G: 1024 ** 3, T: 1024 ** 4 };
+
+/**
+ * Bytes from "2048", "10MB", "1.5 GiB" and the like (binary units, as
+ * formatBytes() prints them).
+ */
+export function parseSize(text) {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(?:([KMGT])i?)?B?\s*$/i.exec(String(text));
+    if (!match) {
+        throw new Error(`Invalid size "${text}" (expected e.g. 2048, 10MB or 1.5GiB)`);
+    }
+    return Math.ceil(Number(match[1]) * SIZE_UNITS[(match[2] ?? '').toUpperCase()]);
+}
+
+/**
+ * The configured upload budget in base units, or null for none.
+ */
+export function uploadBudget() {
+    const value = process.env.UPLOAD_BUDGET_USDFC;
+    return value ? ethers.parseUnits(value, 18) : null;
+}
+
+// Padded bytes currently in a data set
+async function dataSetBytes(synapse, dataSetId) {
+    const verifier = new PDPVerifier(synapse.getProvider(), synapse.getPDPVerifierAddress());
+    return Number(await verifier.getDataSetLeafCount(dataSetId)) * 32;
+}
+
+/**
+ * Estimate storing files of the given `sizes` (bytes) for `days`.
+ *
+ * Options: sizes, withCDN, days (default 30; must be positive), lockupDays (the service's
+ * lockup period, 30 days), dataSetId (the existing data set the files go
+ * into, e.g. context.dataSetId; omitted or null for a new one), budget
+ * (base units; null for none), caps (spend caps, default
+ * resolveSpendCaps(); null to skip).
+ *
+ * Amounts are bigints in USDFC base units. `checks` says which of funds,
+ * rate allowance, lockup allowance, budget and spend caps cover the upload, and
+ * `problems` explains the ones that don't.
+ */
+export async function estimateStorageCost(synapse, options = {}) {
+    const sizes = options.sizes ?? [];
+    const withCDN = options.withCDN ?? false;
+    const days = options.days ?? DEFAULT_STORAGE_DAYS;
+    const lockupDays = BigInt(options.lockupDays ?? TIME_CONSTANTS.DEFAULT_LOCKUP_DAYS);
+    const budget = options.budget !== undefined ? options.budget : uploadBudget();
+    const caps = options.caps !== undefined ? options.caps : resolveSpendCaps();
+
+    if (sizes.length === 0) {
+        throw new Error('Nothing to estimate: no file sizes given');
+    }
+    // A zero or negative duration would price the upload at nothing and pass any budget
+    if (!(typeof days === 'number' && Number.isFinite(days) && days > 0)) {
+        throw new Error(`Invalid storage duration "${days}" (expected a positive number of days)`);
+    }
+
+    const dataSetId = options.dataSetId ?? null;
+    const warmStorage = await WarmStorageService.create(synapse.getProvider(), synapse.getWarmStorageAddress());
+    const [storageInfo, servicePrice, existingBytes, accountInfo, projection] = await Promise.all([
+        synapse.storage.getStorageInfo(),
+        warmStorage.getServicePrice(),
+        dataSetId !== null ? dataSetBytes(synapse, dataSetId) : null,
+        synapse.payments.accountInfo(TOKENS.USDFC),
+        caps !== null ? projectSpend(synapse) : null
+    ]);
+    const pricing = withCDN ? storageInfo.pricing.withCDN : storageInfo.pricing.noCDN;
+    const { epochsPerMonth, epochsPerDay } = storageInfo.serviceParameters;
+
+    const totalBytes = sizes.reduce((sum, size) => sum + size, 0);
+    const paddedBytes = sizes.reduce((sum, size) => sum + paddedPieceSize(Math.max(size, SIZE_CONSTANTS.MIN_UPLOAD_SIZE)), 0);
+
+    // The contract charges a data set at least the monthly minimum
+    const minimumRatePerEpoch = servicePrice.minimumPricePerMonth / servicePrice.epochsPerMonth;
+    const sizeRate = (bytes) => (pricing.perTiBPerMonth * BigInt(bytes)) / (SIZE_CONSTANTS.TiB * epochsPerMonth);
+    const dataSetRate = (bytes) => (sizeRate(bytes) > minimumRatePerEpoch ? sizeRate(bytes) : minimumRatePerEpoch);
+
+    const newDataSet = existingBytes === null;
+    const ratePerEpoch = newDataSet
+        ? dataSetRate(paddedBytes)
+        : dataSetRate(existingBytes + paddedBytes) - dataSetRate(existingBytes);
+    const minimumApplied = newDataSet && sizeRate(paddedBytes) < minimumRatePerEpoch;
+    const lockupRequired = ratePerEpoch * lockupDays * epochsPerDay;
+    const totalCost = ratePerEpoch * BigInt(Math.ceil(days * Number(epochsPerDay)));
+    // Enough to create the lockup now and to keep paying for the whole duration
+    const fundsRequired = totalCost > lockupRequired ? totalCost : lockupRequired;
+
+    const approval = storageInfo.allowances;
+    const allowances = approval ? {
+        approved: approval.isApproved,
+        rateRemaining: approval.rateAllowance - approval.rateUsed,
+        lockupRemaining: approval.lockupAllowance - approval.lockupUsed
+    } : null;
+
+    const checks = {
+        funds: accountInfo.availableFunds >= fundsRequired,
+        rateAllowance: allowances !== null && allowances.approved && allowances.rateRemaining >= ratePerEpoch,
+        lockupAllowance: allowances !== null && allowances.approved && allowances.lockupRemaining >= lockupRequired,
+        budget: budget === null || totalCost <= budget
+    };
+    const spend = caps !== null ? checkSpendCaps(projection, caps, { additionalRate: ratePerEpoch }) : null;
+    checks.spendCaps = spend === null || spend.ok;
+
+    const problems = [];
+    const tooLarge = sizes.filter(size => size > SIZE_CONSTANTS.MAX_UPLOAD_SIZE).length;
+    if (tooLarge > 0) {
+        // Still priced as one piece each; chunked uploads cost about the same
+        problems.push(`${tooLarge} file(s) exceed the ${formatBytes(SIZE_CONSTANTS.MAX_UPLOAD_SIZE)} piece limit and must be uploaded in chunks`);
+    }
+    if (!checks.funds) {
+        problems.push(`Needs ${formatUSDFC(fundsRequired)} available in the payment account, has ${formatUSDFC(accountInfo.availableFunds)}`);
+    }
+    if (!checks.rateAllowance) {
+        problems.push(allowances?.approved
+            ? `Rate allowance has ${formatUSDFC(allowances.rateRemaining)}/epoch left, needs ${formatUSDFC(ratePerEpoch)}/epoch`
+            : 'The storage operator is not approved');
+    }
+    if (!checks.lockupAllowance && allowances?.approved) {
+        problems.push(`Lockup allowance has ${formatUSDFC(allowances.lockupRemaining)} left, needs ${formatUSDFC(lockupRequired)}`);
+    }
+    if (!checks.budget) {
+        problems.push(`Costs ${formatUSDFC(totalCost)} over ${days} days, more than the ${formatUSDFC(budget)} budget`);
+    }
+    if (!checks.spendCaps) {
+        problems.push(...spend.problems);
+    }
+
+    return {
+        files: sizes.length,
+        totalBytes,
+        paddedBytes,
+        withCDN,
+        days,
+        lockupDays: Number(lockupDays),
+        dataSetId,
+        newDataSet,
+        minimumPerMonth: servicePrice.minimumPricePerMonth,
+        minimumApplied,
+        ratePerEpoch,
+        ratePerDay: ratePerEpoch * epochsPerDay,
+        ratePerMonth: ratePerEpoch * epochsPerMonth,
+        lockupRequired,
+        totalCost,
+        fundsRequired,
+        availableFunds: accountInfo.availableFunds,
+        allowances,
+        budget,
+        caps,
+        spend,
+        checks,
+        affordable: checks.funds && checks.rateAllowance && checks.lockupAllowance,
+        problems
+    };
+}
+
+/**
+ * Refuse (throw) when an estimate is over its budget or would break the
+ * account's spend caps.
+ */
+export function assertWithinBudget(estimate) {
+    if (!estimate.checks.budget) {
+        throw new Error(
+            `Upload refused: it would cost ${formatUSDFC(estimate.totalCost)} over ${estimate.days} days, ` +
+            `more than the ${formatUSDFC(estimate.budget)} upload budget`
+        );
+    }
+    if (!estimate.checks.spendCaps) {
+        throw new Error(`Upload blocked by spend caps: ${estimate.spend.problems.join('; ')}`);
+    }
+    return estimate;
+}
@@ -0,0 +1,31 @@
+import { ethers } from 'ethers';
+
+/**
+ * Display helpers shared by the CLI commands.
+ */
+
+export function formatUSDFC(amount) {
+    if (amount === ethers.MaxUint256) {
+        return 'Unlimited';
+    }
+    return `${ethers.formatUnits(amount, 18)} USDFC`;
+}
+
+export function formatFIL(amount) {
+    return `${ethers.formatEther(amount)} tFIL`;
+}
+
+export function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(2)} KB`;
+    if (bytes < 1024 * 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+    return `${(bytes / 1024 / 1024 / 1024).toFixed(2)} GB`;
+}
+
+/**
+ * JSON.stringify that writes bigints (token amounts in base units, epochs)
+ * as decimal strings instead of throwing.
+ */
+export function toJSON(value) {
+    return JSON.stringify(value, (key, v) => (typeof v === 'bigint' ? v.toString() : v), 2);
+}
@@ -0,0 +1,95 @@
+import { SIZE_CONSTANTS } from '@filoz/synapse-sdk';
+
+/**
+ * Length-Framed Payloads
+ *
+ * Pieces must be at least 127 bytes, so small payloads (NFT metadata, agent
+ * cards, memory entries) have to be padded. Padding with spaces or zero
+ * bytes changes what comes back on download - trailing NULs break
+ * JSON.parse, and binary payloads can't tell padding from content.
+ *
+ * encodePayload() prefixes the payload with a small header recording its
+ * true length, then pads the result with zeros up to the minimum piece size:
+ *
+ *   offset 0   4 bytes   magic "\0FRM"
+ *   offset 4   1 byte    format version (1)
+ *   offset 5   4 bytes   payload length, unsigned big-endian
+ *   offset 9   n bytes   payload
+ *   ...        zeros     padding up to MIN_UPLOAD_SIZE (127 bytes)
+ *
+ * decodePayload() reverses it. Data without the header (pieces uploaded
+ * before framing was introduced) is returned unchanged, so readers can
+ * switch to decodePayload() without migrating what is already stored.
+ * The magic starts with a NUL byte, which no text or JSON payload does.
+ */
+
+const FRAME_MAGIC = Buffer.from([0x00, 0x46, 0x52, 0x4d]);
+const FRAME_VERSION = 1;
+export const FRAME_HEADER_SIZE = 9;
+
+// Strings are UTF-8 encoded; typed arrays are wrapped without copying
+function toBuffer(data) {
+    if (typeof data === 'string') {
+        return Buffer.from(data, 'utf-8');
+    }
+    if (ArrayBuffer.isView(data)) {
+        return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    }
+    return Buffer.from(data);
+}
+
+export function isFramed(data) {
+    const bytes = toBuffer(data);
+    return bytes.length >= FRAME_HEADER_SIZE
+        && bytes.subarray(0, FRAME_MAGIC.length).equals(FRAME_MAGIC)
+        && bytes[4] === FRAME_VERSION;
+}
+
+/**
+ * Frame a string or byte array and pad it to the minimum upload size.
+ */
+export function encodePayload(data) {
+    const payload = toBuffer(data);
+    const framedSize = Math.max(FRAME_HEADER_SIZE + payload.length, SIZE_CONSTANTS.MIN_UPLOAD_SIZE);
+
+    // Buffer.alloc zero-fills, which provides the padding
+    const framed = Buffer.alloc(framedSize);
+    FRAME_MAGIC.copy(framed, 0);
+    framed.writeUInt8(FRAME_VERSION, 4);
+    framed.writeUInt32BE(payload.length, 5);
+    payload.copy(framed, FRAME_HEADER_SIZE);
+    return framed;
+}
+
+/**
+ * Return the original payload bytes from framed data, or the data
+ * unchanged if it was never framed.
+ */
+export function decodePayload(data) {
+    const bytes = toBuffer(data);
+    if (!isFramed(bytes)) {
+        return bytes;
+    }
+
+    const length = bytes.readUInt32BE(5);
+    if (FRAME_HEADER_SIZE + length > bytes.length) {
+        throw new Error(`Framed payload is truncated: header says ${length} bytes, only ${bytes.length - FRAME_HEADER_SIZE} present`);
+    }
+    return bytes.subarray(FRAME_HEADER_SIZE, FRAME_HEADER_SIZE + length);
+}
+
+export function encodeJSON(value, space = 2) {
+    return encodePayload(JSON.stringify(value, null, space));
+}
+
+export function decodeJSON(data) {
+    return JSON.parse(decodePayload(data).toString('utf-8'));
+}
+
+/**
+ * Download a piece and strip its framing. `storage` is `synapse.storage`
+ * or a StorageContext; options are passed through to download().
+ */
+export async function downloadPayload(storage, pieceCid, options) {
+    return decodePayload(await storage.download(String(pieceCid), options));
+}
@@ -0,0 +1,128 @@
+import { SIZE_CONSTANTS } from '@filoz/synapse-sdk';
+
+/**
+ * HLS Playlists for Pieces
+ *
+ * A packaged video is a set of pieces: an init segment and media segments
+ * per track, a media playlist per track, and a master playlist tying them
+ * together. Playlists refer to other pieces by PieceCID plus an extension,
+ * e.g. "bafkzcib...abc.m4s", so they are complete on their own and can be
+ * served by anything that knows how to turn a PieceCID into a URL:
+ *
+ *   const text = resolvePlaylist(playlist, ({ pieceCid, extension }) =>
+ *       extension === 'm3u8' ? `/hls/${pieceCid}.m3u8` : `/video/${pieceCid}`);
+ *
+ * Segments are fragmented MP4 (CMAF style), so playlists use version 7.
+ */
+
+export const HLS_VERSION = 7;
+export const PLAYLIST_CONTENT_TYPE = 'application/vnd.apple.mpegurl';
+export const DEFAULT_SEGMENT_DURATION = 6;
+
+export function pieceUri(pieceCid, extension) {
+    return `${pieceCid}.${extension}`;
+}
+
+/**
+ * { pieceCid, extension } for a URI written by pieceUri(), else null.
+ */
+export function parsePieceUri(uri) {
+    const match = /^([a-z0-9]{40,})\.(m3u8|m4s|mp4)$/i.exec(uri);
+    return match ? { pieceCid: match[1], extension: match[2].toLowerCase() } : null;
+}
+
+const quote = (value) => `"${String(value).replace(/"/g, '')}"`;
+
+/**
+ * Media playlist for one track.
+ *
+ *   init       URI of the init segment (EXT-X-MAP)
+ *   segments   [{ uri, duration }] in seconds
+ */
+export function buildMediaPlaylist({ init, segments }) {
+    const targetDuration = Math.max(1, ...segments.map(segment => Math.ceil(segment.duration)));
+    const lines = [
+        '#EXTM3U',
+        `#EXT-X-VERSION:${HLS_VERSION}`,
+        `#EXT-X-TARGETDURATION:${targetDuration}`,
+        '#EXT-X-MEDIA-SEQUENCE:0',
+        '#EXT-X-PLAYLIST-TYPE:VOD',
+        '#EXT-X-INDEPENDENT-SEGMENTS',
+        `#EXT-X-MAP:URI=${quote(init)}`
+    ];
+    for (const segment of segments) {
+        lines.push(`#EXTINF:${segment.duration.toFixed(3)},`, segment.uri);
+    }
+    lines.push('#EXT-X-ENDLIST');
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Master playlist for a video rendition and an optional audio rendition.
+ *
+ *   video   { uri, codecs, bandwidth, width, height, frameRate }
+ *   audio   { uri, codecs, bandwidth, language } or null
+ */
+export function buildMasterPlaylist({ video, audio = null }) {
+    const lines = ['#EXTM3U', `#EXT-X-VERSION:${HLS_VERSION}`, '#EXT-X-INDEPENDENT-SEGMENTS'];
+
+    if (audio) {
+        lines.push(
+            '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",NAME="default",DEFAULT=YES,AUTOSELECT=YES,' +
+            `LANGUAGE=${quote(audio.language || 'und')},URI=${quote(audio.uri)}`
+        );
+    }
+
+    const attributes = [
+        // Required, so never 0 even if the container didn't say
+        `BANDWIDTH=${Math.max(1, Math.round((video.bandwidth || 0) + (audio?.bandwidth || 0)))}`,
+        `CODECS=${quote([video.codecs, audio?.codecs].filter(Boolean).join(','))}`
+    ];
+    if (video.width && video.height) {
+        attributes.push(`RESOLUTION=${video.width}x${video.height}`);
+    }
+    if (video.frameRate) {
+        attributes.push(`FRAME-RATE=${video.frameRate.toFixed(3)}`);
+    }
+    if (audio) {
+        attributes.push('AUDIO="audio"');
+    }
+    lines.push(`#EXT-X-STREAM-INF:${attributes.join(',')}`, video.uri);
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Rewrite every piece URI in a playlist - segment lines and URI="..."
+ * attributes - with `resolve({ pieceCid, extension, uri })`. Other URIs
+ * are left alone.
+ */
+export function resolvePlaylist(text, resolve) {
+    const rewrite = (uri) => {
+        const piece = parsePieceUri(uri);
+        return piece ? resolve({ ...piece, uri }) : uri;
+    };
+
+    return text.split('\n').map(line => {
+        const trimmed = line.trim();
+        if (trimmed === '') {
+            return line;
+        }
+        if (trimmed.startsWith('#')) {
+            return line.replace(/URI="([^"]*)"/g, (match, uri) => `URI="${rewrite(uri)}"`);
+        }
+        return rewrite(trimmed);
+    }).join('\n');
+}
+
+/**
+ * Playlist text as upload bytes. Blank lines are ignored by players, so a
+ * tiny playlist is padded with newlines up to the minimum piece size.
+ */
+export function playlistBytes(text) {
+    const bytes = Buffer.from(text, 'utf-8');
+    if (bytes.length >= SIZE_CONSTANTS.MIN_UPLOAD_SIZE) {
+        return bytes;
+    }
+    return Buffer.concat([bytes, Buffer.alloc(SIZE_CONSTANTS.MIN_UPLOAD_SIZE - bytes.length, '\n')]);
+}
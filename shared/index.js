@@ -0,0 +1,214 @@
+export { NETWORKS, DEFAULT_NETWORK, DEFAULT_TIMEOUT_MS, resolveConfig } from './config.js';
+export { createSynapse } from './client.js';
+export {
+    PREFLIGHT_FAILURES,
+    DEFAULT_MIN_GAS,
+    DEFAULT_MIN_RUNWAY_DAYS,
+    runwayDays,
+    checkReadiness,
+    serializeReadiness
+} from './preflight.js';
+export { formatUSDFC, formatFIL, formatBytes, toJSON } from './format.js';
+export {
+    DEFAULT_MANIFEST_FILE,
+    sha256,
+    openManifest,
+    saveManifest,
+    recordUpload,
+    markRemoved,
+    findByFilename,
+    findByHash,
+    findByPieceCid
+} from './manifest.js';
+export {
+    DEFAULT_CONCURRENCY,
+    DEFAULT_MAX_RETRIES,
+    DEFAULT_BASE_DELAY_MS,
+    DEFAULT_MAX_DELAY_MS,
+    isTransientError,
+    backoffDelay,
+    runUploadQueue
+} from './queue.js';
+export {
+    JOB_STATUS,
+    DEFAULT_JOBS_FILE,
+    hashFile,
+    openJobStore,
+    saveJobStore,
+    updateJob,
+    createJob,
+    unfinishedJobs,
+    latestUnfinishedBatch,
+    openJobContext,
+    runJob
+} from './jobs.js';
+export { syncedFiles, syncedDataSetId, planSync, runSync } from './sync.js';
+export {
+    FRAME_HEADER_SIZE,
+    isFramed,
+    encodePayload,
+    decodePayload,
+    encodeJSON,
+    decodeJSON,
+    downloadPayload
+} from './framing.js';
+export {
+    DEFAULT_MAX_PACK_BYTES,
+    packObjects,
+    isPack,
+    readPackIndex,
+    extractObject,
+    formatAddress,
+    parseAddress,
+    uploadPack,
+    readPackedObjects,
+    readPackedObject,
+    createPacker
+} from './pack.js';
+export {
+    ENCRYPTION_HEADER_SIZE,
+    WALLET_KEY_MESSAGE,
+    generateMasterKey,
+    deriveKeyFromSignature,
+    deriveWalletKey,
+    deriveSubkey,
+    resolveMasterKey,
+    keyFingerprint,
+    isEncrypted,
+    encrypt,
+    decrypt,
+    uploadEncrypted,
+    downloadEncrypted
+} from './encryption.js';
+export {
+    CHUNKED_FILE_FORMAT,
+    DEFAULT_MIN_CHUNK_SIZE,
+    DEFAULT_AVG_CHUNK_SIZE,
+    DEFAULT_MAX_CHUNK_SIZE,
+    createChunker,
+    chunkBuffer,
+    scanFile,
+    planChunkedUpload,
+    isChunkedRoot,
+    runChunkedUpload,
+    readChunkedRoot,
+    downloadChunkedFile
+} from './chunking.js';
+export { cdnPieceUrl, pieceUrls, openPieceStream, downloadPieceToFile, fetchPieceRange } from './retrieval.js';
+export {
+    DEFAULT_BLOCK_SIZE,
+    DEFAULT_MAX_MEMORY_BYTES,
+    DEFAULT_MAX_DISK_BYTES,
+    DEFAULT_MAX_BLOCKS_PER_FETCH,
+    createPieceCache
+} from './piece-cache.js';
+export { MAX_RANGES, parseRange, pieceETag, ifRangeMatches, noneMatch, multipartByteranges } from './ranges.js';
+export { DEFAULT_MIME_TYPE, SNIFF_BYTES, mimeTypeFromFilename, sniffMimeType, contentTypeFor, servedContentType } from './mime.js';
+export { MAX_PART_HEADER_BYTES, MAX_FIELD_BYTES, multipartBoundary, readMultipartFile } from './multipart.js';
+export {
+    HLS_VERSION,
+    PLAYLIST_CONTENT_TYPE,
+    DEFAULT_SEGMENT_DURATION,
+    pieceUri,
+    parsePieceUri,
+    buildMediaPlaylist,
+    buildMasterPlaylist,
+    resolvePlaylist,
+    playlistBytes
+} from './hls.js';
+export {
+    DEFAULT_PAGE_SIZE,
+    DEFAULT_METADATA_CONCURRENCY,
+    DEFAULT_LOG_WINDOW_EPOCHS,
+    DEFAULT_LOG_LOOKBACK_EPOCHS,
+    parseMetadataFilter,
+    matchesMetadata,
+    listDataSets,
+    findAddedEpochs,
+    listPieces
+} from './datasets.js';
+export {
+    paddedPieceSize,
+    storageRatePerEpoch,
+    previewPieceRemoval,
+    schedulePieceRemoval,
+    previewTermination,
+    terminateDataSet
+} from './removal.js';
+export {
+    DEFAULT_POLICY_FILE,
+    validateRetentionPolicy,
+    openRetentionPolicy,
+    entryMetadata,
+    matchRetentionRule,
+    expiresAt,
+    planRetention,
+    previewRetention,
+    applyRetention
+} from './retention.js';
+export { DEFAULT_STORAGE_DAYS, parseSize, uploadBudget, estimateStorageCost, assertWithinBudget } from './estimate.js';
+export {
+    DEFAULT_MONTHLY_CAP_USDFC,
+    resolveSpendCaps,
+    capRatePerEpoch,
+    budgetAllowances,
+    projectSpend,
+    checkSpendCaps,
+    assertSpendAllowed
+} from './budget.js';
+export {
+    DEFAULT_USAGE_WARNING,
+    describeApproval,
+    resolveOperator,
+    getOperatorApproval,
+    listOperators,
+    setOperatorApproval,
+    revokeOperator
+} from './allowances.js';
+export {
+    DEFAULT_TOPUP_MIN_RUNWAY_DAYS,
+    DEFAULT_TOPUP_TARGET_RUNWAY_DAYS,
+    DEFAULT_TOPUP_MAX_PER_DAY_USDFC,
+    DEFAULT_AUDIT_LOG_FILE,
+    resolveTopUpPolicy,
+    openAuditLog,
+    readAuditLog,
+    appendAuditEntry,
+    depositedSince,
+    planTopUp,
+    runTopUp
+} from './topup.js';
+export {
+    DEFAULT_LEDGER_FILE,
+    DEFAULT_HOT_MIN_USDFC,
+    DEFAULT_HOT_TARGET_USDFC,
+    resolveUserLimits,
+    resolveTreasuryConfig,
+    openLedger,
+    saveLedger,
+    openTreasury,
+    hotWalletFor,
+    userLimits,
+    setTenantLimits,
+    userUsage,
+    checkSponsorship,
+    refillHotWallet,
+    sponsorUpload,
+    dataSetPayer,
+    tenantCostReport
+} from './treasury.js';
+export {
+    ROUTING_PATHS,
+    DEFAULT_ROUTING_POLICY_FILE,
+    DEFAULT_ROUTING_DB_FILE,
+    registerCondition,
+    validateRoutingPolicy,
+    openRoutingPolicy,
+    evaluateRoute,
+    openRoutingStore,
+    getRoutingUser,
+    listRoutingUsers,
+    listRoutingRequests,
+    upsertUser,
+    routeUpload
+} from './routing.js';
@@ -0,0 +1,218 @@
+import { createReadStream, existsSync, readFileSync, renameSync, statSync, writeFileSync } from 'fs';
+import { createHash, randomUUID } from 'crypto';
+import path from 'path';
+
+/**
+ * Resumable Upload Jobs
+ *
+ * Persists the state of every upload to ./upload-jobs.json (or
+ * UPLOAD_JOBS_PATH) before, during and after it runs, so a batch or a
+ * large-file upload interrupted by a crash can be picked up again with
+ * `--resume` instead of starting over.
+ *
+ * A job moves through:
+ *
+ *   pending -> uploading -> parked -> completed
+ *                  \           \
+ *                   `-----------`--> failed (retried on resume)
+ *
+ * `parked` means the provider has the bytes and returned a PieceCID, but
+ * the piece was not yet confirmed in the data set. On resume, a parked or
+ * interrupted job whose PieceCID already appears in the data set is
+ * marked completed without uploading again.
+ */
+
+export const JOB_STATUS = {
+    PENDING: 'pending',
+    UPLOADING: 'uploading',
+    PARKED: 'parked',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+};
+
+export const DEFAULT_JOBS_FILE = 'upload-jobs.json';
+const JOBS_VERSION = 1;
+
+export function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = createHash('sha256');
+        createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+export function openJobStore(filePath = process.env.UPLOAD_JOBS_PATH || DEFAULT_JOBS_FILE) {
+    const storePath = path.resolve(filePath);
+
+    if (!existsSync(storePath)) {
+        return { path: storePath, version: JOBS_VERSION, jobs: [] };
+    }
+
+    const stored = JSON.parse(readFileSync(storePath, 'utf-8'));
+    if (stored.version !== JOBS_VERSION || !Array.isArray(stored.jobs)) {
+        throw new Error(`Unsupported upload job format in ${storePath}`);
+    }
+
+    return { path: storePath, version: stored.version, jobs: stored.jobs };
+}
+
+export function saveJobStore(store) {
+    const tmpPath = `${store.path}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify({ version: store.version, jobs: store.jobs }, null, 2));
+    renameSync(tmpPath, store.path);
+}
+
+export function updateJob(store, job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    saveJobStore(store);
+    return job;
+}
+
+/**
+ * Register a file for upload. The file is hashed up front so a resumed
+ * job can tell whether the file changed while it was interrupted.
+ *
+ *   batch      Groups jobs started together (default: a new id)
+ *   withCDN    Storage context option, kept so a resume uses the same one
+ *   metadata   Data set metadata, likewise
+ */
+export async function createJob(store, filePath, options = {}) {
+    const absolutePath = path.resolve(filePath);
+    const now = new Date().toISOString();
+
+    const job = {
+        id: randomUUID(),
+        batch: options.batch || randomUUID(),
+        filePath: absolutePath,
+        filename: path.basename(absolutePath),
+        size: statSync(absolutePath).size,
+        sha256: await hashFile(absolutePath),
+        withCDN: options.withCDN ?? false,
+        metadata: options.metadata ?? {},
+        dataSetId: null,
+        providerId: null,
+        status: JOB_STATUS.PENDING,
+        attempts: 0,
+        lastError: null,
+        pieceCid: null,
+        pieceId: null,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    store.jobs.push(job);
+    saveJobStore(store);
+    return job;
+}
+
+/**
+ * Jobs that have not completed, oldest first, optionally from one batch.
+ */
+export function unfinishedJobs(store, batch) {
+    return store.jobs.filter(job =>
+        job.status !== JOB_STATUS.COMPLETED && (batch === undefined || job.batch === batch)
+    );
+}
+
+/**
+ * The most recent batch with unfinished jobs, or null.
+ */
+export function latestUnfinishedBatch(store) {
+    const unfinished = unfinishedJobs(store);
+    return unfinished.length > 0 ? unfinished[unfinished.length - 1].batch : null;
+}
+
+/**
+ * Open the storage context a job uploads into: the data set it already
+ * reached if it got that far, otherwise a context with its original options.
+ */
+export async function openJobContext(synapse, job) {
+    if (job.dataSetId !== null) {
+        return synapse.storage.createContext({ dataSetId: job.dataSetId, withCDN: job.withCDN });
+    }
+    return synapse.storage.createContext({ withCDN: job.withCDN, metadata: job.metadata });
+}
+
+async function findDataSetPiece(context, pieceCid) {
+    if (context.dataSetId == null) {
+        return null;
+    }
+    for await (const piece of context.getPieces()) {
+        if (String(piece.pieceCid) === pieceCid) {
+            return piece;
+        }
+    }
+    return null;
+}
+
+/**
+ * Run (or resume) one job.
+ *
+ * `createData()` is only called when bytes actually need to be sent, and
+ * should return a Uint8Array or ReadableStream of the file. Upload callbacks
+ * (onProgress, onUploadComplete, ...) are passed through to upload().
+ *
+ * Resolves with { job, skipped } where `skipped` is true if the piece was
+ * already in the data set. Throws if the file changed since the job was
+ * created, or if the upload fails (the job is then left `failed`).
+ */
+export async function runJob(store, job, context, { createData, ...callbacks }) {
+    if (job.status === JOB_STATUS.COMPLETED) {
+        return { job, skipped: true };
+    }
+
+    const stored = job.pieceCid ? await findDataSetPiece(context, job.pieceCid) : null;
+    if (stored) {
+        updateJob(store, job, {
+            status: JOB_STATUS.COMPLETED,
+            pieceId: stored.pieceId,
+            dataSetId: context.dataSetId,
+            lastError: null
+        });
+        return { job, skipped: true };
+    }
+
+    if (!existsSync(job.filePath) || statSync(job.filePath).size !== job.size || await hashFile(job.filePath) !== job.sha256) {
+        updateJob(store, job, { status: JOB_STATUS.FAILED, lastError: 'File changed or missing since the job was created' });
+        throw new Error(`${job.filePath} changed or is missing since the job was created; start a new upload instead`);
+    }
+
+    updateJob(store, job, {
+        status: JOB_STATUS.UPLOADING,
+        attempts: job.attempts + 1,
+        providerId: context.provider.id
+    });
+
+    try {
+        const result = await context.upload(createData(), {
+            ...callbacks,
+            onUploadComplete: (pieceCid) => {
+                updateJob(store, job, {
+                    status: JOB_STATUS.PARKED,
+                    pieceCid: String(pieceCid),
+                    dataSetId: context.dataSetId ?? job.dataSetId
+                });
+                callbacks.onUploadComplete?.(pieceCid);
+            }
+        });
+
+        updateJob(store, job, {
+            status: JOB_STATUS.COMPLETED,
+            pieceCid: String(result.pieceCid),
+            pieceId: result.pieceId ?? null,
+            dataSetId: context.dataSetId,
+            lastError: null
+        });
+        return { job, result, skipped: false };
+    } catch (error) {
+        // Keep the data set (if one was created) so the retry lands in it
+        updateJob(store, job, {
+            status: JOB_STATUS.FAILED,
+            dataSetId: context.dataSetId ?? job.dataSetId,
+            lastError: error.message
+        });
+        throw error;
+    }
+}
@@ -0,0 +1,116 @@
+import { existsSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { createHash } from 'crypto';
+import path from 'path';
+
+/**
+ * Upload Manifest
+ *
+ * A local JSON ledger of every piece a walkthrough uploads, so PieceCIDs
+ * no longer have to be copied out of the console. Each entry records the
+ * PieceCID, original filename, SHA-256, size, the provider and data set it
+ * was stored in, and when it was uploaded.
+ *
+ * The manifest lives in ./piece-manifest.json (relative to the directory a
+ * script is run from) unless MANIFEST_PATH points elsewhere. It is a plain
+ * JSON file for simplicity - in production, use a database.
+ */
+
+export const DEFAULT_MANIFEST_FILE = 'piece-manifest.json';
+const MANIFEST_VERSION = 1;
+
+export function sha256(data) {
+    return createHash('sha256').update(data).digest('hex');
+}
+
+export function openManifest(filePath = process.env.MANIFEST_PATH || DEFAULT_MANIFEST_FILE) {
+    const manifestPath = path.resolve(filePath);
+
+    if (!existsSync(manifestPath)) {
+        return { path: manifestPath, version: MANIFEST_VERSION, entries: [] };
+    }
+
+    const stored = JSON.parse(readFileSync(manifestPath, 'utf-8'));
+    if (stored.version !== MANIFEST_VERSION || !Array.isArray(stored.entries)) {
+        throw new Error(`Unsupported manifest format in ${manifestPath}`);
+    }
+
+    return { path: manifestPath, version: stored.version, entries: stored.entries };
+}
+
+export function saveManifest(manifest) {
+    // Write to a temporary file first so an interrupted run never leaves a
+    // truncated manifest behind.
+    const tmpPath = `${manifest.path}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify({ version: manifest.version, entries: manifest.entries }, null, 2));
+    renameSync(tmpPath, manifest.path);
+}
+
+/**
+ * Record a completed upload and save the manifest.
+ *
+ *   filename   Original file name (or a descriptive label for generated data)
+ *   data       The bytes that were uploaded (hashed and measured here)
+ *   sha256, size  Pass these instead of `data` for streamed uploads
+ *   result     The UploadResult returned by upload()
+ *   context    The StorageContext used, for provider and data set details
+ *   metadata   Piece metadata passed to upload(), if any
+ *   tags       Application-specific fields to keep with the entry
+ */
+export function recordUpload(manifest, { filename, data, result, context, metadata = {}, tags = {}, ...precomputed }) {
+    const entry = {
+        pieceCid: String(result.pieceCid),
+        filename,
+        sha256: precomputed.sha256 ?? sha256(data),
+        size: precomputed.size ?? data.length,
+        pieceId: result.pieceId ?? null,
+        dataSetId: context?.dataSetId ?? null,
+        provider: context ? {
+            id: context.provider.id,
+            address: context.provider.serviceProvider,
+            name: context.provider.name
+        } : null,
+        withCDN: context?.withCDN ?? false,
+        dataSetMetadata: context?.dataSetMetadata ?? {},
+        pieceMetadata: metadata,
+        tags,
+        uploadedAt: new Date().toISOString()
+    };
+
+    manifest.entries.push(entry);
+    saveManifest(manifest);
+    return entry;
+}
+
+/**
+ * Mark entries whose pieces were removed from storage (piece removal,
+ * data set termination or retention) with removedAt, and save the
+ * manifest. They stay in the manifest as history, but are never reused.
+ */
+export function markRemoved(manifest, entries, details = {}) {
+    const removedAt = new Date().toISOString();
+    for (const entry of entries) {
+        entry.removedAt = removedAt;
+        entry.removal = details;
+    }
+    saveManifest(manifest);
+}
+
+// Lookups return every matching entry, oldest first, since the same file
+// may have been uploaded more than once.
+
+export function findByFilename(manifest, filename) {
+    return manifest.entries.filter(entry => entry.filename === filename);
+}
+
+/**
+ * Entries with this content. Used to reuse pieces that are already stored,
+ * so removed entries are left out unless `includeRemoved` is set.
+ */
+export function findByHash(manifest, hash, options = {}) {
+    return manifest.entries.filter(entry =>
+        entry.sha256 === hash.toLowerCase() && (options.includeRemoved || !entry.removedAt));
+}
+
+export function findByPieceCid(manifest, pieceCid) {
+    return manifest.entries.filter(entry => entry.pieceCid === String(pieceCid));
+}
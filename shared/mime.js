@@ -0,0 +1,162 @@
+import path from 'path';
+
+/**
+ * Content Type Detection
+ *
+ * Pieces carry no Content-Type, so a server has to work one out:
+ *
+ *   1. from what was stored with the upload (a contentType field, or the
+ *      original filename's extension) - see contentTypeFor()
+ *   2. from the first bytes of the content ("magic numbers") - sniffMimeType()
+ *   3. application/octet-stream
+ *
+ * Sniffing needs only the first few hundred bytes, e.g. the first cached
+ * block of a piece. The stored type comes from whoever uploaded the piece,
+ * so a server should pass it through servedContentType() before using it.
+ */
+
+export const DEFAULT_MIME_TYPE = 'application/octet-stream';
+
+// Enough for every signature below, including the MPEG-TS sync byte check
+export const SNIFF_BYTES = 512;
+
+const EXTENSIONS = {
+    '.mp4': 'video/mp4',
+    '.m4v': 'video/mp4',
+    '.mov': 'video/quicktime',
+    '.webm': 'video/webm',
+    '.mkv': 'video/x-matroska',
+    '.ogv': 'video/ogg',
+    '.avi': 'video/x-msvideo',
+    '.ts': 'video/mp2t',
+    '.m3u8': 'application/vnd.apple.mpegurl',
+    '.mp3': 'audio/mpeg',
+    '.m4a': 'audio/mp4',
+    '.aac': 'audio/aac',
+    '.ogg': 'audio/ogg',
+    '.oga': 'audio/ogg',
+    '.opus': 'audio/ogg',
+    '.wav': 'audio/wav',
+    '.flac': 'audio/flac',
+    '.pdf': 'application/pdf',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.svg': 'image/svg+xml',
+    '.json': 'application/json',
+    '.txt': 'text/plain; charset=utf-8',
+    '.html': 'text/html; charset=utf-8',
+    '.zip': 'application/zip'
+};
+
+export function mimeTypeFromFilename(filename) {
+    return filename ? EXTENSIONS[path.extname(filename).toLowerCase()] ?? null : null;
+}
+
+function ascii(bytes, start, end) {
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString('latin1', start, end);
+}
+
+const FTYP_BRANDS = {
+    'M4A ': 'audio/mp4',
+    'M4B ': 'audio/mp4',
+    'qt  ': 'video/quicktime',
+    'avif': 'image/avif',
+    'avis': 'image/avif',
+    'heic': 'image/heic',
+    'heix': 'image/heic',
+    'mif1': 'image/heif'
+};
+
+/**
+ * Guess a MIME type from a file's leading bytes, or null if unrecognised.
+ */
+export function sniffMimeType(bytes) {
+    const header = (start, end) => ascii(bytes, start, Math.min(end, bytes.length));
+    const startsWith = (...values) => values.every((value, i) => bytes[i] === value);
+
+    // ISO base media (MP4, MOV, M4A, AVIF, HEIC): "ftyp" box at offset 4
+    if (bytes.length >= 12 && header(4, 8) === 'ftyp') {
+        return FTYP_BRANDS[header(8, 12)] ?? 'video/mp4';
+    }
+    // Matroska / WebM (EBML header); the DocType says which
+    if (startsWith(0x1a, 0x45, 0xdf, 0xa3)) {
+        return header(0, 64).includes('webm') ? 'video/webm' : 'video/x-matroska';
+    }
+    if (header(0, 4) === 'OggS') {
+        return header(0, 64).includes('theora') ? 'video/ogg' : 'audio/ogg';
+    }
+    if (header(0, 4) === 'RIFF' && bytes.length >= 12) {
+        const format = header(8, 12);
+        const riffTypes = { 'WAVE': 'audio/wav', 'WEBP': 'image/webp', 'AVI ': 'video/x-msvideo' };
+        if (riffTypes[format]) {
+            return riffTypes[format];
+        }
+    }
+    if (header(0, 4) === 'fLaC') {
+        return 'audio/flac';
+    }
+    if (header(0, 3) === 'ID3' || (bytes[0] === 0xff && [0xfb, 0xf3, 0xf2].includes(bytes[1]))) {
+        return 'audio/mpeg';
+    }
+    if (bytes[0] === 0xff && (bytes[1] & 0xf6) === 0xf0) {
+        return 'audio/aac';
+    }
+    // MPEG transport stream: 0x47 sync byte every 188 bytes
+    if (bytes[0] === 0x47 && bytes.length > 376 && bytes[188] === 0x47 && bytes[376] === 0x47) {
+        return 'video/mp2t';
+    }
+    if (header(0, 5) === '%PDF-') {
+        return 'application/pdf';
+    }
+    if (startsWith(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a)) {
+        return 'image/png';
+    }
+    if (startsWith(0xff, 0xd8, 0xff)) {
+        return 'image/jpeg';
+    }
+    if (header(0, 6) === 'GIF87a' || header(0, 6) === 'GIF89a') {
+        return 'image/gif';
+    }
+    if (startsWith(0x50, 0x4b, 0x03, 0x04)) {
+        return 'application/zip';
+    }
+    if (header(0, 7) === '#EXTM3U') {
+        return 'application/vnd.apple.mpegurl';
+    }
+    return null;
+}
+
+// Types a browser only ever displays: media, PDFs and raster images
+const INLINE_TYPES = /^(video\/|audio\/|image\/(png|jpeg|gif|webp|avif|heic|heif|bmp)$|application\/pdf$|application\/vnd\.apple\.mpegurl$)/;
+
+/**
+ * How to serve a piece of `contentType` from a web origin. Returns
+ * { contentType, inline }: types in the inline list keep their type, and
+ * anything else - HTML, SVG, scripts, or an unknown type - becomes
+ * application/octet-stream to be sent as an attachment, so an upload can't
+ * run as a page on the server's own origin. Send it with
+ * X-Content-Type-Options: nosniff.
+ */
+export function servedContentType(contentType) {
+    const type = String(contentType ?? '').split(';')[0].trim().toLowerCase();
+    return INLINE_TYPES.test(type)
+        ? { contentType: type, inline: true }
+        : { contentType: DEFAULT_MIME_TYPE, inline: false };
+}
+
+/**
+ * Pick the Content-Type for a piece: stored metadata first, then sniffing.
+ *
+ *   stored   { contentType?, filename? } recorded at upload time, if any
+ *   bytes    the piece's first bytes, if available
+ */
+export function contentTypeFor({ stored = {}, bytes } = {}) {
+    return stored.contentType
+        || mimeTypeFromFilename(stored.filename)
+        || (bytes ? sniffMimeType(bytes) : null)
+        || DEFAULT_MIME_TYPE;
+}
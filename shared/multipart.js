@@ -0,0 +1,184 @@
+import path from 'path';
+
+/**
+ * Streaming multipart/form-data
+ *
+ * Reads the file part of a multipart/form-data request body without
+ * buffering it, so an upload can be piped straight into context.upload():
+ *
+ *   const boundary = multipartBoundary(req.headers['content-type']);
+ *   const file = await readMultipartFile(req, boundary);
+ *   // file = { fields, name, filename, contentType, body }
+ *   for await (const bytes of file.body) { ... }
+ *
+ * Text fields that come before the file are collected into `fields`;
+ * anything after the first file part is read and discarded, so put the
+ * file last in the form.
+ */
+
+const HEADER_END = Buffer.from('\r\n\r\n');
+
+export const MAX_PART_HEADER_BYTES = 16 * 1024;
+export const MAX_FIELD_BYTES = 64 * 1024;
+
+/**
+ * Boundary from a Content-Type header, or null if it isn't multipart/form-data.
+ */
+export function multipartBoundary(contentType) {
+    if (!/^\s*multipart\/form-data\s*;/i.test(contentType ?? '')) {
+        return null;
+    }
+    const match = /;\s*boundary=(?:"([^"]+)"|([^\s;]+))/i.exec(contentType);
+    return match ? match[1] ?? match[2] : null;
+}
+
+function parsePartHeaders(text) {
+    const headers = {};
+    for (const line of text.split('\r\n')) {
+        const index = line.indexOf(':');
+        if (index > 0) {
+            headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+        }
+    }
+
+    const disposition = headers['content-disposition'] ?? '';
+    const param = (key) => {
+        const match = new RegExp(`;\\s*${key}="((?:[^"\\\\]|\\\\.)*)"`, 'i').exec(disposition)
+            ?? new RegExp(`;\\s*${key}=([^\\s;]+)`, 'i').exec(disposition);
+        return match ? match[1].replace(/\\(.)/g, '$1') : null;
+    };
+
+    return {
+        name: param('name'),
+        filename: param('filename'),
+        contentType: headers['content-type'] ?? null
+    };
+}
+
+/**
+ * Read up to the first file part of a multipart body. `source` is any async
+ * iterable of Buffers (a Node request, a Readable).
+ *
+ * Resolves once the file part's headers have been read, with
+ * { fields, name, filename, contentType, body } where `body` is an async
+ * iterable of the file's bytes. It must be consumed to finish reading the
+ * request. Rejects if the body ends without a file part.
+ *
+ * Options: maxHeaderBytes (a part's headers, and the preamble before the
+ * first part; default 16 KiB), maxFieldBytes (a text field; default 64 KiB).
+ */
+export async function readMultipartFile(source, boundary, options = {}) {
+    const maxHeaderBytes = options.maxHeaderBytes ?? MAX_PART_HEADER_BYTES;
+    const maxFieldBytes = options.maxFieldBytes ?? MAX_FIELD_BYTES;
+
+    const iterator = source[Symbol.asyncIterator]();
+    const delimiter = Buffer.from(`\r\n--${boundary}`);
+    // The first delimiter may not be preceded by CRLF
+    let buffer = Buffer.from('\r\n');
+    let ended = false;
+
+    async function pull() {
+        if (ended) {
+            return false;
+        }
+        const { value, done } = await iterator.next();
+        if (done) {
+            ended = true;
+            return false;
+        }
+        buffer = buffer.length ? Buffer.concat([buffer, value]) : Buffer.from(value);
+        return true;
+    }
+
+    // Consume input up to `marker`, returning what came before it
+    async function readUntil(marker, limit, what) {
+        let index;
+        while ((index = buffer.indexOf(marker)) === -1) {
+            if (buffer.length > limit + marker.length) {
+                throw new Error(`Multipart ${what} is larger than ${limit} bytes`);
+            }
+            if (!await pull()) {
+                throw new Error(`Unexpected end of multipart body while reading ${what}`);
+            }
+        }
+        const before = buffer.subarray(0, index);
+        buffer = buffer.subarray(index + marker.length);
+        return before;
+    }
+
+    // After a delimiter: "--" ends the body, CRLF starts another part
+    async function nextPartFollows() {
+        while (buffer.length < 2) {
+            if (!await pull()) {
+                throw new Error('Unexpected end of multipart body');
+            }
+        }
+        const following = buffer.subarray(0, 2).toString('latin1');
+        buffer = buffer.subarray(2);
+        if (following === '--') {
+            return false;
+        }
+        if (following !== '\r\n') {
+            throw new Error('Malformed multipart body');
+        }
+        return true;
+    }
+
+    // Skip any preamble. Browsers send none; capping it means a body with
+    // no boundary at all is refused early instead of buffered whole.
+    await readUntil(delimiter, maxHeaderBytes, 'preamble');
+
+    const fields = {};
+    while (await nextPartFollows()) {
+        const headerBytes = await readUntil(HEADER_END, maxHeaderBytes, 'part headers');
+        const part = parsePartHeaders(headerBytes.toString('utf-8'));
+
+        if (part.filename === null) {
+            const value = await readUntil(delimiter, maxFieldBytes, `field "${part.name}"`);
+            if (part.name !== null) {
+                fields[part.name] = value.toString('utf-8');
+            }
+            continue;
+        }
+
+        async function* body() {
+            while (true) {
+                const index = buffer.indexOf(delimiter);
+                if (index !== -1) {
+                    if (index > 0) {
+                        yield buffer.subarray(0, index);
+                    }
+                    buffer = buffer.subarray(index + delimiter.length);
+                    break;
+                }
+
+                // Hold back enough bytes to recognise a delimiter split
+                // across two chunks
+                const safe = buffer.length - (delimiter.length - 1);
+                if (safe > 0) {
+                    yield buffer.subarray(0, safe);
+                    buffer = buffer.subarray(safe);
+                }
+                if (!await pull()) {
+                    throw new Error('Unexpected end of multipart body while reading the file');
+                }
+            }
+
+            // Read (and drop) the rest of the request
+            while (await pull()) {
+                buffer = Buffer.alloc(0);
+            }
+        }
+
+        return {
+            fields,
+            name: part.name,
+            // Browsers send just the name, but never trust a client's path
+            filename: path.basename(part.filename.replace(/\\/g, '/')),
+            contentType: part.contentType,
+            body: body()
+        };
+    }
+
+    throw new Error('Multipart body has no file part');
+}
@@ -0,0 +1,254 @@
+import { SIZE_CONSTANTS } from '@filoz/synapse-sdk';
+
+/**
+ * Small-Object Packing
+ *
+ * Uploading every small record (a memory entry, one token's metadata) as
+ * its own piece pays the per-piece overhead and the 127-byte minimum each
+ * time. A pack bundles many objects into one piece with an index up front:
+ *
+ *   offset 0   4 bytes   magic "\0PAK"
+ *   offset 4   1 byte    format version (1)
+ *   offset 5   4 bytes   index length, unsigned big-endian
+ *   offset 9   n bytes   index: JSON [{ key, offset, length }]
+ *   9 + n      ...       object bytes, back to back
+ *   ...        zeros     padding up to MIN_UPLOAD_SIZE, if needed
+ *
+ * Offsets in the index (and in addresses) are from the start of the piece,
+ * so an object can be sliced out with only its address:
+ *
+ *   { pieceCid, offset, length }   or as a string   "<pieceCid>:<offset>:<length>"
+ */
+
+const PACK_MAGIC = Buffer.from([0x00, 0x50, 0x41, 0x4b]);
+const PACK_VERSION = 1;
+const PACK_HEADER_SIZE = 9;
+
+export const DEFAULT_MAX_PACK_BYTES = 1024 * 1024;
+
+// Objects may be bytes, strings (UTF-8) or anything JSON-serializable
+function objectBytes(data) {
+    if (typeof data === 'string') {
+        return Buffer.from(data, 'utf-8');
+    }
+    if (ArrayBuffer.isView(data)) {
+        return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    }
+    return Buffer.from(JSON.stringify(data), 'utf-8');
+}
+
+function asBuffer(data) {
+    return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+}
+
+/**
+ * Build a pack from [{ key, data }]. Returns { bytes, index } where index
+ * entries carry absolute offsets.
+ */
+export function packObjects(objects) {
+    const payloads = objects.map(({ key, data }) => ({ key: String(key), bytes: objectBytes(data) }));
+
+    // Offsets are absolute, but where the data starts depends on how long
+    // the index is, which depends on the offsets. Grow the assumed index
+    // length until the serialized index fits.
+    let indexLength = 0;
+    let index;
+    let indexBytes;
+    for (;;) {
+        let offset = PACK_HEADER_SIZE + indexLength;
+        index = payloads.map(({ key, bytes }) => {
+            const entry = { key, offset, length: bytes.length };
+            offset += bytes.length;
+            return entry;
+        });
+        indexBytes = Buffer.from(JSON.stringify(index), 'utf-8');
+        if (indexBytes.length <= indexLength) {
+            break;
+        }
+        indexLength = indexBytes.length;
+    }
+
+    // Space-pad the index to the length the offsets assumed (still valid JSON)
+    indexBytes = Buffer.concat([indexBytes, Buffer.alloc(indexLength - indexBytes.length, 0x20)]);
+
+    const header = Buffer.alloc(PACK_HEADER_SIZE);
+    PACK_MAGIC.copy(header, 0);
+    header.writeUInt8(PACK_VERSION, 4);
+    header.writeUInt32BE(indexLength, 5);
+
+    let bytes = Buffer.concat([header, indexBytes, ...payloads.map(({ bytes }) => bytes)]);
+    if (bytes.length < SIZE_CONSTANTS.MIN_UPLOAD_SIZE) {
+        bytes = Buffer.concat([bytes, Buffer.alloc(SIZE_CONSTANTS.MIN_UPLOAD_SIZE - bytes.length)]);
+    }
+
+    return { bytes, index };
+}
+
+export function isPack(data) {
+    const bytes = asBuffer(data);
+    return bytes.length >= PACK_HEADER_SIZE
+        && bytes.subarray(0, PACK_MAGIC.length).equals(PACK_MAGIC)
+        && bytes[4] === PACK_VERSION;
+}
+
+export function readPackIndex(data) {
+    const bytes = asBuffer(data);
+    if (!isPack(bytes)) {
+        throw new Error('Data is not a pack');
+    }
+    const indexLength = bytes.readUInt32BE(5);
+    return JSON.parse(bytes.subarray(PACK_HEADER_SIZE, PACK_HEADER_SIZE + indexLength).toString('utf-8'));
+}
+
+/**
+ * Slice one object out of a downloaded pack.
+ */
+export function extractObject(data, { offset, length }) {
+    const bytes = asBuffer(data);
+    if (offset < PACK_HEADER_SIZE || offset + length > bytes.length) {
+        throw new Error(`Address ${offset}+${length} is outside the ${bytes.length}-byte pack`);
+    }
+    return bytes.subarray(offset, offset + length);
+}
+
+export function formatAddress({ pieceCid, offset, length }) {
+    return `${pieceCid}:${offset}:${length}`;
+}
+
+export function parseAddress(address) {
+    if (typeof address !== 'string') {
+        return address;
+    }
+    const match = /^([^:]+):(\d+):(\d+)$/.exec(address);
+    if (!match) {
+        throw new Error(`Invalid packed object address "${address}" (expected <pieceCid>:<offset>:<length>)`);
+    }
+    return { pieceCid: match[1], offset: Number(match[2]), length: Number(match[3]) };
+}
+
+/**
+ * Pack and upload objects as one piece. `storage` is a StorageContext (or
+ * synapse.storage). Resolves with the upload result plus one address per
+ * object, in input order: { pieceCid, size, pieceId, objects: [{ key, pieceCid, offset, length }] }
+ */
+export async function uploadPack(storage, objects, uploadOptions) {
+    const { bytes, index } = packObjects(objects);
+    const result = await storage.upload(bytes, uploadOptions);
+    const pieceCid = String(result.pieceCid);
+
+    return {
+        pieceCid,
+        size: result.size,
+        pieceId: result.pieceId,
+        data: bytes,
+        objects: index.map(entry => ({ ...entry, pieceCid }))
+    };
+}
+
+/**
+ * Read objects by address, downloading each pack piece once.
+ * Returns Buffers in the same order as `addresses`.
+ */
+export async function readPackedObjects(storage, addresses, downloadOptions) {
+    const parsed = addresses.map(parseAddress);
+    const pieces = new Map();
+
+    for (const { pieceCid } of parsed) {
+        if (!pieces.has(pieceCid)) {
+            pieces.set(pieceCid, storage.download(pieceCid, downloadOptions));
+        }
+    }
+
+    return Promise.all(parsed.map(async address => extractObject(await pieces.get(address.pieceCid), address)));
+}
+
+export async function readPackedObject(storage, address, downloadOptions) {
+    const [object] = await readPackedObjects(storage, [address], downloadOptions);
+    return object;
+}
+
+/**
+ * Batch many small writes into packs.
+ *
+ *   const packer = createPacker(context);
+ *   const address = packer.add('entry-1', { ... });   // resolves once packed and uploaded
+ *   await packer.close();
+ *
+ * A pack is uploaded automatically once the pending objects reach
+ * `maxPackBytes` (default 1 MiB). close() uploads the remainder, waits for
+ * the automatic uploads and throws if any pack failed, so add() results
+ * can be left unawaited. flush() uploads the pending objects without
+ * closing. `onPack(result)` is called after each pack is uploaded.
+ */
+export function createPacker(storage, options = {}) {
+    const maxPackBytes = options.maxPackBytes ?? DEFAULT_MAX_PACK_BYTES;
+    let pending = [];
+    let pendingBytes = 0;
+    let closed = false;
+    // Automatic uploads in flight, and the first one that failed
+    const autoFlushes = new Set();
+    let autoFlushError = null;
+
+    async function flush() {
+        if (pending.length === 0) {
+            return [];
+        }
+
+        const batch = pending;
+        pending = [];
+        pendingBytes = 0;
+
+        let result;
+        try {
+            result = await uploadPack(storage, batch, options.uploadOptions);
+        } catch (error) {
+            batch.forEach(object => object.reject(error));
+            throw error;
+        }
+
+        batch.forEach((object, i) => object.resolve(result.objects[i]));
+        options.onPack?.(result);
+        return result.objects;
+    }
+
+    function add(key, data) {
+        if (closed) {
+            throw new Error('Packer is closed');
+        }
+        const bytes = objectBytes(data);
+        const address = new Promise((resolve, reject) => {
+            pending.push({ key, data: bytes, resolve, reject });
+        });
+        // Callers may not await it; close() reports the failure instead
+        address.catch(() => {});
+
+        pendingBytes += bytes.length;
+        if (pendingBytes >= maxPackBytes) {
+            const upload = flush()
+                .catch(error => {
+                    autoFlushError ??= error;
+                })
+                .finally(() => autoFlushes.delete(upload));
+            autoFlushes.add(upload);
+        }
+        return address;
+    }
+
+    async function close() {
+        closed = true;
+        await Promise.all(autoFlushes);
+        await flush();
+        if (autoFlushError) {
+            throw autoFlushError;
+        }
+    }
+
+    return {
+        add,
+        flush,
+        close,
+        get pendingCount() {
+            return pending.length;
+        }
+    };
+}
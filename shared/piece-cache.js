@@ -0,0 +1,446 @@
+import { existsSync, mkdirSync, readdirSync, readFileSync, rmSync, statSync } from 'fs';
+import { mkdir, readFile, writeFile, rename, rm } from 'fs/promises';
+import path from 'path';
+import { asPieceCID, createPieceCIDStream } from '@filoz/synapse-core/piece';
+
+/**
+ * Piece Cache
+ *
+ * A read-through cache for serving byte ranges of pieces, e.g. video
+ * seeking. Pieces are split into fixed-size blocks (1 MiB by default):
+ *
+ *   - recently used blocks are kept in memory (LRU, capped in bytes)
+ *   - blocks verified against the PieceCID are also written to a cache
+ *     directory on disk (capped in bytes, least recently used evicted
+ *     first), so a restart doesn't start cold
+ *   - only blocks that are in neither are fetched, as one ranged request
+ *     per run of consecutive missing blocks
+ *   - concurrent requests for the same block share a single fetch
+ *
+ * The cache doesn't know how to reach a provider; it calls
+ * `fetchRange(pieceCid, start, end)`, which must resolve with
+ * { start, data, size, verified } like fetchPieceRange() in retrieval.js.
+ * A byte range can't be checked against the PieceCID, so blocks from
+ * ranged responses are served from memory only. Once a piece has been
+ * read by ranges, it is verified in the background: its blocks are copied
+ * (or fetched, where missing) in order into a staging directory while
+ * being hashed, and moved into the disk cache only if the whole piece
+ * hashes to its PieceCID. A bad server can't leave bytes on disk, and a
+ * piece that fails is dropped from memory too. One piece is verified at a
+ * time; pieces larger than `maxDiskBytes` are never written to disk.
+ *
+ *   const cache = createPieceCache(
+ *       (pieceCid, start, end) => fetchPieceRange(synapse, pieceCid, start, end, { withCDN: true }),
+ *       { cacheDir: './.piece-cache' }
+ *   );
+ *   const size = await cache.size(pieceCid);
+ *   for await (const bytes of cache.read(pieceCid, 0, 1023)) { ... }
+ */
+
+export const DEFAULT_BLOCK_SIZE = 1024 * 1024;
+export const DEFAULT_MAX_MEMORY_BYTES = 64 * 1024 * 1024;
+export const DEFAULT_MAX_DISK_BYTES = 1024 * 1024 * 1024;
+
+// Cap on blocks fetched in one request, so one long range doesn't hold
+// hundreds of MB in memory before the first byte is sent
+export const DEFAULT_MAX_BLOCKS_PER_FETCH = 8;
+
+const PIECE_INFO_FILE = 'piece.json';
+
+// PieceCIDs become directory names, so refuse anything that isn't one
+function checkPieceCid(pieceCid) {
+    if (!/^[a-z0-9]+$/i.test(pieceCid)) {
+        throw new Error(`Invalid PieceCID "${pieceCid}"`);
+    }
+}
+
+export function createPieceCache(fetchRange, options = {}) {
+    const blockSize = options.blockSize ?? DEFAULT_BLOCK_SIZE;
+    const maxMemoryBytes = options.maxMemoryBytes ?? DEFAULT_MAX_MEMORY_BYTES;
+    const maxDiskBytes = options.maxDiskBytes ?? DEFAULT_MAX_DISK_BYTES;
+    const maxBlocksPerFetch = options.maxBlocksPerFetch ?? DEFAULT_MAX_BLOCKS_PER_FETCH;
+    const cacheDir = options.cacheDir ? path.resolve(options.cacheDir) : null;
+
+    // Map iteration order is insertion order, so re-inserting on every hit
+    // keeps the least recently used block first
+    const memory = new Map();
+    let memoryBytes = 0;
+
+    const disk = new Map();            // block key -> { size, lastAccess }
+    let diskBytes = 0;
+
+    const sizes = new Map();           // pieceCid -> piece size
+    const inflight = new Map();        // block key -> Promise<Buffer>
+    const counters = {
+        hits: 0, coalesced: 0, diskHits: 0, misses: 0, fetches: 0, fetchedBytes: 0,
+        verifiedPieces: 0, failedPieces: 0
+    };
+
+    // Pieces queued for background verification, and ones that failed it
+    const verifying = new Set();
+    const failed = new Set();
+    let verifyQueue = Promise.resolve();
+    let stagingBytes = 0;
+
+    const blockKey = (pieceCid, index) => `${pieceCid}/${index}`;
+    const blockPath = (key) => path.join(cacheDir, `${key}.blk`);
+    const stagingDir = (pieceCid) => path.join(cacheDir, pieceCid, 'staging');
+
+    // Pick up what earlier runs left on disk
+    if (cacheDir) {
+        mkdirSync(cacheDir, { recursive: true });
+        for (const pieceCid of readdirSync(cacheDir)) {
+            const pieceDir = path.join(cacheDir, pieceCid);
+            if (!statSync(pieceDir).isDirectory()) {
+                continue;
+            }
+            // A verification cut short by the last run proved nothing
+            rmSync(stagingDir(pieceCid), { recursive: true, force: true });
+            const infoPath = path.join(pieceDir, PIECE_INFO_FILE);
+            if (existsSync(infoPath)) {
+                sizes.set(pieceCid, JSON.parse(readFileSync(infoPath, 'utf-8')).size);
+            }
+            for (const file of readdirSync(pieceDir)) {
+                if (file.endsWith('.blk')) {
+                    const stats = statSync(path.join(pieceDir, file));
+                    disk.set(`${pieceCid}/${file.slice(0, -4)}`, { size: stats.size, lastAccess: stats.mtimeMs });
+                    diskBytes += stats.size;
+                }
+            }
+        }
+    }
+
+    function remember(key, block) {
+        if (block.length > maxMemoryBytes) {
+            return;
+        }
+        if (memory.has(key)) {
+            memoryBytes -= memory.get(key).length;
+            memory.delete(key);
+        }
+        memory.set(key, block);
+        memoryBytes += block.length;
+
+        for (const [oldKey, oldBlock] of memory) {
+            if (memoryBytes <= maxMemoryBytes) {
+                break;
+            }
+            memory.delete(oldKey);
+            memoryBytes -= oldBlock.length;
+        }
+    }
+
+    async function evictDisk() {
+        const oldestFirst = [...disk.entries()].sort((a, b) => a[1].lastAccess - b[1].lastAccess);
+        for (const [key, entry] of oldestFirst) {
+            // A piece being verified needs room for its staged blocks
+            if (diskBytes + stagingBytes <= maxDiskBytes) {
+                break;
+            }
+            // Overlapping persist() calls evict from their own snapshots;
+            // only count a block that this call actually removed
+            if (!disk.delete(key)) {
+                continue;
+            }
+            diskBytes -= entry.size;
+            await rm(blockPath(key), { force: true });
+        }
+    }
+
+    async function persist(key, block) {
+        if (!cacheDir || block.length > maxDiskBytes || disk.has(key)) {
+            return;
+        }
+        const filePath = blockPath(key);
+        mkdirSync(path.dirname(filePath), { recursive: true });
+
+        // Write then rename, so a block file is never seen half-written
+        await writeFile(`${filePath}.tmp`, block);
+        await rename(`${filePath}.tmp`, filePath);
+        disk.set(key, { size: block.length, lastAccess: Date.now() });
+        diskBytes += block.length;
+        await evictDisk();
+    }
+
+    function setSize(pieceCid, size) {
+        if (sizes.get(pieceCid) === size) {
+            return;
+        }
+        sizes.set(pieceCid, size);
+        if (cacheDir) {
+            mkdirSync(path.join(cacheDir, pieceCid), { recursive: true });
+            writeFile(path.join(cacheDir, pieceCid, PIECE_INFO_FILE), JSON.stringify({ size })).catch(() => {});
+        }
+    }
+
+    async function loadFromDisk(key) {
+        const entry = disk.get(key);
+        try {
+            const block = await readFile(blockPath(key));
+            entry.lastAccess = Date.now();
+            return block;
+        } catch {
+            // Deleted or unreadable behind our back: forget it and refetch.
+            // Eviction may have got there first and already counted it.
+            if (disk.get(key) === entry && disk.delete(key)) {
+                diskBytes -= entry.size;
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Fetch blocks first..last in one ranged request and cache them.
+     * Resolves with a Map of block index -> Buffer.
+     */
+    async function fetchBlocks(pieceCid, first, last) {
+        const knownSize = sizes.get(pieceCid);
+        const start = first * blockSize;
+        const end = Math.min((last + 1) * blockSize, knownSize ?? Infinity) - 1;
+
+        counters.fetches++;
+        const result = await fetchRange(pieceCid, start, end);
+        counters.fetchedBytes += result.data.length;
+        setSize(pieceCid, result.size);
+
+        // Keep every whole block the response covers. A server that ignored
+        // the range sent the entire piece, which fills the cache in one go.
+        const blocks = new Map();
+        const dataEnd = result.start + result.data.length;
+        for (let index = Math.ceil(result.start / blockSize); index * blockSize < dataEnd; index++) {
+            const blockStart = index * blockSize;
+            const blockEnd = Math.min(blockStart + blockSize, result.size);
+            if (blockEnd > dataEnd) {
+                break;
+            }
+
+            const block = Buffer.from(result.data.subarray(blockStart - result.start, blockEnd - result.start));
+            const key = blockKey(pieceCid, index);
+            blocks.set(index, block);
+            remember(key, block);
+            if (result.verified) {
+                // A failed cache write only costs a refetch later
+                persist(key, block).catch(() => {});
+            }
+        }
+        if (!result.verified) {
+            scheduleVerify(pieceCid);
+        }
+        return blocks;
+    }
+
+    /**
+     * Queue a piece read by ranges for verification, unless it is queued
+     * already, failed before or is too large to keep on disk.
+     */
+    function scheduleVerify(pieceCid) {
+        if (!cacheDir || verifying.has(pieceCid) || failed.has(pieceCid) || !(sizes.get(pieceCid) <= maxDiskBytes)) {
+            return;
+        }
+        verifying.add(pieceCid);
+        verifyQueue = verifyQueue
+            .then(() => verifyPiece(pieceCid))
+            .then(ok => {
+                counters[ok ? 'verifiedPieces' : 'failedPieces']++;
+            })
+            // A fetch or disk error proves nothing either way; a later read
+            // queues the piece again
+            .catch(() => {})
+            .finally(() => verifying.delete(pieceCid));
+    }
+
+    /**
+     * Stage every block of a piece in order while hashing it, then move the
+     * blocks into the disk cache if it hashes to the PieceCID. Blocks come
+     * from memory or disk where they are cached, and from fetchRange()
+     * otherwise; fetched blocks aren't put in memory, so this doesn't push
+     * out what readers are using. Resolves with whether the piece matched.
+     */
+    async function verifyPiece(pieceCid) {
+        const size = sizes.get(pieceCid);
+        const count = Math.ceil(size / blockSize);
+        const dir = stagingDir(pieceCid);
+        const staged = [];
+        const cached = (index) => memory.has(blockKey(pieceCid, index)) || disk.has(blockKey(pieceCid, index));
+
+        async function stage(index, block) {
+            await writeFile(path.join(dir, `${index}.blk`), block);
+            staged.push({ index, size: block.length });
+            stagingBytes += block.length;
+            await evictDisk();
+        }
+
+        async function* blocks() {
+            for (let index = 0; index < count;) {
+                const key = blockKey(pieceCid, index);
+                const block = memory.get(key) ?? (disk.has(key) ? await loadFromDisk(key) : null);
+                if (block) {
+                    await stage(index, block);
+                    yield block;
+                    index++;
+                    continue;
+                }
+
+                let last = index;
+                while (last + 1 < count && last - index + 1 < maxBlocksPerFetch && !cached(last + 1)) {
+                    last++;
+                }
+                const start = index * blockSize;
+                const end = Math.min((last + 1) * blockSize, size) - 1;
+                counters.fetches++;
+                const result = await fetchRange(pieceCid, start, end);
+                counters.fetchedBytes += result.data.length;
+                if (result.start !== start || result.data.length !== end - start + 1) {
+                    throw new Error(`Expected bytes ${start}-${end} of ${pieceCid}`);
+                }
+                for (; index <= last; index++) {
+                    const fetched = Buffer.from(result.data.subarray(index * blockSize - start, Math.min((index + 1) * blockSize, size) - start));
+                    await stage(index, fetched);
+                    yield fetched;
+                }
+            }
+        }
+
+        try {
+            await mkdir(dir, { recursive: true });
+            // Only the hash is wanted; the blocks are staged as they pass
+            const pieceHash = createPieceCIDStream();
+            const reader = ReadableStream.from(blocks()).pipeThrough(pieceHash.stream).getReader();
+            let done = false;
+            while (!done) {
+                ({ done } = await reader.read());
+            }
+
+            if (pieceHash.getPieceCID()?.toString() !== asPieceCID(pieceCid)?.toString()) {
+                // Any block cached for this piece may be one of the bad ones
+                failed.add(pieceCid);
+                for (const key of [...memory.keys()].filter(key => key.startsWith(`${pieceCid}/`))) {
+                    memoryBytes -= memory.get(key).length;
+                    memory.delete(key);
+                }
+                return false;
+            }
+
+            for (const block of staged.splice(0)) {
+                const key = blockKey(pieceCid, block.index);
+                await rename(path.join(dir, `${block.index}.blk`), blockPath(key));
+                stagingBytes -= block.size;
+                if (disk.has(key)) {
+                    diskBytes -= disk.get(key).size;
+                }
+                disk.set(key, { size: block.size, lastAccess: Date.now() });
+                diskBytes += block.size;
+            }
+            return true;
+        } finally {
+            stagingBytes -= staged.reduce((total, block) => total + block.size, 0);
+            await rm(dir, { recursive: true, force: true });
+        }
+    }
+
+    function getBlock(pieceCid, index, lastWanted) {
+        const key = blockKey(pieceCid, index);
+
+        if (memory.has(key)) {
+            counters.hits++;
+            const block = memory.get(key);
+            remember(key, block);
+            return Promise.resolve(block);
+        }
+        if (inflight.has(key)) {
+            counters.coalesced++;
+            return inflight.get(key);
+        }
+
+        const track = (blockIndex, promise) => {
+            const blockKeyed = blockKey(pieceCid, blockIndex);
+            inflight.set(blockKeyed, promise);
+            // Waiters see the rejection; this only stops it being reported
+            // as unhandled when nobody is waiting for a prefetched block
+            promise.catch(() => {}).finally(() => {
+                if (inflight.get(blockKeyed) === promise) {
+                    inflight.delete(blockKeyed);
+                }
+            });
+            return promise;
+        };
+
+        if (disk.has(key)) {
+            counters.diskHits++;
+            return track(index, loadFromDisk(key).then(block => {
+                if (block) {
+                    remember(key, block);
+                    return block;
+                }
+                inflight.delete(key);
+                return getBlock(pieceCid, index, lastWanted);
+            }));
+        }
+
+        // Extend the fetch over the following blocks the caller will want,
+        // up to the first one that is already cached or on its way
+        counters.misses++;
+        let last = index;
+        while (last < lastWanted && last - index + 1 < maxBlocksPerFetch) {
+            const next = blockKey(pieceCid, last + 1);
+            if (memory.has(next) || disk.has(next) || inflight.has(next)) {
+                break;
+            }
+            last++;
+        }
+
+        const run = fetchBlocks(pieceCid, index, last);
+        for (let blockIndex = last; blockIndex >= index; blockIndex--) {
+            track(blockIndex, run.then(blocks => {
+                if (!blocks.has(blockIndex)) {
+                    throw new Error(`Piece ${pieceCid} has no block ${blockIndex} (is the range past the end?)`);
+                }
+                return blocks.get(blockIndex);
+            }));
+        }
+        return inflight.get(key);
+    }
+
+    /**
+     * Size of a piece in bytes. Unknown sizes are learned by fetching the
+     * first block, which is then cached like any other.
+     */
+    async function size(pieceCid) {
+        checkPieceCid(pieceCid);
+        if (!sizes.has(pieceCid)) {
+            await getBlock(pieceCid, 0, 0);
+        }
+        return sizes.get(pieceCid);
+    }
+
+    /**
+     * Yield the bytes start..end (inclusive) of a piece as a sequence of
+     * Buffers, fetching only missing blocks. Stop iterating to stop
+     * fetching (e.g. when the client disconnects).
+     */
+    async function* read(pieceCid, start, end) {
+        checkPieceCid(pieceCid);
+        const first = Math.floor(start / blockSize);
+        const last = Math.floor(end / blockSize);
+
+        for (let index = first; index <= last; index++) {
+            const block = await getBlock(pieceCid, index, last);
+            const blockStart = index * blockSize;
+            yield block.subarray(Math.max(start - blockStart, 0), Math.min(end - blockStart + 1, block.length));
+        }
+    }
+
+    function stats() {
+        return {
+            ...counters,
+            memoryBlocks: memory.size,
+            memoryBytes,
+            diskBlocks: disk.size,
+            diskBytes,
+            stagingBytes,
+            pieces: sizes.size
+        };
+    }
+
+    return { size, read, stats, blockSize };
+}
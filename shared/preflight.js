@@ -0,0 +1,159 @@
+import { TOKENS, TIME_CONSTANTS } from '@filoz/synapse-sdk';
+import { ethers } from 'ethers';
+
+/**
+ * Preflight Readiness Checks
+ *
+ * Collects everything a walkthrough needs to know before it uploads:
+ * wallet balances (USDFC and tFIL gas), payment account funds, operator
+ * approval state and how many days the current lockup rate can run.
+ *
+ * checkReadiness() never exits the process. It returns a report whose
+ * `failures` list explains why the account is not ready, using the codes
+ * in PREFLIGHT_FAILURES, so scripts can print them and servers can return
+ * them over HTTP (see serializeReadiness()).
+ */
+
+export const PREFLIGHT_FAILURES = {
+    NO_PAYMENT_BALANCE: 'NO_PAYMENT_BALANCE',
+    OPERATOR_NOT_APPROVED: 'OPERATOR_NOT_APPROVED',
+    NO_RATE_ALLOWANCE: 'NO_RATE_ALLOWANCE',
+    NO_LOCKUP_ALLOWANCE: 'NO_LOCKUP_ALLOWANCE',
+    LOW_GAS: 'LOW_GAS',
+    LOW_RUNWAY: 'LOW_RUNWAY'
+};
+
+export const DEFAULT_MIN_GAS = ethers.parseEther('0.1');   // tFIL
+export const DEFAULT_MIN_RUNWAY_DAYS = 7;
+
+/**
+ * Days the available funds last at the current lockup rate.
+ * Returns null when nothing is being charged (lockup rate is 0).
+ */
+export function runwayDays(accountInfo) {
+    if (accountInfo.lockupRate === 0n) {
+        return null;
+    }
+
+    const epochsRemaining = accountInfo.availableFunds / accountInfo.lockupRate;
+    return Number(epochsRemaining) / Number(TIME_CONSTANTS.EPOCHS_PER_DAY);
+}
+
+/**
+ * Build a readiness report for the wallet behind `synapse`.
+ *
+ * Options:
+ *   operator        Operator to check approvals for (default: Warm Storage)
+ *   minGas          Minimum tFIL balance in wei (default: 0.1 tFIL)
+ *   requireGas      Treat low gas as a failure rather than a warning.
+ *                   Uploads are submitted by the provider, so only scripts
+ *                   that send their own transactions need this.
+ *   minRunwayDays   Warn when the lockup runway drops below this
+ *   requireRunway   Treat low runway as a failure rather than a warning
+ */
+export async function checkReadiness(synapse, options = {}) {
+    const operator = options.operator || synapse.getWarmStorageAddress();
+    const minGas = options.minGas ?? DEFAULT_MIN_GAS;
+    const minRunwayDays = options.minRunwayDays ?? DEFAULT_MIN_RUNWAY_DAYS;
+
+    const [address, walletUSDFC, walletFIL, accountInfo, approval] = await Promise.all([
+        synapse.getSigner().getAddress(),
+        synapse.payments.walletBalance(TOKENS.USDFC),
+        synapse.payments.walletBalance(TOKENS.FIL),
+        synapse.payments.accountInfo(TOKENS.USDFC),
+        synapse.payments.serviceApproval(operator, TOKENS.USDFC)
+    ]);
+
+    const failures = [];
+    const warnings = [];
+
+    if (accountInfo.availableFunds === 0n) {
+        failures.push({
+            code: PREFLIGHT_FAILURES.NO_PAYMENT_BALANCE,
+            message: 'Payment account has no available balance'
+        });
+    }
+
+    if (!approval.isApproved) {
+        failures.push({
+            code: PREFLIGHT_FAILURES.OPERATOR_NOT_APPROVED,
+            message: `Operator ${operator} is not approved to charge this account`
+        });
+    } else {
+        if (approval.rateAllowance === 0n) {
+            failures.push({
+                code: PREFLIGHT_FAILURES.NO_RATE_ALLOWANCE,
+                message: 'Operator rate allowance is 0'
+            });
+        }
+        if (approval.lockupAllowance === 0n) {
+            failures.push({
+                code: PREFLIGHT_FAILURES.NO_LOCKUP_ALLOWANCE,
+                message: 'Operator lockup allowance is 0'
+            });
+        }
+    }
+
+    if (walletFIL < minGas) {
+        (options.requireGas ? failures : warnings).push({
+            code: PREFLIGHT_FAILURES.LOW_GAS,
+            message: `Wallet has ${ethers.formatEther(walletFIL)} tFIL, below the ${ethers.formatEther(minGas)} tFIL minimum`
+        });
+    }
+
+    const runway = runwayDays(accountInfo);
+    if (runway !== null && runway < minRunwayDays) {
+        (options.requireRunway ? failures : warnings).push({
+            code: PREFLIGHT_FAILURES.LOW_RUNWAY,
+            message: `Payment account covers ~${runway.toFixed(1)} days of storage, below the ${minRunwayDays} day minimum`
+        });
+    }
+
+    return {
+        ready: failures.length === 0,
+        checkedAt: new Date().toISOString(),
+        address,
+        network: synapse.getNetwork(),
+        wallet: {
+            usdfc: walletUSDFC,
+            fil: walletFIL
+        },
+        paymentAccount: {
+            funds: accountInfo.funds,
+            availableFunds: accountInfo.availableFunds,
+            lockupCurrent: accountInfo.lockupCurrent,
+            lockupRate: accountInfo.lockupRate,
+            runwayDays: runway
+        },
+        operator: {
+            address: operator,
+            isApproved: approval.isApproved,
+            rateAllowance: approval.rateAllowance,
+            rateUsed: approval.rateUsed,
+            lockupAllowance: approval.lockupAllowance,
+            lockupUsed: approval.lockupUsed,
+            maxLockupPeriod: approval.maxLockupPeriod
+        },
+        failures,
+        warnings
+    };
+}
+
+/**
+ * Convert a readiness report to plain JSON (token amounts become decimal
+ * strings), e.g. for `res.json()`.
+ */
+export function serializeReadiness(report) {
+    return JSON.parse(JSON.stringify(report, (key, value) => {
+        if (typeof value !== 'bigint') {
+            return value;
+        }
+        if (key === 'fil') {
+            return ethers.formatEther(value);
+        }
+        if (key === 'maxLockupPeriod') {
+            return value.toString();
+        }
+        return value === ethers.MaxUint256 ? 'unlimited' : ethers.formatUnits(value, 18);
+    }));
+}
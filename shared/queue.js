@@ -0,0 +1,141 @@
+/**
+ * Upload Queue
+ *
+ * Runs many uploads with bounded concurrency. Transient failures (timeouts,
+ * dropped connections, rate limits, provider 5xx responses) are retried
+ * with exponential backoff; anything else, or anything still failing after
+ * the last retry, goes to a dead-letter list instead of being dropped, so
+ * the caller can report it and try again later.
+ */
+
+export const DEFAULT_CONCURRENCY = 4;
+export const DEFAULT_MAX_RETRIES = 3;
+export const DEFAULT_BASE_DELAY_MS = 1_000;
+export const DEFAULT_MAX_DELAY_MS = 30_000;
+
+const TRANSIENT_CODES = new Set([
+    // Node / undici network errors
+    'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND',
+    'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET', 'UND_ERR_HEADERS_TIMEOUT',
+    // ethers RPC errors
+    'TIMEOUT', 'NETWORK_ERROR', 'SERVER_ERROR'
+]);
+
+const TRANSIENT_MESSAGE = /timeout|timed out|fetch failed|socket hang up|network|rate limit|too many requests|\b(429|502|503|504)\b|temporarily unavailable/i;
+
+/**
+ * Default retry classifier. Checks the error and its `cause` chain (the
+ * SDK wraps provider and RPC errors) for known transient conditions.
+ */
+export function isTransientError(error) {
+    for (let current = error; current; current = current.cause) {
+        if (TRANSIENT_CODES.has(current.code) || TRANSIENT_MESSAGE.test(current.message || '')) {
+            return true;
+        }
+    }
+    return false;
+}
+
+export function backoffDelay(attempt, baseDelayMs = DEFAULT_BASE_DELAY_MS, maxDelayMs = DEFAULT_MAX_DELAY_MS) {
+    const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+    // Jitter so parallel workers hitting the same outage don't retry in lockstep
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run `upload(item)` for every item.
+ *
+ * Options:
+ *   concurrency    Uploads in flight at once (default: 4)
+ *   maxRetries     Retries per item after the first attempt (default: 3)
+ *   baseDelayMs    First retry delay, doubled each retry (default: 1000)
+ *   maxDelayMs     Cap on the retry delay (default: 30000)
+ *   isRetryable    (error) => boolean (default: isTransientError)
+ *   onSuccess      (item, result, attempts) => void
+ *   onRetry        (item, error, attempt, delayMs) => void
+ *   onDeadLetter   (item, error, attempts) => void
+ *
+ * Resolves (never rejects) with:
+ *   { succeeded: [{ item, result, attempts }],
+ *     deadLetter: [{ item, error, attempts, retryable }],
+ *     callbackErrors: [{ item, callback, error }],
+ *     summary: { total, succeeded, failed, retries, durationMs } }
+ *
+ * Results are in completion order, not input order. A callback that throws
+ * doesn't stop the queue or change the item's outcome; its error is kept
+ * in `callbackErrors`. An isRetryable that throws counts as "not retryable".
+ */
+export async function runUploadQueue(items, upload, options = {}) {
+    const concurrency = Math.max(1, options.concurrency ?? DEFAULT_CONCURRENCY);
+    const maxRetries = options.maxRetries ?? DEFAULT_MAX_RETRIES;
+    const isRetryable = options.isRetryable || isTransientError;
+
+    const startedAt = Date.now();
+    const succeeded = [];
+    const deadLetter = [];
+    const callbackErrors = [];
+    let retries = 0;
+    let next = 0;
+
+    function notify(callback, item, ...args) {
+        try {
+            options[callback]?.(item, ...args);
+        } catch (error) {
+            callbackErrors.push({ item, callback, error });
+        }
+    }
+
+    async function uploadItem(item) {
+        for (let attempt = 1; ; attempt++) {
+            let result;
+            try {
+                result = await upload(item);
+            } catch (error) {
+                let retryable = false;
+                try {
+                    retryable = Boolean(isRetryable(error));
+                } catch (classifyError) {
+                    callbackErrors.push({ item, callback: 'isRetryable', error: classifyError });
+                }
+                if (!retryable || attempt > maxRetries) {
+                    deadLetter.push({ item, error, attempts: attempt, retryable });
+                    notify('onDeadLetter', item, error, attempt);
+                    return;
+                }
+
+                const delayMs = backoffDelay(attempt, options.baseDelayMs, options.maxDelayMs);
+                retries++;
+                notify('onRetry', item, error, attempt, delayMs);
+                await sleep(delayMs);
+                continue;
+            }
+
+            succeeded.push({ item, result, attempts: attempt });
+            notify('onSuccess', item, result, attempt);
+            return;
+        }
+    }
+
+    async function worker() {
+        while (next < items.length) {
+            await uploadItem(items[next++]);
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+
+    return {
+        succeeded,
+        deadLetter,
+        callbackErrors,
+        summary: {
+            total: items.length,
+            succeeded: succeeded.length,
+            failed: deadLetter.length,
+            retries,
+            durationMs: Date.now() - startedAt
+        }
+    };
+}
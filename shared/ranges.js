@@ -0,0 +1,153 @@
+import { randomBytes } from 'crypto';
+
+/**
+ * HTTP Range Requests (RFC 7233)
+ *
+ * Helpers for serving pieces with byte ranges:
+ *
+ *   parseRange()            "bytes=0-99", "bytes=500-", "bytes=-500" and
+ *                           comma-separated lists of them
+ *   pieceETag()             strong ETag from the PieceCID - a piece's bytes
+ *                           can never change, so the CID is a perfect validator
+ *   ifRangeMatches()        whether an If-Range precondition allows ranges
+ *   noneMatch()             whether If-None-Match allows a 304
+ *   multipartByteranges()   layout and body of a multipart/byteranges reply
+ *
+ * They are framework-agnostic; streaming-large-files/server.js shows them
+ * wired into an Express route.
+ */
+
+// More ranges than this (after merging) is treated as abuse and answered
+// with the full representation, as RFC 7233 section 6.1 allows
+export const MAX_RANGES = 16;
+
+/**
+ * Parse a Range header against a representation of `size` bytes.
+ *
+ * Returns:
+ *   null                        no usable Range header: send the whole thing (200)
+ *   { unsatisfiable: true }     valid header, but no range overlaps (416)
+ *   { ranges: [{ start, end }] } inclusive offsets, sorted, overlaps merged (206)
+ */
+export function parseRange(header, size) {
+    if (!header) {
+        return null;
+    }
+    const match = /^\s*bytes\s*=\s*(.+)$/i.exec(header);
+    if (!match) {
+        // Unknown range unit: ignore the header
+        return null;
+    }
+
+    const ranges = [];
+    for (const spec of match[1].split(',')) {
+        const trimmed = spec.trim();
+        if (trimmed === '') {
+            continue;
+        }
+
+        const parts = /^(\d*)-(\d*)$/.exec(trimmed);
+        if (!parts || (parts[1] === '' && parts[2] === '')) {
+            // A syntactically invalid set is ignored as a whole
+            return null;
+        }
+
+        if (parts[1] === '') {
+            // Suffix range: the last N bytes
+            const suffix = Number(parts[2]);
+            if (suffix > 0 && size > 0) {
+                ranges.push({ start: Math.max(size - suffix, 0), end: size - 1 });
+            }
+            continue;
+        }
+
+        const start = Number(parts[1]);
+        const end = parts[2] === '' ? Infinity : Number(parts[2]);
+        if (end < start) {
+            return null;
+        }
+        if (start < size) {
+            ranges.push({ start, end: Math.min(end, size - 1) });
+        }
+    }
+
+    if (ranges.length === 0) {
+        return { unsatisfiable: true };
+    }
+
+    // Merge overlapping and adjacent ranges
+    ranges.sort((a, b) => a.start - b.start);
+    const merged = [ranges[0]];
+    for (const range of ranges.slice(1)) {
+        const last = merged[merged.length - 1];
+        if (range.start <= last.end + 1) {
+            last.end = Math.max(last.end, range.end);
+        } else {
+            merged.push(range);
+        }
+    }
+
+    return merged.length > MAX_RANGES ? null : { ranges: merged };
+}
+
+export function pieceETag(pieceCid) {
+    return `"${pieceCid}"`;
+}
+
+/**
+ * If-Range: ranges are only honoured when the client's validator still
+ * matches. Pieces have no Last-Modified, so an HTTP-date never matches and
+ * weak ETags never match (the comparison must be strong).
+ */
+export function ifRangeMatches(ifRange, etag) {
+    if (!ifRange) {
+        return true;
+    }
+    return ifRange.trim() === etag;
+}
+
+/**
+ * If-None-Match: true when the client's cached copy is current (reply 304).
+ */
+export function noneMatch(ifNoneMatch, etag) {
+    if (!ifNoneMatch) {
+        return false;
+    }
+    return ifNoneMatch.split(',').some(tag => {
+        const value = tag.trim();
+        return value === '*' || value.replace(/^W\//, '') === etag;
+    });
+}
+
+/**
+ * Lay out a multipart/byteranges body for several ranges.
+ *
+ * Returns { contentType, length, body(read) } where `contentType` is the
+ * Content-Type header value, `length` the exact Content-Length, and
+ * body(read) an async generator yielding the body, calling
+ * read(start, end) for each range's bytes (an async iterable of Buffers).
+ */
+export function multipartByteranges(ranges, size, contentType, boundary = randomBytes(12).toString('hex')) {
+    const parts = ranges.map((range, i) => ({
+        range,
+        header: Buffer.from(
+            `${i === 0 ? '' : '\r\n'}--${boundary}\r\n` +
+            `Content-Type: ${contentType}\r\n` +
+            `Content-Range: bytes ${range.start}-${range.end}/${size}\r\n\r\n`
+        )
+    }));
+    const trailer = Buffer.from(`\r\n--${boundary}--\r\n`);
+
+    const length = parts.reduce((sum, { range, header }) => sum + header.length + range.end - range.start + 1, 0)
+        + trailer.length;
+
+    async function* body(read) {
+        for (const { range, header } of parts) {
+            yield header;
+            yield* read(range.start, range.end);
+        }
+        yield trailer;
+    }
+
+    return { contentType: `multipart/byteranges; boundary=${boundary}`, length, body };
+}
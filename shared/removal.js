@@ -0,0 +1,261 @@
+import { PDPVerifier, WarmStorageService, TIME_CONSTANTS, SIZE_CONSTANTS, getCurrentEpoch } from '@filoz/synapse-sdk';
+import { ethers } from 'ethers';
+import { listPieces } from './datasets.js';
+
+/**
+ * Removing Data
+ *
+ * Nothing is ever deleted by default: pieces stay in their data set and the
+ * data set's payment rails keep streaming (and keep funds locked) until they
+ * are ended. Both operations come in two halves, a preview that only reads
+ * the chain and the action itself:
+ *
+ *   const preview = await previewPieceRemoval(synapse, dataSetId, ['bafkzcib...', 7]);
+ *   // preview.lockupReleased, preview.effectiveEpoch, ...
+ *   const result = await schedulePieceRemoval(synapse, preview);
+ *
+ *   const preview = await previewTermination(synapse, dataSetId);
+ *   // preview.lockupReleased, preview.withdrawableEpoch, ...
+ *   const result = await terminateDataSet(synapse, dataSetId);
+ *   // result.confirmed: every rail now has an endEpoch
+ *
+ * Removal is scheduled: the provider drops the pieces at its next proof and
+ * the storage rate shrinks with the data set. Termination ends the rails
+ * after one more lockup period, which is paid for out of the lockup itself;
+ * what is left over is released once the rails are settled at their end.
+ * Amounts are bigints in USDFC base units, epochs are bigints too.
+ */
+
+const VERIFIER_ABI = ['function getNextChallengeEpoch(uint256 setId) view returns (uint256)'];
+
+const NODE_SIZE = 32;
+
+/**
+ * Padded size of a piece holding `rawSize` bytes: FR32 padding turns every
+ * 127 bytes into 128, rounded up to a power of two of at least 128 bytes.
+ */
+export function paddedPieceSize(rawSize) {
+    const expanded = Math.ceil(rawSize * 128 / 127);
+    let padded = 128;
+    while (padded < expanded) {
+        padded *= 2;
+    }
+    return padded;
+}
+
+/**
+ * Storage rate for a data set of `bytes` (padded) at the given service
+ * price, with the service's monthly minimum applied as the contract does.
+ */
+export function storageRatePerEpoch(pricing, bytes) {
+    const rate = (pricing.pricePerTiBPerMonthNoCDN * BigInt(bytes)) / (SIZE_CONSTANTS.TiB * pricing.epochsPerMonth);
+    const minimum = pricing.minimumPricePerMonth / pricing.epochsPerMonth;
+    return rate > minimum ? rate : minimum;
+}
+
+// Data set details, refusing data sets this wallet doesn't pay for
+async function openOwnDataSet(synapse, dataSetId) {
+    const warmStorage = await WarmStorageService.create(synapse.getProvider(), synapse.getWarmStorageAddress());
+    const info = await warmStorage.getDataSet(dataSetId);
+    const payer = await synapse.getClient().getAddress();
+    if (info.payer.toLowerCase() !== payer.toLowerCase()) {
+        throw new Error(`Data set ${dataSetId} is paid for by ${info.payer}, not this wallet`);
+    }
+    return { warmStorage, info };
+}
+
+function dataSetRails(info) {
+    return [
+        { kind: 'pdp', railId: info.pdpRailId },
+        { kind: 'cacheMiss', railId: info.cacheMissRailId },
+        { kind: 'cdn', railId: info.cdnRailId }
+    ].filter(rail => rail.railId > 0);
+}
+
+/**
+ * What removing `pieces` (PieceCIDs or piece IDs) from a data set would
+ * do: the storage rate before and after, the lockup that would be released
+ * and roughly when, at the end of the provider's current proving period.
+ */
+export async function previewPieceRemoval(synapse, dataSetId, pieces) {
+    const { warmStorage, info } = await openOwnDataSet(synapse, dataSetId);
+    if (info.pdpEndEpoch > 0) {
+        throw new Error(`Data set ${dataSetId} is terminated (ends at epoch ${info.pdpEndEpoch})`);
+    }
+
+    const provider = synapse.getProvider();
+    const verifier = new PDPVerifier(provider, synapse.getPDPVerifierAddress());
+    const [active, scheduled, leafCount] = await Promise.all([
+        listPieces(synapse, dataSetId),
+        verifier.getScheduledRemovals(dataSetId),
+        verifier.getDataSetLeafCount(dataSetId)
+    ]);
+
+    const selected = new Map();
+    for (const ref of pieces) {
+        const piece = /^\d+$/.test(String(ref))
+            ? active.find(candidate => candidate.pieceId === Number(ref))
+            : active.find(candidate => candidate.pieceCid === String(ref));
+        if (!piece) {
+            throw new Error(`Piece ${ref} is not an active piece of data set ${dataSetId}`);
+        }
+        selected.set(piece.pieceId, { ...piece, paddedSize: paddedPieceSize(piece.size) });
+    }
+
+    const alreadyScheduled = [...selected.keys()].filter(pieceId => scheduled.includes(pieceId));
+    const toRemove = [...selected.values()].filter(piece => !scheduled.includes(piece.pieceId));
+
+    // Pieces already scheduled will be gone by then too
+    const pendingBytes = active
+        .filter(piece => scheduled.includes(piece.pieceId))
+        .reduce((sum, piece) => sum + paddedPieceSize(piece.size), 0);
+    const removedBytes = toRemove.reduce((sum, piece) => sum + piece.paddedSize, 0);
+    const bytesAfter = Math.max(0, leafCount * NODE_SIZE - pendingBytes - removedBytes);
+
+    const verifierContract = new ethers.Contract(synapse.getPDPVerifierAddress(), VERIFIER_ABI, provider);
+    const [rail, pricing, currentEpoch, nextChallengeEpoch, challengeWindow] = await Promise.all([
+        synapse.payments.getRail(info.pdpRailId),
+        warmStorage.getServicePrice(),
+        getCurrentEpoch(provider),
+        verifierContract.getNextChallengeEpoch(dataSetId),
+        warmStorage.getChallengeWindow()
+    ]);
+
+    const rateBefore = rail.paymentRate;
+    const rateAfter = toRemove.length > 0 ? storageRatePerEpoch(pricing, bytesAfter) : rateBefore;
+    const saved = rateAfter < rateBefore ? rateBefore - rateAfter : 0n;
+
+    return {
+        dataSetId,
+        pieces: toRemove,
+        alreadyScheduled,
+        currentEpoch,
+        rateBefore,
+        rateAfter: rateBefore - saved,
+        savedPerMonth: saved * TIME_CONSTANTS.EPOCHS_PER_MONTH,
+        lockupPeriod: rail.lockupPeriod,
+        lockupReleased: saved * rail.lockupPeriod,
+        // The provider processes removals when it submits its next proof
+        effectiveEpoch: nextChallengeEpoch > 0n ? nextChallengeEpoch + BigInt(challengeWindow) : null
+    };
+}
+
+/**
+ * Schedule removal of the pieces in a preview. Each removal is signed by
+ * this wallet and submitted by the provider; once its transaction is mined
+ * the piece should show up in the data set's scheduled removals, which is
+ * what `confirmed` reports.
+ */
+export async function schedulePieceRemoval(synapse, preview, options = {}) {
+    const context = await synapse.storage.createContext({ dataSetId: preview.dataSetId });
+    const provider = synapse.getProvider();
+
+    const transactions = [];
+    for (const piece of preview.pieces) {
+        const transaction = await context.deletePiece(piece.pieceId);
+        options.onSubmitted?.(piece, transaction);
+        await provider.waitForTransaction(transaction);
+        transactions.push({ pieceId: piece.pieceId, pieceCid: piece.pieceCid, transaction });
+    }
+
+    const verifier = new PDPVerifier(provider, synapse.getPDPVerifierAddress());
+    const scheduled = await verifier.getScheduledRemovals(preview.dataSetId);
+
+    return {
+        dataSetId: preview.dataSetId,
+        transactions,
+        scheduled,
+        confirmed: preview.pieces.every(piece => scheduled.includes(piece.pieceId))
+    };
+}
+
+async function readRail(synapse, rail) {
+    try {
+        return { ...rail, ...await synapse.payments.getRail(rail.railId), settled: false };
+    } catch (error) {
+        // Fully settled rails are finalized and can no longer be read
+        if (/does not exist or is inactive/.test(error.message)) {
+            return { ...rail, settled: true };
+        }
+        throw error;
+    }
+}
+
+/**
+ * What terminating a data set would do to each of its payment rails.
+ *
+ * A rail ends one lockup period after termination (or at its existing
+ * endEpoch). Until then the provider is still paid, out of the rail's
+ * lockup; the remainder is released - and becomes withdrawable - once the
+ * rail has been settled up to its end epoch.
+ */
+export async function previewTermination(synapse, dataSetId) {
+    const { info } = await openOwnDataSet(synapse, dataSetId);
+    const currentEpoch = await getCurrentEpoch(synapse.getProvider());
+
+    const rails = [];
+    for (const rail of await Promise.all(dataSetRails(info).map(rail => readRail(synapse, rail)))) {
+        if (rail.settled) {
+            rails.push({ kind: rail.kind, railId: rail.railId, settled: true, lockup: 0n, finalPayment: 0n, released: 0n, endEpoch: null });
+            continue;
+        }
+
+        const endEpoch = rail.endEpoch > 0n ? rail.endEpoch : currentEpoch + rail.lockupPeriod;
+        const lockup = rail.paymentRate * rail.lockupPeriod + rail.lockupFixed;
+        const finalPayment = endEpoch > currentEpoch ? rail.paymentRate * (endEpoch - currentEpoch) : 0n;
+
+        rails.push({
+            kind: rail.kind,
+            railId: rail.railId,
+            settled: false,
+            terminated: rail.endEpoch > 0n,
+            paymentRate: rail.paymentRate,
+            lockupPeriod: rail.lockupPeriod,
+            lockupFixed: rail.lockupFixed,
+            settledUpTo: rail.settledUpTo,
+            endEpoch,
+            lockup,
+            finalPayment,
+            released: lockup > finalPayment ? lockup - finalPayment : 0n
+        });
+    }
+
+    const sum = (key) => rails.reduce((total, rail) => total + rail[key], 0n);
+    const endEpochs = rails.filter(rail => rail.endEpoch !== null).map(rail => rail.endEpoch);
+
+    return {
+        dataSetId,
+        alreadyTerminated: info.pdpEndEpoch > 0,
+        currentEpoch,
+        rails,
+        lockup: sum('lockup'),
+        finalPayment: sum('finalPayment'),
+        lockupReleased: sum('released'),
+        withdrawableEpoch: endEpochs.reduce((latest, epoch) => (epoch > latest ? epoch : latest), currentEpoch)
+    };
+}
+
+/**
+ * Terminate a data set's service and its payment rails, then read the
+ * rails back: `confirmed` is true once every rail has an endEpoch.
+ */
+export async function terminateDataSet(synapse, dataSetId, options = {}) {
+    const { warmStorage } = await openOwnDataSet(synapse, dataSetId);
+
+    const tx = await synapse.storage.terminateDataSet(dataSetId);
+    options.onSubmitted?.(tx.hash);
+    const receipt = await tx.wait();
+
+    const info = await warmStorage.getDataSet(dataSetId);
+    const rails = (await Promise.all(dataSetRails(info).map(rail => readRail(synapse, rail))))
+        .map(rail => ({ kind: rail.kind, railId: rail.railId, endEpoch: rail.settled ? null : rail.endEpoch, settled: rail.settled }));
+
+    return {
+        dataSetId,
+        transaction: tx.hash,
+        blockNumber: receipt.blockNumber,
+        pdpEndEpoch: info.pdpEndEpoch,
+        rails,
+        confirmed: rails.every(rail => rail.settled || rail.endEpoch > 0n)
+    };
+}
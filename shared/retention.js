@@ -0,0 +1,258 @@
+import { existsSync, readFileSync } from 'fs';
+import path from 'path';
+import { markRemoved } from './manifest.js';
+import { matchesMetadata, listPieces } from './datasets.js';
+import {
+    previewPieceRemoval,
+    schedulePieceRemoval,
+    previewTermination,
+    terminateDataSet
+} from './removal.js';
+
+/**
+ * Data Retention Policies
+ *
+ * Gives uploads a bounded lifetime based on their metadata. A policy is a
+ * list of rules; the first rule whose `match` fits an upload decides how
+ * long it is kept, and uploads no rule matches are kept forever:
+ *
+ *   {
+ *     "terminateEmptyDataSets": true,
+ *     "rules": [
+ *       { "name": "decisions",    "match": { "type": "DECISION" },    "maxAgeDays": null },
+ *       { "name": "observations", "match": { "type": "OBSERVATION" }, "maxAgeDays": 30 }
+ *     ]
+ *   }
+ *
+ * `match` is a metadata filter (see datasets.js) checked against an
+ * upload's data set metadata, piece metadata and tags, as recorded in the
+ * manifest. Ages come from the manifest's uploadedAt.
+ *
+ *   const plan = planRetention(manifest, policy);           // offline
+ *   const report = await previewRetention(synapse, plan, policy);   // dry run
+ *   await applyRetention(synapse, manifest, report);
+ *
+ * Removal has to be signed by the wallet that pays for each data set. When
+ * that isn't always `synapse` (a treasury's hot wallets, say), pass
+ * `synapseFor(dataSetId)` to both calls to pick it.
+ *
+ * A piece only expires once every manifest entry pointing at it has, so
+ * a piece shared with a longer-lived upload is never removed early. When
+ * every active piece of a data set has expired and the policy sets
+ * terminateEmptyDataSets, the whole data set is terminated instead, which
+ * also ends its payment rails.
+ */
+
+export const DEFAULT_POLICY_FILE = 'retention-policy.json';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function validateRetentionPolicy(policy) {
+    if (!policy || !Array.isArray(policy.rules)) {
+        throw new Error('A retention policy needs a "rules" array');
+    }
+    policy.rules.forEach((rule, i) => {
+        const label = rule.name ? `"${rule.name}"` : `#${i + 1}`;
+        if (!rule.match || typeof rule.match !== 'object' || Array.isArray(rule.match)) {
+            throw new Error(`Retention rule ${label} needs a "match" object`);
+        }
+        if (rule.maxAgeDays !== null && !(typeof rule.maxAgeDays === 'number' && rule.maxAgeDays >= 0)) {
+            throw new Error(`Retention rule ${label} needs "maxAgeDays": a number of days, or null to keep forever`);
+        }
+    });
+    return {
+        terminateEmptyDataSets: policy.terminateEmptyDataSets ?? false,
+        rules: policy.rules.map((rule, i) => ({ ...rule, name: rule.name ?? `rule-${i + 1}` }))
+    };
+}
+
+export function openRetentionPolicy(filePath = process.env.RETENTION_POLICY_PATH || DEFAULT_POLICY_FILE) {
+    const policyPath = path.resolve(filePath);
+    if (!existsSync(policyPath)) {
+        throw new Error(`No retention policy at ${policyPath}`);
+    }
+    return { path: policyPath, ...validateRetentionPolicy(JSON.parse(readFileSync(policyPath, 'utf-8'))) };
+}
+
+/**
+ * Everything a rule can match an entry on. Tags that aren't plain values
+ * (like a pack's object index) are left out.
+ */
+export function entryMetadata(entry) {
+    const tags = Object.entries(entry.tags ?? {})
+        .filter(([, value]) => ['string', 'number', 'boolean'].includes(typeof value))
+        .map(([key, value]) => [key, String(value)]);
+    return { ...entry.dataSetMetadata, ...entry.pieceMetadata, ...Object.fromEntries(tags) };
+}
+
+export function matchRetentionRule(policy, entry) {
+    const metadata = entryMetadata(entry);
+    return policy.rules.find(rule => matchesMetadata(metadata, rule.match)) ?? null;
+}
+
+/**
+ * When an entry expires under `rule`, or null if it is kept forever. An
+ * entry without a readable upload time is never expired.
+ */
+export function expiresAt(entry, rule) {
+    const uploadedAt = new Date(entry.uploadedAt).getTime();
+    if (!rule || rule.maxAgeDays === null || Number.isNaN(uploadedAt)) {
+        return null;
+    }
+    return new Date(uploadedAt + rule.maxAgeDays * DAY_MS);
+}
+
+/**
+ * Decide, from the manifest alone, which pieces have expired.
+ *
+ * Returns { now, expired, retained, untracked } where `expired` is
+ * [{ dataSetId, pieceCid, entries, rule, expiredAt }], `retained` counts
+ * pieces kept for now, and `untracked` lists expired entries that can't be
+ * removed because the manifest doesn't know their data set.
+ */
+export function planRetention(manifest, policy, options = {}) {
+    const now = options.now ?? new Date();
+
+    // Entries already removed by an earlier run are done with
+    const pieces = new Map();
+    for (const entry of manifest.entries.filter(entry => !entry.removedAt)) {
+        const key = `${entry.dataSetId}:${entry.pieceCid}`;
+        if (!pieces.has(key)) {
+            pieces.set(key, { dataSetId: entry.dataSetId, pieceCid: entry.pieceCid, entries: [] });
+        }
+        pieces.get(key).entries.push(entry);
+    }
+
+    const expired = [];
+    const untracked = [];
+    let retained = 0;
+
+    for (const piece of pieces.values()) {
+        const verdicts = piece.entries.map(entry => {
+            const rule = matchRetentionRule(policy, entry);
+            return { rule, expiresAt: expiresAt(entry, rule) };
+        });
+
+        // The longest-lived entry decides
+        if (verdicts.some(verdict => verdict.expiresAt === null || verdict.expiresAt > now)) {
+            retained++;
+            continue;
+        }
+
+        const last = verdicts.reduce((latest, verdict) => (verdict.expiresAt > latest.expiresAt ? verdict : latest));
+        if (piece.dataSetId === null) {
+            untracked.push(...piece.entries);
+            continue;
+        }
+        expired.push({ ...piece, rule: last.rule, expiredAt: last.expiresAt });
+    }
+
+    return { now, expired, retained, untracked };
+}
+
+/**
+ * Dry run: what applying a plan would do to each data set, with the
+ * removal or termination preview (and so the lockup freed) for each.
+ *
+ * Returns { actions, gone, lockupReleased } where `actions` is
+ * [{ dataSetId, action: 'remove' | 'terminate', pieces, preview }] and
+ * `gone` lists expired pieces that are no longer in their data set, or
+ * whose data set is already terminated. Options: synapseFor(dataSetId),
+ * resolving to the Synapse instance that pays for a data set (default:
+ * `synapse`).
+ */
+export async function previewRetention(synapse, plan, policy, options = {}) {
+    const synapseFor = options.synapseFor ?? (async () => synapse);
+
+    const byDataSet = new Map();
+    for (const piece of plan.expired) {
+        if (!byDataSet.has(piece.dataSetId)) {
+            byDataSet.set(piece.dataSetId, []);
+        }
+        byDataSet.get(piece.dataSetId).push(piece);
+    }
+
+    const actions = [];
+    const gone = [];
+    for (const [dataSetId, pieces] of byDataSet) {
+        const payer = await synapseFor(dataSetId);
+        const active = await listPieces(payer, dataSetId);
+        const activeCids = new Set(active.map(piece => piece.pieceCid));
+
+        gone.push(...pieces.filter(piece => !activeCids.has(piece.pieceCid)));
+        const present = pieces.filter(piece => activeCids.has(piece.pieceCid));
+        if (present.length === 0) {
+            continue;
+        }
+
+        // A terminated data set is going away with everything in it
+        const termination = await previewTermination(payer, dataSetId);
+        if (termination.alreadyTerminated) {
+            gone.push(...present);
+            continue;
+        }
+
+        const expiredCids = new Set(present.map(piece => piece.pieceCid));
+        if (policy.terminateEmptyDataSets && active.every(piece => expiredCids.has(piece.pieceCid))) {
+            actions.push({ dataSetId, action: 'terminate', pieces: present, preview: termination });
+            continue;
+        }
+
+        const preview = await previewPieceRemoval(payer, dataSetId, present.map(piece => piece.pieceCid));
+        actions.push({ dataSetId, action: 'remove', pieces: present, preview });
+    }
+
+    const lockupReleased = actions.reduce((total, { preview }) => total + preview.lockupReleased, 0n);
+    return { actions, gone, lockupReleased };
+}
+
+function markPiecesRemoved(manifest, pieces, details) {
+    markRemoved(manifest, pieces.flatMap(piece => piece.entries), details);
+}
+
+/**
+ * Carry out a previewRetention() report and mark the affected manifest
+ * entries with removedAt, so later runs skip them. Pieces found to be gone
+ * already are marked too; pieces whose removal or termination isn't
+ * confirmed on chain are left for the next run. Options: synapseFor (as
+ * for previewRetention()), onAction(action).
+ */
+export async function applyRetention(synapse, manifest, report, options = {}) {
+    const synapseFor = options.synapseFor ?? (async () => synapse);
+
+    if (report.gone.length > 0) {
+        markPiecesRemoved(manifest, report.gone, { reason: 'no longer stored' });
+    }
+
+    const results = [];
+    for (const action of report.actions) {
+        options.onAction?.(action);
+        try {
+            const payer = await synapseFor(action.dataSetId);
+            if (action.action === 'terminate') {
+                const termination = await terminateDataSet(payer, action.dataSetId);
+                if (termination.confirmed) {
+                    markPiecesRemoved(manifest, action.pieces, { reason: 'data set terminated', transaction: termination.transaction });
+                }
+                results.push({ ...action, ok: termination.confirmed, result: termination });
+            } else {
+                const removal = await schedulePieceRemoval(payer, action.preview);
+                const transactions = new Map(removal.transactions.map(({ pieceCid, transaction }) => [pieceCid, transaction]));
+                // Pieces whose removal didn't get scheduled stay unmarked, so the next run retries them
+                const unscheduled = new Set(action.preview.pieces
+                    .filter(piece => !removal.scheduled.includes(piece.pieceId))
+                    .map(piece => piece.pieceCid));
+                // Pieces that were already scheduled have no transaction of their own
+                for (const piece of action.pieces.filter(piece => !unscheduled.has(piece.pieceCid))) {
+                    markPiecesRemoved(manifest, [piece], { reason: 'piece removed', transaction: transactions.get(piece.pieceCid) ?? null });
+                }
+                results.push({ ...action, ok: removal.confirmed, result: removal });
+            }
+        } catch (error) {
+            // One data set failing shouldn't stop the others
+            results.push({ ...action, ok: false, error });
+        }
+    }
+
+    return results;
+}
@@ -0,0 +1,333 @@
+import { createWriteStream, renameSync, rmSync } from 'fs';
+import { createHash } from 'crypto';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { asPieceCID, calculate, createPieceCIDStream, getSizeFromPieceCID } from '@filoz/synapse-core/piece';
+
+/**
+ * Streaming Retrieval
+ *
+ * synapse.storage.download() resolves with the whole piece as one
+ * Uint8Array, so a multi-GB file has to fit in memory before the first byte
+ * reaches disk. Providers (and the FilBeam CDN) serve pieces over plain
+ * HTTP, so this module fetches the same URLs the SDK would and streams the
+ * response body instead:
+ *
+ *   1. the FilBeam CDN, when `withCDN` is set
+ *   2. the provider of `context`, if one is given
+ *   3. the providers of the wallet's other live data sets
+ *
+ * Bytes are hashed and written to disk as they arrive, so memory stays flat
+ * and progress reflects the network, not a copy loop. Like the SDK's
+ * download, a downloaded piece must hash to the PieceCID that was asked
+ * for; a server that sends anything else is skipped for the next one.
+ *
+ * fetchPieceRange() asks for just a byte range (HTTP Range), for callers
+ * that only need part of a piece. A range can't be checked against the
+ * PieceCID, so only whole-piece responses come back `verified`.
+ */
+
+export function cdnPieceUrl(network, clientAddress, pieceCid) {
+    const host = network === 'mainnet' ? 'filbeam.io' : 'calibration.filbeam.io';
+    return `https://${clientAddress}.${host}/${pieceCid}`;
+}
+
+function providerPieceUrl(provider, pieceCid) {
+    const serviceURL = provider?.products?.PDP?.data?.serviceURL;
+    return serviceURL ? `${serviceURL.replace(/\/$/, '')}/piece/${pieceCid}` : null;
+}
+
+// Yields candidates best first. The data set scan is only reached if the
+// cheaper candidates have all failed.
+async function* candidateUrls(synapse, cid, options) {
+    if (options.withCDN) {
+        yield cdnPieceUrl(synapse.getNetwork(), await synapse.getClient().getAddress(), cid);
+    }
+
+    if (options.context) {
+        yield providerPieceUrl(options.context.provider, cid);
+    }
+
+    // Any other provider holding a data set for this wallet may have it
+    const dataSets = await synapse.storage.findDataSets();
+    const providerIds = [...new Set(dataSets
+        .filter(dataSet => dataSet.isLive && dataSet.currentPieceCount > 0)
+        .map(dataSet => dataSet.providerId))];
+    for (const providerId of providerIds) {
+        if (providerId !== options.context?.provider.id) {
+            yield providerPieceUrl(await synapse.getProviderInfo(providerId), cid);
+        }
+    }
+}
+
+/**
+ * Candidate retrieval URLs for a piece, best first.
+ */
+export async function pieceUrls(synapse, pieceCid, options = {}) {
+    const urls = [];
+    for await (const url of candidateUrls(synapse, String(pieceCid), options)) {
+        urls.push(url);
+    }
+    return [...new Set(urls.filter(Boolean))];
+}
+
+function parsePieceCid(pieceCid) {
+    const parsed = asPieceCID(String(pieceCid));
+    if (!parsed) {
+        throw new Error(`Invalid PieceCID "${pieceCid}"`);
+    }
+    return parsed;
+}
+
+function urlIterator(urls) {
+    return urls[Symbol.asyncIterator]?.() ?? urls[Symbol.iterator]();
+}
+
+function retrievalError(pieceCid, failures) {
+    return new Error(`Could not retrieve piece ${pieceCid}${failures.length ? `:\n  ${failures.join('\n  ')}` : ' (no providers found)'}`);
+}
+
+// Opens the next URL from `urls` that answers. Pulling from the iterator by
+// hand (rather than for await) leaves it open, so a caller that rejects
+// what this URL sent can carry on with the next one.
+async function openNext(urls, tried, failures, options) {
+    while (true) {
+        const { value: url, done } = await urls.next();
+        if (done) {
+            return null;
+        }
+        if (!url || tried.has(url)) {
+            continue;
+        }
+        tried.add(url);
+        try {
+            const response = await fetch(url, { headers: options.headers, signal: options.signal });
+            if (response.ok && response.body) {
+                // A compressed body's length says nothing about the piece size
+                const length = response.headers.get('content-encoding') ? null : response.headers.get('content-length');
+                return { url, response, size: length === null ? null : Number(length) };
+            }
+            failures.push(`${url}: HTTP ${response.status}`);
+            await response.body?.cancel();
+        } catch (error) {
+            if (options.signal?.aborted) {
+                throw error;
+            }
+            failures.push(`${url}: ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Open the first URL that serves the piece. Resolves with
+ * { url, response, size } where size comes from Content-Length (null if the
+ * server didn't send one). `headers` (e.g. Range) are sent as-is.
+ *
+ * The body is NOT verified; downloadPieceToFile() checks it against the
+ * PieceCID.
+ */
+export async function openPieceStream(synapse, pieceCid, options = {}) {
+    const urls = urlIterator(options.urls ?? candidateUrls(synapse, String(pieceCid), options));
+    const failures = [];
+    const opened = await openNext(urls, new Set(), failures, options);
+    if (!opened) {
+        throw retrievalError(pieceCid, failures);
+    }
+    return opened;
+}
+
+/**
+ * Stream a piece to `outputPath`. The body is written to `<outputPath>.part`
+ * and renamed only once it is complete and hashes to `pieceCid`, so a
+ * failed or forged download never leaves a file behind. A server whose
+ * bytes don't match is skipped and the next URL tried.
+ *
+ * Options (besides those of openPieceStream):
+ *   expectedSha256   Hex SHA-256 the content must also match
+ *   onProgress       ({ bytes, total, elapsedMs }) => void, per network chunk
+ *
+ * Resolves with { url, size, sha256, durationMs }.
+ */
+export async function downloadPieceToFile(synapse, pieceCid, outputPath, options = {}) {
+    const expected = parsePieceCid(pieceCid);
+    const startTime = Date.now();
+    const urls = urlIterator(options.urls ?? candidateUrls(synapse, String(pieceCid), options));
+    const tried = new Set();
+    const failures = [];
+    const partPath = `${outputPath}.part`;
+
+    while (true) {
+        const opened = await openNext(urls, tried, failures, options);
+        if (!opened) {
+            throw retrievalError(pieceCid, failures);
+        }
+        const { url, response, size } = opened;
+
+        const hash = createHash('sha256');
+        const pieceHash = createPieceCIDStream();
+        let bytes = 0;
+        const tap = new Transform({
+            transform(chunk, encoding, callback) {
+                hash.update(chunk);
+                bytes += chunk.length;
+                options.onProgress?.({ bytes, total: size, elapsedMs: Date.now() - startTime });
+                callback(null, chunk);
+            }
+        });
+
+        try {
+            await pipeline(Readable.fromWeb(response.body.pipeThrough(pieceHash.stream)), tap, createWriteStream(partPath));
+
+            if (size !== null && bytes !== size) {
+                throw new Error(`ended early: got ${bytes} of ${size} bytes`);
+            }
+            const actual = pieceHash.getPieceCID();
+            if (actual === null || actual.toString() !== expected.toString()) {
+                throw new Error(`sent data with PieceCID ${actual}, not the piece asked for`);
+            }
+        } catch (error) {
+            rmSync(partPath, { force: true });
+            if (options.signal?.aborted) {
+                throw error;
+            }
+            failures.push(`${url}: ${error.message}`);
+            continue;
+        }
+
+        // The bytes are the piece, so a SHA-256 mismatch is the caller's
+        // expectation being wrong - no other server would send anything else
+        const sha256 = hash.digest('hex');
+        if (options.expectedSha256 && sha256 !== options.expectedSha256.toLowerCase()) {
+            rmSync(partPath, { force: true });
+            throw new Error(`Downloaded ${pieceCid} has SHA-256 ${sha256}, expected ${options.expectedSha256}`);
+        }
+
+        renameSync(partPath, outputPath);
+        return { url, size: bytes, sha256, durationMs: Date.now() - startTime };
+    }
+}
+
+// Reads `length` bytes of a response body starting `skip` bytes in, and
+// stops there, so a server that sends more than was asked for can't make
+// the caller hold it. With `checkEnd`, reads once more to tell whether the
+// body went on past them.
+async function readBodyRange(body, skip, length, checkEnd = false) {
+    const reader = body.getReader();
+    const parts = [];
+    let offset = 0;
+    let kept = 0;
+    try {
+        while (kept < length) {
+            const { value, done } = await reader.read();
+            if (done) {
+                break;
+            }
+            const from = Math.max(skip - offset, 0);
+            const to = Math.min(value.length, skip + length - offset);
+            if (to > from) {
+                parts.push(value.subarray(from, to));
+                kept += to - from;
+            }
+            offset += value.length;
+        }
+
+        let more = offset > skip + length;
+        if (!more && checkEnd && kept === length) {
+            more = !(await reader.read()).done;
+        }
+        return { data: Buffer.concat(parts), more };
+    } finally {
+        await reader.cancel().catch(() => {});
+    }
+}
+
+/**
+ * Fetch bytes `start`..`end` (inclusive) of a piece. Resolves with
+ * { start, data, size, verified } where `size` is the whole piece's size.
+ *
+ * A byte range can't be checked against the PieceCID - that needs the
+ * whole piece - so ranged data is only as trustworthy as the server that
+ * sent it, and `verified` is false. The reported piece size is checked
+ * against the size the PieceCID records, and a partial response must be
+ * as long as its Content-Range says and within the range asked for. A
+ * server that ignores the Range header and sends the whole piece is read
+ * only as far as `end`. When the range covers the whole piece, the data is
+ * hashed: `verified` is true, and a server whose bytes don't match is
+ * skipped for the next one.
+ */
+export async function fetchPieceRange(synapse, pieceCid, start, end, options = {}) {
+    const expected = parsePieceCid(pieceCid);
+    const expectedSize = getSizeFromPieceCID(expected);
+    const headers = { ...options.headers, Range: `bytes=${start}-${end}` };
+    const urls = urlIterator(options.urls ?? candidateUrls(synapse, String(pieceCid), options));
+    const tried = new Set();
+    const failures = [];
+
+    while (true) {
+        const opened = await openNext(urls, tried, failures, { ...options, headers });
+        if (!opened) {
+            throw retrievalError(pieceCid, failures);
+        }
+        const { url, response } = opened;
+
+        try {
+            const partial = response.status === 206;
+            let first = start;
+            let last;
+            let size;
+
+            if (partial) {
+                const match = /^bytes (\d+)-(\d+)\/(\d+|\*)$/.exec(response.headers.get('content-range') ?? '');
+                if (!match) {
+                    throw new Error(`unexpected Content-Range "${response.headers.get('content-range')}"`);
+                }
+                if (match[3] === '*') {
+                    throw new Error('did not report the piece size');
+                }
+                [first, last, size] = match.slice(1).map(Number);
+                if (first < start || last > end || last < first) {
+                    throw new Error(`sent bytes ${first}-${last}, not within the ${start}-${end} asked for`);
+                }
+                if (opened.size !== null && opened.size !== last - first + 1) {
+                    throw new Error(`sent a Content-Length of ${opened.size} for bytes ${first}-${last}`);
+                }
+            } else {
+                // The Range header was ignored: this is the whole piece
+                size = opened.size ?? expectedSize;
+            }
+
+            if (size !== expectedSize) {
+                throw new Error(`reported a size of ${size} bytes, the PieceCID says ${expectedSize}`);
+            }
+            if (!partial) {
+                last = Math.min(end, size - 1);
+            }
+            if (first > last) {
+                throw new Error(`the range ${start}-${end} starts past the end of the ${size}-byte piece`);
+            }
+
+            const length = last - first + 1;
+            const { data, more } = await readBodyRange(response.body, partial ? 0 : first, length, partial);
+            if (data.length < length) {
+                throw new Error(`ended early: got ${data.length} of ${length} bytes`);
+            }
+            if (partial && more) {
+                throw new Error(`sent more than the ${length} bytes of its Content-Range`);
+            }
+
+            if (first !== 0 || length !== size) {
+                return { start: first, data, size, verified: false };
+            }
+            if (calculate(data).toString() !== expected.toString()) {
+                throw new Error('sent data that is not the piece asked for');
+            }
+            return { start: 0, data, size, verified: true };
+        } catch (error) {
+            await response.body?.cancel().catch(() => {});
+            if (options.signal?.aborted) {
+                throw error;
+            }
+            failures.push(`${url}: ${error.message}`);
+        }
+    }
+}
@@ -0,0 +1,484 @@
+import { existsSync, readFileSync } from 'fs';
+import { randomUUID } from 'crypto';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { ethers } from 'ethers';
+import { formatBytes } from './format.js';
+import { sha256 } from './manifest.js';
+import { DEFAULT_MIME_TYPE, SNIFF_BYTES, mimeTypeFromFilename, sniffMimeType } from './mime.js';
+import { estimateStorageCost, assertWithinBudget } from './estimate.js';
+
+/**
+ * Hybrid Payment Routing
+ *
+ * Decides who pays for each upload in a freemium app - the treasury
+ * (SPONSORED), the user's own wallet (USER_PAID) or nobody (BLOCKED) - from
+ * a policy of rules. The first rule whose `when` conditions all hold
+ * decides; if none does, the upload is blocked:
+ *
+ *   {
+ *     "rules": [
+ *       { "name": "paid-tiers", "when": { "tier": ["pro", "enterprise"] }, "path": "USER_PAID",
+ *         "reason": "Pro/Enterprise tier - user pays for all storage" },
+ *       { "name": "free-quota", "when": { "quota": "within" }, "path": "SPONSORED",
+ *         "reason": "Within free tier quota - treasury sponsors" }
+ *     ]
+ *   }
+ *
+ * Conditions: tier (one or a list), quota ("within" or "exceeded" once
+ * the upload is added), walletConnected (true/false), fileType (MIME types
+ * like "image/*" or extensions like ".pdf") and timeWindow ({ days, from,
+ * to } in UTC, e.g. { "days": ["sat", "sun"] } or { "from": "22:00",
+ * "to": "06:00" }). registerCondition() adds more.
+ *
+ *   const router = { policy: openRoutingPolicy(), store: openRoutingStore(), treasury, userWallet };
+ *   const record = await routeUpload(router, { userId, data, filename, contentType });
+ *   // record: { id, path, rule, reason, status, payer, pieceCid, ... }
+ *
+ * Users and every routing decision, with its reason and outcome, are kept
+ * in SQLite (./routing.db unless ROUTING_DB_PATH is set). Each decision is
+ * made and its quota reserved in one transaction, so several processes
+ * (the demo and the HTTP API, say) can share the database without
+ * overrunning a quota or losing each other's writes.
+ */
+
+export const ROUTING_PATHS = ['SPONSORED', 'USER_PAID', 'BLOCKED'];
+export const DEFAULT_ROUTING_POLICY_FILE = 'routing-policy.json';
+export const DEFAULT_ROUTING_DB_FILE = 'routing.db';
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const asList = value => (Array.isArray(value) ? value : [value]);
+
+function minutesOf(time, label) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(time);
+    if (!match) {
+        throw new Error(`${label} must be a UTC time like "22:00"`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function matchesFileType(pattern, request) {
+    if (pattern.startsWith('.')) {
+        return path.extname(request.filename ?? '').toLowerCase() === pattern.toLowerCase();
+    }
+    const type = request.contentType.split(';')[0].trim().toLowerCase();
+    const wanted = pattern.toLowerCase();
+    return wanted.endsWith('/*') ? type.startsWith(wanted.slice(0, -1)) : type === wanted;
+}
+
+const CONDITIONS = {
+    tier: {
+        validate: (value) => {
+            if (!asList(value).every(tier => typeof tier === 'string')) {
+                throw new Error('"tier" must be a tier name or a list of them');
+            }
+        },
+        test: (value, request) => asList(value).includes(request.user.tier)
+    },
+    quota: {
+        validate: (value) => {
+            if (value !== 'within' && value !== 'exceeded') {
+                throw new Error('"quota" must be "within" or "exceeded"');
+            }
+        },
+        test: (value, request) => {
+            const within = request.user.storageUsed + request.size <= request.user.storageLimit;
+            return value === 'within' ? within : !within;
+        }
+    },
+    walletConnected: {
+        validate: (value) => {
+            if (typeof value !== 'boolean') {
+                throw new Error('"walletConnected" must be true or false');
+            }
+        },
+        test: (value, request) => Boolean(request.user.walletConnected) === value
+    },
+    fileType: {
+        validate: (value) => {
+            if (!asList(value).every(pattern => typeof pattern === 'string' && (pattern.startsWith('.') || pattern.includes('/')))) {
+                throw new Error('"fileType" must be MIME types ("image/*") or extensions (".pdf")');
+            }
+        },
+        test: (value, request) => asList(value).some(pattern => matchesFileType(pattern, request))
+    },
+    timeWindow: {
+        validate: (value) => {
+            if (!value || typeof value !== 'object') {
+                throw new Error('"timeWindow" must be an object with days, from and/or to');
+            }
+            asList(value.days ?? []).forEach(day => {
+                if (!DAYS.includes(day)) {
+                    throw new Error(`"timeWindow.days" must be from ${DAYS.join(', ')}`);
+                }
+            });
+            if ((value.from === undefined) !== (value.to === undefined)) {
+                throw new Error('"timeWindow" needs both "from" and "to", or neither');
+            }
+            if (value.from !== undefined) {
+                minutesOf(value.from, '"timeWindow.from"');
+                minutesOf(value.to, '"timeWindow.to"');
+            }
+        },
+        test: (value, request) => {
+            const at = request.at;
+            if (value.days && !asList(value.days).includes(DAYS[at.getUTCDay()])) {
+                return false;
+            }
+            if (value.from === undefined) {
+                return true;
+            }
+            const now = at.getUTCHours() * 60 + at.getUTCMinutes();
+            const from = minutesOf(value.from);
+            const to = minutesOf(value.to);
+            // A window like 22:00-06:00 runs past midnight
+            return from <= to ? now >= from && now < to : now >= from || now < to;
+        }
+    }
+};
+
+/**
+ * Add a condition rules can use: `validate(value)` throws on a bad value
+ * in a policy, `test(value, request)` says whether it holds. A request is
+ * { user, size, filename, contentType, at }.
+ */
+export function registerCondition(name, condition) {
+    if (typeof condition?.test !== 'function') {
+        throw new Error(`Condition "${name}" needs a test(value, request) function`);
+    }
+    CONDITIONS[name] = { validate: () => {}, ...condition };
+}
+
+export function validateRoutingPolicy(policy) {
+    if (!policy || !Array.isArray(policy.rules)) {
+        throw new Error('A routing policy needs a "rules" array');
+    }
+    return {
+        rules: policy.rules.map((rule, i) => {
+            const label = rule.name ? `"${rule.name}"` : `#${i + 1}`;
+            if (!ROUTING_PATHS.includes(rule.path)) {
+                throw new Error(`Routing rule ${label} needs "path": one of ${ROUTING_PATHS.join(', ')}`);
+            }
+            const when = rule.when ?? {};
+            if (typeof when !== 'object' || Array.isArray(when)) {
+                throw new Error(`Routing rule ${label} needs "when" to be an object`);
+            }
+            for (const [name, value] of Object.entries(when)) {
+                if (!CONDITIONS[name]) {
+                    throw new Error(`Routing rule ${label} uses unknown condition "${name}"`);
+                }
+                try {
+                    CONDITIONS[name].validate(value);
+                } catch (error) {
+                    throw new Error(`Routing rule ${label}: ${error.message}`);
+                }
+            }
+            return { ...rule, name: rule.name ?? `rule-${i + 1}`, when, reason: rule.reason ?? `Matched rule ${label}` };
+        })
+    };
+}
+
+export function openRoutingPolicy(filePath = process.env.ROUTING_POLICY_PATH || DEFAULT_ROUTING_POLICY_FILE) {
+    const policyPath = path.resolve(filePath);
+    if (!existsSync(policyPath)) {
+        throw new Error(`No routing policy at ${policyPath}`);
+    }
+    return { path: policyPath, ...validateRoutingPolicy(JSON.parse(readFileSync(policyPath, 'utf-8'))) };
+}
+
+/**
+ * The first rule that matches `request` ({ user, size, filename,
+ * contentType, at }). Returns { path, rule, reason }.
+ */
+export function evaluateRoute(policy, request) {
+    const at = request.at ?? new Date();
+    const contentType = request.contentType ?? mimeTypeFromFilename(request.filename) ?? DEFAULT_MIME_TYPE;
+    const full = { ...request, at, contentType };
+
+    const rule = policy.rules.find(candidate =>
+        Object.entries(candidate.when).every(([name, value]) => CONDITIONS[name].test(value, full)));
+
+    return rule
+        ? { path: rule.path, rule: rule.name, reason: rule.reason }
+        : { path: 'BLOCKED', rule: null, reason: 'No routing rule matched' };
+}
+
+export function openRoutingStore(filePath = process.env.ROUTING_DB_PATH || DEFAULT_ROUTING_DB_FILE) {
+    const storePath = path.resolve(filePath);
+    const db = new Database(storePath);
+
+    // Enable WAL mode so readers don't wait for a writer
+    db.pragma('journal_mode = WAL');
+
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS users (
+            id TEXT PRIMARY KEY,
+            email TEXT,
+            tier TEXT NOT NULL DEFAULT 'free',
+            storage_used INTEGER NOT NULL DEFAULT 0,
+            storage_limit INTEGER NOT NULL DEFAULT 0,
+            wallet_connected INTEGER NOT NULL DEFAULT 0,
+            attributes TEXT NOT NULL DEFAULT '{}',
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    // Requests from unknown users are recorded too, so no foreign key
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS requests (
+            id TEXT PRIMARY KEY,
+            at TEXT NOT NULL,
+            user_id TEXT NOT NULL,
+            filename TEXT,
+            size INTEGER NOT NULL,
+            sha256 TEXT NOT NULL,
+            content_type TEXT NOT NULL,
+            path TEXT NOT NULL,
+            rule TEXT,
+            reason TEXT NOT NULL,
+            status TEXT NOT NULL,
+            payer TEXT,
+            rate_per_epoch TEXT,
+            piece_cid TEXT,
+            piece_id INTEGER,
+            data_set_id INTEGER,
+            provider_id INTEGER,
+            error TEXT
+        )
+    `);
+    db.exec('CREATE INDEX IF NOT EXISTS requests_by_user ON requests (user_id, at)');
+
+    return { path: storePath, db };
+}
+
+// Other user fields (for custom conditions) are kept as JSON in attributes
+function userFromRow(row) {
+    return row ? {
+        ...JSON.parse(row.attributes),
+        email: row.email,
+        tier: row.tier,
+        storageUsed: row.storage_used,
+        storageLimit: row.storage_limit,
+        walletConnected: row.wallet_connected === 1
+    } : null;
+}
+
+function requestFromRow(row) {
+    const record = {
+        id: row.id,
+        at: row.at,
+        userId: row.user_id,
+        filename: row.filename,
+        size: row.size,
+        sha256: row.sha256,
+        contentType: row.content_type,
+        path: row.path,
+        rule: row.rule,
+        reason: row.reason,
+        status: row.status,
+        payer: row.payer,
+        ratePerEpoch: row.rate_per_epoch,
+        pieceCid: row.piece_cid,
+        pieceId: row.piece_id,
+        dataSetId: row.data_set_id,
+        providerId: row.provider_id,
+        error: row.error
+    };
+    // Leave out what doesn't apply to this outcome
+    return Object.fromEntries(Object.entries(record).filter(([, value]) => value !== null));
+}
+
+/**
+ * A user ({ email, tier, storageUsed, storageLimit, walletConnected }),
+ * or null if there is none.
+ */
+export function getRoutingUser(store, userId) {
+    return userFromRow(store.db.prepare('SELECT * FROM users WHERE id = ?').get(String(userId)));
+}
+
+export function listRoutingUsers(store) {
+    return store.db.prepare('SELECT * FROM users ORDER BY id').all()
+        .map(row => ({ userId: row.id, ...userFromRow(row) }));
+}
+
+/**
+ * Create or update a user. Fields: email, tier, storageLimit (bytes),
+ * walletConnected, plus any others custom conditions check; storageUsed
+ * starts at 0.
+ */
+export function upsertUser(store, userId, fields) {
+    return store.db.transaction(() => {
+        const user = {
+            email: null,
+            tier: 'free',
+            storageUsed: 0,
+            storageLimit: 0,
+            walletConnected: false,
+            ...getRoutingUser(store, userId),
+            ...fields
+        };
+        if (!Number.isSafeInteger(user.storageLimit) || user.storageLimit < 0 || !Number.isSafeInteger(user.storageUsed) || user.storageUsed < 0) {
+            throw new Error(`Invalid storage figures for user ${userId}`);
+        }
+
+        const { email, tier, storageUsed, storageLimit, walletConnected, ...attributes } = user;
+        store.db.prepare(`
+            INSERT INTO users (id, email, tier, storage_used, storage_limit, wallet_connected, attributes)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (id) DO UPDATE SET
+                email = excluded.email,
+                tier = excluded.tier,
+                storage_used = excluded.storage_used,
+                storage_limit = excluded.storage_limit,
+                wallet_connected = excluded.wallet_connected,
+                attributes = excluded.attributes
+        `).run(String(userId), email, tier, storageUsed, storageLimit, walletConnected ? 1 : 0, JSON.stringify(attributes));
+        return user;
+    }).immediate();
+}
+
+/**
+ * Routing decisions, newest first. Options: userId, limit (default 50).
+ */
+export function listRoutingRequests(store, options = {}) {
+    const limit = options.limit ?? 50;
+    const rows = options.userId !== undefined
+        ? store.db.prepare('SELECT * FROM requests WHERE user_id = ? ORDER BY at DESC, rowid DESC LIMIT ?').all(String(options.userId), limit)
+        : store.db.prepare('SELECT * FROM requests ORDER BY at DESC, rowid DESC LIMIT ?').all(limit);
+    return rows.map(requestFromRow);
+}
+
+function saveRequest(store, record) {
+    store.db.prepare(`
+        INSERT INTO requests (id, at, user_id, filename, size, sha256, content_type, path, rule, reason, status,
+                              payer, rate_per_epoch, piece_cid, piece_id, data_set_id, provider_id, error)
+        VALUES (@id, @at, @userId, @filename, @size, @sha256, @contentType, @path, @rule, @reason, @status,
+                @payer, @ratePerEpoch, @pieceCid, @pieceId, @dataSetId, @providerId, @error)
+    `).run({
+        payer: null, ratePerEpoch: null, pieceCid: null, pieceId: null, dataSetId: null, providerId: null, error: null,
+        ...record,
+        userId: String(record.userId)
+    });
+}
+
+function changeStorageUsed(store, userId, bytes) {
+    store.db.prepare('UPDATE users SET storage_used = MAX(storage_used + ?, 0) WHERE id = ?').run(bytes, String(userId));
+}
+
+/**
+ * Route one upload and carry it out: decide who pays, upload `data`
+ * through that payer's wallet and record the decision and outcome.
+ *
+ * The router is { policy, store, treasury, userWallet }, where treasury is
+ * the sponsoring Synapse instance and userWallet(userId, user) resolves to
+ * the user's Synapse instance, or null when they have none. Options:
+ * userId, data, filename, contentType (sniffed from the data when it can
+ * be), dryRun (decide and record without uploading).
+ *
+ * Returns the request record; its status is 'uploaded', 'blocked',
+ * 'failed' or 'decided' (dry runs). Only sponsored uploads use the free
+ * quota. It is reserved in the same transaction that routes the upload,
+ * so concurrent requests - from this process or another sharing the
+ * database - can't overrun it together, and given back if the upload fails.
+ */
+export async function routeUpload(router, options) {
+    const { store } = router;
+    const { userId, data } = options;
+
+    const contentType = sniffMimeType(data.subarray(0, SNIFF_BYTES))
+        ?? options.contentType
+        ?? mimeTypeFromFilename(options.filename)
+        ?? DEFAULT_MIME_TYPE;
+    const record = {
+        id: randomUUID(),
+        at: new Date().toISOString(),
+        userId,
+        filename: options.filename ?? null,
+        size: data.length,
+        sha256: sha256(data),
+        contentType
+    };
+    const finish = (fields) => {
+        Object.assign(record, fields);
+        saveRequest(store, record);
+        return record;
+    };
+
+    // Decide against the user's current usage and reserve sponsored bytes
+    // under one write lock; only sponsored bytes count against the free quota
+    const { user, decision } = store.db.transaction(() => {
+        const user = getRoutingUser(store, userId);
+        if (!user) {
+            return { user };
+        }
+        const decision = evaluateRoute(router.policy, {
+            user,
+            size: data.length,
+            filename: options.filename,
+            contentType,
+            at: new Date(record.at)
+        });
+        if (decision.path === 'SPONSORED' && !options.dryRun) {
+            changeStorageUsed(store, userId, data.length);
+        }
+        return { user, decision };
+    }).immediate();
+
+    if (!user) {
+        return finish({ path: 'BLOCKED', rule: null, reason: `Unknown user ${userId}`, status: 'blocked' });
+    }
+    Object.assign(record, decision);
+
+    if (decision.path === 'BLOCKED') {
+        return finish({ status: 'blocked' });
+    }
+    if (options.dryRun) {
+        return finish({ status: 'decided' });
+    }
+
+    const sponsored = decision.path === 'SPONSORED';
+    const payer = sponsored ? router.treasury : await router.userWallet(userId, user);
+    if (!payer) {
+        if (sponsored) {
+            changeStorageUsed(store, userId, -data.length);
+        }
+        return finish({ status: 'blocked', reason: `${decision.reason}, but no wallet is available for ${userId}` });
+    }
+
+    try {
+        record.payer = ethers.getAddress(await payer.getClient().getAddress());
+
+        // The treasury is held to the upload budget and spend caps; either
+        // payer needs the funds and allowances for it
+        const context = await payer.storage.createContext({ metadata: { route: decision.path.toLowerCase() } });
+        const estimate = await estimateStorageCost(payer, {
+            sizes: [data.length],
+            dataSetId: context.dataSetId,
+            budget: sponsored ? undefined : null,
+            caps: sponsored ? undefined : null
+        });
+        if (sponsored) {
+            assertWithinBudget(estimate);
+        }
+        if (!estimate.affordable) {
+            throw new Error(`The ${sponsored ? 'treasury' : "user's wallet"} can't pay for ${formatBytes(data.length)}: ${estimate.problems.join('; ')}`);
+        }
+        record.ratePerEpoch = estimate.ratePerEpoch.toString();
+
+        const result = await context.upload(data, { metadata: { user: String(userId), contentType } });
+
+        return finish({
+            status: 'uploaded',
+            pieceCid: String(result.pieceCid),
+            pieceId: result.pieceId ?? null,
+            dataSetId: context.dataSetId ?? null,
+            providerId: context.provider.id
+        });
+    } catch (error) {
+        if (sponsored) {
+            changeStorageUsed(store, userId, -data.length);
+        }
+        return finish({ status: 'failed', error: error.message });
+    }
+}
@@ -0,0 +1,140 @@
+import { readdirSync, readFileSync } from 'fs';
+import path from 'path';
+import { recordUpload, sha256 } from './manifest.js';
+import { runUploadQueue } from './queue.js';
+
+/**
+ * Directory Sync
+ *
+ * Mirrors a local folder into one data set, rsync-style. Each run hashes
+ * the folder, compares it with what the manifest says was last uploaded
+ * from that folder, and only uploads files that are new or whose content
+ * changed. Running it again with nothing changed uploads (and pays for)
+ * nothing.
+ *
+ * Synced uploads are tagged in the manifest with the folder they came from
+ * (`tags.syncRoot`) and filenames are paths relative to that folder.
+ *
+ * Files deleted locally are reported, not removed from the data set:
+ * deleting a piece is a separate, deliberate operation.
+ */
+
+function listFiles(root, dir = root) {
+    const files = [];
+    for (const entry of readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            files.push(...listFiles(root, fullPath));
+        } else if (entry.isFile()) {
+            files.push({
+                filename: path.relative(root, fullPath).split(path.sep).join('/'),
+                path: fullPath
+            });
+        }
+    }
+    return files.sort((a, b) => a.filename.localeCompare(b.filename));
+}
+
+/**
+ * Latest manifest entry per filename for a synced folder. Entries whose
+ * pieces have been removed don't count, so those files upload again.
+ */
+export function syncedFiles(manifest, dir) {
+    const syncRoot = path.resolve(dir);
+    const latest = new Map();
+    for (const entry of manifest.entries) {
+        if (entry.tags?.syncRoot === syncRoot && !entry.removedAt) {
+            latest.set(entry.filename, entry);
+        }
+    }
+    return latest;
+}
+
+/**
+ * The data set a folder was last synced into, or null on the first sync.
+ * Entries are appended as uploads are recorded, so the last one for the
+ * folder is the most recent upload.
+ */
+export function syncedDataSetId(manifest, dir) {
+    const syncRoot = path.resolve(dir);
+    const entry = manifest.entries.findLast(entry => entry.tags?.syncRoot === syncRoot && !entry.removedAt);
+    return entry ? entry.dataSetId : null;
+}
+
+/**
+ * Compare a folder with the manifest without uploading anything.
+ *
+ * Returns { syncRoot, upload, unchanged, deleted } where `upload` holds
+ * { filename, path, sha256, size, reason: 'new' | 'changed' } items and
+ * `deleted` holds the manifest entries of files no longer in the folder.
+ */
+export function planSync(manifest, dir) {
+    const syncRoot = path.resolve(dir);
+    const previous = syncedFiles(manifest, syncRoot);
+    const plan = { syncRoot, upload: [], unchanged: [], deleted: [] };
+    const seen = new Set();
+
+    for (const file of listFiles(syncRoot)) {
+        const data = readFileSync(file.path);
+        const item = { ...file, sha256: sha256(data), size: data.length };
+        const entry = previous.get(file.filename);
+        seen.add(file.filename);
+
+        if (!entry) {
+            plan.upload.push({ ...item, reason: 'new' });
+        } else if (entry.sha256 !== item.sha256) {
+            plan.upload.push({ ...item, reason: 'changed' });
+        } else {
+            plan.unchanged.push(entry);
+        }
+    }
+
+    for (const [filename, entry] of previous) {
+        if (!seen.has(filename)) {
+            plan.deleted.push(entry);
+        }
+    }
+
+    return plan;
+}
+
+/**
+ * Upload everything in `plan.upload` into `context` through the upload
+ * queue, recording each piece in the manifest as soon as it lands so an
+ * interrupted sync resumes where it stopped on the next run.
+ *
+ * Options:
+ *   onUpload(item, entry)   Called after each successful upload
+ *   onError(item, error)    Called when an upload is given up on
+ *   ...                     Anything else is passed to runUploadQueue()
+ *                           (concurrency, maxRetries, onRetry, ...)
+ */
+export async function runSync(context, manifest, plan, options = {}) {
+    const { onUpload, onError, ...queueOptions } = options;
+
+    const { succeeded, deadLetter, summary } = await runUploadQueue(plan.upload, async (item) => {
+        // Re-read rather than trusting the plan's hash, in case the file
+        // changed between planning and uploading
+        const data = readFileSync(item.path);
+        const result = await context.upload(data);
+        return recordUpload(manifest, {
+            filename: item.filename,
+            data,
+            result,
+            context,
+            tags: { syncRoot: plan.syncRoot }
+        });
+    }, {
+        ...queueOptions,
+        onSuccess: (item, entry) => onUpload?.(item, entry),
+        onDeadLetter: (item, error) => onError?.(item, error)
+    });
+
+    return {
+        uploaded: succeeded.map(({ result }) => result),
+        failed: deadLetter.map(({ item, error, attempts }) => ({ ...item, error: error.message, attempts })),
+        unchanged: plan.unchanged,
+        deleted: plan.deleted,
+        summary
+    };
+}
@@ -0,0 +1,238 @@
+import { appendFileSync, closeSync, existsSync, fstatSync, openSync, readFileSync, readSync } from 'fs';
+import path from 'path';
+import { TOKENS, TIME_CONSTANTS } from '@filoz/synapse-sdk';
+import { ethers } from 'ethers';
+import { formatUSDFC, formatFIL } from './format.js';
+import { DEFAULT_MIN_GAS, runwayDays } from './preflight.js';
+import { assertSpendAllowed } from './budget.js';
+
+/**
+ * Automatic Top-Ups
+ *
+ * Keeps a payment account funded from its wallet. Each check looks at how
+ * many days the available funds last at the current lockup rate, and when
+ * that drops below `minRunwayDays` deposits enough (with depositWithPermit)
+ * to reach `targetRunwayDays` again:
+ *
+ *   const policy = resolveTopUpPolicy();
+ *   const audit = openAuditLog();
+ *   const entry = await runTopUp(synapse, policy, audit);
+ *   // entry.action: 'none' | 'deposit' | 'refused' | 'error'
+ *
+ * A deposit is refused when the wallet has less tFIL than `minGas`, when
+ * it would take deposits in the last 24 hours past `maxPerDay`, or when
+ * the account is over its spend caps (see budget.js). Every check is
+ * appended to the audit log, one JSON object per line, which is also what
+ * the daily cap is counted from - so it holds across restarts. A deposit
+ * is logged as 'submitted' as soon as it is sent, so one that never gets
+ * its final entry (the process died waiting) still counts.
+ *
+ *   TOPUP_MIN_RUNWAY_DAYS     Top up below this many days (default: 7)
+ *   TOPUP_TARGET_RUNWAY_DAYS  Deposit enough to last this long (default: 30)
+ *   TOPUP_MAX_PER_DAY_USDFC   Most deposited per 24 hours (default: 10)
+ *   TOPUP_MIN_GAS_FIL         Refuse below this much tFIL (default: 0.1)
+ *   TOPUP_AUDIT_LOG           Audit log path (default: ./topup-audit.jsonl)
+ */
+
+export const DEFAULT_TOPUP_MIN_RUNWAY_DAYS = 7;
+export const DEFAULT_TOPUP_TARGET_RUNWAY_DAYS = 30;
+export const DEFAULT_TOPUP_MAX_PER_DAY_USDFC = '10';
+export const DEFAULT_AUDIT_LOG_FILE = 'topup-audit.jsonl';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function positiveNumber(value, name) {
+    const number = Number(value);
+    if (!(number > 0)) {
+        throw new Error(`Invalid ${name} "${value}" (expected a positive number)`);
+    }
+    return number;
+}
+
+/**
+ * The effective policy. Overrides win over the environment.
+ */
+export function resolveTopUpPolicy(overrides = {}) {
+    const minRunwayDays = positiveNumber(
+        overrides.minRunwayDays ?? process.env.TOPUP_MIN_RUNWAY_DAYS ?? DEFAULT_TOPUP_MIN_RUNWAY_DAYS, 'TOPUP_MIN_RUNWAY_DAYS');
+    const targetRunwayDays = positiveNumber(
+        overrides.targetRunwayDays ?? process.env.TOPUP_TARGET_RUNWAY_DAYS ?? DEFAULT_TOPUP_TARGET_RUNWAY_DAYS, 'TOPUP_TARGET_RUNWAY_DAYS');
+    if (targetRunwayDays <= minRunwayDays) {
+        throw new Error(`TOPUP_TARGET_RUNWAY_DAYS (${targetRunwayDays}) must be above TOPUP_MIN_RUNWAY_DAYS (${minRunwayDays})`);
+    }
+
+    const maxPerDay = overrides.maxPerDay ?? ethers.parseUnits(process.env.TOPUP_MAX_PER_DAY_USDFC || DEFAULT_TOPUP_MAX_PER_DAY_USDFC, 18);
+    const minGas = overrides.minGas ?? (process.env.TOPUP_MIN_GAS_FIL ? ethers.parseEther(process.env.TOPUP_MIN_GAS_FIL) : DEFAULT_MIN_GAS);
+
+    return { minRunwayDays, targetRunwayDays, maxPerDay, minGas };
+}
+
+export function openAuditLog(filePath = process.env.TOPUP_AUDIT_LOG || DEFAULT_AUDIT_LOG_FILE) {
+    return { path: path.resolve(filePath) };
+}
+
+/**
+ * The logged entries, oldest first. Lines that aren't valid JSON (e.g. cut
+ * short by a crash mid-append) are skipped and passed to `onInvalidLine`
+ * (lineNumber, line) rather than failing every later check.
+ */
+export function readAuditLog(audit, options = {}) {
+    if (!existsSync(audit.path)) {
+        return [];
+    }
+    const entries = [];
+    readFileSync(audit.path, 'utf-8').split('\n').forEach((line, index) => {
+        if (line.trim() === '') {
+            return;
+        }
+        try {
+            entries.push(JSON.parse(line));
+        } catch {
+            options.onInvalidLine?.(index + 1, line);
+        }
+    });
+    return entries;
+}
+
+// Whether the log ends part-way through a line (a crash mid-append)
+function endsMidLine(filePath) {
+    if (!existsSync(filePath)) {
+        return false;
+    }
+    const fd = openSync(filePath, 'r');
+    try {
+        const { size } = fstatSync(fd);
+        const last = Buffer.alloc(1);
+        return size > 0 && readSync(fd, last, 0, 1, size - 1) === 1 && last[0] !== 0x0a;
+    } finally {
+        closeSync(fd);
+    }
+}
+
+// Bigints are written as base-unit decimal strings. A torn last line is
+// ended first, so it doesn't swallow this entry too.
+export function appendAuditEntry(audit, entry) {
+    const line = JSON.stringify(entry, (key, value) => (typeof value === 'bigint' ? value.toString() : value)) + '\n';
+    appendFileSync(audit.path, endsMidLine(audit.path) ? `\n${line}` : line);
+    return entry;
+}
+
+/**
+ * Total deposited by logged top-ups since `since` (a Date). Dry runs
+ * don't count. A 'submitted' deposit counts until its final 'deposit'
+ * entry replaces it.
+ */
+export function depositedSince(entries, since) {
+    const finished = new Set(entries
+        .filter(entry => entry.action === 'deposit' && entry.transaction)
+        .map(entry => entry.transaction));
+    return entries
+        .filter(entry => !entry.dryRun && new Date(entry.at) >= since && (entry.action === 'deposit' ||
+            (entry.action === 'submitted' && !finished.has(entry.transaction))))
+        .reduce((total, entry) => total + BigInt(entry.amount), 0n);
+}
+
+/**
+ * Decide what a check should do, without sending anything.
+ *
+ * Returns { action: 'none' | 'deposit' | 'refused', reason, amount, ... }
+ * with the balances it was based on, and `warnings` about the audit log.
+ */
+export async function planTopUp(synapse, policy, audit) {
+    const [accountInfo, walletUSDFC, walletFIL] = await Promise.all([
+        synapse.payments.accountInfo(TOKENS.USDFC),
+        synapse.payments.walletBalance(TOKENS.USDFC),
+        synapse.payments.walletBalance(TOKENS.FIL)
+    ]);
+
+    const warnings = [];
+    const entries = readAuditLog(audit, {
+        onInvalidLine: (lineNumber) => warnings.push(`Skipped unreadable line ${lineNumber} of ${audit.path}`)
+    });
+
+    const runway = runwayDays(accountInfo);
+    const state = {
+        runwayDays: runway,
+        availableFunds: accountInfo.availableFunds,
+        lockupRate: accountInfo.lockupRate,
+        walletUSDFC,
+        walletFIL,
+        ...(warnings.length > 0 && { warnings })
+    };
+    const outcome = (action, reason, amount = 0n) => ({ action, reason, amount, ...state });
+
+    if (runway === null) {
+        return outcome('none', 'Nothing is being stored (lockup rate is 0)');
+    }
+    if (runway >= policy.minRunwayDays) {
+        return outcome('none', `Runway ~${runway.toFixed(1)} days is above the ${policy.minRunwayDays} day threshold`);
+    }
+
+    // Enough to last targetRunwayDays at the current rate
+    const targetEpochs = BigInt(Math.ceil(policy.targetRunwayDays * Number(TIME_CONSTANTS.EPOCHS_PER_DAY)));
+    const needed = accountInfo.lockupRate * targetEpochs - accountInfo.availableFunds;
+
+    const depositedToday = depositedSince(entries, new Date(Date.now() - DAY_MS));
+    const allowedToday = policy.maxPerDay > depositedToday ? policy.maxPerDay - depositedToday : 0n;
+    const amount = [needed, allowedToday, walletUSDFC].reduce((lowest, value) => (value < lowest ? value : lowest));
+
+    if (walletFIL < policy.minGas) {
+        return outcome('refused', `Wallet has ${formatFIL(walletFIL)}, below the ${formatFIL(policy.minGas)} gas minimum`);
+    }
+    if (allowedToday === 0n) {
+        return outcome('refused', `Already deposited ${formatUSDFC(depositedToday)} in the last 24 hours, the daily maximum`);
+    }
+    if (walletUSDFC === 0n) {
+        return outcome('refused', 'Wallet has no USDFC to deposit');
+    }
+    try {
+        await assertSpendAllowed(synapse, { action: 'Top-up' });
+    } catch (error) {
+        return outcome('refused', error.message);
+    }
+
+    const limitedBy = amount === needed ? '' : amount === allowedToday ? ' (limited by the daily maximum)' : ' (limited by the wallet balance)';
+    return outcome('deposit', `Runway ~${runway.toFixed(1)} days is below ${policy.minRunwayDays}; ` +
+        `depositing ${formatUSDFC(amount)}${limitedBy}`, amount);
+}
+
+/**
+ * Run one check: plan, deposit if needed (unless `dryRun`), and append
+ * the outcome to the audit log. Failures are logged as action 'error'
+ * rather than thrown, so a long-running service keeps going. A sent
+ * deposit is logged as 'submitted' before waiting for it; one that couldn't
+ * be confirmed is then logged as a deposit with `confirmed: false`, and
+ * still counts towards the daily maximum.
+ */
+export async function runTopUp(synapse, policy, audit, options = {}) {
+    const at = new Date().toISOString();
+    let plan = null;
+    let tx = null;
+    try {
+        plan = await planTopUp(synapse, policy, audit);
+        if (plan.action !== 'deposit' || options.dryRun) {
+            return appendAuditEntry(audit, { at, ...plan, dryRun: Boolean(options.dryRun) });
+        }
+
+        tx = await synapse.payments.depositWithPermit(plan.amount);
+        appendAuditEntry(audit, { at, ...plan, action: 'submitted', transaction: tx.hash });
+        options.onSubmitted?.(tx.hash, plan);
+        const receipt = await tx.wait();
+        const accountInfo = await synapse.payments.accountInfo(TOKENS.USDFC);
+
+        return appendAuditEntry(audit, {
+            at,
+            ...plan,
+            transaction: tx.hash,
+            blockNumber: receipt.blockNumber,
+            confirmed: true,
+            availableFundsAfter: accountInfo.availableFunds,
+            runwayDaysAfter: runwayDays(accountInfo)
+        });
+    } catch (error) {
+        if (tx !== null) {
+            return appendAuditEntry(audit, { at, ...plan, transaction: tx.hash, confirmed: false, error: error.message });
+        }
+        return appendAuditEntry(audit, { at, action: 'error', reason: error.message });
+    }
+}
@@ -0,0 +1,447 @@
+import { existsSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { createHash } from 'crypto';
+import path from 'path';
+import { TOKENS, TIME_CONSTANTS, WarmStorageService } from '@filoz/synapse-sdk';
+import { ethers } from 'ethers';
+import { createSynapse } from './client.js';
+import { formatUSDFC, formatBytes } from './format.js';
+import { encrypt } from './encryption.js';
+import { encodePayload } from './framing.js';
+import { paddedPieceSize } from './removal.js';
+import { parseSize, estimateStorageCost, assertWithinBudget } from './estimate.js';
+import { assertSpendAllowed } from './budget.js';
+
+/**
+ * Sponsored Storage Treasury
+ *
+ * For dApp-pays applications that sponsor storage for their users, grouped
+ * into tenants (customers, apps or workspaces). Hot wallets sign and pay
+ * for uploads and keep only a small working balance in their payment
+ * accounts; the warm wallet holds the reserve and refills them. Every
+ * sponsored upload is attributed to a tenant and user in a JSON ledger:
+ *
+ *   const treasury = await openTreasury();
+ *   const { entry } = await sponsorUpload(treasury, { tenantId, userId, data, encryptionKey });
+ *   const report = await tenantCostReport(treasury);
+ *
+ * Each tenant is pinned to one hot wallet, saved in the ledger, and stores
+ * into its own data set (metadata tenant=<id>), so its rails are its own. Costs are read from the
+ * payment rates of those rails and split between users by padded piece
+ * size. Per-user limits come from the environment, or per tenant from
+ * setTenantLimits():
+ *
+ *   TREASURY_HOT_KEYS                Hot wallet keys, comma-separated (default: PRIVATE_KEY)
+ *   TREASURY_WARM_KEY                Warm wallet key (or TREASURY_WARM_KEY_FILE); no refills without it
+ *   TREASURY_HOT_MIN_USDFC           Refill a hot wallet below this (default: 2)
+ *   TREASURY_HOT_TARGET_USDFC        Refill it up to this (default: 5)
+ *   TREASURY_USER_MAX_UPLOADS        Most uploads sponsored per user
+ *   TREASURY_USER_MAX_BYTES          Most bytes stored per user (e.g. 100MB)
+ *   TREASURY_USER_MAX_MONTHLY_USDFC  Most a user's storage may cost per month
+ *   TREASURY_LEDGER_PATH             Ledger path (default: ./treasury-ledger.json)
+ *
+ * The ledger is a plain JSON file for simplicity - in production, use a
+ * database. Amounts in it are base-unit decimal strings.
+ */
+
+export const DEFAULT_LEDGER_FILE = 'treasury-ledger.json';
+export const DEFAULT_HOT_MIN_USDFC = '2';
+export const DEFAULT_HOT_TARGET_USDFC = '5';
+const LEDGER_VERSION = 1;
+
+function splitKeys(value) {
+    return value.split(',').map(key => key.trim()).filter(key => key !== '');
+}
+
+function parseLimit(value, parse) {
+    return value === undefined || value === null || value === '' ? null : parse(value);
+}
+
+/**
+ * Per-user limits from the environment (null for none). Overrides win.
+ */
+export function resolveUserLimits(overrides = {}) {
+    const maxUploads = parseLimit(overrides.maxUploads ?? process.env.TREASURY_USER_MAX_UPLOADS, Number);
+    if (maxUploads !== null && !(Number.isInteger(maxUploads) && maxUploads > 0)) {
+        throw new Error(`Invalid TREASURY_USER_MAX_UPLOADS "${maxUploads}" (expected a positive integer)`);
+    }
+    return {
+        maxUploads,
+        maxBytes: parseLimit(overrides.maxBytes ?? process.env.TREASURY_USER_MAX_BYTES,
+            value => (typeof value === 'number' ? value : parseSize(value))),
+        maxMonthly: parseLimit(overrides.maxMonthly ?? process.env.TREASURY_USER_MAX_MONTHLY_USDFC,
+            value => (typeof value === 'bigint' ? value : ethers.parseUnits(String(value), 18)))
+    };
+}
+
+/**
+ * The effective treasury configuration. Overrides win over the environment.
+ */
+export function resolveTreasuryConfig(overrides = {}) {
+    const hotKeys = overrides.hotKeys ?? (process.env.TREASURY_HOT_KEYS ? splitKeys(process.env.TREASURY_HOT_KEYS) : null);
+
+    let warmKey = overrides.warmKey ?? process.env.TREASURY_WARM_KEY ?? null;
+    const warmKeyFile = overrides.warmKeyFile ?? process.env.TREASURY_WARM_KEY_FILE;
+    if (!warmKey && warmKeyFile) {
+        warmKey = readFileSync(warmKeyFile, 'utf-8').trim();
+        if (!warmKey) {
+            throw new Error(`Warm wallet key file is empty: ${warmKeyFile}`);
+        }
+    }
+
+    const hotMin = ethers.parseUnits(overrides.hotMin ?? process.env.TREASURY_HOT_MIN_USDFC ?? DEFAULT_HOT_MIN_USDFC, 18);
+    const hotTarget = ethers.parseUnits(overrides.hotTarget ?? process.env.TREASURY_HOT_TARGET_USDFC ?? DEFAULT_HOT_TARGET_USDFC, 18);
+    if (hotTarget <= hotMin) {
+        throw new Error('TREASURY_HOT_TARGET_USDFC must be above TREASURY_HOT_MIN_USDFC');
+    }
+
+    return { hotKeys, warmKey, hotMin, hotTarget, limits: resolveUserLimits(overrides.limits) };
+}
+
+export function openLedger(filePath = process.env.TREASURY_LEDGER_PATH || DEFAULT_LEDGER_FILE) {
+    const ledgerPath = path.resolve(filePath);
+
+    if (!existsSync(ledgerPath)) {
+        return { path: ledgerPath, version: LEDGER_VERSION, tenants: {}, uploads: [], refills: [] };
+    }
+
+    const stored = JSON.parse(readFileSync(ledgerPath, 'utf-8'));
+    if (stored.version !== LEDGER_VERSION || !Array.isArray(stored.uploads)) {
+        throw new Error(`Unsupported treasury ledger format in ${ledgerPath}`);
+    }
+
+    return {
+        path: ledgerPath,
+        version: stored.version,
+        tenants: stored.tenants ?? {},
+        uploads: stored.uploads,
+        refills: stored.refills ?? []
+    };
+}
+
+export function saveLedger(ledger) {
+    // Same temporary-file-and-rename as the upload manifest
+    const tmpPath = `${ledger.path}.tmp`;
+    const { version, tenants, uploads, refills } = ledger;
+    writeFileSync(tmpPath, JSON.stringify({ version, tenants, uploads, refills }, null, 2));
+    renameSync(tmpPath, ledger.path);
+}
+
+/**
+ * Connect every treasury wallet and open the ledger.
+ *
+ * Returns { hot: [{ synapse, address }], warm: { synapse, address } | null,
+ * config, ledger }.
+ */
+export async function openTreasury(options = {}) {
+    const config = options.config ?? resolveTreasuryConfig(options);
+    const ledger = options.ledger ?? openLedger(options.ledgerPath);
+
+    const connect = async (privateKey) => {
+        const synapse = await createSynapse(privateKey ? { privateKey } : {});
+        return { synapse, address: ethers.getAddress(await synapse.getClient().getAddress()) };
+    };
+
+    const hot = await Promise.all((config.hotKeys ?? [null]).map(connect));
+    const warm = config.warmKey ? await connect(config.warmKey) : null;
+    if (warm !== null && hot.some(wallet => wallet.address === warm.address)) {
+        throw new Error(`The warm wallet ${warm.address} is also a hot wallet`);
+    }
+
+    return { hot, warm, config, ledger };
+}
+
+/**
+ * The hot wallet that pays for `tenantId`. A new tenant is assigned one by
+ * a hash of its ID, and the assignment is saved in the ledger, so adding or
+ * removing hot keys later never moves an existing tenant to another wallet
+ * - and data set. Throws if the tenant's wallet is no longer configured.
+ */
+export function hotWalletFor(treasury, tenantId) {
+    const { ledger } = treasury;
+    const tenant = ledger.tenants[tenantId];
+    // Tenants recorded before assignments were saved: their last payer
+    const assigned = tenant?.wallet ?? ledger.uploads.findLast(entry => entry.tenantId === tenantId)?.payer;
+
+    if (assigned) {
+        const hot = treasury.hot.find(wallet => wallet.address === assigned);
+        if (!hot) {
+            throw new Error(`Tenant ${tenantId} is paid for by ${assigned}, which is not one of the hot wallets (TREASURY_HOT_KEYS)`);
+        }
+        if (tenant?.wallet !== assigned) {
+            ledger.tenants[tenantId] = { createdAt: new Date().toISOString(), limits: {}, ...tenant, wallet: assigned };
+            saveLedger(ledger);
+        }
+        return hot;
+    }
+
+    const digest = createHash('sha256').update(String(tenantId)).digest();
+    const hot = treasury.hot[digest.readUInt32BE(0) % treasury.hot.length];
+    ledger.tenants[tenantId] = { createdAt: new Date().toISOString(), limits: {}, ...tenant, wallet: hot.address };
+    saveLedger(ledger);
+    return hot;
+}
+
+/**
+ * Limits for the users of `tenantId`: the tenant's own, where set, over
+ * the configured defaults.
+ */
+export function userLimits(treasury, tenantId) {
+    const tenant = treasury.ledger.tenants[tenantId]?.limits ?? {};
+    return {
+        maxUploads: tenant.maxUploads !== undefined ? tenant.maxUploads : treasury.config.limits.maxUploads,
+        maxBytes: tenant.maxBytes !== undefined ? tenant.maxBytes : treasury.config.limits.maxBytes,
+        maxMonthly: tenant.maxMonthly !== undefined
+            ? (tenant.maxMonthly === null ? null : BigInt(tenant.maxMonthly))
+            : treasury.config.limits.maxMonthly
+    };
+}
+
+/**
+ * Set per-user limits for one tenant and save the ledger. Pass null for
+ * "no limit"; limits left out fall back to the configured defaults.
+ */
+export function setTenantLimits(treasury, tenantId, limits) {
+    const stored = {};
+    for (const [name, value] of Object.entries(limits)) {
+        const resolved = value === null ? null : resolveUserLimits({ [name]: value })[name];
+        stored[name] = typeof resolved === 'bigint' ? resolved.toString() : resolved;
+    }
+
+    const tenant = treasury.ledger.tenants[tenantId] ?? { createdAt: new Date().toISOString() };
+    tenant.limits = { ...tenant.limits, ...stored };
+    treasury.ledger.tenants[tenantId] = tenant;
+    saveLedger(treasury.ledger);
+    return userLimits(treasury, tenantId);
+}
+
+/**
+ * What the treasury sponsors for one user so far. `monthly` uses the rates
+ * estimated at upload time; tenantCostReport() reads the actual rails.
+ */
+export function userUsage(ledger, tenantId, userId) {
+    const uploads = ledger.uploads.filter(entry => entry.tenantId === tenantId && entry.userId === userId);
+    const ratePerEpoch = uploads.reduce((total, entry) => total + BigInt(entry.ratePerEpoch), 0n);
+    return {
+        uploads: uploads.length,
+        bytes: uploads.reduce((total, entry) => total + entry.size, 0),
+        ratePerEpoch,
+        monthly: ratePerEpoch * TIME_CONSTANTS.EPOCHS_PER_MONTH
+    };
+}
+
+/**
+ * Whether sponsoring one more upload of `size` bytes at `ratePerEpoch`
+ * keeps the user within their limits. Returns { ok, problems, usage, limits }.
+ */
+export function checkSponsorship(treasury, tenantId, userId, upload) {
+    const limits = userLimits(treasury, tenantId);
+    const usage = userUsage(treasury.ledger, tenantId, userId);
+    const monthly = usage.monthly + upload.ratePerEpoch * TIME_CONSTANTS.EPOCHS_PER_MONTH;
+
+    const problems = [];
+    if (limits.maxUploads !== null && usage.uploads + 1 > limits.maxUploads) {
+        problems.push(`${usage.uploads} of ${limits.maxUploads} sponsored uploads already used`);
+    }
+    if (limits.maxBytes !== null && usage.bytes + upload.size > limits.maxBytes) {
+        problems.push(`Would store ${formatBytes(usage.bytes + upload.size)}, above the ${formatBytes(limits.maxBytes)} limit`);
+    }
+    if (limits.maxMonthly !== null && monthly > limits.maxMonthly) {
+        problems.push(`Would cost ${formatUSDFC(monthly)}/month, above the ${formatUSDFC(limits.maxMonthly)} monthly limit`);
+    }
+
+    return { ok: problems.length === 0, problems, usage, limits };
+}
+
+/**
+ * Move funds from the warm wallet into `hot`'s payment account when its
+ * available funds are below the configured minimum, up to the target.
+ * Returns { action: 'none' | 'refill' | 'unavailable', ... }; refills are
+ * recorded in the ledger.
+ */
+export async function refillHotWallet(treasury, hot, options = {}) {
+    const { hotMin, hotTarget } = treasury.config;
+    const { availableFunds } = await hot.synapse.payments.accountInfo(TOKENS.USDFC);
+
+    if (availableFunds >= hotMin) {
+        return { action: 'none', wallet: hot.address, availableFunds };
+    }
+    if (treasury.warm === null) {
+        return { action: 'unavailable', wallet: hot.address, availableFunds, reason: 'No warm wallet configured' };
+    }
+
+    const reserve = await treasury.warm.synapse.payments.walletBalance(TOKENS.USDFC);
+    const needed = hotTarget - availableFunds;
+    const amount = needed < reserve ? needed : reserve;
+    if (amount === 0n) {
+        return { action: 'unavailable', wallet: hot.address, availableFunds, reason: `Warm wallet ${treasury.warm.address} has no USDFC` };
+    }
+
+    await assertSpendAllowed(hot.synapse, { action: 'Refill' });
+    const tx = await treasury.warm.synapse.payments.deposit(amount, TOKENS.USDFC, { to: hot.address });
+    options.onSubmitted?.(tx.hash, amount);
+    const receipt = await tx.wait();
+
+    const refill = {
+        at: new Date().toISOString(),
+        from: treasury.warm.address,
+        to: hot.address,
+        amount: amount.toString(),
+        transaction: tx.hash,
+        blockNumber: receipt.blockNumber
+    };
+    treasury.ledger.refills.push(refill);
+    saveLedger(treasury.ledger);
+
+    return { action: 'refill', wallet: hot.address, availableFunds, amount, transaction: tx.hash };
+}
+
+/**
+ * Upload `data` for a user, paid for by the tenant's hot wallet, and
+ * record it in the ledger. Refused (throws) when it would break the user's
+ * limits, the upload budget or the spend caps.
+ *
+ * Options: tenantId, userId, data, filename, metadata (piece metadata such
+ * as a `category` for retention rules), encryptionKey (encrypts the data
+ * first, readable with downloadEncrypted()), onRefill. `payload` in the
+ * result is the bytes that were uploaded, `metadata` the piece metadata.
+ */
+export async function sponsorUpload(treasury, options) {
+    const { tenantId, userId, data } = options;
+    if (!tenantId || !userId) {
+        throw new Error('A sponsored upload needs a tenantId and a userId');
+    }
+
+    const payload = options.encryptionKey ? encodePayload(encrypt(data, options.encryptionKey)) : data;
+    const hot = hotWalletFor(treasury, tenantId);
+
+    // The tenant's first upload creates its data set, at the service's
+    // monthly minimum; later ones only add to that data set's rate
+    const context = await hot.synapse.storage.createContext({ metadata: { tenant: String(tenantId) } });
+    const estimate = await estimateStorageCost(hot.synapse, { sizes: [payload.length], dataSetId: context.dataSetId });
+    const check = checkSponsorship(treasury, tenantId, userId, { size: payload.length, ratePerEpoch: estimate.ratePerEpoch });
+    if (!check.ok) {
+        throw new Error(`Sponsorship refused for ${userId} (${tenantId}): ${check.problems.join('; ')}`);
+    }
+    assertWithinBudget(estimate);
+
+    const refill = await refillHotWallet(treasury, hot, { onSubmitted: options.onRefill });
+
+    const metadata = { ...options.metadata, user: String(userId) };
+    const result = await context.upload(payload, { metadata });
+
+    const entry = {
+        tenantId,
+        userId,
+        pieceCid: String(result.pieceCid),
+        pieceId: result.pieceId ?? null,
+        filename: options.filename ?? null,
+        metadata,
+        size: payload.length,
+        paddedBytes: paddedPieceSize(payload.length),
+        encrypted: Boolean(options.encryptionKey),
+        payer: hot.address,
+        dataSetId: context.dataSetId ?? null,
+        providerId: context.provider.id,
+        ratePerEpoch: estimate.ratePerEpoch.toString(),
+        uploadedAt: new Date().toISOString()
+    };
+    treasury.ledger.uploads.push(entry);
+    saveLedger(treasury.ledger);
+
+    return { entry, result, payload, metadata, context, estimate, refill, usage: userUsage(treasury.ledger, tenantId, userId) };
+}
+
+/**
+ * The hot wallet that pays for a data set, read from the chain. Removing
+ * pieces from a data set or terminating it has to be signed by its payer.
+ * Throws if the payer isn't one of the hot wallets.
+ */
+export async function dataSetPayer(treasury, dataSetId) {
+    const { synapse } = treasury.hot[0];
+    const warmStorage = await WarmStorageService.create(synapse.getProvider(), synapse.getWarmStorageAddress());
+    const info = await warmStorage.getDataSet(dataSetId);
+    const hot = treasury.hot.find(wallet => wallet.address === ethers.getAddress(info.payer));
+    if (!hot) {
+        throw new Error(`Data set ${dataSetId} is paid for by ${info.payer}, which is not one of the hot wallets (TREASURY_HOT_KEYS)`);
+    }
+    return hot;
+}
+
+// Current payment rate of a data set's rails, from its payer's account
+async function dataSetRate(warmStorage, hot, dataSetId) {
+    const info = await warmStorage.getDataSet(dataSetId);
+    const railIds = [info.pdpRailId, info.cacheMissRailId, info.cdnRailId].filter(railId => railId > 0);
+    const rails = await Promise.all(railIds.map(async (railId) => ({ railId, ...await hot.synapse.payments.getRail(railId) })));
+    return {
+        rails: rails.map(rail => ({ railId: rail.railId, paymentRate: rail.paymentRate, endEpoch: rail.endEpoch })),
+        ratePerEpoch: rails.reduce((total, rail) => total + rail.paymentRate, 0n)
+    };
+}
+
+/**
+ * What each tenant, and each of its users, costs per epoch and per month.
+ *
+ * Rates come from the rails of the data sets the ledger's uploads went to.
+ * A data set's rate is split between its uploads by padded size, so a user
+ * pays for their share of the data set, including the monthly minimum.
+ * Options: tenantId (report on just one).
+ */
+export async function tenantCostReport(treasury, options = {}) {
+    const uploads = treasury.ledger.uploads.filter(entry =>
+        entry.dataSetId !== null && (options.tenantId === undefined || entry.tenantId === options.tenantId));
+
+    // Every upload in a data set counts towards its size, even other tenants'
+    const dataSets = new Map();
+    for (const entry of treasury.ledger.uploads.filter(upload => upload.dataSetId !== null)) {
+        const key = `${entry.payer}:${entry.dataSetId}`;
+        const dataSet = dataSets.get(key) ?? { payer: entry.payer, dataSetId: entry.dataSetId, paddedBytes: 0 };
+        dataSet.paddedBytes += entry.paddedBytes;
+        dataSets.set(key, dataSet);
+    }
+
+    const reported = new Set(uploads.map(entry => `${entry.payer}:${entry.dataSetId}`));
+    const wallets = new Map(treasury.hot.map(hot => [hot.address, hot]));
+    await Promise.all([...reported].map(async (key) => {
+        const dataSet = dataSets.get(key);
+        const hot = wallets.get(dataSet.payer);
+        if (!hot) {
+            dataSet.error = `Payer ${dataSet.payer} is no longer a hot wallet`;
+            dataSet.rails = [];
+            dataSet.ratePerEpoch = 0n;
+            return;
+        }
+        const warmStorage = await WarmStorageService.create(hot.synapse.getProvider(), hot.synapse.getWarmStorageAddress());
+        Object.assign(dataSet, await dataSetRate(warmStorage, hot, dataSet.dataSetId));
+    }));
+
+    const tenants = new Map();
+    for (const entry of uploads) {
+        const dataSet = dataSets.get(`${entry.payer}:${entry.dataSetId}`);
+        const share = (dataSet.ratePerEpoch * BigInt(entry.paddedBytes)) / BigInt(dataSet.paddedBytes);
+
+        const tenant = tenants.get(entry.tenantId) ?? { tenantId: entry.tenantId, uploads: 0, bytes: 0, ratePerEpoch: 0n, dataSets: new Set(), users: new Map() };
+        const user = tenant.users.get(entry.userId) ?? { userId: entry.userId, uploads: 0, bytes: 0, ratePerEpoch: 0n };
+        for (const totals of [tenant, user]) {
+            totals.uploads += 1;
+            totals.bytes += entry.size;
+            totals.ratePerEpoch += share;
+        }
+        tenant.dataSets.add(`${entry.payer}:${entry.dataSetId}`);
+        tenant.users.set(entry.userId, user);
+        tenants.set(entry.tenantId, tenant);
+    }
+
+    const monthly = rate => rate * TIME_CONSTANTS.EPOCHS_PER_MONTH;
+    const report = [...tenants.values()].map(tenant => ({
+        tenantId: tenant.tenantId,
+        uploads: tenant.uploads,
+        bytes: tenant.bytes,
+        ratePerEpoch: tenant.ratePerEpoch,
+        perMonth: monthly(tenant.ratePerEpoch),
+        dataSets: [...tenant.dataSets].map(key => dataSets.get(key)),
+        users: [...tenant.users.values()].map(user => ({ ...user, perMonth: monthly(user.ratePerEpoch) }))
+    }));
+
+    const ratePerEpoch = report.reduce((total, tenant) => total + tenant.ratePerEpoch, 0n);
+    return { tenants: report, ratePerEpoch, perMonth: monthly(ratePerEpoch) };
+}
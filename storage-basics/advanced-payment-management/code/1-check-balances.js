@@ -1,20 +1,12 @@
-import 'dotenv/config';
-import { Synapse, TOKENS } from '@filoz/synapse-sdk';
+import { TOKENS } from '@filoz/synapse-sdk';
+import { createSynapse } from 'filecoin-shared';
 import { ethers } from 'ethers';
 
 async function main() {
     console.log("Checking Balances\n");
 
     // Initialize the SDK
-    const privateKey = process.env.PRIVATE_KEY;
-    if (!privateKey) {
-        throw new Error("Missing PRIVATE_KEY in .env file");
-    }
-
-    const synapse = await Synapse.create({
-        privateKey: privateKey,
-        rpcURL: "https://api.calibration.node.glif.io/rpc/v1"
-    });
+    const synapse = await createSynapse();
 
     console.log("✓ SDK initialized\n");
 
@@ -1,20 +1,12 @@
-import 'dotenv/config';
-import { Synapse, TOKENS, TIME_CONSTANTS } from '@filoz/synapse-sdk';
+import { TOKENS, TIME_CONSTANTS } from '@filoz/synapse-sdk';
+import { createSynapse } from 'filecoin-shared';
 import { ethers } from 'ethers';
 
 async function main() {
     console.log("Account Health Monitoring\n");
 
     // Initialize the SDK
-    const privateKey = process.env.PRIVATE_KEY;
-    if (!privateKey) {
-        throw new Error("Missing PRIVATE_KEY in .env file");
-    }
-
-    const synapse = await Synapse.create({
-        privateKey: privateKey,
-        rpcURL: "https://api.calibration.node.glif.io/rpc/v1"
-    });
+    const synapse = await createSynapse();
 
     console.log("✓ SDK initialized\n");
 
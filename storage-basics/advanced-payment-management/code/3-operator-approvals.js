@@ -1,64 +1,58 @@
-import 'dotenv/config';
-import { Synapse, TOKENS } from '@filoz/synapse-sdk';
 import { ethers } from 'ethers';
+import { createSynapse, listOperators, budgetAllowances } from 'filecoin-shared';
+
+function formatAllowance(value) {
+    return value === ethers.MaxUint256 ? 'Unlimited' : `${ethers.formatUnits(value, 18)} USDFC`;
+}
+
+function formatUsage(fraction) {
+    return fraction === null ? '' : ` (${(fraction * 100).toFixed(0)}% used)`;
+}
 
 async function main() {
     console.log("Checking Operator Approvals\n");
 
     // Initialize the SDK
-    const privateKey = process.env.PRIVATE_KEY;
-    if (!privateKey) {
-        throw new Error("Missing PRIVATE_KEY in .env file");
-    }
-
-    const synapse = await Synapse.create({
-        privateKey: privateKey,
-        rpcURL: "https://api.calibration.node.glif.io/rpc/v1"
-    });
+    const synapse = await createSynapse();
 
     console.log("✓ SDK initialized\n");
 
-    // Get operator address
-    const operatorAddress = synapse.getWarmStorageAddress();
-    console.log(`Warm Storage Operator: ${operatorAddress}\n`);
+    // Warm Storage, the operators of this wallet's rails and any operator
+    // whose approval changed recently (the contract can't list them)
+    const warmStorage = synapse.getWarmStorageAddress();
+    console.log(`Warm Storage Operator: ${warmStorage}`);
+    console.log("Looking for other approved operators...\n");
 
-    // Check approval status
-    const approval = await synapse.payments.serviceApproval(operatorAddress, TOKENS.USDFC);
+    const operators = await listOperators(synapse);
 
-    console.log("Approval Status:");
-    console.log(`  Approved: ${approval.isApproved ? '✓ Yes' : '✗ No'}`);
-
-    if (approval.isApproved) {
-        // Format rate allowance
-        let rateDisplay;
-        if (approval.rateAllowance === ethers.MaxUint256) {
-            rateDisplay = 'Unlimited';
-        } else if (approval.rateAllowance === null || approval.rateAllowance === undefined) {
-            rateDisplay = 'Not set';
-        } else {
-            rateDisplay = `${ethers.formatUnits(approval.rateAllowance, 18)} USDFC`;
-        }
+    if (!operators.some(approval => approval.operator === ethers.getAddress(warmStorage) && approval.isApproved)) {
+        console.log("  ⚠️  Warm Storage is not approved.");
+        console.log("  → Run the payment-management tutorial first to approve the operator.\n");
+    }
 
-        // Format lockup allowance
-        let lockupDisplay;
-        if (approval.lockupAllowance === ethers.MaxUint256) {
-            lockupDisplay = 'Unlimited';
-        } else if (approval.lockupAllowance === null || approval.lockupAllowance === undefined) {
-            lockupDisplay = 'Not set';
-        } else {
-            lockupDisplay = `${ethers.formatUnits(approval.lockupAllowance, 18)} USDFC`;
-        }
+    for (const approval of operators) {
+        const label = approval.operator === ethers.getAddress(warmStorage) ? ' (Warm Storage)' : '';
+        console.log(`Operator ${approval.operator}${label}:`);
+        console.log(`  Approved: ${approval.isApproved ? '✓ Yes' : '✗ No'}`);
+        console.log(`  Rate Allowance: ${formatAllowance(approval.rateAllowance)}${formatUsage(approval.rateUsage)}`);
+        console.log(`    → Maximum the operator can charge per epoch (in use: ${ethers.formatUnits(approval.rateUsed, 18)} USDFC)`);
+        console.log(`  Lockup Allowance: ${formatAllowance(approval.lockupAllowance)}${formatUsage(approval.lockupUsage)}`);
+        console.log(`    → Maximum the operator can lock up (in use: ${ethers.formatUnits(approval.lockupUsed, 18)} USDFC)`);
+        console.log(`  Max Lockup Period: ${approval.maxLockupPeriod} epochs`);
+        approval.warnings.forEach(warning => console.log(`  ⚠️  ${warning}`));
+        console.log();
+    }
 
-        console.log(`  Rate Allowance: ${rateDisplay}`);
-        console.log(`    → Maximum the operator can charge per epoch`);
-        console.log(`  Lockup Allowance: ${lockupDisplay}`);
-        console.log(`    → Maximum the operator can lock up\n`);
+    // What the spend caps (BUDGET_*_USDFC) would allow, for comparison
+    const capped = budgetAllowances();
+    console.log("Allowances derived from the spend caps:");
+    console.log(`  Rate: ${ethers.formatUnits(capped.rateAllowance, 18)} USDFC/epoch`);
+    console.log(`  Lockup: ${ethers.formatUnits(capped.lockupAllowance, 18)} USDFC\n`);
 
-        console.log("✅ Operator is approved and ready to use!");
-    } else {
-        console.log("  ⚠️  Operator is not approved.");
-        console.log("  → Run the payment-management tutorial first to approve the operator.\n");
-    }
+    console.log("To change an approval:");
+    console.log("  npx foc approve warm-storage                  (allowances from the spend caps)");
+    console.log("  npx foc approve <operator> --rate 0.0001 --lockup 5");
+    console.log("  npx foc revoke <operator> --yes");
 }
 
 main().catch((err) => {
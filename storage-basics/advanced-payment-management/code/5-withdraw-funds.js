@@ -1,20 +1,12 @@
-import 'dotenv/config';
-import { Synapse, TOKENS } from '@filoz/synapse-sdk';
+import { TOKENS } from '@filoz/synapse-sdk';
+import { createSynapse } from 'filecoin-shared';
 import { ethers } from 'ethers';
 
 async function main() {
     console.log("Withdrawing Funds\n");
 
     // Initialize the SDK
-    const privateKey = process.env.PRIVATE_KEY;
-    if (!privateKey) {
-        throw new Error("Missing PRIVATE_KEY in .env file");
-    }
-
-    const synapse = await Synapse.create({
-        privateKey: privateKey,
-        rpcURL: "https://api.calibration.node.glif.io/rpc/v1"
-    });
+    const synapse = await createSynapse();
 
     console.log("✓ SDK initialized\n");
 
@@ -69,7 +61,9 @@ async function main() {
     } else {
         console.log("No funds available to withdraw.");
         console.log("  → All funds are locked for active storage deals");
-        console.log("  → Wait for deals to complete or deposit more funds\n");
+        console.log("  → Storage deals don't end on their own: list your data sets with `npx foc datasets`,");
+        console.log("    then preview what ending one would release with `npx foc terminate <dataSetId>`");
+        console.log("  → Add --yes to terminate it; the lockup becomes withdrawable once its rails end\n");
     }
 }
 
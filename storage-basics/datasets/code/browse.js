@@ -0,0 +1,178 @@
+import express from 'express';
+import { createSynapse, listDataSets, listPieces, parseMetadataFilter } from 'filecoin-shared';
+
+/**
+ * Dataset browser API.
+ *
+ * Usage: node browse.js   (PORT defaults to 3001)
+ *
+ * Serves the data sets this wallet owns and the pieces in them, read from
+ * the chain, so it shows everything stored so far - not just what index.js
+ * uploaded in its last run.
+ *
+ *   GET /datasets?filter=project=filecoin-tutorials&filter=version&live=true
+ *   GET /datasets/:dataSetId
+ *   GET /datasets/:dataSetId/pieces?filter=key=value&metadata=true&epochs=true&lookback=2880
+ */
+
+const app = express();
+const PORT = process.env.PORT || 3001;
+
+let synapse = null;
+
+async function initializeSynapse() {
+    if (synapse) return synapse;
+
+    synapse = await createSynapse();
+
+    console.log('✓ Synapse SDK initialized');
+    return synapse;
+}
+
+const flag = (value) => value === 'true' || value === '1' || value === '';
+
+class BadRequest extends Error {}
+
+function filterFrom(query) {
+    const entries = [].concat(query.filter ?? []);
+    if (entries.some(entry => typeof entry !== 'string')) {
+        throw new BadRequest('Filters are given as filter=key=value or filter=key');
+    }
+    try {
+        return parseMetadataFilter(entries);
+    } catch (error) {
+        throw new BadRequest(error.message);
+    }
+}
+
+function dataSetIdFrom(params) {
+    if (!/^\d+$/.test(params.dataSetId)) {
+        throw new BadRequest(`Invalid data set ID "${params.dataSetId}"`);
+    }
+    return Number(params.dataSetId);
+}
+
+// Only the caller's own data sets can be browsed
+async function ownDataSet(sdk, dataSetId) {
+    const dataSets = await listDataSets(sdk);
+    return dataSets.find(dataSet => dataSet.dataSetId === dataSetId) ?? null;
+}
+
+function sendError(res, error, what) {
+    if (error instanceof BadRequest) {
+        return res.status(400).json({ error: 'Bad request', message: error.message });
+    }
+    console.error(`   ❌ ${what}:`, error.message);
+    res.status(500).json({ error: what, message: error.message });
+}
+
+/**
+ * Data sets with their on-chain metadata
+ */
+app.get('/datasets', async (req, res) => {
+    try {
+        const filter = filterFrom(req.query);
+        const sdk = await initializeSynapse();
+        const dataSets = await listDataSets(sdk, { filter, live: flag(req.query.live) });
+
+        res.json({ filter, dataSets });
+    } catch (error) {
+        sendError(res, error, 'Failed to list data sets');
+    }
+});
+
+/**
+ * One data set
+ */
+app.get('/datasets/:dataSetId', async (req, res) => {
+    try {
+        const dataSetId = dataSetIdFrom(req.params);
+        const sdk = await initializeSynapse();
+        const dataSet = await ownDataSet(sdk, dataSetId);
+
+        if (!dataSet) {
+            return res.status(404).json({
+                error: 'Data set not found',
+                message: `Data set ${dataSetId} is not owned by this wallet`
+            });
+        }
+        res.json(dataSet);
+    } catch (error) {
+        sendError(res, error, 'Failed to get data set');
+    }
+});
+
+/**
+ * Active pieces of a data set with sizes, and optionally metadata and
+ * the epoch each was added at
+ */
+app.get('/datasets/:dataSetId/pieces', async (req, res) => {
+    try {
+        const dataSetId = dataSetIdFrom(req.params);
+        const filter = filterFrom(req.query);
+        const lookbackEpochs = req.query.lookback !== undefined ? Number(req.query.lookback) : undefined;
+        if (lookbackEpochs !== undefined && !(Number.isInteger(lookbackEpochs) && lookbackEpochs > 0)) {
+            throw new BadRequest(`Invalid lookback "${req.query.lookback}" (expected a number of epochs)`);
+        }
+
+        const sdk = await initializeSynapse();
+        const dataSet = await ownDataSet(sdk, dataSetId);
+        if (!dataSet) {
+            return res.status(404).json({
+                error: 'Data set not found',
+                message: `Data set ${dataSetId} is not owned by this wallet`
+            });
+        }
+
+        console.log(`\n📂 Listing pieces of data set ${dataSetId}`);
+        const pieces = await listPieces(sdk, dataSetId, {
+            filter,
+            withMetadata: flag(req.query.metadata) || Object.keys(filter).length > 0,
+            withEpochs: flag(req.query.epochs),
+            lookbackEpochs
+        });
+        console.log(`   ✓ ${pieces.length} piece(s)`);
+
+        res.json({ dataSet, filter, pieces });
+    } catch (error) {
+        sendError(res, error, 'Failed to list pieces');
+    }
+});
+
+/**
+ * Health check
+ */
+app.get('/health', (req, res) => {
+    res.json({
+        status: 'ok',
+        sdk: synapse ? 'initialized' : 'not initialized'
+    });
+});
+
+// Start server
+app.listen(PORT, () => {
+    console.log('='.repeat(70));
+    console.log('  Filecoin Dataset Browser');
+    console.log('='.repeat(70));
+    console.log();
+    console.log(`🚀 Server running on http://localhost:${PORT}`);
+    console.log();
+    console.log('Available endpoints:');
+    console.log(`  GET  /datasets                  - Data sets and their metadata (?filter=key=value, ?live=true)`);
+    console.log(`  GET  /datasets/:id              - One data set`);
+    console.log(`  GET  /datasets/:id/pieces       - Pieces with sizes (?filter=key=value, ?metadata=true, ?epochs=true)`);
+    console.log(`  GET  /health                    - Health check`);
+    console.log();
+    console.log('Try:');
+    console.log(`  curl "http://localhost:${PORT}/datasets?filter=project=filecoin-tutorials"`);
+    console.log();
+    console.log('Press Ctrl+C to stop the server');
+    console.log('='.repeat(70));
+    console.log();
+});
+
+// Handle graceful shutdown
+process.on('SIGINT', () => {
+    console.log('\n\n👋 Shutting down server...');
+    process.exit(0);
+});
@@ -1,20 +1,21 @@
-import 'dotenv/config';
-import { Synapse, TOKENS } from '@filoz/synapse-sdk';
-import { readFileSync, readdirSync } from 'fs';
+import {
+    createSynapse,
+    checkReadiness,
+    openManifest,
+    recordUpload,
+    runUploadQueue,
+    listPieces,
+    estimateStorageCost,
+    assertWithinBudget,
+    formatUSDFC
+} from 'filecoin-shared';
+import { readFileSync, readdirSync, statSync } from 'fs';
 
 async function main() {
     console.log("Working with Filecoin Datasets...\n");
 
     // Initialize SDK
-    const privateKey = process.env.PRIVATE_KEY;
-    if (!privateKey) {
-        throw new Error("Missing PRIVATE_KEY in .env file");
-    }
-
-    const synapse = await Synapse.create({
-        privateKey: privateKey,
-        rpcURL: "https://api.calibration.node.glif.io/rpc/v1"
-    });
+    const synapse = await createSynapse();
 
     console.log("✓ SDK initialized\n");
 
@@ -23,26 +24,17 @@ async function main() {
     // ========================================================================
     console.log("=== Step 1: Verify Payment Account ===");
 
-    const paymentBalance = await synapse.payments.balance(TOKENS.USDFC);
-    console.log(`Payment Account Balance: ${paymentBalance.toString()} (raw units)`);
+    const readiness = await checkReadiness(synapse);
+    console.log(`Payment Account Balance: ${readiness.paymentAccount.availableFunds.toString()} (raw units)`);
 
-    if (paymentBalance === 0n) {
-        console.log("\n⚠️  Warning: Payment account has no balance!");
-        console.log("Please run the payment-management tutorial first to fund your account.");
+    if (!readiness.ready) {
+        console.log("\n⚠️  Warning: Your account is not ready to upload!");
+        readiness.failures.forEach(failure => console.log(`  - ${failure.message}`));
+        console.log("Please run the payment-management tutorial first.");
         process.exit(1);
     }
 
     console.log("✓ Payment account is funded");
-
-    // Verify operator allowances
-    const operatorAddress = synapse.getWarmStorageAddress();
-    const approval = await synapse.payments.serviceApproval(operatorAddress, TOKENS.USDFC);
-
-    if (!approval.isApproved || approval.rateAllowance === 0n || approval.lockupAllowance === 0n) {
-        console.log("⚠️  Warning: Operator allowances are not set!");
-        console.log("Please run the payment-management tutorial first.");
-        process.exit(1);
-    }
     console.log("✓ Operator allowances verified\n");
 
     // ========================================================================
@@ -78,36 +70,61 @@ async function main() {
     files.forEach(file => console.log(`  - ${file}`));
     console.log();
 
-    const uploadResults = [];
-
-    for (let i = 0; i < files.length; i++) {
-        const filename = files[i];
-        const filepath = `${dataDir}/${filename}`;
-
-        console.log(`[${i + 1}/${files.length}] Uploading ${filename}...`);
-
-        const fileContent = readFileSync(filepath);
-        console.log(`  Size: ${fileContent.length} bytes`);
-
-        try {
-            const result = await context.upload(fileContent);
-
-            uploadResults.push({
-                filename: filename,
-                pieceCid: result.pieceCid,
-                size: result.size,
-                provider: result.provider
-            });
+    // Each file becomes its own piece; refuse the batch if it is over
+    // the UPLOAD_BUDGET_USDFC budget
+    const estimate = await estimateStorageCost(synapse, {
+        sizes: files.map(file => statSync(`${dataDir}/${file}`).size),
+        dataSetId: context.dataSetId
+    });
+    console.log(`Estimated cost: ${formatUSDFC(estimate.ratePerMonth)}/month, ${formatUSDFC(estimate.lockupRequired)} lockup`);
+    assertWithinBudget(estimate);
+    console.log();
 
-            console.log(`  ✓ Uploaded successfully`);
-            console.log(`  PieceCID: ${result.pieceCid}`);
-            console.log(`  Size: ${result.size} bytes\n`);
-        } catch (error) {
-            console.error(`  ✗ Upload failed: ${error.message}\n`);
+    const manifest = openManifest();
+    const concurrency = Number(process.env.UPLOAD_CONCURRENCY) || 4;
+
+    console.log(`Uploading with up to ${concurrency} files in flight...\n`);
+
+    // The queue retries transient provider/RPC errors with backoff and
+    // collects anything that still fails instead of dropping it
+    const { succeeded, deadLetter, summary } = await runUploadQueue(files, async (filename) => {
+        const fileContent = readFileSync(`${dataDir}/${filename}`);
+        const result = await context.upload(fileContent);
+        recordUpload(manifest, { filename, data: fileContent, result, context });
+        return result;
+    }, {
+        concurrency,
+        onSuccess: (filename, result) => {
+            console.log(`  ✓ ${filename}: ${result.pieceCid} (${result.size} bytes)`);
+        },
+        onRetry: (filename, error, attempt, delayMs) => {
+            console.log(`  ↻ ${filename}: ${error.message} (retry ${attempt} in ${delayMs}ms)`);
+        },
+        onDeadLetter: (filename, error) => {
+            console.error(`  ✗ ${filename}: ${error.message}`);
         }
-    }
+    });
 
-    console.log(`✅ Successfully uploaded ${uploadResults.length} files to the dataset\n`);
+    // Keep the listing below in directory order
+    const uploadResults = succeeded
+        .sort((a, b) => files.indexOf(a.item) - files.indexOf(b.item))
+        .map(({ item, result }) => ({
+            filename: item,
+            pieceCid: result.pieceCid,
+            size: result.size
+        }));
+
+    console.log(`\n✅ Successfully uploaded ${summary.succeeded}/${summary.total} files to the dataset`);
+    console.log(`   Retries: ${summary.retries}, time: ${(summary.durationMs / 1000).toFixed(1)}s`);
+    console.log(`   Recorded in ${manifest.path}\n`);
+
+    if (deadLetter.length > 0) {
+        console.log(`⚠️  ${deadLetter.length} file(s) could not be uploaded:`);
+        deadLetter.forEach(({ item, error, attempts }) => {
+            console.log(`  - ${item}: ${error.message} (after ${attempts} attempt${attempts === 1 ? '' : 's'})`);
+        });
+        console.log("  Re-run the tutorial to retry them.\n");
+    }
 
     // ========================================================================
     // Step 4: Retrieve Dataset Information
@@ -140,19 +157,24 @@ async function main() {
     // ========================================================================
     console.log("=== Step 5: List All Pieces in Dataset ===");
 
-    console.log(`\nDataset contains ${uploadResults.length} pieces:\n`);
+    // Read the pieces back from the chain: this includes anything uploaded
+    // to the same dataset by earlier runs, not just this one. There is no
+    // dataset yet if every upload failed.
+    const pieces = context.dataSetId != null ? await listPieces(synapse, context.dataSetId) : [];
+    const filenames = new Map(uploadResults.map(result => [String(result.pieceCid), result.filename]));
 
-    uploadResults.forEach((result, index) => {
-        console.log(`Piece ${index + 1}:`);
-        console.log(`  File: ${result.filename}`);
-        console.log(`  PieceCID: ${result.pieceCid}`);
-        console.log(`  Size: ${result.size} bytes`);
-        if (result.provider) {
-            console.log(`  Provider: ${result.provider}`);
-        }
+    console.log(`\nDataset ${context.dataSetId} contains ${pieces.length} pieces:\n`);
+
+    pieces.forEach(piece => {
+        console.log(`Piece ${piece.pieceId}:`);
+        console.log(`  File: ${filenames.get(piece.pieceCid) ?? '(uploaded in an earlier run)'}`);
+        console.log(`  PieceCID: ${piece.pieceCid}`);
+        console.log(`  Size: ${piece.size} bytes`);
         console.log();
     });
 
+    console.log("Browse every dataset you own, with metadata filters: npm run browse\n");
+
     // ========================================================================
     // Step 6: Check Proof Status
     // ========================================================================
@@ -206,7 +228,8 @@ async function main() {
     console.log("Next Steps:");
     console.log("  • Download files using their PieceCIDs");
     console.log("  • Add more files to the existing dataset");
-    console.log("  • Query datasets by metadata");
+    console.log("  • Keep ./data mirrored without re-uploading unchanged files: npm run sync");
+    console.log("  • Query datasets by metadata: npm run browse, then GET /datasets?filter=project=filecoin-tutorials");
     console.log("  • Monitor proof status over time\n");
 }
 
@@ -0,0 +1,110 @@
+import { createSynapse, checkReadiness, openManifest, planSync, runSync, syncedDataSetId } from 'filecoin-shared';
+
+/**
+ * Keep a folder mirrored to a Filecoin dataset.
+ *
+ * Usage: node sync.js [directory] [--dry-run]
+ *
+ * Unlike index.js, which uploads every file on every run, this compares
+ * the folder with the local manifest by content hash and only uploads new
+ * or changed files, always into the same dataset. Run it as often as you
+ * like; an unchanged folder costs nothing.
+ */
+
+async function main() {
+    const args = process.argv.slice(2);
+    const dryRun = args.includes('--dry-run');
+    const dataDir = args.find(arg => !arg.startsWith('--')) || "./data";
+
+    console.log(`Syncing ${dataDir} to Filecoin...\n`);
+
+    // ========================================================================
+    // Step 1: Compare the folder with the manifest
+    // ========================================================================
+    console.log("=== Step 1: Compare Folder with Manifest ===");
+
+    const manifest = openManifest();
+    const plan = planSync(manifest, dataDir);
+
+    plan.upload.forEach(item => console.log(`  + ${item.filename} (${item.reason}, ${item.size} bytes)`));
+    plan.deleted.forEach(entry => console.log(`  - ${entry.filename} (deleted locally, still stored as ${entry.pieceCid})`));
+    console.log(`\n${plan.upload.length} to upload, ${plan.unchanged.length} unchanged, ${plan.deleted.length} deleted locally\n`);
+
+    if (plan.upload.length === 0) {
+        console.log("✅ Already in sync. Nothing to upload.");
+        return;
+    }
+
+    if (dryRun) {
+        console.log("Dry run: no files were uploaded.");
+        return;
+    }
+
+    // ========================================================================
+    // Step 2: Open the dataset this folder syncs into
+    // ========================================================================
+    console.log("=== Step 2: Open Storage Context ===");
+
+    const synapse = await createSynapse();
+
+    const readiness = await checkReadiness(synapse);
+    if (!readiness.ready) {
+        console.log("\n⚠️  Warning: Your account is not ready to upload!");
+        readiness.failures.forEach(failure => console.log(`  - ${failure.message}`));
+        console.log("Please run the payment-management tutorial first.");
+        process.exit(1);
+    }
+
+    // Reuse the dataset from the previous sync; on the first sync, let the
+    // SDK pick (or create) one with this metadata
+    const dataSetId = syncedDataSetId(manifest, dataDir);
+    const context = dataSetId !== null
+        ? await synapse.storage.createContext({ dataSetId })
+        : await synapse.storage.createContext({
+            metadata: {
+                project: "filecoin-tutorials",
+                category: "documentation",
+                version: "1.0"
+            }
+        });
+
+    console.log(`✓ Using dataset ${context.dataSetId ?? '(new)'} with provider ${context.provider.name}\n`);
+
+    // ========================================================================
+    // Step 3: Upload new and changed files
+    // ========================================================================
+    console.log("=== Step 3: Upload Changes ===");
+
+    const result = await runSync(context, manifest, plan, {
+        concurrency: Number(process.env.UPLOAD_CONCURRENCY) || 4,
+        onRetry: (item, error, attempt, delayMs) => {
+            console.log(`  ↻ ${item.filename}: ${error.message} (retry ${attempt} in ${delayMs}ms)`);
+        },
+        onUpload: (item, entry) => console.log(`  ✓ ${item.filename} → ${entry.pieceCid}`),
+        onError: (item, error) => console.error(`  ✗ ${item.filename}: ${error.message}`)
+    });
+
+    // ========================================================================
+    // Summary
+    // ========================================================================
+    console.log("\n=== Summary ===\n");
+    console.log(`Uploaded:  ${result.uploaded.length}`);
+    console.log(`Unchanged: ${result.unchanged.length}`);
+    console.log(`Deleted:   ${result.deleted.length} (pieces remain in the dataset)`);
+    console.log(`Failed:    ${result.failed.length}`);
+    console.log(`Retries:   ${result.summary.retries}`);
+    console.log(`\nManifest: ${manifest.path}`);
+
+    if (result.failed.length > 0) {
+        console.log("\nRun the sync again to retry the failed files.");
+        process.exit(1);
+    }
+
+    console.log("\n✅ Folder is in sync.");
+}
+
+main().catch((err) => {
+    console.error("Error during sync:");
+    console.error(err);
+    process.exit(1);
+});
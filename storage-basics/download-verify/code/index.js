@@ -1,5 +1,4 @@
-import 'dotenv/config';
-import { Synapse } from '@filoz/synapse-sdk';
+import { createSynapse } from 'filecoin-shared';
 import { readFileSync, writeFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
@@ -18,41 +17,40 @@ const PIECE_CID = "PASTE_YOUR_PIECE_CID_HERE";
 // 2. Set the path to the original file you uploaded.
 //    We use this to verify the download is identical.
 const ORIGINAL_FILE_PATH = "PASTE_YOUR_ORIGINAL_FILE_PATH_HERE";
+//
+// Or skip editing and pass both on the command line:
+//    node index.js <pieceCid> <originalFilePath>
+// (the same check is available as `npx foc verify <pieceCid> <file>`)
 // ============================================================================
 
 async function main() {
     console.log("Downloading and Verifying Filecoin Data...\n");
 
+    const pieceCid = process.argv[2] || PIECE_CID;
+    const originalFilePath = process.argv[3] || ORIGINAL_FILE_PATH;
+
     // Check if user has updated the configuration
-    if (PIECE_CID === "PASTE_YOUR_PIECE_CID_HERE") {
+    if (pieceCid === "PASTE_YOUR_PIECE_CID_HERE") {
         throw new Error("Please update the PIECE_CID constant in index.js with your Filecoin PieceCID.");
     }
 
-    if (ORIGINAL_FILE_PATH === "PASTE_YOUR_ORIGINAL_FILE_PATH_HERE") {
+    if (originalFilePath === "PASTE_YOUR_ORIGINAL_FILE_PATH_HERE") {
         throw new Error("Please update the ORIGINAL_FILE_PATH constant in index.js with the path to your original file.");
     }
 
     // Initialize SDK
-    const privateKey = process.env.PRIVATE_KEY;
-    if (!privateKey) {
-        throw new Error("Missing PRIVATE_KEY in .env file");
-    }
-
-    const synapse = await Synapse.create({
-        privateKey: privateKey,
-        rpcURL: "https://api.calibration.node.glif.io/rpc/v1"
-    });
+    const synapse = await createSynapse();
 
     console.log("✓ SDK initialized\n");
 
     // Step 1: Download the Data
     console.log("=== Step 1: Download from Filecoin ===");
-    console.log(`Requesting data for PieceCID: ${PIECE_CID}...`);
+    console.log(`Requesting data for PieceCID: ${pieceCid}...`);
     console.log("(This retrieves your data from the storage provider network)\n");
 
     // The download method searches the network for providers hosting this PieceCID
     // and retrieves the content securely.
-    const downloadedData = await synapse.storage.download(PIECE_CID);
+    const downloadedData = await synapse.storage.download(pieceCid);
 
     console.log(`✓ Download complete! Received ${downloadedData.length} bytes.`);
 
@@ -66,8 +64,8 @@ async function main() {
     console.log("=== Step 2: Verify Integrity ===");
 
     try {
-        const originalData = readFileSync(ORIGINAL_FILE_PATH);
-        console.log(`Original file: ${ORIGINAL_FILE_PATH}`);
+        const originalData = readFileSync(originalFilePath);
+        console.log(`Original file: ${originalFilePath}`);
         console.log(`Original size: ${originalData.length} bytes`);
         console.log(`Downloaded size: ${downloadedData.length} bytes`);
 
@@ -95,7 +93,7 @@ async function main() {
     } catch (err) {
         if (err.code === 'ENOENT') {
             console.error("\n⚠️  Could not find original file for verification.");
-            console.error(`Checked path: ${ORIGINAL_FILE_PATH}`);
+            console.error(`Checked path: ${originalFilePath}`);
             console.error("Please update ORIGINAL_FILE_PATH in index.js to point to your original file.");
         } else {
             throw err;
@@ -1,5 +1,4 @@
-import 'dotenv/config';
-import { Synapse, TOKENS } from '@filoz/synapse-sdk';
+import { createSynapse, checkReadiness, openManifest, recordUpload, estimateStorageCost, assertWithinBudget, formatUSDFC } from 'filecoin-shared';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
@@ -12,42 +11,25 @@ async function main() {
     console.log("Uploading Your First File to Filecoin...\n");
 
     // Initialize SDK
-    const privateKey = process.env.PRIVATE_KEY;
-    if (!privateKey) {
-        throw new Error("Missing PRIVATE_KEY in .env file");
-    }
-
-    const synapse = await Synapse.create({
-        privateKey: privateKey,
-        rpcURL: "https://api.calibration.node.glif.io/rpc/v1"
-    });
+    const synapse = await createSynapse();
 
     console.log("✓ SDK initialized\n");
 
     // Step 1: Verify payment account balance
     console.log("=== Step 1: Verify Payment Account Balance ===");
 
-    const paymentBalance = await synapse.payments.balance(TOKENS.USDFC);
-    console.log(`Payment Account (USDFC): ${paymentBalance.toString()} (raw units)`);
+    const readiness = await checkReadiness(synapse);
+    console.log(`Payment Account (USDFC): ${readiness.paymentAccount.availableFunds.toString()} (raw units)`);
 
-    if (paymentBalance === 0n) {
-        console.log("\n⚠️  Warning: Payment account has no balance!");
+    if (!readiness.ready) {
+        console.log("\n⚠️  Warning: Your account is not ready to upload!");
+        readiness.failures.forEach(failure => console.log(`  - ${failure.message}`));
+        console.log("The storage provider cannot charge your account without funds and approval.");
         console.log("Please run the payment-management tutorial first to fund your account.");
         process.exit(1);
     }
 
-    console.log("✓ Payment account is funded\n");
-
-    // Add explicit allowance check
-    const operatorAddress = synapse.getWarmStorageAddress();
-    const approval = await synapse.payments.serviceApproval(operatorAddress, TOKENS.USDFC);
-
-    if (!approval.isApproved || approval.rateAllowance === 0n || approval.lockupAllowance === 0n) {
-        console.log("⚠️  Warning: Operator allowances are not set!");
-        console.log("The storage provider cannot charge your account without approval.");
-        console.log("Please run the payment-management tutorial (or fix-allowance.js) first.");
-        process.exit(1);
-    }
+    console.log("✓ Payment account is funded");
     console.log("✓ Operator allowances verified\n");
 
     // Step 2: Read the sample file
@@ -62,15 +44,34 @@ async function main() {
     console.log(`First 100 characters: ${fileContent.toString().substring(0, 100)}...`);
     console.log();
 
+    // Create the storage context explicitly so the manifest can record
+    // which provider and data set the file landed in
+    const context = await synapse.storage.createContext();
+
+    // What storing it will cost, checked before anything is paid for. A new
+    // data set costs at least the service's monthly minimum.
+    // Set UPLOAD_BUDGET_USDFC to refuse uploads that cost more than that.
+    const estimate = await estimateStorageCost(synapse, { sizes: [fileSize], dataSetId: context.dataSetId });
+    console.log(`Estimated cost: ${formatUSDFC(estimate.ratePerMonth)}/month (${formatUSDFC(estimate.ratePerEpoch)}/epoch)`);
+    if (estimate.minimumApplied) {
+        console.log(`  (the ${formatUSDFC(estimate.minimumPerMonth)}/month minimum for a new data set)`);
+    }
+    console.log(`Lockup required: ${formatUSDFC(estimate.lockupRequired)}`);
+    assertWithinBudget(estimate);
+    console.log();
+
     // Step 3: Upload to Filecoin
     console.log("=== Step 3: Upload to Filecoin Network ===");
     console.log("Uploading file...");
     console.log("(This may take 30-60 seconds as the data is processed and stored)\n");
 
-    const uploadResult = await synapse.storage.upload(fileContent);
+    const uploadResult = await synapse.storage.upload(fileContent, { context });
 
     console.log("✓ Upload successful!\n");
 
+    const manifest = openManifest();
+    recordUpload(manifest, { filename: 'sample.txt', data: fileContent, result: uploadResult, context });
+
     // Step 4: Examine Upload Response
     console.log("=== Step 4: Upload Response Details ===");
 
@@ -85,11 +86,9 @@ async function main() {
     console.log(`  → Matches original file: ${uploadResult.size === fileSize ? '✓' : '✗'}`);
     console.log();
 
-    if (uploadResult.provider) {
-        console.log(`Provider: ${uploadResult.provider}`);
-        console.log(`  → Storage provider address storing your data`);
-        console.log(`  → SDK automatically selected this provider for you`);
-    }
+    console.log(`Provider: ${context.provider.serviceProvider}`);
+    console.log(`  → Storage provider address storing your data`);
+    console.log(`  → SDK automatically selected this provider for you`);
     console.log();
 
     // Step 5: Verify data on-chain
@@ -104,7 +103,8 @@ async function main() {
     console.log("The data is stored immediately, but deal records propagate gradually.\n");
 
     console.log("\n✅ Upload complete! Your file is now stored on decentralized infrastructure.");
-    console.log(`\nSave your PieceCID: ${uploadResult.pieceCid}`);
+    console.log(`\nPieceCID ${uploadResult.pieceCid} was recorded in ${manifest.path}`);
+    console.log("Look it up later with: npx foc find sample.txt");
     console.log("\nYou can now use this PieceCID to retrieve your data anytime!");
 }
 
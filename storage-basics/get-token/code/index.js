@@ -1,20 +1,12 @@
-import 'dotenv/config';
-import { Synapse, TOKENS, TIME_CONSTANTS } from '@filoz/synapse-sdk';
+import { TOKENS } from '@filoz/synapse-sdk';
+import { createSynapse, resolveSpendCaps, budgetAllowances, assertSpendAllowed } from 'filecoin-shared';
 import { ethers } from 'ethers';
 
 async function main() {
     console.log("Initializing Filecoin Onchain Cloud SDK...");
 
     // 1. Initialize the SDK
-    const privateKey = process.env.PRIVATE_KEY;
-    if (!privateKey) {
-        throw new Error("Missing PRIVATE_KEY in .env file");
-    }
-
-    const synapse = await Synapse.create({
-        privateKey: privateKey,
-        rpcURL: "https://api.calibration.node.glif.io/rpc/v1"
-    });
+    const synapse = await createSynapse();
 
     console.log("SDK initialized successfully");
 
@@ -32,6 +24,12 @@ async function main() {
         throw new Error("Insufficient USDFC balance. Please request more tokens from the faucet.");
     }
 
+    // Finite allowances from the spend caps (BUDGET_*_USDFC, default
+    // 10 USDFC a month), so the operator can't charge past the budget
+    const caps = resolveSpendCaps();
+    const { rateAllowance, lockupAllowance, maxLockupPeriod } = budgetAllowances(caps);
+    await assertSpendAllowed(synapse, { caps, action: 'Deposit' });
+
     console.log("Depositing 2.5 USDFC to payment account...");
 
     // 3. Deposit & Approve
@@ -39,9 +37,9 @@ async function main() {
     const tx = await synapse.payments.depositWithPermitAndApproveOperator(
         depositAmount,
         synapse.getWarmStorageAddress(), // The storage operator
-        ethers.MaxUint256,               // Max rate allowance
-        ethers.MaxUint256,               // Max lockup allowance
-        TIME_CONSTANTS.EPOCHS_PER_MONTH // Lockup for 30 days
+        rateAllowance,                   // Most it may charge per epoch
+        lockupAllowance,                 // Most it may lock up
+        maxLockupPeriod                  // Lockup for 30 days
     );
 
     console.log("Waiting for transaction confirmation...");
@@ -1,24 +1,12 @@
-import dotenv from 'dotenv';
-import { Synapse, TOKENS, TIME_CONSTANTS } from '@filoz/synapse-sdk';
+import { TOKENS, TIME_CONSTANTS } from '@filoz/synapse-sdk';
+import { createSynapse, resolveSpendCaps, budgetAllowances, assertSpendAllowed } from 'filecoin-shared';
 import { ethers } from 'ethers';
 
-// Load .env.local first (if it exists), then .env
-dotenv.config({ path: '.env.local' });
-dotenv.config();
-
 async function main() {
     console.log("Managing Filecoin Payment Accounts...\n");
 
     // Initialize the SDK
-    const privateKey = process.env.PRIVATE_KEY;
-    if (!privateKey) {
-        throw new Error("Missing PRIVATE_KEY in .env file");
-    }
-
-    const synapse = await Synapse.create({
-        privateKey: privateKey,
-        rpcURL: "https://api.calibration.node.glif.io/rpc/v1"
-    });
+    const synapse = await createSynapse();
 
     console.log("✓ SDK initialized\n");
 
@@ -34,13 +22,16 @@ async function main() {
     const operatorAddress = synapse.getWarmStorageAddress();
     console.log(`Operator Address: ${operatorAddress}`);
 
-    const rateAllowance = ethers.MaxUint256;
-    console.log(`Rate Allowance: Unlimited (${rateAllowance})`);
-
-    const lockupAllowance = ethers.MaxUint256;
-    console.log(`Lockup Allowance: Unlimited (${lockupAllowance})`);
+    // Finite allowances derived from the spend caps (BUDGET_*_USDFC in .env),
+    // so the operator can never charge more than the budget allows
+    const caps = resolveSpendCaps();
+    const { rateAllowance, lockupAllowance, maxLockupPeriod: lockupPeriod } = budgetAllowances(caps);
+    if (caps.monthly !== null) {
+        console.log(`Monthly Spend Cap: ${ethers.formatUnits(caps.monthly, 18)} USDFC`);
+    }
+    console.log(`Rate Allowance: ${ethers.formatUnits(rateAllowance, 18)} USDFC/epoch`);
+    console.log(`Lockup Allowance: ${ethers.formatUnits(lockupAllowance, 18)} USDFC`);
 
-    const lockupPeriod = TIME_CONSTANTS.EPOCHS_PER_MONTH;
     const lockupDays = Number(lockupPeriod / TIME_CONSTANTS.EPOCHS_PER_DAY);
     console.log(`Lockup Period: ${lockupPeriod} epochs (~${lockupDays} days)\n`);
 
@@ -52,7 +43,10 @@ async function main() {
             `Available: ${ethers.formatUnits(walletBalance, 18)} USDFC`
         );
     }
-    console.log("✓ Sufficient USDFC balance confirmed\n");
+    console.log("✓ Sufficient USDFC balance confirmed");
+
+    await assertSpendAllowed(synapse, { caps, action: 'Deposit' });
+    console.log("✓ Projected spend is within the caps\n");
 
     // Step 3: Execute deposit and approval
     console.log("=== Step 3: Deposit and Approve Operator ===");
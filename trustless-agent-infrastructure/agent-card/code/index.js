@@ -1,14 +1,9 @@
-import dotenv from 'dotenv';
-import { Synapse, TOKENS } from '@filoz/synapse-sdk';
+import { createSynapse, checkReadiness, encodePayload, downloadPayload } from 'filecoin-shared';
 import { ethers } from 'ethers';
 import { writeFileSync, readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
-// Load environment
-dotenv.config({ path: '.env.local' });
-dotenv.config();
-
 // Get the directory path for ES modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -31,55 +26,36 @@ async function main() {
     // ========================================================================
     console.log("=== Step 1: Initialize SDK ===\n");
 
-    const privateKey = process.env.PRIVATE_KEY;
-    if (!privateKey) {
-        throw new Error("Missing PRIVATE_KEY in .env.local");
-    }
-
-    const synapse = await Synapse.create({
-        privateKey: privateKey,
-        rpcURL: process.env.RPC_URL || "https://api.calibration.node.glif.io/rpc/v1"
-    });
+    const synapse = await createSynapse();
 
-    const provider = new ethers.JsonRpcProvider(
-        process.env.RPC_URL || "https://api.calibration.node.glif.io/rpc/v1"
-    );
-    const wallet = new ethers.Wallet(privateKey, provider);
+    const provider = synapse.getProvider();
+    const agentAddress = await synapse.getSigner().getAddress();
 
     console.log("SDK initialized successfully.");
-    console.log(`Agent Wallet: ${wallet.address}\n`);
+    console.log(`Agent Wallet: ${agentAddress}\n`);
 
     // ========================================================================
     // Step 2: Verify Payment Readiness
     // ========================================================================
     console.log("=== Step 2: Verify Payment Readiness ===\n");
 
-    const paymentBalance = await synapse.payments.balance(TOKENS.USDFC);
+    const readiness = await checkReadiness(synapse);
+    const paymentBalance = readiness.paymentAccount.availableFunds;
     const balanceFormatted = Number(paymentBalance) / 1e18;
 
     console.log(`Payment Account Balance: ${paymentBalance.toString()} (raw units)`);
     console.log(`Formatted: ${balanceFormatted.toFixed(4)} USDFC`);
+    console.log(`Storage Operator: ${readiness.operator.address}`);
+    console.log(`Approved: ${readiness.operator.isApproved}`);
 
-    if (paymentBalance === 0n) {
-        console.log("\nPayment account has no balance.");
-        console.log("Please run the storage-basics/payment-management tutorial first.");
-        process.exit(1);
-    }
-
-    console.log("Payment account is funded.\n");
-
-    const operatorAddress = synapse.getWarmStorageAddress();
-    const approval = await synapse.payments.serviceApproval(operatorAddress, TOKENS.USDFC);
-
-    console.log(`Storage Operator: ${operatorAddress}`);
-    console.log(`Approved: ${approval.isApproved}`);
-
-    if (!approval.isApproved || approval.rateAllowance === 0n || approval.lockupAllowance === 0n) {
-        console.log("\nStorage operator is not approved to charge this account.");
+    if (!readiness.ready) {
+        console.log("\nThis account is not ready to pay for storage:");
+        readiness.failures.forEach(failure => console.log(`  - ${failure.message}`));
         console.log("Please run the storage-basics/payment-management tutorial first.");
         process.exit(1);
     }
 
+    console.log("Payment account is funded.");
     console.log("Operator allowances verified.\n");
 
     // ========================================================================
@@ -137,17 +113,15 @@ async function main() {
     const cardBytes = Buffer.from(JSON.stringify(agentCard));
     console.log(`Card size: ${cardBytes.length} bytes`);
 
-    if (cardBytes.length < 127) {
-        console.log("Card is below minimum upload size (127 bytes). Padding...");
-        const padded = Buffer.alloc(127);
-        cardBytes.copy(padded);
-        console.log(`Padded size: ${padded.length} bytes`);
-    }
+    // Frame the card with its true length (padding it to the 127-byte
+    // minimum if needed) so the download returns exactly these bytes
+    const uploadData = encodePayload(cardBytes);
+    console.log(`Framed size: ${uploadData.length} bytes`);
 
     console.log("Uploading to Filecoin...");
     console.log("(This may take 30-60 seconds)\n");
 
-    const uploadResult = await synapse.storage.upload(cardBytes, {
+    const uploadResult = await synapse.storage.upload(uploadData, {
         metadata: {
             type: "agent-card",
             protocol: "ERC-8004",
@@ -173,7 +147,7 @@ async function main() {
 
     console.log("Downloading card from Filecoin using PieceCID...\n");
 
-    const downloaded = await synapse.storage.download(String(uploadResult.pieceCid));
+    const downloaded = await downloadPayload(synapse.storage, uploadResult.pieceCid);
 
     const downloadedString = new TextDecoder().decode(downloaded);
     const downloadedCard = JSON.parse(downloadedString);
@@ -210,7 +184,7 @@ async function main() {
 
     console.log("Registration Parameters:");
     console.log(`  Registry: ${REGISTRY_ADDRESS} (placeholder)`);
-    console.log(`  Owner: ${wallet.address}`);
+    console.log(`  Owner: ${agentAddress}`);
     console.log(`  Token URI: ${tokenURI}`);
     console.log();
 
@@ -227,7 +201,7 @@ async function main() {
         console.log("  3. Emit an AgentRegistered event with the new agent ID");
         console.log("  4. Map the agent ID to the owner wallet address");
     } else {
-        const registry = new ethers.Contract(REGISTRY_ADDRESS, REGISTRY_ABI, wallet);
+        const registry = new ethers.Contract(REGISTRY_ADDRESS, REGISTRY_ABI, synapse.getSigner());
         try {
             const tx = await registry.registerAgent(tokenURI);
             console.log(`Transaction sent: ${tx.hash}`);
@@ -274,7 +248,7 @@ async function main() {
 
     console.log("Key Identifiers:");
     console.log(`  PieceCID: ${uploadResult.pieceCid}`);
-    console.log(`  Agent Wallet: ${wallet.address}`);
+    console.log(`  Agent Wallet: ${agentAddress}`);
     console.log(`  Token URI: ${tokenURI}\n`);
 
     console.log("Save your PieceCID. You will need it in the next walkthrough");
@@ -1,9 +1,4 @@
-import dotenv from 'dotenv';
-import { Synapse, TOKENS } from '@filoz/synapse-sdk';
-
-// Load environment
-dotenv.config({ path: '.env.local' });
-dotenv.config();
+import { createSynapse, checkReadiness, openManifest, recordUpload, uploadPack, readPackedObject, formatAddress } from 'filecoin-shared';
 
 /**
  * Build Agent Memory System
@@ -23,15 +18,7 @@ async function main() {
     // ========================================================================
     console.log("=== Step 1: Initialize SDK ===\n");
 
-    const privateKey = process.env.PRIVATE_KEY;
-    if (!privateKey) {
-        throw new Error("Missing PRIVATE_KEY in .env.local");
-    }
-
-    const synapse = await Synapse.create({
-        privateKey: privateKey,
-        rpcURL: process.env.RPC_URL || "https://api.calibration.node.glif.io/rpc/v1"
-    });
+    const synapse = await createSynapse();
 
     console.log("SDK initialized successfully.\n");
 
@@ -40,29 +27,21 @@ async function main() {
     // ========================================================================
     console.log("=== Step 2: Verify Payment Readiness ===\n");
 
-    const paymentBalance = await synapse.payments.balance(TOKENS.USDFC);
+    const readiness = await checkReadiness(synapse);
+    const paymentBalance = readiness.paymentAccount.availableFunds;
     const balanceFormatted = Number(paymentBalance) / 1e18;
 
     console.log(`Payment Account Balance: ${paymentBalance.toString()} (raw units)`);
     console.log(`Formatted: ${balanceFormatted.toFixed(4)} USDFC`);
 
-    if (paymentBalance === 0n) {
-        console.log("\nPayment account has no balance.");
-        console.log("Please run the storage-basics/payment-management tutorial first.");
-        process.exit(1);
-    }
-
-    console.log("Payment account is funded.\n");
-
-    const operatorAddress = synapse.getWarmStorageAddress();
-    const approval = await synapse.payments.serviceApproval(operatorAddress, TOKENS.USDFC);
-
-    if (!approval.isApproved || approval.rateAllowance === 0n || approval.lockupAllowance === 0n) {
-        console.log("Storage operator is not approved to charge this account.");
+    if (!readiness.ready) {
+        console.log("\nThis account is not ready to pay for storage:");
+        readiness.failures.forEach(failure => console.log(`  - ${failure.message}`));
         console.log("Please run the storage-basics/payment-management tutorial first.");
         process.exit(1);
     }
 
+    console.log("Payment account is funded.");
     console.log("Operator allowances verified.\n");
 
     // ========================================================================
@@ -138,40 +117,55 @@ async function main() {
 
     console.log(`Preparing ${memoryEntries.length} memory entries for storage:\n`);
 
-    const uploadResults = [];
-
-    for (let i = 0; i < memoryEntries.length; i++) {
-        const entry = memoryEntries[i];
+    // Pack entries into one piece per type instead of paying piece overhead
+    // (and minimum-size padding) for each entry. Keeping types apart lets
+    // each have its own lifetime: see retention.js
+    memoryEntries.forEach((entry, i) => {
         const entryBytes = Buffer.from(JSON.stringify(entry));
+        console.log(`[${i + 1}/${memoryEntries.length}] ${entry.type} entry (${entryBytes.length} bytes, ${entry.timestamp})`);
+    });
 
-        console.log(`[${i + 1}/${memoryEntries.length}] Uploading ${entry.type} entry...`);
-        console.log(`  Timestamp: ${entry.timestamp}`);
-        console.log(`  Size: ${entryBytes.length} bytes`);
+    console.log("\nUploading memory packs...");
 
-        // Pad if below minimum size
-        let uploadData = entryBytes;
-        if (entryBytes.length < 127) {
-            uploadData = Buffer.alloc(127);
-            entryBytes.copy(uploadData);
-            console.log(`  Padded to: ${uploadData.length} bytes (minimum upload size)`);
-        }
+    const manifest = openManifest();
+    const types = [...new Set(memoryEntries.map(entry => entry.type))];
+    const uploadResults = [];
 
-        const result = await context.upload(uploadData);
+    for (const type of types) {
+        const entries = memoryEntries.filter(entry => entry.type === type);
+        const metadata = { type };
+
+        const pack = await uploadPack(context, entries.map(entry => ({
+            key: `memory-${entry.sequence}-${entry.type}`,
+            data: JSON.stringify(entry)
+        })), { metadata });
+
+        recordUpload(manifest, {
+            filename: `memory-pack-${type.toLowerCase()}-${entries[0].sequence}-${entries[entries.length - 1].sequence}.pack`,
+            data: pack.data,
+            result: pack,
+            context,
+            metadata,
+            tags: { pack: pack.objects.map(({ key, offset, length }) => ({ key, offset, length })) }
+        });
 
-        uploadResults.push({
+        entries.forEach((entry, i) => uploadResults.push({
             type: entry.type,
             sequence: entry.sequence,
-            pieceCid: result.pieceCid,
-            size: result.size,
+            address: formatAddress(pack.objects[i]),
+            pieceCid: pack.pieceCid,
+            size: pack.objects[i].length,
             timestamp: entry.timestamp
-        });
+        }));
 
-        console.log(`  PieceCID: ${result.pieceCid}`);
-        console.log(`  Stored size: ${result.size} bytes`);
-        console.log();
+        console.log(`  ${type}: ${pack.pieceCid}`);
+        console.log(`    Stored size: ${pack.size} bytes for ${entries.length} ${entries.length === 1 ? 'entry' : 'entries'}`);
     }
+    uploadResults.sort((a, b) => a.sequence - b.sequence);
+    console.log();
 
-    console.log(`All ${memoryEntries.length} memory entries uploaded successfully.\n`);
+    console.log(`All ${memoryEntries.length} memory entries uploaded successfully in ${types.length} packs.`);
+    console.log(`Recorded in ${manifest.path}\n`);
 
     // ========================================================================
     // Step 5: List All Memories in the Data Set
@@ -183,7 +177,7 @@ async function main() {
     for (let i = 0; i < uploadResults.length; i++) {
         const result = uploadResults[i];
         console.log(`  Entry ${result.sequence}: ${result.type}`);
-        console.log(`    PieceCID: ${result.pieceCid}`);
+        console.log(`    Address: ${result.address}`);
         console.log(`    Size: ${result.size} bytes`);
         console.log(`    Timestamp: ${result.timestamp}`);
         console.log();
@@ -200,9 +194,10 @@ async function main() {
     // Download the first memory entry and verify its contents
     const targetEntry = uploadResults[0];
     console.log(`Retrieving memory entry ${targetEntry.sequence} (${targetEntry.type})...`);
-    console.log(`PieceCID: ${targetEntry.pieceCid}\n`);
+    console.log(`Address: ${targetEntry.address}\n`);
 
-    const downloaded = await synapse.storage.download(String(targetEntry.pieceCid));
+    // Only the address is needed: PieceCID, byte offset and length
+    const downloaded = await readPackedObject(synapse.storage, targetEntry.address);
 
     const downloadedString = new TextDecoder().decode(downloaded);
     const downloadedEntry = JSON.parse(downloadedString);
@@ -253,19 +248,22 @@ async function main() {
     console.log("What was accomplished:");
     console.log("  - Created a storage context (data set) dedicated to agent memory");
     console.log(`  - Stored ${memoryEntries.length} structured memory entries (DECISION, OBSERVATION, ERROR)`);
-    console.log("  - Listed all memories in the data set with their PieceCIDs");
+    console.log("  - Listed all memories in the data set with their addresses");
     console.log("  - Retrieved and verified a specific memory entry");
     console.log("  - Confirmed proof requirements for ongoing memory integrity\n");
 
-    console.log("Memory Entry PieceCIDs:");
+    console.log("Memory Entry Addresses (PieceCID:offset:length):");
     for (const result of uploadResults) {
-        console.log(`  ${result.type} (seq ${result.sequence}): ${result.pieceCid}`);
+        console.log(`  ${result.type} (seq ${result.sequence}): ${result.address}`);
     }
     console.log();
 
-    console.log("These PieceCIDs form an immutable audit trail of agent decisions.");
+    console.log("These addresses form an immutable audit trail of agent decisions.");
     console.log("Any auditor can download and verify any entry at any time.\n");
 
+    console.log("Retention: retention-policy.json keeps decisions forever and observations");
+    console.log("for 30 days. Preview what has expired with npm run retention.\n");
+
     console.log("Next: Payment Setup for Agents (walkthrough 3)");
 }
 
@@ -0,0 +1,112 @@
+import { parseArgs } from 'util';
+import {
+    createSynapse,
+    openManifest,
+    openRetentionPolicy,
+    planRetention,
+    previewRetention,
+    applyRetention,
+    formatUSDFC
+} from 'filecoin-shared';
+
+/**
+ * Expire Agent Memory
+ *
+ * Usage: node retention.js [--apply] [--interval <hours>] [--policy <path>]
+ *
+ * Applies retention-policy.json to the memory packs recorded in the local
+ * manifest: decisions are kept forever, errors for 90 days, observations
+ * for 30. Without --apply this is a dry run that reports what has expired
+ * and how much lockup removing it would free. With --interval it keeps
+ * running and checks again every <hours>.
+ */
+
+// The longest delay setInterval() accepts
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+async function runOnce(synapse, options) {
+    console.log(`=== Retention check: ${new Date().toISOString()} ===\n`);
+
+    const policy = openRetentionPolicy(options.policy);
+    const manifest = openManifest();
+    const plan = planRetention(manifest, policy);
+
+    console.log(`Policy: ${policy.path}`);
+    policy.rules.forEach(rule => {
+        const lifetime = rule.maxAgeDays === null ? 'forever' : `${rule.maxAgeDays} days`;
+        console.log(`  ${rule.name}: ${JSON.stringify(rule.match)} kept ${lifetime}`);
+    });
+    console.log(`\n${plan.expired.length} expired piece(s), ${plan.retained} retained\n`);
+
+    if (plan.expired.length === 0) {
+        console.log("✅ Nothing has expired.\n");
+        return;
+    }
+
+    const report = await previewRetention(synapse, plan, policy);
+
+    report.gone.forEach(piece => console.log(`  - ${piece.pieceCid}: no longer stored`));
+    for (const action of report.actions) {
+        const verb = action.action === 'terminate' ? 'Terminate data set' : 'Remove from data set';
+        console.log(`${verb} ${action.dataSetId} (frees ~${formatUSDFC(action.preview.lockupReleased)}):`);
+        action.pieces.forEach(piece => {
+            const names = piece.entries.map(entry => entry.filename).join(', ');
+            console.log(`  🗑️  ${names} (${piece.rule.name}, expired ${piece.expiredAt.toISOString().split('T')[0]})`);
+        });
+    }
+    console.log(`\nLockup freed: ~${formatUSDFC(report.lockupReleased)}\n`);
+
+    if (!options.apply) {
+        console.log("Dry run: nothing was removed. Re-run with --apply to remove expired memory.\n");
+        return;
+    }
+
+    const results = await applyRetention(synapse, manifest, report, {
+        onAction: (action) => console.log(`Applying: ${action.action} in data set ${action.dataSetId}...`)
+    });
+    results.forEach(result => {
+        if (result.error) {
+            console.log(`  ✗ Data set ${result.dataSetId}: ${result.error.message}`);
+        } else {
+            console.log(`  ${result.ok ? '✓' : '⚠️ '} Data set ${result.dataSetId}: ${result.ok ? 'done' : 'not confirmed on-chain yet'}`);
+        }
+    });
+    console.log(`\nManifest updated: ${manifest.path}\n`);
+}
+
+async function main() {
+    const { values: options } = parseArgs({
+        options: {
+            apply: { type: 'boolean', default: false },
+            interval: { type: 'string' },
+            policy: { type: 'string' }
+        }
+    });
+
+    const intervalHours = options.interval !== undefined ? Number(options.interval) : null;
+    if (intervalHours !== null && !(intervalHours > 0)) {
+        throw new Error(`Invalid --interval "${options.interval}" (expected hours)`);
+    }
+    // setInterval() runs longer delays after 1 ms, which would check non-stop
+    if (intervalHours !== null && intervalHours * 60 * 60 * 1000 > MAX_TIMER_MS) {
+        throw new Error(`Invalid --interval "${options.interval}" (at most ${Math.floor(MAX_TIMER_MS / 60 / 60 / 1000)} hours)`);
+    }
+
+    const synapse = await createSynapse();
+    console.log("✓ SDK initialized\n");
+
+    await runOnce(synapse, options);
+
+    if (intervalHours !== null) {
+        console.log(`Checking again every ${intervalHours} hour(s). Press Ctrl+C to stop.\n`);
+        setInterval(() => {
+            runOnce(synapse, options).catch(error => console.error(`❌ Retention check failed: ${error.message}\n`));
+        }, intervalHours * 60 * 60 * 1000);
+    }
+}
+
+main().catch((err) => {
+    console.error("\n❌ Error during retention check:");
+    console.error(err);
+    process.exit(1);
+});
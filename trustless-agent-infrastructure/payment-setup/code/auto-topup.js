@@ -0,0 +1,126 @@
+import { parseArgs } from 'util';
+import {
+    createSynapse,
+    resolveTopUpPolicy,
+    openAuditLog,
+    runTopUp,
+    formatUSDFC,
+    formatFIL
+} from 'filecoin-shared';
+
+/**
+ * Automatic Top-Up Service
+ *
+ * Usage: node auto-topup.js [--interval <minutes>] [--once] [--dry-run] [--audit-log <path>]
+ *
+ * Keeps the agent's payment account funded. Every check compares the
+ * runway (days the available funds last at the current lockup rate)
+ * against TOPUP_MIN_RUNWAY_DAYS and, when it's lower, deposits enough
+ * with depositWithPermit to last TOPUP_TARGET_RUNWAY_DAYS - never more
+ * than TOPUP_MAX_PER_DAY_USDFC per 24 hours, and never while the wallet
+ * has less tFIL than TOPUP_MIN_GAS_FIL. Every check, deposit and refusal
+ * is appended to the audit log.
+ *
+ * Checks every 60 minutes by default. --once checks a single time and
+ * exits (for cron); --dry-run logs what it would deposit without sending.
+ */
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+// The longest delay setInterval() accepts
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+async function runOnce(synapse, policy, audit, options) {
+    console.log(`=== Top-up check: ${new Date().toISOString()} ===\n`);
+
+    const entry = await runTopUp(synapse, policy, audit, {
+        dryRun: options['dry-run'],
+        onSubmitted: (hash) => console.log(`📤 Deposit submitted: ${hash}`)
+    });
+
+    for (const warning of entry.warnings ?? []) {
+        console.log(`⚠️  ${warning}`);
+    }
+
+    if (entry.action === 'error') {
+        console.log(`❌ Check failed: ${entry.reason}`);
+    } else {
+        const runway = entry.runwayDays === null ? 'no storage' : `~${entry.runwayDays.toFixed(1)} days`;
+        console.log(`Runway: ${runway} (available ${formatUSDFC(entry.availableFunds)})`);
+        console.log(`Wallet: ${formatUSDFC(entry.walletUSDFC)}, ${formatFIL(entry.walletFIL)}\n`);
+
+        if (entry.action === 'deposit' && entry.dryRun) {
+            console.log(`🔍 Dry run: would deposit ${formatUSDFC(entry.amount)}. ${entry.reason}`);
+        } else if (entry.action === 'deposit' && entry.confirmed) {
+            console.log(`✅ Deposited ${formatUSDFC(entry.amount)} (block ${entry.blockNumber})`);
+            console.log(`   Runway now ~${entry.runwayDaysAfter.toFixed(1)} days`);
+        } else if (entry.action === 'deposit') {
+            console.log(`⚠️  Deposit ${entry.transaction} not confirmed: ${entry.error}`);
+        } else if (entry.action === 'refused') {
+            console.log(`⛔ Refused: ${entry.reason}`);
+        } else {
+            console.log(`✅ ${entry.reason}`);
+        }
+    }
+    console.log(`\nLogged to ${audit.path}\n`);
+}
+
+async function main() {
+    const { values: options } = parseArgs({
+        options: {
+            interval: { type: 'string' },
+            once: { type: 'boolean', default: false },
+            'dry-run': { type: 'boolean', default: false },
+            'audit-log': { type: 'string' }
+        }
+    });
+
+    const intervalMinutes = options.interval !== undefined ? Number(options.interval) : DEFAULT_INTERVAL_MINUTES;
+    if (!(intervalMinutes > 0)) {
+        throw new Error(`Invalid --interval "${options.interval}" (expected minutes)`);
+    }
+    // setInterval() runs longer delays after 1 ms, which would poll non-stop
+    if (intervalMinutes * 60 * 1000 > MAX_TIMER_MS) {
+        throw new Error(`Invalid --interval "${options.interval}" (at most ${Math.floor(MAX_TIMER_MS / 60 / 1000)} minutes)`);
+    }
+
+    const policy = resolveTopUpPolicy();
+    const audit = openAuditLog(options['audit-log']);
+
+    console.log("Automatic Top-Up Service\n");
+    console.log(`Top up below:   ${policy.minRunwayDays} days of runway`);
+    console.log(`Top up to:      ${policy.targetRunwayDays} days of runway`);
+    console.log(`Daily maximum:  ${formatUSDFC(policy.maxPerDay)}`);
+    console.log(`Gas minimum:    ${formatFIL(policy.minGas)}`);
+    console.log(`Audit log:      ${audit.path}`);
+    if (options['dry-run']) {
+        console.log("Dry run: nothing will be deposited");
+    }
+    console.log();
+
+    const synapse = await createSynapse();
+    console.log("✓ SDK initialized\n");
+
+    await runOnce(synapse, policy, audit, options);
+
+    if (!options.once) {
+        console.log(`Checking again every ${intervalMinutes} minute(s). Press Ctrl+C to stop.\n`);
+        // A deposit can take longer than the interval; don't start a second one
+        let running = false;
+        setInterval(() => {
+            if (running) {
+                console.log("⏳ Previous check still running, skipping this one\n");
+                return;
+            }
+            running = true;
+            runOnce(synapse, policy, audit, options)
+                .catch(error => console.error(`❌ Top-up check failed: ${error.message}\n`))
+                .finally(() => { running = false; });
+        }, intervalMinutes * 60 * 1000);
+    }
+}
+
+main().catch((err) => {
+    console.error("\n❌ Error during automatic top-up:");
+    console.error(err);
+    process.exit(1);
+});
@@ -1,14 +1,8 @@
-import dotenv from 'dotenv';
-import { Synapse, TOKENS, TIME_CONSTANTS } from '@filoz/synapse-sdk';
+import { TOKENS, TIME_CONSTANTS } from '@filoz/synapse-sdk';
+import { createSynapse, resolveConfig, resolveTopUpPolicy, openAuditLog, runTopUp, runwayDays, formatUSDFC } from 'filecoin-shared';
 import { ethers } from 'ethers';
 
-// Load environment
-dotenv.config({ path: '.env.local' });
-dotenv.config();
-
-// Agent financial thresholds
-const MIN_PAYMENT_BALANCE = 1.0;  // USDFC - trigger top-up below this
-const TOP_UP_AMOUNT = 5.0;        // USDFC - amount to deposit when low
+// Agent financial thresholds. Top-ups follow the TOPUP_* policy (see .env.example)
 const MIN_GAS_BALANCE = 0.1;      // FIL - minimum gas for transactions
 
 /**
@@ -31,30 +25,20 @@ async function main() {
     // ========================================================================
     console.log("=== Step 1: Initialize SDK ===\n");
 
-    const privateKey = process.env.PRIVATE_KEY;
-    if (!privateKey) {
-        throw new Error("Missing PRIVATE_KEY in .env.local");
-    }
+    const synapse = await createSynapse();
 
-    const synapse = await Synapse.create({
-        privateKey: privateKey,
-        rpcURL: process.env.RPC_URL || "https://api.calibration.node.glif.io/rpc/v1"
-    });
-
-    const provider = new ethers.JsonRpcProvider(
-        process.env.RPC_URL || "https://api.calibration.node.glif.io/rpc/v1"
-    );
-    const wallet = new ethers.Wallet(privateKey, provider);
+    const provider = synapse.getProvider();
+    const agentAddress = await synapse.getSigner().getAddress();
 
     console.log("SDK initialized successfully.");
-    console.log(`Agent Wallet: ${wallet.address}\n`);
+    console.log(`Agent Wallet: ${agentAddress}\n`);
 
     // ========================================================================
     // Step 2: Check Gas Balance (FIL)
     // ========================================================================
     console.log("=== Step 2: Check Gas Balance (FIL) ===\n");
 
-    const gasBalance = await provider.getBalance(wallet.address);
+    const gasBalance = await provider.getBalance(agentAddress);
     const gasFormatted = Number(ethers.formatEther(gasBalance));
 
     console.log(`Wallet FIL Balance: ${gasBalance.toString()} (raw units)`);
@@ -127,45 +111,34 @@ async function main() {
     // ========================================================================
     console.log("=== Step 5: Autonomous Top-Up Logic ===\n");
 
-    console.log(`Minimum balance threshold: ${MIN_PAYMENT_BALANCE} USDFC`);
-    console.log(`Current payment balance:   ${paymentFormatted.toFixed(4)} USDFC`);
+    const topUpPolicy = resolveTopUpPolicy();
+    const audit = openAuditLog();
+
+    console.log(`Top up when runway is below: ${topUpPolicy.minRunwayDays} days`);
+    console.log(`Deposit enough to last:      ${topUpPolicy.targetRunwayDays} days`);
+    console.log(`Most deposited per day:      ${formatUSDFC(topUpPolicy.maxPerDay)}`);
     console.log();
 
-    if (paymentFormatted < MIN_PAYMENT_BALANCE) {
-        console.log(`Payment balance is below threshold (${MIN_PAYMENT_BALANCE} USDFC).`);
-        console.log(`Checking if wallet has sufficient USDFC for top-up...\n`);
-
-        if (walletUSDFCFormatted >= TOP_UP_AMOUNT) {
-            console.log(`Wallet has ${walletUSDFCFormatted.toFixed(4)} USDFC available.`);
-            console.log(`Depositing ${TOP_UP_AMOUNT} USDFC into payment account...\n`);
-
-            try {
-                const depositAmount = ethers.parseUnits(String(TOP_UP_AMOUNT), 18);
-                const receipt = await synapse.payments.depositWithPermit({ amount: depositAmount });
-
-                console.log("Deposit successful.");
-                console.log(`  Amount: ${TOP_UP_AMOUNT} USDFC`);
-                if (receipt && receipt.transactionHash) {
-                    console.log(`  Transaction: ${receipt.transactionHash}`);
-                }
-
-                // Verify new balance
-                const newBalance = await synapse.payments.balance(TOKENS.USDFC);
-                const newFormatted = Number(newBalance) / 1e18;
-                console.log(`  New payment balance: ${newFormatted.toFixed(4)} USDFC`);
-            } catch (error) {
-                console.log("Deposit failed:", error.message);
-                console.log("Ensure wallet has sufficient USDFC and gas for the transaction.");
-            }
-        } else {
-            console.log(`Wallet has only ${walletUSDFCFormatted.toFixed(4)} USDFC.`);
-            console.log(`Need ${TOP_UP_AMOUNT} USDFC for top-up. Insufficient funds.`);
-            console.log("Fund the wallet with USDFC before the agent can top up.");
-        }
+    const topUp = await runTopUp(synapse, topUpPolicy, audit, {
+        onSubmitted: (hash) => console.log(`Deposit submitted: ${hash}`)
+    });
+
+    if (topUp.action === 'deposit' && topUp.confirmed) {
+        console.log("Deposit successful.");
+        console.log(`  Amount: ${formatUSDFC(topUp.amount)}`);
+        console.log(`  Transaction: ${topUp.transaction}`);
+        console.log(`  New available funds: ${formatUSDFC(topUp.availableFundsAfter)}`);
+    } else if (topUp.action === 'deposit') {
+        console.log(`Deposit ${topUp.transaction} was sent but not confirmed: ${topUp.error}`);
+    } else if (topUp.action === 'refused') {
+        console.log(`Top-up refused: ${topUp.reason}`);
+    } else if (topUp.action === 'error') {
+        console.log(`Top-up check failed: ${topUp.reason}`);
     } else {
-        console.log("Payment balance is above threshold. No top-up needed.");
-        console.log("In production, this check runs on a schedule (e.g., every hour).");
+        console.log(`No top-up needed: ${topUp.reason}`);
     }
+    console.log(`Logged to ${audit.path}`);
+    console.log("To keep checking on an interval, run the top-up service: npm run auto-topup");
     console.log();
 
     // ========================================================================
@@ -250,9 +223,11 @@ async function main() {
     if (gasFormatted < MIN_GAS_BALANCE) gasStatus = "CRITICAL";
     else if (gasFormatted < MIN_GAS_BALANCE * 5) gasStatus = "LOW";
 
+    // Runway after any top-up; null when nothing is being stored
+    const runway = topUp.confirmed ? topUp.runwayDaysAfter : runwayDays(accountInfo);
     let paymentStatus = "HEALTHY";
-    if (paymentFormatted < 0.1) paymentStatus = "CRITICAL";
-    else if (paymentFormatted < MIN_PAYMENT_BALANCE) paymentStatus = "LOW";
+    if (runway !== null && runway < 1) paymentStatus = "CRITICAL";
+    else if (runway !== null && runway < topUpPolicy.minRunwayDays) paymentStatus = "LOW";
 
     let approvalStatus = "APPROVED";
     if (!approval.isApproved || approval.rateAllowance === 0n || approval.lockupAllowance === 0n) {
@@ -261,20 +236,22 @@ async function main() {
 
     const healthDashboard = {
         timestamp: new Date().toISOString(),
-        agent: wallet.address,
-        network: "Filecoin Calibration Testnet",
+        agent: agentAddress,
+        network: resolveConfig().networkName,
         gas: {
             balance: gasFormatted.toFixed(4) + " FIL",
             status: gasStatus
         },
         wallet: {
             usdfc: walletUSDFCFormatted.toFixed(4) + " USDFC",
-            available_for_deposit: walletUSDFCFormatted >= TOP_UP_AMOUNT
+            available_for_deposit: walletUSDFC > 0n
         },
         paymentAccount: {
             balance: paymentFormatted.toFixed(4) + " USDFC",
             status: paymentStatus,
-            threshold: MIN_PAYMENT_BALANCE + " USDFC"
+            runway: runway === null ? "no storage" : runway.toFixed(1) + " days",
+            threshold: topUpPolicy.minRunwayDays + " days",
+            lastTopUp: topUp.action
         },
         operator: {
             address: operatorAddress,
@@ -306,7 +283,7 @@ async function main() {
     console.log("  - Checked gas balance (FIL) for transaction capability");
     console.log("  - Checked USDFC distribution across wallet and payment account");
     console.log("  - Inspected payment account details (funds, lockup, available)");
-    console.log("  - Evaluated autonomous top-up logic against balance threshold");
+    console.log("  - Topped up (or not) against the runway threshold, logging to the audit log");
     console.log("  - Verified operator approval status for storage operations");
     console.log("  - Monitored active payment rails for ongoing storage deals");
     console.log("  - Built a comprehensive health dashboard for monitoring\n");